@@ -0,0 +1,536 @@
+#!/usr/bin/env node
+// debug adapter protocol server for .luac files, talking over stdio when run directly.
+// scripts run in a worker thread, so requests still get answered while a script is paused
+const fs = require("fs")
+const path = require("path")
+const { Worker, MessageChannel, isMainThread, workerData, receiveMessageOnPort } = require("worker_threads")
+
+const { LuaVM, LuaError, LuaExit, NodeFileSystem, formatTraceback, wrap, unwrap } = require("./index.js")
+
+const THREAD_ID = 1
+
+// the editor's side, reads requests from `input` and writes responses and events to `output`
+class DebugAdapter {
+	constructor(input, output) {
+		this.output = output
+		this.buffer = Buffer.alloc(0)
+		this.seq = 1
+
+		this.worker = null
+		this.port = null
+
+		// bumped for every message to the worker, which waits on it while the script is paused
+		this.control = new Int32Array(new SharedArrayBuffer(4))
+
+		// requests the worker hasn't answered yet, by their seq
+		this.pending = new Map()
+
+		input.on("data", (data) => this.receive(data))
+		input.on("end", () => this.stop())
+	}
+
+	receive(data) {
+		this.buffer = Buffer.concat([this.buffer, data])
+
+		while (true) {
+			const headerEnd = this.buffer.indexOf("\r\n\r\n")
+			if (headerEnd < 0) {
+				return
+			}
+
+			const header = /Content-Length: *(\d+)/i.exec(this.buffer.subarray(0, headerEnd).toString("ascii"))
+			const start = headerEnd + 4
+			const length = header ? Number(header[1]) : 0
+
+			if (this.buffer.length < start + length) {
+				return
+			}
+
+			const body = this.buffer.subarray(start, start + length).toString("utf-8")
+			this.buffer = this.buffer.subarray(start + length)
+
+			if (header) {
+				this.request(JSON.parse(body))
+			}
+		}
+	}
+
+	send(message) {
+		const json = JSON.stringify({ seq: this.seq ++, ...message })
+
+		this.output.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`)
+	}
+
+	respond(request, body, error) {
+		this.send({
+			type: "response",
+			request_seq: request.seq,
+			command: request.command,
+			success: error === undefined,
+			message: error,
+			body
+		})
+	}
+
+	event(event, body) {
+		this.send({ type: "event", event, body })
+	}
+
+	request(request) {
+		switch (request.command) {
+			case "initialize": {
+				this.respond(request, {
+					supportsConfigurationDoneRequest: true,
+					supportsEvaluateForHovers: true,
+					supportsTerminateRequest: true
+				})
+				break
+			}
+			case "launch": {
+				if (this.worker) {
+					this.respond(request, undefined, "a script is already running")
+					break
+				}
+
+				this.start()
+				this.forward(request)
+				break
+			}
+			case "threads": {
+				this.respond(request, { threads: [{ id: THREAD_ID, name: "main" }] })
+				break
+			}
+			case "disconnect":
+			case "terminate": {
+				const running = this.worker !== null
+				this.stop()
+				this.respond(request)
+
+				if (running && request.command === "terminate") {
+					this.event("terminated")
+				}
+				break
+			}
+			default: {
+				this.forward(request)
+			}
+		}
+	}
+
+	start() {
+		const { port1, port2 } = new MessageChannel()
+
+		this.port = port1
+		this.port.on("message", (message) => this.workerMessage(message))
+
+		const worker = new Worker(__filename, {
+			workerData: { isDebugTarget: true, port: port2, control: this.control },
+			transferList: [port2]
+		})
+
+		worker.on("error", (error) => {
+			this.event("output", { category: "stderr", output: `${error.stack}\n` })
+		})
+
+		// a worker stopped earlier can exit after the next one started
+		worker.on("exit", () => {
+			if (this.worker === worker) {
+				// what it sent last, like the terminated event, can still be waiting on the port
+				let message
+				while ((message = receiveMessageOnPort(this.port))) {
+					this.workerMessage(message.message)
+				}
+
+				this.stopped()
+			}
+		})
+
+		this.worker = worker
+	}
+
+	stop() {
+		this.worker?.terminate()
+		this.stopped()
+	}
+
+	stopped() {
+		for (const request of this.pending.values()) {
+			this.respond(request, undefined, "the script isn't running")
+		}
+
+		this.pending.clear()
+		this.port?.close()
+
+		this.worker = null
+		this.port = null
+	}
+
+	forward(request) {
+		if (!this.worker) {
+			this.respond(request, undefined, "the script isn't running")
+			return
+		}
+
+		this.pending.set(request.seq, request)
+
+		this.port.postMessage(request)
+		Atomics.add(this.control, 0, 1)
+		Atomics.notify(this.control, 0)
+	}
+
+	workerMessage(message) {
+		if (message.type === "event") {
+			this.event(message.event, message.body)
+			return
+		}
+
+		const request = this.pending.get(message.seq)
+		if (!request) {
+			return
+		}
+
+		this.pending.delete(message.seq)
+		this.respond(request, message.body, message.error)
+
+		if (request.command === "launch") {
+			// a launch that failed leaves nothing to run, another one can be tried
+			if (message.error !== undefined) {
+				this.stop()
+				return
+			}
+
+			// breakpoints can only be matched to files once the chunk is loaded
+			this.event("initialized")
+		}
+	}
+}
+
+// the worker's side, owns the vm and answers requests between instructions
+class DebugTarget {
+	constructor(port, control) {
+		this.port = port
+		this.control = control
+
+		this.vm = null
+		this.chunk = null
+		this.args = []
+		this.sourceRoot = process.cwd()
+		this.stopOnEntry = false
+
+		this.launched = false
+		this.configured = false
+		this.resumed = false
+		this.atEntry = false
+
+		// what each variablesReference points to, only valid while paused
+		this.handles = []
+
+		this.decoders = { stdout: new TextDecoder(), stderr: new TextDecoder() }
+	}
+
+	send(message) {
+		this.port.postMessage(message)
+	}
+
+	event(event, body) {
+		this.send({ type: "event", event, body })
+	}
+
+	// blocks until the adapter sends something
+	receive() {
+		while (true) {
+			const seen = Atomics.load(this.control, 0)
+
+			const message = receiveMessageOnPort(this.port)
+			if (message) {
+				return message.message
+			}
+
+			Atomics.wait(this.control, 0, seen)
+		}
+	}
+
+	// answers whatever arrived while the script runs, without waiting for more
+	poll() {
+		let message
+		while ((message = receiveMessageOnPort(this.port))) {
+			this.handle(message.message)
+		}
+	}
+
+	handle(request) {
+		try {
+			this.send({ type: "response", seq: request.seq, body: this.request(request.command, request.arguments ?? {}) })
+		}
+		catch (error) {
+			this.send({ type: "response", seq: request.seq, error: error.message })
+		}
+	}
+
+	request(command, args) {
+		switch (command) {
+			case "launch": return this.launch(args)
+			case "configurationDone": {
+				this.configured = true
+				return undefined
+			}
+			case "setBreakpoints": return this.setBreakpoints(args)
+			case "stackTrace": return this.stackTrace(args)
+			case "scopes": return this.scopes(args)
+			case "variables": return this.variables(args)
+			case "evaluate": return this.evaluate(args)
+			case "continue": return this.resume("continue")
+			case "next": return this.resume("stepOver")
+			case "stepIn": return this.resume("stepInto")
+			case "stepOut": return this.resume("stepOut")
+			case "pause": {
+				this.vm.debugger.pause()
+				return undefined
+			}
+		}
+
+		throw new Error(`unsupported request '${command}'`)
+	}
+
+	launch(args) {
+		if (typeof args.program !== "string") {
+			throw new Error("'program' has to be the path of a .luac file")
+		}
+
+		this.vm = new LuaVM({
+			fs: new NodeFileSystem(),
+			env: { ...process.env },
+			// stdin is the protocol's, scripts only see it as empty
+			stdin: () => new Uint8Array(),
+			stdout: (bytes) => this.output("stdout", bytes),
+			stderr: (bytes) => this.output("stderr", bytes)
+		})
+
+		this.chunk = this.vm.load(fs.readFileSync(args.program))
+		this.args = args.args ?? []
+		this.sourceRoot = path.resolve(args.sourceRoot ?? path.dirname(path.resolve(args.program)))
+		this.stopOnEntry = args.stopOnEntry ?? false
+
+		if (!args.noDebug) {
+			this.vm.debugger.onPause = (event) => this.paused(event)
+			this.vm.debugger.onPoll = () => this.poll()
+		}
+
+		this.launched = true
+
+		return undefined
+	}
+
+	run() {
+		while (!this.launched || !this.configured) {
+			this.handle(this.receive())
+		}
+
+		if (this.stopOnEntry) {
+			this.atEntry = true
+			this.vm.debugger.pause()
+		}
+
+		let exitCode = 0
+		try {
+			this.vm.run(this.chunk, ...this.args)
+		}
+		catch (error) {
+			if (error instanceof LuaExit) {
+				exitCode = error.code
+			}
+			else {
+				exitCode = 1
+
+				const message = error instanceof LuaError
+					? `${error.message}\n${formatTraceback(error.traceback, this.chunk.proto.version)}`
+					: error.stack
+				this.event("output", { category: "stderr", output: `${message}\n` })
+			}
+		}
+
+		this.event("exited", { exitCode })
+		this.event("terminated")
+
+		this.port.close()
+	}
+
+	output(category, bytes) {
+		this.event("output", { category, output: this.decoders[category].decode(bytes, { stream: true }) })
+	}
+
+	paused(event) {
+		const reason = this.atEntry && event.reason === "pause" ? "entry" : event.reason
+		this.atEntry = false
+
+		this.event("stopped", {
+			reason,
+			threadId: THREAD_ID,
+			allThreadsStopped: true,
+			hitBreakpointIds: event.breakpoint ? [event.breakpoint.id] : undefined
+		})
+
+		this.resumed = false
+		while (!this.resumed) {
+			this.handle(this.receive())
+		}
+
+		this.handles = []
+	}
+
+	resume(action) {
+		this.vm.debugger[action]()
+		this.resumed = true
+
+		return { allThreadsContinued: true }
+	}
+
+	// chunks name their files however luac was given them, absolute or relative to where it ran
+	sourcePath(fileName) {
+		return path.resolve(this.sourceRoot, fileName)
+	}
+
+	fileNameOf(sourcePath) {
+		for (const fileName of this.vm.debugger.protos.keys()) {
+			if (this.sourcePath(fileName) === path.resolve(sourcePath)) {
+				return fileName
+			}
+		}
+
+		return path.relative(this.sourceRoot, sourcePath)
+	}
+
+	setBreakpoints(args) {
+		const fileName = this.fileNameOf(args.source.path)
+
+		this.vm.debugger.clearBreakpoints(fileName)
+
+		const breakpoints = (args.breakpoints ?? []).map(({ line }) => {
+			const breakpoint = this.vm.debugger.setBreakpoint(fileName, line)
+
+			return { id: breakpoint.id, verified: breakpoint.verified, line: breakpoint.line, source: args.source }
+		})
+
+		return { breakpoints }
+	}
+
+	stackTrace(args) {
+		const frames = this.vm.debugger.stackFrames().map((frame, id) => ({
+			id,
+			name: frame.name ?? frame.globalName ?? (frame.what === "main" ? "main chunk" : frame.what === "C" ? "[C]" : "?"),
+			source: frame.fileName !== null ? { name: path.basename(frame.fileName), path: this.sourcePath(frame.fileName) } : undefined,
+			line: Math.max(frame.currentLine, 0),
+			column: frame.fileName !== null ? 1 : 0,
+			presentationHint: frame.what === "C" ? "subtle" : "normal"
+		}))
+
+		const start = args.startFrame ?? 0
+		const end = args.levels ? start + args.levels : frames.length
+
+		return { stackFrames: frames.slice(start, end), totalFrames: frames.length }
+	}
+
+	reference(target) {
+		this.handles.push(target)
+
+		return this.handles.length
+	}
+
+	scopes(args) {
+		return {
+			scopes: [
+				{ name: "Locals", presentationHint: "locals", variablesReference: this.reference({ locals: args.frameId }), expensive: false },
+				{ name: "Upvalues", variablesReference: this.reference({ upvalues: args.frameId }), expensive: false },
+				{ name: "Globals", variablesReference: this.reference({ table: this.vm.globals }), expensive: true }
+			]
+		}
+	}
+
+	variables(args) {
+		const target = this.handles[args.variablesReference - 1]
+		if (!target) {
+			throw new Error("variables are only available while paused")
+		}
+
+		let entries
+		if (target.table) {
+			entries = target.table.keys()
+				.map((key) => ({ name: typeof key === "string" ? key : `[${this.format(wrap(null, key))}]`, value: target.table.rawGet(null, key) }))
+				.filter(({ value }) => value.type !== "nil")
+		}
+		else if (target.upvalues !== undefined) {
+			entries = this.vm.debugger.upvalues(target.upvalues).map(({ name, value }, i) => ({ name: name ?? `(upvalue ${i + 1})`, value }))
+		}
+		else {
+			entries = this.vm.debugger.locals(target.locals)
+		}
+
+		return { variables: entries.map(({ name, value }) => this.variable(name, value)) }
+	}
+
+	variable(name, value) {
+		return {
+			name,
+			value: this.format(value),
+			type: value.type,
+			variablesReference: value.type === "table" ? this.reference({ table: value }) : 0
+		}
+	}
+
+	format(value) {
+		if (value.type === "string") {
+			return JSON.stringify(unwrap(value))
+		}
+
+		return value.print(null)
+	}
+
+	// only names and fields of them, evaluating anything else would mean compiling lua
+	evaluate(args) {
+		const [name, ...fields] = args.expression.trim().split(".")
+		if (![name, ...fields].every((part) => /^[A-Za-z_][A-Za-z0-9_]*$|^\d+$/.test(part)) || /^\d/.test(name)) {
+			throw new Error(`can't evaluate '${args.expression}', only names and their fields can be`)
+		}
+
+		let value = this.lookup(name, args.frameId)
+		for (const field of fields) {
+			if (value.type !== "table") {
+				throw new Error(`can't index a ${value.type} value with '${field}'`)
+			}
+
+			value = value.rawGet(null, /^\d+$/.test(field) ? Number(field) : field)
+		}
+
+		const variable = this.variable(args.expression, value)
+
+		return { result: variable.value, type: variable.type, variablesReference: variable.variablesReference }
+	}
+
+	// the innermost local with the name, then upvalues, then globals
+	lookup(name, frameId) {
+		if (frameId !== undefined) {
+			const local = this.vm.debugger.locals(frameId).reverse().find((local) => local.name === name)
+			if (local) {
+				return local.value
+			}
+
+			const upValue = this.vm.debugger.upvalues(frameId).find((upValue) => upValue.name === name)
+			if (upValue) {
+				return upValue.value
+			}
+		}
+
+		return this.vm.globals.rawGet(null, name)
+	}
+}
+
+if (!isMainThread && workerData?.isDebugTarget) {
+	new DebugTarget(workerData.port, workerData.control).run()
+}
+else if (require.main === module) {
+	new DebugAdapter(process.stdin, process.stdout)
+}
+
+module.exports = {
+	DebugAdapter
+}
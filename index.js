@@ -1,10 +1,34 @@
 function formatPos({ fileName, line }) {
-	return `${fileName}:${line}:`
+	return `${fileName ?? "?"}:${line ?? -1}:`
 }
 
 class LuaError extends Error {
-	constructor(position, message) {
-		super(`${formatPos(position)} ${message}`)
+	constructor(position, message, value) {
+		super(position ? `${formatPos(position)} ${message}` : message)
+
+		// the lua value that was raised, error() can raise any value and not just messages
+		this.value = value ?? new LVString(this.message)
+
+		// the lua call stack at the point of the error, innermost frame first
+		this.traceback = null
+	}
+}
+
+// thrown by os.exit to stop the script, protected calls let it through
+class LuaExit extends Error {
+	constructor(code) {
+		super(`lua script exited with code ${code}`)
+
+		this.code = code
+	}
+}
+
+// a run went over its instruction budget or deadline or was aborted, reason is "instructions", "timeout" or "aborted"
+class LuaLimitError extends LuaError {
+	constructor(position, message, reason) {
+		super(position, message)
+
+		this.reason = reason
 	}
 }
 
@@ -18,6 +42,15 @@ const errors = {
 	arithmetic: (position, type) => {
 		throw new LuaError(position, `attempt to perform arithmetic on a ${type} value`)
 	},
+	bitwise: (position, type) => {
+		throw new LuaError(position, `attempt to perform bitwise operation on a ${type} value`)
+	},
+	noIntegerRep: (position) => {
+		throw new LuaError(position, `number has no integer representation`)
+	},
+	divideByZero: (position, operation) => {
+		throw new LuaError(position, `attempt to perform '${operation}'`)
+	},
 	concatenate: (position, type) => {
 		throw new LuaError(position, `attempt to concatenate a ${type} value`)
 	},
@@ -30,6 +63,9 @@ const errors = {
 	length: (position, type) => {
 		throw new LuaError(position, `attempt to get length of a ${type} value`)
 	},
+	index: (position, type) => {
+		throw new LuaError(position, `attempt to index a ${type} value`)
+	},
 	forLimit: (position) => {
 		throw new LuaError(position, `'for' limit must be a number`)
 	},
@@ -39,6 +75,9 @@ const errors = {
 	forStep: (position) => {
 		throw new LuaError(position, `'for' step must be a number`)
 	},
+	forZeroStep: (position) => {
+		throw new LuaError(position, `'for' step is zero`)
+	},
 	call: (position, type) => {
 		throw new LuaError(position, `attempt to call a ${type} value`)
 	},
@@ -60,6 +99,41 @@ function compHandler(context, value1, value2, metaMethodName) {
 	return undefined
 }
 
+// rough sizes in bytes of what values take up, close to lua's own on 64-bit builds
+const MEMORY_SIZES = {
+	string: 24,
+	table: 56,
+	arraySlot: 16,
+	hashSlot: 40,
+	closure: 32,
+	upValue: 40,
+	function: 32,
+	coroutine: 200,
+	register: 16,
+	userdata: 64
+}
+
+// the vm whose lua code is running, what gets allocated meanwhile is charged to it
+let activeVM = null
+
+function chargeMemory(bytes) {
+	if (activeVM !== null && activeVM.memoryLimit !== null) {
+		activeVM.allocate(bytes)
+	}
+}
+
+// the JS stack running out, which deep metamethod chains and host functions calling back into lua can get to
+function isStackOverflow(error) {
+	return error instanceof RangeError && error.message === "Maximum call stack size exceeded"
+}
+
+// host library loops that can go on for long count their steps as instructions, so the limits stop them as well
+function countSteps(count) {
+	if (activeVM !== null && (activeVM.instructionCount += count) >= activeVM.limitCheckAt) {
+		activeVM.checkLimits(activeVM.luaPosition())
+	}
+}
+
 class LVBase {
 	constructor(type) {
 		this.type = type
@@ -120,6 +194,25 @@ class LVBase {
 	pow(context, other) {
 		return this.overrideable(context, () => undefined, "__pow", () => errors.arithmetic(context.position, this.type), other)
 	}
+	idiv(context, other) {
+		return this.overrideable(context, () => undefined, "__idiv", () => errors.arithmetic(context.position, this.type), other)
+	}
+
+	band(context, other) {
+		return this.overrideable(context, () => undefined, "__band", () => errors.bitwise(context.position, this.type), other)
+	}
+	bor(context, other) {
+		return this.overrideable(context, () => undefined, "__bor", () => errors.bitwise(context.position, this.type), other)
+	}
+	bxor(context, other) {
+		return this.overrideable(context, () => undefined, "__bxor", () => errors.bitwise(context.position, this.type), other)
+	}
+	shl(context, other) {
+		return this.overrideable(context, () => undefined, "__shl", () => errors.bitwise(context.position, this.type), other)
+	}
+	shr(context, other) {
+		return this.overrideable(context, () => undefined, "__shr", () => errors.bitwise(context.position, this.type), other)
+	}
 
 	concat(context, other) {
 		return this.overrideableTwoSides(context, () => undefined, "__concat", () => errors.concatenate(context.position, this.type), other)
@@ -151,7 +244,17 @@ class LVBase {
 		else {
 			const otherMeta = compHandler(context, this, other, "__lt")
 			if (otherMeta && otherMeta.truthy(context)) {
-				return call(context, otherMeta, other, this).not(context)
+				try {
+					return call(context, otherMeta, other, this).not(context)
+				}
+				catch (error) {
+					// like lua's CIST_LEQ, the frame negates what __lt gives back once it's resumed
+					if (error instanceof LuaYield && context.coroutine instanceof LVCoroutine) {
+						context.coroutine.negateResult = true
+					}
+
+					throw error
+				}
 			}
 		}
 
@@ -159,13 +262,98 @@ class LVBase {
 	}
 
 	unm(context) {
-		return this.overrideable(context, () => undefined, "__unm", () => errors.arithmetic(context.position, this.type), other)
+		return this.overrideable(context, () => undefined, "__unm", () => errors.arithmetic(context.position, this.type), this)
+	}
+	bnot(context) {
+		return this.overrideable(context, () => undefined, "__bnot", () => errors.bitwise(context.position, this.type), this)
 	}
 	not(context) { return new LVBoolean(!this.truthy(context)) }
 	len(context) {
 		return this.overrideable(context, () => undefined, "__len", () => errors.length(context.position, this.type))
 	}
 
+	index(context, key) {
+		// same limit as lua's MAXTAGLOOP, so __index loops end in an error instead of hanging
+		const MAXTAGLOOP = 2000
+
+		let obj = this
+		for (let loop = 0; loop < MAXTAGLOOP; loop ++) {
+			let handler
+			if (obj instanceof LVTable) {
+				const value = obj.rawGet(context, key)
+				if (value.type !== "nil") {
+					return value
+				}
+
+				handler = getMeta(context, obj, "__index")
+				if (!handler || handler.type === "nil") {
+					return value
+				}
+			}
+			else {
+				handler = getMeta(context, obj, "__index")
+				if (!handler || handler.type === "nil") {
+					errors.index(context.position, obj.type)
+				}
+			}
+
+			if (handler.type === "function") {
+				const result = call(context, handler, obj, key)
+				if (result instanceof LVTuple) {
+					return result.values[0] ?? new LVNil()
+				}
+
+				return wrap(context, result)
+			}
+
+			obj = handler
+		}
+
+		// worded like the version running
+		const version = context.coroutine?.closure.proto.version ?? 0x54
+		throw new LuaError(context.position, version >= 0x53 ? "'__index' chain too long; possible loop" : "loop in gettable")
+	}
+	setIndex(context, key, value) {
+		const MAXTAGLOOP = 2000
+
+		let obj = this
+		for (let loop = 0; loop < MAXTAGLOOP; loop ++) {
+			let handler
+			if (obj instanceof LVTable) {
+				handler = getMeta(context, obj, "__newindex")
+
+				// __newindex only applies to keys that aren't present yet
+				if (!handler || handler.type === "nil" || obj.rawGet(context, key).type !== "nil") {
+					if (key.type === "nil") {
+						throw new LuaError(context.position, "table index is nil")
+					}
+					if (key.type === "number" && Number.isNaN(key.value)) {
+						throw new LuaError(context.position, "table index is NaN")
+					}
+
+					obj.rawSet(context, key, value)
+					return
+				}
+			}
+			else {
+				handler = getMeta(context, obj, "__newindex")
+				if (!handler || handler.type === "nil") {
+					errors.index(context.position, obj.type)
+				}
+			}
+
+			if (handler.type === "function") {
+				call(context, handler, obj, key, value)
+				return
+			}
+
+			obj = handler
+		}
+
+		const version = context.coroutine?.closure.proto.version ?? 0x54
+		throw new LuaError(context.position, version >= 0x53 ? "'__newindex' chain too long; possible loop" : "loop in settable")
+	}
+
 	asNumber(context) { return new LVNil() }
 	asString(context) { return new LVNil() }
 
@@ -174,269 +362,575 @@ class LVBase {
 	truthy(context) { return false }
 }
 
-class LVNumber extends LVBase {
-	constructor(num) {
-		super("number")
+function concatBytes(left, right) {
+	const out = new Uint8Array(left.length + right.length)
+	out.set(left)
+	out.set(right, left.length)
 
-		this.value = num
+	return out
+}
+
+function joinBytes(parts) {
+	const out = new Uint8Array(parts.reduce((length, part) => length + part.length, 0))
+
+	let offset = 0
+	for (const part of parts) {
+		out.set(part, offset)
+		offset += part.length
 	}
 
-	add(context, other) {
-		return this.overrideable(context, () => {
-			let otherVal = other.asNumber(context)
-			if (otherVal instanceof LVNil) {
-				return undefined
-			}
+	return out
+}
 
-			otherVal = otherVal.value
+function formatNumber(num) {
+	if (Number.isNaN(num)) {
+		return "nan"
+	}
+	if (num === Infinity) {
+		return "inf"
+	}
+	if (num === -Infinity) {
+		return "-inf"
+	}
+	if (Object.is(num, -0)) {
+		return "-0"
+	}
 
-			if (isNaN(otherVal)) {
-				return undefined
-			}
+	// mimics the "%.14g" format lua uses for numbers
+	const [mantissa, exponentStr] = num.toExponential(13).split("e")
+	const exponent = Number(exponentStr)
 
-			if (typeof otherVal === "number") {
-				return new LVNumber(this.value + otherVal)
-			}
+	if (exponent < -4 || exponent >= 14) {
+		const digits = mantissa.replace(/\.?0+$/, "")
+		const sign = exponent < 0 ? "-" : "+"
 
-			return undefined
-		}, "__add", () => {
-			errors.arithmetic(context.position, other.type)
-		}, other)
+		return `${digits}e${sign}${String(Math.abs(exponent)).padStart(2, "0")}`
 	}
 
-	sub(context, other) {
-		return this.overrideable(context, () => {
-			let otherVal = other.asNumber(context)
-			if (otherVal instanceof LVNil) {
-				return undefined
-			}
+	const fixed = num.toFixed(13 - exponent)
+	if (!fixed.includes(".")) {
+		return fixed
+	}
 
-			otherVal = otherVal.value
+	return fixed.replace(/\.?0+$/, "")
+}
 
-			if (isNaN(otherVal)) {
-				return undefined
-			}
+// exact value of a finite double as mantissa * 2 ** exponent
+function floatParts(num) {
+	const view = new DataView(new ArrayBuffer(8))
+	view.setFloat64(0, Math.abs(num))
 
-			if (typeof otherVal === "number") {
-				return new LVNumber(this.value - otherVal)
-			}
+	const bits = view.getBigUint64(0)
+	const biasedExponent = Number(bits >> 52n)
+	const fraction = bits & 0xFFFFFFFFFFFFFn
 
-			return undefined
-		}, "__sub", () => {
-			errors.arithmetic(context.position, other.type)
-		}, other)
+	if (biasedExponent === 0) {
+		return { mantissa: fraction, exponent: -1074 }
 	}
 
-	mul(context, other) {
-		return this.overrideable(context, () => {
-			let otherVal = other.asNumber(context)
-			if (otherVal instanceof LVNil) {
-				return undefined
-			}
+	return { mantissa: fraction | (1n << 52n), exponent: biasedExponent - 1075 }
+}
 
-			otherVal = otherVal.value
+// rounds half to even, like printf does
+function roundRatio(numerator, denominator) {
+	const quotient = numerator / denominator
+	const twiceRemainder = (numerator % denominator) * 2n
 
-			if (isNaN(otherVal)) {
-				return undefined
-			}
+	if (twiceRemainder > denominator || (twiceRemainder === denominator && quotient % 2n === 1n)) {
+		return quotient + 1n
+	}
 
-			if (typeof otherVal === "number") {
-				return new LVNumber(this.value * otherVal)
-			}
+	return quotient
+}
 
-			return undefined
-		}, "__mul", () => {
-			errors.arithmetic(context.position, other.type)
-		}, other)
+// |num| * 10 ** power rounded to an integer, computed exactly
+function scaledDigits(num, power) {
+	const { mantissa, exponent } = floatParts(num)
+
+	let numerator = mantissa
+	let denominator = 1n
+
+	if (exponent >= 0) {
+		numerator <<= BigInt(exponent)
+	}
+	else {
+		denominator <<= BigInt(-exponent)
 	}
 
-	div(context, other) {
-		return this.overrideable(context, () => {
-			let otherVal = other.asNumber(context)
-			if (otherVal instanceof LVNil) {
-				return undefined
-			}
+	if (power >= 0) {
+		numerator *= 10n ** BigInt(power)
+	}
+	else {
+		denominator *= 10n ** BigInt(-power)
+	}
 
-			otherVal = otherVal.value
+	return roundRatio(numerator, denominator)
+}
 
-			if (isNaN(otherVal)) {
-				return undefined
-			}
+// digits of |num| as printed by "%.<precision>f"
+function formatFixed(num, precision, alternate) {
+	const digits = scaledDigits(num, precision).toString().padStart(precision + 1, "0")
+	const whole = digits.slice(0, digits.length - precision)
 
-			if (typeof otherVal === "number") {
-				if (otherVal === 0) {
-					return new LVNumber(Infinity)
-				}
-				return new LVNumber(this.value / otherVal)
-			}
+	if (precision === 0) {
+		return alternate ? `${whole}.` : whole
+	}
 
-			return undefined
-		}, "__div", () => {
-			errors.arithmetic(context.position, other.type)
-		}, other)
+	return `${whole}.${digits.slice(digits.length - precision)}`
+}
+
+// precision + 1 significant digits of |num| and their decimal exponent
+function exponentDigits(num, precision) {
+	if (num === 0) {
+		return { digits: "0".repeat(precision + 1), exponent: 0 }
 	}
 
-	mod(context, other) {
-		return this.overrideable(context, () => {
-			let otherVal = other.asNumber(context)
-			if (otherVal instanceof LVNil) {
-				return undefined
-			}
+	const min = 10n ** BigInt(precision)
+	const max = min * 10n
 
-			otherVal = otherVal.value
+	let exponent = Math.floor(Math.log10(Math.abs(num)))
+	while (true) {
+		const digits = scaledDigits(num, precision - exponent)
 
-			if (isNaN(otherVal)) {
-				return undefined
-			}
+		if (digits >= max) {
+			exponent ++
+		}
+		else if (digits < min) {
+			exponent --
+		}
+		else {
+			return { digits: digits.toString(), exponent }
+		}
+	}
+}
 
-			if (typeof otherVal === "number") {
-				return new LVNumber(this.value % otherVal)
-			}
+// |num| as printed by "%.<precision>e"
+function formatExponent(num, precision, alternate) {
+	const { digits, exponent } = exponentDigits(num, precision)
 
-			return undefined
-		}, "__mod", () => {
-			errors.arithmetic(context.position, other.type)
-		}, other)
+	let mantissa = digits[0]
+	if (precision > 0 || alternate) {
+		mantissa += `.${digits.slice(1)}`
 	}
 
-	pow(context, other) {
-		return this.overrideable(context, () => {
-			let otherVal = other.asNumber(context)
-			if (otherVal instanceof LVNil) {
-				return undefined
-			}
+	return `${mantissa}e${exponent < 0 ? "-" : "+"}${String(Math.abs(exponent)).padStart(2, "0")}`
+}
 
-			otherVal = otherVal.value
+// |num| as printed by "%.<precision>g"
+function formatGeneral(num, precision, alternate) {
+	precision = precision || 1
 
-			if (isNaN(otherVal)) {
-				return undefined
-			}
+	const { exponent } = exponentDigits(num, precision - 1)
 
-			if (typeof otherVal === "number") {
-				return new LVNumber(this.value ** otherVal)
-			}
+	let str = exponent < precision && exponent >= -4
+		? formatFixed(num, precision - 1 - exponent, alternate)
+		: formatExponent(num, precision - 1, alternate)
 
-			return undefined
-		}, "__pow", () => {
-			errors.arithmetic(context.position, other.type)
-		}, other)
+	// trailing zeros of the fraction are dropped unless "#" was given
+	if (!alternate) {
+		str = str.replace(/\.(\d*?)0*(?=e|$)/, (match, digits) => digits ? `.${digits}` : "")
 	}
 
-	concat(context, other) {
-		return this.overrideable(context, () => {
-			let otherVal = other.value
-			if (other.type === "number") {
-				otherVal = String(otherVal)
-			}
+	return str
+}
 
-			if (typeof otherVal === "string") {
-				return new LVString(String(this.value) + otherVal)
-			}
+// |num| as printed by "%a" without the "0x" prefix, in glibc's style of a leading 1 and no renormalization after rounding
+function formatHexFloat(num, precision, alternate) {
+	const { mantissa, exponent } = floatParts(num)
 
-			return undefined
-		}, "__concat", () => {
-			errors.concatenate(context.position, other.type)
-		}, other)
+	let lead = 0n
+	let fraction = mantissa
+	let binaryExponent = -1022
+
+	if (num === 0) {
+		binaryExponent = 0
+	}
+	else if (mantissa >= 1n << 52n) {
+		lead = 1n
+		fraction = mantissa - (1n << 52n)
+		binaryExponent = exponent + 52
 	}
 
-	eq(context, other) {
-		const equal = new LVBoolean(this.type === other.type && this.value === other.value)
-		if (equal) {
-			return equal
-		}
-		else {
-			return super.eq(context, other)
-		}
+	let hex
+	if (precision === undefined) {
+		hex = fraction.toString(16).padStart(13, "0").replace(/0+$/, "")
 	}
+	else if (precision < 13) {
+		const rounded = roundRatio((lead << 52n) + fraction, 1n << BigInt((13 - precision) * 4))
 
-	lt(context, other) {
-		return this.overrideable(context, () => {
-			if (this.type === other.type) {
-				return new LVBoolean(this.value < other.value)
-			}
-			
-			return undefined
-		}, "__lt", () => {
-			errors.compare(context.position, this.type, other.type)
-		}, other)
+		lead = rounded >> BigInt(precision * 4)
+		hex = precision > 0 ? (rounded & ((1n << BigInt(precision * 4)) - 1n)).toString(16).padStart(precision, "0") : ""
 	}
-	
-	le(context, other) {
-		return this.overrideable(context, () => {
-			if (this.type === other.type) {
-				return new LVBoolean(this.value <= other.value)
-			}
-			
-			return undefined
-		}, "__le", () => {
-			errors.compare(context.position, this.type, other.type)
-		}, other)
+	else {
+		hex = fraction.toString(16).padStart(13, "0").padEnd(precision, "0")
 	}
 
-	unm(context) {
-		return new LVNumber(-this.value)
+	const point = hex.length > 0 || alternate ? "." : ""
+
+	return `${lead}${point}${hex}p${binaryExponent < 0 ? "-" : "+"}${Math.abs(binaryExponent)}`
+}
+
+function floorDivInteger(left, right) {
+	const quotient = left / right
+
+	if (left % right !== 0n && (left < 0n) !== (right < 0n)) {
+		return quotient - 1n
 	}
 
-	asNumber(context) {
-		return new LVNumber(this.value)
+	return quotient
+}
+
+function modInteger(left, right) {
+	const remainder = left % right
+
+	if (remainder !== 0n && (remainder < 0n) !== (right < 0n)) {
+		return remainder + right
 	}
-	asString(context) {
-		return new LVString(String(this.value))
+
+	return remainder
+}
+
+function modFloat(left, right) {
+	const remainder = left % right
+
+	if (remainder !== 0 && (remainder < 0) !== (right < 0)) {
+		return remainder + right
 	}
 
-	print(context) {
-		return String(this.value)
+	return remainder
+}
+
+function shiftLeft(value, amount) {
+	if (amount <= -64n || amount >= 64n) {
+		return 0n
 	}
 
-	truthy(context) {
-		return true
+	if (amount >= 0n) {
+		return value << amount
 	}
+
+	return BigInt.asUintN(64, value) >> -amount
 }
 
-class LVString extends LVBase {
-	constructor(bytes) {
-		super("string")
+// -1, 0 or 1 as an integer compares to a float, exactly even where the float can't hold the integer, NaN for NaN
+function compareIntegerToFloat(int, float) {
+	if (Number.isNaN(float)) {
+		return NaN
+	}
+	if (!Number.isFinite(float)) {
+		return float > 0 ? -1 : 1
+	}
 
-		if (typeof bytes === "string") {
-			bytes = new TextEncoder().encode(bytes)
-		}
+	const floor = Math.floor(float)
+	const intFloor = BigInt(floor)
+	if (int > intFloor) {
+		return 1
+	}
 
-		if (!(bytes instanceof Uint8Array)) {
-			throw new LuaCFormatError("invalid string literal; could not convert to bytestring")
-		}
+	return int === intFloor && floor === float ? 0 : -1
+}
 
-		this.value = bytes
+// the order of two numbers, with lua 5.3+ integers compared as they are instead of as doubles
+function compareNumbers(a, b) {
+	if (a.integer !== null && b.integer !== null) {
+		return a.integer < b.integer ? -1 : a.integer > b.integer ? 1 : 0
+	}
+	if (a.integer !== null) {
+		return compareIntegerToFloat(a.integer, b.value)
+	}
+	if (b.integer !== null) {
+		return -compareIntegerToFloat(b.integer, a.value)
 	}
 
-	concat(context, other) {
-		return this.overrideable(context, () => {
-			let otherVal = other.value
-			if (other.type === "number") {
-				otherVal = String(otherVal)
-			}
+	return a.value < b.value ? -1 : a.value > b.value ? 1 : a.value === b.value ? 0 : NaN
+}
 
-			if (typeof otherVal === "string") {
-				return new LVString(this.value + otherVal)
-			}
+class LVNumber extends LVBase {
+	constructor(num) {
+		super("number")
 
-			return undefined
-		}, "__concat", () => {
-			errors.concatenate(context.position, other.type)
-		}, other)
+		this.value = num
+
+		// lua 5.3+ subtype ("integer" or "float"), untyped numbers behave like lua 5.1 doubles
+		this.subtype = null
+		this.integer = null
 	}
 
-	eq(context, other) {
-		return new LVBoolean(this.type === other.type && this.value === other.value)
+	static fromInteger(int) {
+		int = BigInt.asIntN(64, int)
+
+		const number = new LVNumber(Number(int))
+		number.subtype = "integer"
+		number.integer = int
+
+		return number
 	}
 
-	lt(context, other) {
-		return this.overrideable(context, () => {
-			if (this.type !== other.type) {
+	static fromFloat(num) {
+		const number = new LVNumber(num)
+		number.subtype = "float"
+
+		return number
+	}
+
+	toInteger() {
+		if (this.integer !== null) {
+			return this.integer
+		}
+
+		if (Number.isInteger(this.value) && this.value >= -(2 ** 63) && this.value < 2 ** 63) {
+			return BigInt(this.value)
+		}
+
+		return null
+	}
+
+	arith(context, other, metaMethodName, floatOp, intOp) {
+		return this.overrideableTwoSides(context, () => {
+			const otherNum = other.asNumber(context)
+			if (otherNum.type !== "number") {
 				return undefined
 			}
 
-			const left = this.value
-			const right = other.value
+			if (intOp && (this.subtype === "integer" || otherNum.subtype === "integer")) {
+				const left = this.subtype === "float" ? null : this.toInteger()
+				const right = otherNum.subtype === "float" ? null : otherNum.toInteger()
+
+				if (left !== null && right !== null) {
+					return LVNumber.fromInteger(intOp(left, right))
+				}
+			}
+
+			const result = floatOp(this.value, otherNum.value)
+
+			if (this.subtype !== null || otherNum.subtype !== null) {
+				return LVNumber.fromFloat(result)
+			}
+
+			return new LVNumber(result)
+		}, metaMethodName, () => {
+			errors.arithmetic(context.position, other.type)
+		}, other)
+	}
+
+	bitwise(context, other, metaMethodName, op) {
+		return this.overrideableTwoSides(context, () => {
+			const otherNum = other.asNumber(context)
+			if (otherNum.type !== "number") {
+				return undefined
+			}
+
+			const left = this.toInteger()
+			const right = otherNum.toInteger()
+
+			if (left === null || right === null) {
+				errors.noIntegerRep(context.position)
+			}
+
+			return LVNumber.fromInteger(op(left, right))
+		}, metaMethodName, () => {
+			errors.bitwise(context.position, other.type)
+		}, other)
+	}
+
+	add(context, other) {
+		return this.arith(context, other, "__add", (a, b) => a + b, (a, b) => a + b)
+	}
+
+	sub(context, other) {
+		return this.arith(context, other, "__sub", (a, b) => a - b, (a, b) => a - b)
+	}
+
+	mul(context, other) {
+		return this.arith(context, other, "__mul", (a, b) => a * b, (a, b) => a * b)
+	}
+
+	div(context, other) {
+		return this.arith(context, other, "__div", (a, b) => a / b)
+	}
+
+	mod(context, other) {
+		return this.arith(context, other, "__mod", modFloat, (a, b) => {
+			if (b === 0n) {
+				errors.divideByZero(context.position, "n%0")
+			}
+
+			return modInteger(a, b)
+		})
+	}
+
+	pow(context, other) {
+		return this.arith(context, other, "__pow", (a, b) => a ** b)
+	}
+
+	idiv(context, other) {
+		return this.arith(context, other, "__idiv", (a, b) => Math.floor(a / b), (a, b) => {
+			if (b === 0n) {
+				errors.divideByZero(context.position, "n//0")
+			}
+
+			return floorDivInteger(a, b)
+		})
+	}
+
+	band(context, other) {
+		return this.bitwise(context, other, "__band", (a, b) => a & b)
+	}
+
+	bor(context, other) {
+		return this.bitwise(context, other, "__bor", (a, b) => a | b)
+	}
+
+	bxor(context, other) {
+		return this.bitwise(context, other, "__bxor", (a, b) => a ^ b)
+	}
+
+	shl(context, other) {
+		return this.bitwise(context, other, "__shl", (a, b) => shiftLeft(a, b))
+	}
+
+	shr(context, other) {
+		return this.bitwise(context, other, "__shr", (a, b) => shiftLeft(a, -b))
+	}
+
+	bnot(context) {
+		const int = this.toInteger()
+		if (int === null) {
+			errors.noIntegerRep(context.position)
+		}
+
+		return LVNumber.fromInteger(~int)
+	}
+
+	concat(context, other) {
+		return this.overrideableTwoSides(context, () => {
+			if (other.type !== "number" && other.type !== "string") {
+				return undefined
+			}
+
+			return new LVString(concatBytes(this.asString(context).value, other.asString(context).value))
+		}, "__concat", () => {
+			errors.concatenate(context.position, other.type)
+		}, other)
+	}
+
+	eq(context, other) {
+		if (other.type !== "number") {
+			return new LVBoolean(false)
+		}
+
+		return new LVBoolean(compareNumbers(this, other) === 0)
+	}
+
+	lt(context, other) {
+		return this.overrideable(context, () => {
+			if (this.type !== other.type) {
+				return undefined
+			}
+
+			return new LVBoolean(compareNumbers(this, other) < 0)
+		}, "__lt", () => {
+			errors.compare(context.position, this.type, other.type)
+		}, other)
+	}
+
+	le(context, other) {
+		return this.overrideable(context, () => {
+			if (this.type !== other.type) {
+				return undefined
+			}
+
+			return new LVBoolean(compareNumbers(this, other) <= 0)
+		}, "__le", () => {
+			errors.compare(context.position, this.type, other.type)
+		}, other)
+	}
+
+	unm(context) {
+		switch (this.subtype) {
+			case "integer": return LVNumber.fromInteger(-this.integer)
+			case "float": return LVNumber.fromFloat(-this.value)
+			default: return new LVNumber(-this.value)
+		}
+	}
+
+	asNumber(context) {
+		return this
+	}
+	asString(context) {
+		return new LVString(this.print(context))
+	}
+
+	print(context) {
+		if (this.integer !== null) {
+			return this.integer.toString()
+		}
+
+		const str = formatNumber(this.value)
+
+		if (this.subtype === "float" && /^-?\d+$/.test(str)) {
+			return `${str}.0`
+		}
+
+		return str
+	}
+
+	truthy(context) {
+		return true
+	}
+}
+
+class LVString extends LVBase {
+	constructor(bytes) {
+		super("string")
+
+		if (typeof bytes === "string") {
+			bytes = new TextEncoder().encode(bytes)
+		}
+
+		if (!(bytes instanceof Uint8Array)) {
+			throw new LuaCFormatError("invalid string literal; could not convert to bytestring")
+		}
+
+		chargeMemory(MEMORY_SIZES.string + bytes.length)
+
+		this.value = bytes
+	}
+
+	concat(context, other) {
+		return this.overrideableTwoSides(context, () => {
+			if (other.type !== "number" && other.type !== "string") {
+				return undefined
+			}
+
+			return new LVString(concatBytes(this.value, other.asString(context).value))
+		}, "__concat", () => {
+			errors.concatenate(context.position, other.type)
+		}, other)
+	}
+
+	eq(context, other) {
+		if (this.type !== other.type || this.value.length !== other.value.length) {
+			return new LVBoolean(false)
+		}
+
+		for (let i = 0; i < this.value.length; i ++) {
+			if (this.value[i] !== other.value[i]) {
+				return new LVBoolean(false)
+			}
+		}
+
+		return new LVBoolean(true)
+	}
+
+	lt(context, other) {
+		return this.overrideable(context, () => {
+			if (this.type !== other.type) {
+				return undefined
+			}
+
+			const left = this.value
+			const right = other.value
 
 			const len = Math.min(left.length, right.length)
 			
@@ -551,12 +1045,30 @@ class LVNil extends LVBase {
 	}
 }
 
+// what tables store a key under. lua 5.3+ floats with an integer value are the same key as that integer, and integers
+// doubles can't tell apart stay BigInts. values without a JS counterpart, like tables, are keys themselves
+function tableKey(key) {
+	if (key instanceof LVNumber && key.subtype !== null) {
+		key = key.toInteger() ?? key.value
+	}
+
+	if (typeof key === "bigint") {
+		return Number.isSafeInteger(Number(key)) ? Number(key) : key
+	}
+
+	const value = unwrap(key)
+
+	return value === undefined ? key : value
+}
+
 class LVTable extends LVBase {
 	constructor() {
 		super("table")
 
+		chargeMemory(MEMORY_SIZES.table)
+
 		this.array = []
-		this.hash = Object.create(null)
+		this.hash = new Map()
 		this.keyOrder = []
 	}
 
@@ -565,34 +1077,38 @@ class LVTable extends LVBase {
 	}
 
 	rawGet(context, key) {
-		key = unwrap(key)
+		key = tableKey(key)
 
 		if (typeof key === "number" && key >= 1 && Number.isInteger(key)) {
 			return this.array[key] ?? new LVNil()
 		}
 	
-		return this.hash[key] ?? new LVNil()
+		return this.hash.get(key) ?? new LVNil()
 	}
 
 	rawSet(context, key, value) {
-		key = unwrap(key)
+		key = tableKey(key)
 	
 		if (typeof key === "number" && key >= 1 && Number.isInteger(key)) {
 			if (!(key in this.array)) {
+				chargeMemory(MEMORY_SIZES.arraySlot)
+
 				this.keyOrder.push(key)
 			}
 			this.array[key] = value
 		} else {
-			if (!(key in this.hash)) {
+			if (!this.hash.has(key)) {
+				chargeMemory(MEMORY_SIZES.hashSlot)
+
 				this.keyOrder.push(key)
 			}
-			this.hash[key] = value
+			this.hash.set(key, value)
 		}
 	}
 
 	len(context) {
 		let i = 1
-		while (this.array[i] !== undefined) {
+		while (this.array[i] !== undefined && this.array[i].type !== "nil") {
 			i ++
 		}
 
@@ -626,6 +1142,8 @@ class LVClosure extends LVBase {
 	constructor(proto) {
 		super("function")
 
+		chargeMemory(MEMORY_SIZES.closure + 8 * proto.upValueCount)
+
 		this.proto = proto
 		this.upvalues = new Array(proto.upValueCount)
 	}
@@ -635,10 +1153,16 @@ class LVClosure extends LVBase {
 	}
 }
 
+// a call frame of a lua function, the frame a coroutine's body starts in is the coroutine itself
 class LVCoroutine extends LVBase {
 	constructor(closure, args) {
 		super("thread")
 
+		// coroutines can also be made from host functions, which run without registers of their own
+		const proto = closure.proto ?? { maxStackSize: 0, paramCount: 0 }
+
+		chargeMemory(MEMORY_SIZES.coroutine + MEMORY_SIZES.register * proto.maxStackSize)
+
 		this.closure = closure
 		this.status = "suspended"
 
@@ -646,96 +1170,347 @@ class LVCoroutine extends LVBase {
 
 		this.isMain = false
 
+		// for coroutines, whether they were resumed yet, the frames their last yield left waiting and
+		// how deep the call stack was when they were resumed
+		this.isStarted = false
+		this.suspendedFrames = []
+		this.baseDepth = 0
+
+		// the error a coroutine died from, until coroutine.close hands it out
+		this.deathError = null
+
+		// an error raised by the call the frame was waiting on when its coroutine yielded, thrown once it's continued
+		this.resumeError = null
+
+		// while a metamethod the frame called is suspended, whether its result is negated like __lt standing in for
+		// a missing __le, and the register a concatenation goes on from
+		this.negateResult = false
+		this.concatFrom = null
+
+		// how many tail calls replaced the frames before this one
+		this.tailCalls = 0
+
+		// last instruction line hooks and the debugger saw, jumping back to it or earlier counts as a new line
+		this.lastTracedPc = -1
+
+		// the frames running in a coroutine keep their registers in its stack, from base on, once they're entered.
+		// stackTop is where the next frame's would start
+		this.thread = null
+		this.stack = null
+		this.base = 0
+		this.stackTop = 0
+
 		this.pc = 0
 		this.top = 0
-		this.regs = Array.from({ length: closure.proto.maxStackSize }, () => new LVNil())
 		this.openUpValues = []
-
-		for (let i = 0; i < closure.proto.paramCount; i ++) {
-			this.regs[i] = args[i] ?? new LVNil()
-		}
+		this.toBeClosed = []
 	}
 }
 
-class LuaYield {
-	constructor(values) {
-		this.values = values
-	}
-}
+// file handle of the io library, backed by a file of the vm's filesystem or by a stream like stdout
+class LVFile extends LVBase {
+	constructor(fs, handle, mode) {
+		super("userdata")
 
-class LVUpValue {
-    constructor(parentRegs, index) {
-        this.isOpen = true
+		// streams have no filesystem, their handle is the stream itself
+		this.fs = fs
+		this.handle = handle
+		this.mode = mode
 
-        this.parentRegs = parentRegs
-        this.index = index
-        
-		this.value = null
-    }
+		this.isStandard = false
+		this.closed = false
 
-    get() {
-        return this.isOpen ? this.parentRegs[this.index] : this.value
-    }
+		this.position = 0
 
-    set(value) {
-        if (this.isOpen) {
-            this.parentRegs[this.index] = value
-        } else {
-            this.value = value
-        }
-    }
+		// bytes read ahead of the current position
+		this.pending = new Uint8Array()
+	}
 
-    close() {
-        if (this.isOpen) {
-            this.value = this.parentRegs[this.index]
-            
-			this.parentRegs = null
-            this.index = null
-            
-			this.isOpen = false
-        }
-    }
-}
+	get seekable() {
+		return this.fs !== null
+	}
+	get readable() {
+		return this.mode.startsWith("r") || this.mode.includes("+")
+	}
+	get writable() {
+		return !this.mode.startsWith("r") || this.mode.includes("+")
+	}
 
-function wrap(context, value) {
-	if (value instanceof LVBase) {
-		return value
+	// the next `length` bytes without consuming them, fewer at the end of the file
+	peek(length) {
+		if (this.pending.length < length) {
+			const wanted = length - this.pending.length
+			const bytes = this.seekable
+				? this.fs.read(this.handle, wanted, this.position + this.pending.length)
+				: this.handle.read(wanted)
+
+			this.pending = concatBytes(this.pending, bytes)
+		}
+
+		return this.pending.subarray(0, length)
+	}
+	consume(count) {
+		this.pending = this.pending.subarray(count)
+		this.position += count
 	}
 
-	switch (typeof value) {
-		case "number": return new LVNumber(value)
-		case "string": return new LVString(value)
-		case "boolean": return new LVBoolean(value)
-		case "function": return new LVFunction(value)
-		case "object":
-			if (value === null) {
-				return new LVNil()
-			}
-			
-			const tbl = new LVTable()
+	readLine(keepNewline) {
+		const CHUNK_SIZE = 4096
 
-			if (Array.isArray(value)) {
-				for (let i = 0; i < value.length; i ++) {
-					const item = value[i]
+		let scanned = 0
+		while (true) {
+			const bytes = this.peek(scanned + CHUNK_SIZE)
 
-					tbl.rawSet(context, wrap(context, i + 1), wrap(context, item))
-				}
+			const newline = bytes.indexOf(0x0A, scanned)
+			if (newline !== -1) {
+				const line = bytes.slice(0, keepNewline ? newline + 1 : newline)
+				this.consume(newline + 1)
+
+				return line
 			}
-			else {
-				for (const key in value) {
-					const val = value[key]
 
-					tbl.rawSet(context, wrap(context, key), wrap(context, val))
+			if (bytes.length < scanned + CHUNK_SIZE) {
+				if (bytes.length === 0) {
+					return null
 				}
+
+				const line = bytes.slice()
+				this.consume(bytes.length)
+
+				return line
 			}
-		default:
-			return new LVNil()
-	}
-}
 
-function unwrap(value) {
-	if (value instanceof LVTuple) {
-		return value.values
+			scanned = bytes.length
+		}
+	}
+
+	readAll() {
+		let length = 4096
+		while (this.peek(length).length === length) {
+			length *= 2
+		}
+
+		const bytes = this.peek(length).slice()
+		this.consume(bytes.length)
+
+		return bytes
+	}
+
+	readCount(count) {
+		// reading nothing still tells whether the end of the file was reached
+		if (count === 0) {
+			return this.peek(1).length > 0 ? new Uint8Array() : null
+		}
+
+		const bytes = this.peek(count).slice()
+		if (bytes.length === 0) {
+			return null
+		}
+
+		this.consume(bytes.length)
+
+		return bytes
+	}
+
+	// reads a numeral the way liolib's read_number does, returns its text or null
+	readNumeral() {
+		const MAX_LENGTH = 200
+
+		let text = ""
+
+		const current = () => {
+			const byte = this.peek(1)[0]
+			return byte === undefined ? "" : String.fromCharCode(byte)
+		}
+		const accept = (chars) => {
+			const char = current()
+			if (char === "" || !chars.includes(char) || text.length >= MAX_LENGTH) {
+				return false
+			}
+
+			text += char
+			this.consume(1)
+
+			return true
+		}
+		const readDigits = (hex) => {
+			let count = 0
+			while (accept(hex ? "0123456789abcdefABCDEF" : "0123456789")) {
+				count ++
+			}
+
+			return count
+		}
+
+		while (" \t\n\v\f\r".includes(current()) && current() !== "") {
+			this.consume(1)
+		}
+
+		accept("-+")
+
+		let count = 0
+		let hex = false
+		if (accept("0")) {
+			if (accept("xX")) {
+				hex = true
+			}
+			else {
+				count = 1
+			}
+		}
+
+		count += readDigits(hex)
+		if (accept(".")) {
+			count += readDigits(hex)
+		}
+		if (count > 0 && accept(hex ? "pP" : "eE")) {
+			accept("-+")
+			readDigits(false)
+		}
+
+		return count > 0 ? text : null
+	}
+
+	write(bytes) {
+		if (!this.seekable) {
+			this.handle.write(bytes)
+			return
+		}
+
+		// anything read ahead is stale once the file changes
+		this.pending = new Uint8Array()
+
+		if (this.mode.startsWith("a")) {
+			this.position = this.fs.size(this.handle)
+		}
+
+		this.fs.write(this.handle, bytes, this.position)
+		this.position += bytes.length
+	}
+
+	seek(whence, offset) {
+		const target = { set: 0, cur: this.position, end: this.fs.size(this.handle) }[whence] + offset
+		if (target < 0) {
+			return null
+		}
+
+		this.pending = new Uint8Array()
+		this.position = target
+
+		return this.position
+	}
+
+	close() {
+		this.closed = true
+
+		if (this.seekable) {
+			this.fs.close(this.handle)
+		}
+	}
+
+	print(context) {
+		if (this.closed) {
+			return "file (closed)"
+		}
+
+		return `file (0x${this.address.toString(16).padStart(7, "0")})`
+	}
+
+	truthy(context) {
+		return true
+	}
+}
+
+class LuaYield {
+	constructor(values, promise = null) {
+		this.values = values
+
+		// what an async host function is waiting on, which suspends every coroutine down to runAsync instead of one
+		this.promise = promise
+
+		// every frame the yield unwinds, innermost first, to be finished when the coroutine is resumed
+		this.frames = []
+	}
+}
+
+class LVUpValue {
+    constructor(parentRegs, index) {
+        chargeMemory(MEMORY_SIZES.upValue)
+
+        this.isOpen = true
+
+        this.parentRegs = parentRegs
+        this.index = index
+        
+		this.value = null
+    }
+
+    get() {
+        return this.isOpen ? this.parentRegs[this.index] : this.value
+    }
+
+    set(value) {
+        if (this.isOpen) {
+            this.parentRegs[this.index] = value
+        } else {
+            this.value = value
+        }
+    }
+
+    close() {
+        if (this.isOpen) {
+            this.value = this.parentRegs[this.index]
+            
+			this.parentRegs = null
+            this.index = null
+            
+			this.isOpen = false
+        }
+    }
+}
+
+function wrap(context, value) {
+	if (value instanceof LVBase) {
+		return value
+	}
+
+	switch (typeof value) {
+		case "number": return new LVNumber(value)
+		case "bigint": return LVNumber.fromInteger(value)
+		case "string": return new LVString(value)
+		case "boolean": return new LVBoolean(value)
+		case "function": return new LVFunction(value)
+		case "object":
+			if (value === null) {
+				return new LVNil()
+			}
+			
+			const tbl = new LVTable()
+
+			if (Array.isArray(value)) {
+				for (let i = 0; i < value.length; i ++) {
+					const item = value[i]
+
+					tbl.rawSet(context, wrap(context, i + 1), wrap(context, item))
+				}
+			}
+			else {
+				for (const key in value) {
+					const val = value[key]
+
+					tbl.rawSet(context, wrap(context, key), wrap(context, val))
+				}
+			}
+
+			return tbl
+		default:
+			return new LVNil()
+	}
+}
+
+function unwrap(value) {
+	if (value instanceof LVTuple) {
+		return value.values
 	}
 
 	if (value instanceof LVString) {
@@ -745,12 +1520,47 @@ function unwrap(value) {
 	return value instanceof LVBase ? value.value : value
 }
 
+// strings share one metatable per vm instead of carrying their own, so do numbers, booleans, nil, functions and threads
+function getMetatable(context, obj) {
+	if (obj.type === "string") {
+		return context?.vm.stringMetatable ?? null
+	}
+
+	// other values without metatables of their own share one per type, set through debug.setmetatable
+	if (obj.type !== "table" && obj.type !== "userdata") {
+		return context?.vm.typeMetatables[obj.type] ?? null
+	}
+
+	return obj.metatable
+}
+
 function getMeta(context, obj, name) {
-	if (!obj.metatable) {
+	const metatable = getMetatable(context, obj)
+	if (!metatable) {
 		return undefined
 	}
 
-	return obj.metatable.rawGet(context, name)
+	return metatable.rawGet(context, name)
+}
+
+function getLocalName(proto, register, pc) {
+	let active = 0
+
+	for (const local of proto.locals) {
+		if (local.startPc > pc) {
+			break
+		}
+
+		if (pc < local.endPc) {
+			if (active === register) {
+				return local.name
+			}
+
+			active ++
+		}
+	}
+
+	return null
 }
 
 function call(context, value, ...args) {
@@ -758,10 +1568,10 @@ function call(context, value, ...args) {
 		return value(context, ...args)
 	}
 	else if (value instanceof LVFunction) {
-		return value.value(context, ...args)
+		return context.vm.callHostFunction(context, value, args)
 	}
 	else if (value instanceof LVClosure) {
-		return context.vm.runCoroutine(new LVCoroutine(value, ...args))
+		return context.vm.runCoroutine(new LVCoroutine(value, args))
 	}
 	else if (value instanceof LVCoroutine) {
 		return context.vm.runCoroutine(value)
@@ -785,6 +1595,15 @@ const LUA_SIGNATURE = [
 	0x61
 ]
 
+const LUAC_TAIL = [
+	0x19,
+	0x93,
+	0x0D,
+	0x0A,
+	0x1A,
+	0x0A
+]
+
 const LUA_OPCODES = {
 	[0x51]: [
 		"MOVE",
@@ -804,14 +1623,134 @@ const LUA_OPCODES = {
 		"CLOSE",
 		"CLOSURE",
 		"VARARG"
+	],
+	[0x52]: [
+		"MOVE",
+		"LOADK", "LOADKX", "LOADBOOL", "LOADNIL",
+		"GETUPVAL", "GETTABUP", "GETTABLE",
+		"SETTABUP", "SETUPVAL", "SETTABLE", "NEWTABLE",
+		"SELF",
+		"ADD", "SUB", "MUL", "DIV", "MOD", "POW",
+		"UNM", "NOT", "LEN",
+		"CONCAT",
+		"JMP",
+		"EQ", "LT", "LE",
+		"TEST", "TESTSET",
+		"CALL", "TAILCALL", "RETURN",
+		"FORLOOP", "FORPREP", "TFORCALL", "TFORLOOP",
+		"SETLIST",
+		"CLOSURE",
+		"VARARG",
+		"EXTRAARG"
+	],
+	[0x53]: [
+		"MOVE",
+		"LOADK", "LOADKX", "LOADBOOL", "LOADNIL",
+		"GETUPVAL", "GETTABUP", "GETTABLE",
+		"SETTABUP", "SETUPVAL", "SETTABLE", "NEWTABLE",
+		"SELF",
+		"ADD", "SUB", "MUL", "MOD", "POW", "DIV", "IDIV",
+		"BAND", "BOR", "BXOR", "SHL", "SHR",
+		"UNM", "BNOT", "NOT", "LEN",
+		"CONCAT",
+		"JMP",
+		"EQ", "LT", "LE",
+		"TEST", "TESTSET",
+		"CALL", "TAILCALL", "RETURN",
+		"FORLOOP", "FORPREP", "TFORCALL", "TFORLOOP",
+		"SETLIST",
+		"CLOSURE",
+		"VARARG",
+		"EXTRAARG"
+	],
+	[0x54]: [
+		"MOVE",
+		"LOADI", "LOADF", "LOADK", "LOADKX",
+		"LOADFALSE", "LFALSESKIP", "LOADTRUE", "LOADNIL",
+		"GETUPVAL", "SETUPVAL",
+		"GETTABUP", "GETTABLE", "GETI", "GETFIELD",
+		"SETTABUP", "SETTABLE", "SETI", "SETFIELD",
+		"NEWTABLE",
+		"SELF",
+		"ADDI",
+		"ADDK", "SUBK", "MULK", "MODK", "POWK", "DIVK", "IDIVK",
+		"BANDK", "BORK", "BXORK",
+		"SHRI", "SHLI",
+		"ADD", "SUB", "MUL", "MOD", "POW", "DIV", "IDIV",
+		"BAND", "BOR", "BXOR", "SHL", "SHR",
+		"MMBIN", "MMBINI", "MMBINK",
+		"UNM", "BNOT", "NOT", "LEN",
+		"CONCAT",
+		"CLOSE", "TBC",
+		"JMP",
+		"EQ", "LT", "LE",
+		"EQK", "EQI", "LTI", "LEI", "GTI", "GEI",
+		"TEST", "TESTSET",
+		"CALL", "TAILCALL",
+		"RETURN", "RETURN0", "RETURN1",
+		"FORLOOP", "FORPREP",
+		"TFORPREP", "TFORCALL", "TFORLOOP",
+		"SETLIST",
+		"CLOSURE",
+		"VARARG", "VARARGPREP",
+		"EXTRAARG"
 	]
 }
 
-class LuaVM {
+const LUAJIT_OPCODES = {
+	[1]: [
+		"ISLT", "ISGE", "ISLE", "ISGT",
+		"ISEQV", "ISNEV", "ISEQS", "ISNES", "ISEQN", "ISNEN", "ISEQP", "ISNEP",
+		"ISTC", "ISFC", "IST", "ISF",
+		"MOV", "NOT", "UNM", "LEN",
+		"ADDVN", "SUBVN", "MULVN", "DIVVN", "MODVN",
+		"ADDNV", "SUBNV", "MULNV", "DIVNV", "MODNV",
+		"ADDVV", "SUBVV", "MULVV", "DIVVV", "MODVV",
+		"POW", "CAT",
+		"KSTR", "KCDATA", "KSHORT", "KNUM", "KPRI", "KNIL",
+		"UGET", "USETV", "USETS", "USETN", "USETP", "UCLO", "FNEW",
+		"TNEW", "TDUP", "GGET", "GSET",
+		"TGETV", "TGETS", "TGETB",
+		"TSETV", "TSETS", "TSETB", "TSETM",
+		"CALLM", "CALL", "CALLMT", "CALLT", "ITERC", "ITERN", "VARG", "ISNEXT",
+		"RETM", "RET", "RET0", "RET1",
+		"FORI", "JFORI", "FORL", "IFORL", "JFORL",
+		"ITERL", "IITERL", "JITERL",
+		"LOOP", "ILOOP", "JLOOP",
+		"JMP",
+		"FUNCF", "IFUNCF", "JFUNCF", "FUNCV", "IFUNCV", "JFUNCV", "FUNCC", "FUNCCW"
+	],
+	[2]: [
+		"ISLT", "ISGE", "ISLE", "ISGT",
+		"ISEQV", "ISNEV", "ISEQS", "ISNES", "ISEQN", "ISNEN", "ISEQP", "ISNEP",
+		"ISTC", "ISFC", "IST", "ISF", "ISTYPE", "ISNUM",
+		"MOV", "NOT", "UNM", "LEN",
+		"ADDVN", "SUBVN", "MULVN", "DIVVN", "MODVN",
+		"ADDNV", "SUBNV", "MULNV", "DIVNV", "MODNV",
+		"ADDVV", "SUBVV", "MULVV", "DIVVV", "MODVV",
+		"POW", "CAT",
+		"KSTR", "KCDATA", "KSHORT", "KNUM", "KPRI", "KNIL",
+		"UGET", "USETV", "USETS", "USETN", "USETP", "UCLO", "FNEW",
+		"TNEW", "TDUP", "GGET", "GSET",
+		"TGETV", "TGETS", "TGETB", "TGETR",
+		"TSETV", "TSETS", "TSETB", "TSETM", "TSETR",
+		"CALLM", "CALL", "CALLMT", "CALLT", "ITERC", "ITERN", "VARG", "ISNEXT",
+		"RETM", "RET", "RET0", "RET1",
+		"FORI", "JFORI", "FORL", "IFORL", "JFORL",
+		"ITERL", "IITERL", "JITERL",
+		"LOOP", "ILOOP", "JLOOP",
+		"JMP",
+		"FUNCF", "IFUNCF", "JFUNCF", "FUNCV", "IFUNCV", "JFUNCV", "FUNCC", "FUNCCW"
+	]
+}
+
+class ChunkReader {
 	constructor(data) {
 		this.pos = 0
 		this.data = data
+	}
 
+	readHeader() {
 		const sig = this.readBytes(LUA_SIGNATURE.length)
 
 		for (let i = 0; i < sig.length; i ++) {
@@ -822,8 +1761,8 @@ class LuaVM {
 
 		this.version = this.readByte()
 
-		if (this.version !== 0x51) {
-			throw new LuaCFormatError("only lua 5.1 is supported for now")
+		if (!(this.version in LUA_OPCODES)) {
+			throw new LuaCFormatError(`unsupported lua version: ${(this.version >> 4)}.${this.version & 0xF}`)
 		}
 
 		this.format = this.readByte()
@@ -832,819 +1771,9141 @@ class LuaVM {
 			throw new LuaCFormatError("invalid luac file, format non-zero")
 		}
 
-		const endianness = this.readByte()
-		if (!([0, 1].includes(endianness))) {
-			throw new LuaCFormatError("invalid luac file, neither big nor small endian")
-		}
-
-		this.isLittleEndian = endianness === 1
+		if (this.version >= 0x53) {
+			this.readTail()
 
-		this.intSize = this.readByte()
+			// lua 5.4 encodes ints and sizes as varints, so it doesn't record their sizes
+			if (this.version < 0x54) {
+				this.intSize = this.readByte()
 
-		this.sizeTSize = this.readByte()
+				this.sizeTSize = this.readByte()
+			}
 
-		this.instSize = this.readByte()
+			this.instSize = this.readByte()
 
-		this.luaNumSize = this.readByte()
-		
-		const luaNumInt = this.readByte()
-		if (!([0, 1].includes(luaNumInt))) {
-			throw new LuaCFormatError("invalid luac file, lua number neither integral nor real")
-		}
+			this.luaIntSize = this.readByte()
 
-		this.luaNumIsInt = luaNumInt
+			this.luaNumSize = this.readByte()
 
-		this.globals = new LVTable()
+			this.luaNumIsInt = 0
 
-		const mathLib = new LVTable()
+			// LUAC_INT (0x5678) is dumped in native byte order, which is the only hint of endianness
+			this.isLittleEndian = this.data[this.pos] === 0x78
 
-		mathLib.rawSet(null, "abs", new LVFunction((context, value) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "abs", value.type, "number")
+			if (this.readLuaInteger() !== 0x5678n) {
+				throw new LuaCFormatError("invalid luac file, endianness mismatch")
 			}
 
-			return wrap(context, Math.abs(value.value))
-		}))
-
-		mathLib.rawSet(null, "asin", new LVFunction((context, value) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "asin", value.type, "number")
+			if (this.readLuaNumber() !== 370.5) {
+				throw new LuaCFormatError("invalid luac file, float format mismatch")
 			}
-
-			return wrap(context, Math.asin(value.value))
-		}))
-		mathLib.rawSet(null, "acos", new LVFunction((context, value) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "acos", value.type, "number")
+		}
+		else {
+			const endianness = this.readByte()
+			if (!([0, 1].includes(endianness))) {
+				throw new LuaCFormatError("invalid luac file, neither big nor small endian")
 			}
 
-			return wrap(context, Math.acos(value.value))
-		}))
-		mathLib.rawSet(null, "atan", new LVFunction((context, y, x) => {
-			if (y.type !== "number") {
-				errors.badArgType(context.position, 1, "atan", y.type, "number")
-			}
+			this.isLittleEndian = endianness === 1
 
-			if (x === undefined) {
-				return wrap(context, Math.atan(y.value))
-			}
+			this.intSize = this.readByte()
 
-			if (x.type !== "number") {
-				errors.badArgType(context.position, 2, "atan", x.type, "number")
-			}
+			this.sizeTSize = this.readByte()
 
-			return wrap(context, Math.atan2(y.value, x.value))
-		}))
+			this.instSize = this.readByte()
 
-		mathLib.rawSet(null, "floor", new LVFunction((context, value) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "floor", value.type, "number")
+			this.luaNumSize = this.readByte()
+			
+			const luaNumInt = this.readByte()
+			if (!([0, 1].includes(luaNumInt))) {
+				throw new LuaCFormatError("invalid luac file, lua number neither integral nor real")
 			}
 
-			return wrap(context, Math.floor(value.value))
-		}))
-		mathLib.rawSet(null, "ceil", new LVFunction((context, value) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "ceil", value.type, "number")
+			this.luaNumIsInt = luaNumInt
+
+			if (this.version >= 0x52) {
+				this.readTail()
 			}
+		}
 
-			return wrap(context, Math.ceil(value.value))
-		}))
+		return {
+			version: this.version,
+			format: this.format,
 
-		mathLib.rawSet(null, "sin", new LVFunction((context, value) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "sin", value.type, "number")
-			}
+			isLittleEndian: this.isLittleEndian,
 
-			return wrap(context, Math.sin(value.value))
-		}))
-		mathLib.rawSet(null, "cos", new LVFunction((context, value) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "cos", value.type, "number")
-			}
+			intSize: this.intSize,
+			sizeTSize: this.sizeTSize,
+			instSize: this.instSize,
+			luaIntSize: this.luaIntSize,
+			luaNumSize: this.luaNumSize,
+			luaNumIsInt: this.luaNumIsInt
+		}
+	}
 
-			return wrap(context, Math.cos(value.value))
-		}))
-		mathLib.rawSet(null, "tan", new LVFunction((context, value) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "tan", value.type, "number")
+	readTail() {
+		const tail = this.readBytes(LUAC_TAIL.length)
+
+		for (let i = 0; i < tail.length; i ++) {
+			if (tail[i] !== LUAC_TAIL[i]) {
+				throw new LuaCFormatError("invalid luac file, corrupted")
 			}
+		}
+	}
 
-			return wrap(context, Math.tan(value.value))
-		}))
+	sliceBytes(start, end) {
+		const len = end - start
+		
+		const out = new Uint8Array(len)
+		out.set(this.data.subarray(start, end))
+		
+		return out
+	}
 
-		mathLib.rawSet(null, "min", new LVFunction((context, first, ...rest) => {
-			if (first === undefined) {
-				throw new LuaError(context.position, "bad argument #1 to 'min' (number expected, got no value)")
-			}
+	readBytes(amount) {
+		if (this.pos + amount > this.data.length) {
+			throw new LuaCFormatError("invalid luac file, truncated chunk")
+		}
 
-			let best = first
+		const bytes = this.sliceBytes(this.pos, this.pos + amount)
+		this.pos += amount
 
-			for (const val of rest) {
-				if (val.lt(context, best).truthy(context)) {
-					best = val
-				}
-			}
+		return bytes
+	}
 
-			return best
-		}))
-		mathLib.rawSet(null, "max", new LVFunction((context, first, ...rest) => {
-			if (first === undefined) {
-				throw new LuaError(context.position, "bad argument #1 to 'max' (number expected, got no value)")
-			}
+	readByte() {
+		return this.readBytes(1)[0]
+	}
 
-			let best = first
+	readVarUInt() {
+		let value = 0
+		let byte
 
-			for (const val of rest) {
-				if (best.lt(context, val).truthy(context)) {
-					best = val
-				}
-			}
+		do {
+			byte = this.readByte()
+			value = value * 128 + (byte & 0x7F)
+		} while ((byte & 0x80) === 0)
 
-			return best
-		}))
+		return value
+	}
 
-		mathLib.rawSet(null, "deg", new LVFunction((context, value) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "deg", value.type, "number")
-			}
+	readLuaInt() {
+		if (this.version >= 0x54) {
+			return this.readVarUInt()
+		}
 
-			return wrap(context, value.value * (180 / Math.PI))
-		}))
-		mathLib.rawSet(null, "rad", new LVFunction((context, value) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "rad", value.type, "number")
-			}
+		switch (this.intSize) {
+			case 1:
+				return new DataView(this.readBytes(1).buffer).getInt8(0)
+			case 2:
+				return new DataView(this.readBytes(2).buffer).getInt16(0, this.isLittleEndian)
+			case 4:
+				return new DataView(this.readBytes(4).buffer).getInt32(0, this.isLittleEndian)
+			case 8:
+				return Number(new DataView(this.readBytes(8).buffer).getBigInt64(0, this.isLittleEndian))
+			default:
+				throw new LuaCFormatError(`unsupported lua number size: ${this.intSize}`)
+		}
+	}
+	readLuaUInt() {
+		if (this.version >= 0x54) {
+			return this.readVarUInt()
+		}
 
-			return wrap(context, value.value / (180 / Math.PI))
-		}))
+		switch (this.intSize) {
+			case 1:
+				return new DataView(this.readBytes(1).buffer).getUint8(0)
+			case 2:
+				return new DataView(this.readBytes(2).buffer).getUint16(0, this.isLittleEndian)
+			case 4:
+				return new DataView(this.readBytes(4).buffer).getUint32(0, this.isLittleEndian)
+			case 8:
+				return Number(new DataView(this.readBytes(8).buffer).getBigUint64(0, this.isLittleEndian))
+			default:
+				throw new LuaCFormatError(`unsupported lua number size: ${this.intSize}`)
+		}
+	}
 
-		mathLib.rawSet(null, "exp", new LVFunction((context, value) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "exp", value.type, "number")
-			}
+	readLuaSizeT() {
+		if (this.version >= 0x54) {
+			return this.readVarUInt()
+		}
 
-			return wrap(context, Math.exp(value.value))
-		}))
+		switch (this.sizeTSize) {
+			case 1:
+				return new DataView(this.readBytes(1).buffer).getUint8(0)
+			case 2:
+				return new DataView(this.readBytes(2).buffer).getUint16(0, this.isLittleEndian)
+			case 4:
+				return new DataView(this.readBytes(4).buffer).getUint32(0, this.isLittleEndian)
+			case 8:
+				return Number(new DataView(this.readBytes(8).buffer).getBigUint64(0, this.isLittleEndian))
+			default:
+				throw new LuaCFormatError(`unsupported lua number size: ${this.sizeTSize}`)
+		}
+	}
 
-		mathLib.rawSet(null, "fmod", new LVFunction((context, left, right) => {
-			if (left.type !== "number") {
-				errors.badArgType(context.position, 1, "fmod", left.type, "number")
-			}
-			if (right.type !== "number") {
-				errors.badArgType(context.position, 2, "fmod", right.type, "number")
+	readLuaNumber() {
+		if (this.luaNumIsInt) {
+			switch (this.luaNumSize) {
+				case 1:
+					return new DataView(this.readBytes(1).buffer).getInt8(0)
+				case 2:
+					return new DataView(this.readBytes(2).buffer).getInt16(0, this.isLittleEndian)
+				case 4:
+					return new DataView(this.readBytes(4).buffer).getInt32(0, this.isLittleEndian)
+				case 8:
+					return Number(new DataView(this.readBytes(8).buffer).getBigInt64(0, this.isLittleEndian))
+				default:
+					throw new LuaCFormatError(`unsupported lua number size: ${this.luaNumSize}`)
 			}
-
-			return wrap(context, left.value - Math.floor(left.value / right.value) * right.value)
-		}))
-		mathLib.rawSet(null, "modf", new LVFunction((context, value) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "modf", value.type, "number")
+		}
+		else {
+			switch (this.luaNumSize) {
+				case 4:
+					return new DataView(this.readBytes(4).buffer).getFloat32(0, this.isLittleEndian)
+				case 8:
+					return new DataView(this.readBytes(8).buffer).getFloat64(0, this.isLittleEndian)
+				default:
+					throw new LuaCFormatError(`unsupported lua number size: ${this.luaNumSize}`)
 			}
+		}
+	}
 
-			const int = value.value < 0 ? Math.ceil(value.value) : Math.floor(value.value)
-			const frac = value.value - int
-
-			return new LVTuple([wrap(context, int), wrap(context, frac)])
-		}))
+	readLuaInteger() {
+		switch (this.luaIntSize) {
+			case 4:
+				return BigInt(new DataView(this.readBytes(4).buffer).getInt32(0, this.isLittleEndian))
+			case 8:
+				return new DataView(this.readBytes(8).buffer).getBigInt64(0, this.isLittleEndian)
+			default:
+				throw new LuaCFormatError(`unsupported lua integer size: ${this.luaIntSize}`)
+		}
+	}
 
-		mathLib.rawSet(null, "huge", wrap(null, Infinity))
+	readLuaString() {
+		const bytes = this.readLuaStringBytes()
+		if (bytes === null) {
+			return null
+		}
 
-		mathLib.rawSet(null, "log", new LVFunction((context, value, base) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "log", value.type, "number")
-			}
+		return String.fromCharCode(...bytes)
+	}
 
-			if (base === undefined) {
-				return wrap(context, Math.log(value.value))
-			}
+	readLuaStringBytes() {
+		let len
+		if (this.version === 0x53) {
+			len = this.readByte()
 
-			if (base.type !== "number") {
-				errors.badArgType(context.position, 2, "log", base.type, "number")
+			if (len === 0xFF) {
+				len = this.readLuaSizeT()
 			}
+		}
+		else {
+			len = this.readLuaSizeT()
+		}
 
-			return wrap(context, Math.log(value.value) / Math.log(base.value))
-		}))
+		if (len === 0) {
+			return null
+		}
 
-		mathLib.rawSet(null, "pi", wrap(null, Math.PI))
+		const bytes = this.readBytes(len - 1)
 
-		mathLib.rawSet(null, "random", new LVFunction((context, min, max) => {
-			if (min === undefined && max === undefined) {
-				return wrap(context, Math.random())
-			}
-			else if (max === undefined) {
-				if (min.type !== "number") {
-					errors.badArgType(context.position, 1, "random", min.type, "number")
-				}
+		if (this.version < 0x53) {
+			this.readByte()
+		}
 
-				if (!Number.isInteger(min.value)) {
-					throw new LuaError(context.position, "bad argument #1 to 'random' (number has no integer representation)")
-				}
+		return bytes
+	}
 
-				return wrap(context, Math.floor(Math.random() * min.value) + 1)
-			}
+	readInstructions() {
+		const instCount = this.readLuaUInt()
 
-			if (min.type !== "number") {
-				errors.badArgType(context.position, 1, "random", min.type, "number")
-			}
-			if (max.type !== "number") {
-				errors.badArgType(context.position, 2, "random", max.type, "number")
+		const insts = []
+		for (let i = 0; i < instCount; i ++) {
+			switch (this.instSize) {
+				case 1:
+					insts.push(this.readByte())
+					break
+				case 2:
+					insts.push(new DataView(this.readBytes(2).buffer).getUint16(0, this.isLittleEndian))
+					break
+				case 4:
+					insts.push(new DataView(this.readBytes(4).buffer).getUint32(0, this.isLittleEndian))
+					break
+				default:
+					throw new LuaCFormatError(`unsupported instruction size: ${this.instSize}`)
 			}
+		}
 
-			if (!Number.isInteger(min.value)) {
-				throw new LuaError(context.position, "bad argument #1 to 'random' (number has no integer representation)")
-			}
-			if (!Number.isInteger(max.value)) {
-				throw new LuaError(context.position, "bad argument #2 to 'random' (number has no integer representation)")
-			}
+		return insts
+	}
 
-			if (min.value > max.value) {
-				throw new LuaError(context.position, "bad argument #2 to 'random' (interval is empty)")
-			}
+	readConstants() {
+		const constCount = this.readLuaUInt()
 
-			return wrap(context, Math.floor(Math.random() * (max.value - min.value + 1)) + min.value)
-		}))
+		const constants = []
+		for (let i = 0; i < constCount; i ++) {
+			const constType = this.readByte()
 
-		mathLib.rawSet(null, "sqrt", new LVFunction((context, value) => {
-			if (value.type !== "number") {
-				errors.badArgType(context.position, 1, "sqrt", value.type, "number")
+			if (this.version >= 0x54) {
+				constants.push(this.readConstant54(constType))
+				continue
 			}
 
-			return wrap(context, Math.sqrt(value.value))
-		}))
-
-		this.globals.rawSet(null, "math", mathLib)
+			switch (constType) {
+				case 0:
+					constants.push(new LVNil())
+					break
+				case 1:
+					constants.push(new LVBoolean(this.readByte() > 0))
+					break
+				case 3:
+					if (this.version >= 0x53) {
+						constants.push(LVNumber.fromFloat(this.readLuaNumber()))
+					}
+					else {
+						constants.push(new LVNumber(this.readLuaNumber()))
+					}
+					break
+				case 4:
+				case 20:
+					constants.push(new LVString(this.readLuaStringBytes()))
+					break
+				case 19:
+					constants.push(LVNumber.fromInteger(this.readLuaInteger()))
+					break
+				default:
+					throw new LuaCFormatError(`unsupported constant type: ${constType}`)
+			}
+		}
 
-		const stringLib = new LVTable()
+		return constants
+	}
 
-		stringLib.rawSet(null, "sub", new LVFunction((context, str, start, end) => {
-			let trueStr = str
-			if (str.type === "number") {
-				trueStr = str.asString(context)
-			}
-			if (trueStr.type !== "string") {
-				errors.badArgType(context.position, 1, "sub", str.type, "string")
-			}
+	readConstant54(constType) {
+		switch (constType) {
+			case 0:
+				return new LVNil()
+			case 1:
+				return new LVBoolean(false)
+			case 17:
+				return new LVBoolean(true)
+			case 3:
+				return LVNumber.fromInteger(this.readLuaInteger())
+			case 19:
+				return LVNumber.fromFloat(this.readLuaNumber())
+			case 4:
+			case 20:
+				return new LVString(this.readLuaStringBytes())
+			default:
+				throw new LuaCFormatError(`unsupported constant type: ${constType}`)
+		}
+	}
 
-			let trueStart = start
-			if (start.type === "string") {
-				trueStart = start.asNumber(context)
-			}
-			if (trueStart.type !== "number") {
-				errors.badArgType(context.position, 2, "sub", start.type, "string")
-			}
+	readNestedProtos(source) {
+		const nestedProtoCount = this.readLuaUInt()
 
-			let trueEnd = end
-			if (end.type === "string") {
-				trueEnd = end.asNumber(context)
-			}
-			if (trueEnd.type !== "number") {
-				errors.badArgType(context.position, 3, "sub", end.type, "string")
-			}
+		const nestedProtos = []
+		for (let i = 0; i < nestedProtoCount; i ++) {
+			nestedProtos.push(this.readPrototype(source))
+		}
 
-			if (trueStart.value < 0) {
-				trueStart = trueStart.value + trueStr.value.length + 1
-			}
-			else {
-				trueStart = trueStart.value
-			}
-			if (trueEnd.value < 0) {
-				trueEnd = trueEnd.value + trueStr.value.length + 1
-			}
-			else {
-				trueEnd = trueEnd.value
-			}
+		return nestedProtos
+	}
 
-			return new LVString(trueStr.value.slice(trueStart - 1, trueEnd))
-		}))
+	readUpValueDescs() {
+		const upValueCount = this.readLuaUInt()
 
-		stringLib.rawSet(null, "len", new LVFunction((context, str) => {
-			let trueStr = str
-			if (str.type === "number") {
-				trueStr = str.asString(context)
-			}
-			if (trueStr.type !== "string") {
-				errors.badArgType(context.position, 1, "len", str.type, "string")
+		const upValues = []
+		for (let i = 0; i < upValueCount; i ++) {
+			const upValue = {
+				inStack: this.readByte() > 0,
+				index: this.readByte()
 			}
 
-			return wrap(context, trueStr.value.length)
-		}))
+			if (this.version >= 0x54) {
+				upValue.kind = this.readByte()
+			}
 
-		this.globals.rawSet(null, "string", stringLib)
+			upValues.push(upValue)
+		}
 
-		const coroutineLib = new LVTable()
+		return upValues
+	}
 
-		const normalize = (context, result) => {
-			if (result instanceof LVTuple) {
-				return result.values
-			}
+	readLineInfo() {
+		const lineInfoCount = this.readLuaUInt()
 
-			return [wrap(context, result)]
+		const lineInfo = []
+		for (let i = 0; i < lineInfoCount; i ++) {
+			lineInfo.push(this.readLuaUInt())
 		}
 
-		coroutineLib.rawSet(null, "yield", new LVFunction((context, ...values) => {
-			throw new LuaYield(values)
-		}))
+		return lineInfo
+	}
 
-		coroutineLib.rawSet(null, "resume", new LVFunction((context, coroutine, ...args) => {
-			if (!(coroutine instanceof LVCoroutine)) {
-				errors.badArgType(context.position, 1, "resume", co.type, "coroutine")
-			}
+	readLineInfo54(lineDefined) {
+		// lua 5.4 stores line deltas as signed bytes, with absolute lines for deltas that don't fit
+		const deltaCount = this.readLuaUInt()
+		const deltas = new Int8Array(this.readBytes(deltaCount).buffer)
 
-			if (coroutine.status === "dead") {
-				return new LVTuple([wrap(context, false), wrap(context, "cannot resume dead coroutine")])
-			}
+		const absLineInfoCount = this.readLuaUInt()
 
-			coroutine.status = "running"
+		const absLineInfo = new Map()
+		for (let i = 0; i < absLineInfoCount; i ++) {
+			const pc = this.readLuaUInt()
+			const line = this.readLuaUInt()
 
-			if (coroutine.pc === 0) {
-				coroutine.args = args
+			absLineInfo.set(pc, line)
+		}
 
-				const proto = coroutine.closure.proto
-				for (let i = 0; i < proto.paramCount; i ++) {
-					coroutine.regs[i] = args[i] ?? new LVNil()
-				}
+		const ABSLINEINFO = -0x80
+
+		const lineInfo = []
 
-				coroutine.top = proto.paramCount
+		let line = lineDefined
+		for (let pc = 0; pc < deltas.length; pc ++) {
+			if (deltas[pc] === ABSLINEINFO) {
+				line = absLineInfo.get(pc)
 			}
 			else {
-				for (let i = 0; i < args.length; i ++) {
-					coroutine.regs[i] = args[i]
-				}
-				coroutine.top = args.length
+				line += deltas[pc]
 			}
 
-			const result = this.runCoroutine(coroutine)
+			lineInfo.push(line)
+		}
 
-			if (coroutine.status === "suspended") {
-				return new LVTuple([wrap(context, true), ...result.values])
-			}
+		return lineInfo
+	}
 
-			coroutine.status = "dead"
-			return new LVTuple([wrap(context, true), ...normalize(context, result)])
-		}))
+	readLocals() {
+		const localCount = this.readLuaUInt()
 
-		coroutineLib.rawSet(null, "create", new LVFunction((context, func) => {
-			if (func.type !== "function") {
-				errors.badArgType(context.position, 1, "create", func.type, "function")
-			}
-			return new LVCoroutine(func, [])
-		}))
+		const locals = []
+		for (let i = 0; i < localCount; i ++) {
+			locals.push({
+				name: this.readLuaString(),
+				startPc: this.readLuaUInt(),
+				endPc: this.readLuaUInt()
+			})
+		}
 
-		coroutineLib.rawSet(null, "status", new LVFunction((context, coroutine) => {
-			if (!(coroutine instanceof LVCoroutine)) {
-				errors.badArgType(context.position, 1, "resume", co.type, "coroutine")
-			}
+		return locals
+	}
 
-			return wrap(context, coroutine.status)
-		}))
+	readUpValueNames() {
+		const upValueNameCount = this.readLuaUInt()
 
-		coroutineLib.rawSet(null, "running", new LVFunction((context) => {
-			return new LVTuple([wrap(context, context.coroutine), wrap(context, context.coroutine.isMain)])
-		}))
+		const upValueNames = []
+		for (let i = 0; i < upValueNameCount; i ++) {
+			upValueNames.push(this.readLuaString())
+		}
 
-		coroutineLib.rawSet(null, "close", new LVFunction((context, coroutine) => {
-			if (!(coroutine instanceof LVCoroutine)) {
-				errors.badArgType(context.position, 1, "resume", co.type, "coroutine")
-			}
+		return upValueNames
+	}
 
-			coroutine.status = "dead"
-		}))
+	readPrototype(parentSource) {
+		switch (this.version) {
+			case 0x51: return this.readPrototype51(parentSource)
+			case 0x52: return this.readPrototype52()
+			case 0x53: return this.readPrototype53(parentSource)
+			case 0x54: return this.readPrototype54(parentSource)
+		}
+	}
 
-		coroutineLib.rawSet(null, "isyieldable", new LVFunction((context, func) => {
-			return wrap(context, !context.coroutine.isMain)
-		}))
+	readPrototype51(parentSource) {
+		// nested functions leave out their source when it's the same as their parent's
+		const source = this.readLuaString() ?? parentSource
+		const fileName = source?.slice(1) ?? null
 
-		coroutineLib.rawSet(null, "wrap", new LVFunction((context, func) => {
-			if (func.type !== "function") {
-				errors.badArgType(context.position, 1, "wrap", func.type, "function")
-			}
-			
-			const coroutine = new LVCoroutine(func, [])
+		const lineDefined = this.readLuaInt()
+		const lastLineDefined = this.readLuaInt()
 
-			return new LVFunction((context, ...args) => {
-				if (coroutine.status === "dead") {
-					return new LVTuple([wrap(context, false), wrap(context, "cannot resume dead coroutine")])
-				}
+		const upValueCount = this.readByte()
 
-				coroutine.status = "running"
+		const paramCount = this.readByte()
 
-				if (coroutine.pc === 0) {
-					coroutine.args = args
+		// lua 5.1 also keeps the VARARG_HASARG and VARARG_NEEDSARG compatibility flags here
+		const varArgFlags = this.readByte()
+		const isVarArg = varArgFlags > 0
 
-					const proto = coroutine.closure.proto
-					for (let i = 0; i < proto.paramCount; i ++) {
-						coroutine.regs[i] = args[i] ?? new LVNil()
-					}
+		const maxStackSize = this.readByte()
 
-					coroutine.top = proto.paramCount
-				}
-				else {
-					for (let i = 0; i < args.length; i ++) {
-						coroutine.regs[i] = args[i]
-					}
-					coroutine.top = args.length
-				}
+		const insts = this.readInstructions()
 
-				const result = this.runCoroutine(coroutine)
+		const constants = this.readConstants()
 
-				if (coroutine.status === "suspended") {
-					return new LVTuple([wrap(context, true), ...result.values])
-				}
+		const nestedProtos = this.readNestedProtos(source)
 
-				coroutine.status = "dead"
-				return new LVTuple([wrap(context, true), ...normalize(context, result)])
-			})
-		}))
+		const lineInfo = this.readLineInfo()
 
-		this.globals.rawSet(null, "coroutine", coroutineLib)
+		const locals = this.readLocals()
 
-		this.globals.rawSet(null, "print", new LVFunction((context, ...msgs) => {
-			const text = (msgs.map((msg) => msg.print(context))).join("\t")
-			console.log(text)
-		}))
+		const upValueNames = this.readUpValueNames()
 
-		this.globals.rawSet(null, "next", new LVFunction((context, table, lastKey) => {
-			if (table.type !== "table") {
-				errors.badArgType(context.position, 1, "next", table.type, "table")
-			}
+		return {
+			version: this.version,
 
-			const keys = table.keys()
-			let start = 0
+			source,
+			fileName,
 
-			if (!lastKey || lastKey.type !== "nil") {
-				start = keys.findIndex((key) => key == unwrap(lastKey))
-				if (start === -1) {
-					throw new LuaError(context.position, `invalid key to 'next'`)
-				}
+			nestedProtos,
 
-				start ++
-			}
+			constants,
 
-			if (start >= keys.length) {
-				return wrap(context)
-			}
+			locals,
 
-			const key = keys[start]
-			const val = table.rawGet(context, key)
+			lineInfo,
 
-			return new LVTuple([wrap(context, key), val])
-		}))
+			lineDefined,
+			lastLineDefined,
 
-		this.globals.rawSet(null, "select", new LVFunction((context, index, ...args) => {
-			if (unwrap(index) === "#") {
-				return wrap(context, args.length)
-			}
+			upValueCount,
+			upValueNames,
+			upValues: null,
 
-			if (index.type !== "number") {
-				errors.badArgType(context.position, 1, "select", index.type, "number")
-			}
-			const value = unwrap(index)
-			if (!Number.isInteger(value)) {
-				throw new LuaError(context.position, `bad argument #1 to 'select' (number has no integer representation)`)
-			}
+			paramCount,
 
-			if (value > args.length) {
-				return new LVTuple([])
-			}
+			isVarArg,
+			varArgFlags,
 
-			let i = value
-			if (i < 0) {
-				i = args.length + i + 1
-			}
+			maxStackSize,
 
-			if (i <= 0 || i > args.length) {
-				throw new LuaError(context.position, `bad argument #1 to 'select' (index out of range)`)
-			}
+			insts
+		}
+	}
 
-			return new LVTuple(args.slice(value - 1))
-		}))
+	readPrototype52() {
+		const lineDefined = this.readLuaInt()
+		const lastLineDefined = this.readLuaInt()
 
-		this.globals.rawSet(null, "pairs", new LVFunction((context, table) => {
-			const nextFn = this.globals.rawGet(context, "next")
+		const paramCount = this.readByte()
 
-			return new LVTuple([nextFn, table, new LVNil()])
-		}))
+		const isVarArg = this.readByte() > 0
 
-		this.globals.rawSet(null, "setmetatable", new LVFunction((context, table, metatable) => {
-			if (table.type !== "table") {
-				errors.badArgType(context.position, 1, "setmetatable", table.type, "table")
-			}
-			
-			const protection = getMeta(context, table, "__metatable")
-			if (protection && protection.type !== "nil") {
-				throw new LuaError(context.position, "cannot change a protected metatable")
-			}
+		const maxStackSize = this.readByte()
 
-			table.metatable = metatable
+		const insts = this.readInstructions()
 
-			return table
-		}))
-		this.globals.rawSet(null, "getmetatable", new LVFunction((context, table) => {
-			if (table.type !== "table") {
-				errors.badArgType(context.position, 1, "getmetatable", table.type, "table")
-			}
+		const constants = this.readConstants()
 
-			const protection = getMeta(context, table, "__metatable")
-			if (protection && protection.type !== "nil") {
-				return protection
-			}
+		const nestedProtos = this.readNestedProtos(null)
 
-			return wrap(context, table.metatable)
-		}))
+		const upValues = this.readUpValueDescs()
 
-		this.globals.rawSet(null, "tonumber", new LVFunction((context, value) => {
-			return value.asNumber(context)
-		}))
-		this.globals.rawSet(null, "tostring", new LVFunction((context, value) => {
-			return value.asString(context)
-		}))
+		const source = this.readLuaString()
+		const fileName = source?.slice(1) ?? null
 
-		this.mainProto = this.readPrototype()
-	}
+		const lineInfo = this.readLineInfo()
 
-	sliceBytes(start, end) {
-		const len = end - start
-		
-		const out = new Uint8Array(len)
-		out.set(this.data.subarray(start, end))
-		
-		return out
-	}
+		const locals = this.readLocals()
 
-	readBytes(amount) {
-		const bytes = this.sliceBytes(this.pos, this.pos + amount)
-		this.pos += amount
+		const upValueNames = this.readUpValueNames()
 
-		return bytes
-	}
+		return {
+			version: this.version,
 
-	readByte() {
-		return this.readBytes(1)[0]
-	}
+			source,
+			fileName,
 
-	readLuaInt() {
-		switch (this.intSize) {
-			case 1:
-				return new DataView(this.readBytes(1).buffer).getInt8(0)
-			case 2:
-				return new DataView(this.readBytes(2).buffer).getInt16(0, this.isLittleEndian)
-			case 4:
-				return new DataView(this.readBytes(4).buffer).getInt32(0, this.isLittleEndian)
-			case 8:
-				return Number(new DataView(this.readBytes(8).buffer).getBigInt64(0, this.isLittleEndian))
-			default:
-				throw new LuaCFormatError(`unsupported lua number size: ${this.intSize}`)
-		}
-	}
-	readLuaUInt() {
-		switch (this.intSize) {
-			case 1:
-				return new DataView(this.readBytes(1).buffer).getUint8(0)
-			case 2:
-				return new DataView(this.readBytes(2).buffer).getUint16(0, this.isLittleEndian)
-			case 4:
-				return new DataView(this.readBytes(4).buffer).getUint32(0, this.isLittleEndian)
-			case 8:
-				return Number(new DataView(this.readBytes(8).buffer).getBigUint64(0, this.isLittleEndian))
-			default:
-				throw new LuaCFormatError(`unsupported lua number size: ${this.intSize}`)
-		}
-	}
+			nestedProtos,
 
-	readLuaSizeT() {
-		switch (this.sizeTSize) {
-			case 1:
-				return new DataView(this.readBytes(1).buffer).getUint8(0)
-			case 2:
-				return new DataView(this.readBytes(2).buffer).getUint16(0, this.isLittleEndian)
-			case 4:
-				return new DataView(this.readBytes(4).buffer).getUint32(0, this.isLittleEndian)
-			case 8:
-				return Number(new DataView(this.readBytes(8).buffer).getBigUint64(0, this.isLittleEndian))
-			default:
-				throw new LuaCFormatError(`unsupported lua number size: ${this.sizeTSize}`)
-		}
-	}
+			constants,
 
-	readLuaNumber() {
-		if (this.luaNumIsInt) {
-			switch (this.luaNumSize) {
-				case 1:
-					return new DataView(this.readBytes(1).buffer).getInt8(0)
-				case 2:
-					return new DataView(this.readBytes(2).buffer).getInt16(0, this.isLittleEndian)
-				case 4:
-					return new DataView(this.readBytes(4).buffer).getInt32(0, this.isLittleEndian)
-				case 8:
-					return Number(new DataView(this.readBytes(8).buffer).getBigInt64(0, this.isLittleEndian))
-				default:
-					throw new LuaCFormatError(`unsupported lua number size: ${this.luaNumSize}`)
-			}
-		}
-		else {
-			switch (this.luaNumSize) {
-				case 4:
-					return new DataView(this.readBytes(4).buffer).getFloat32(0, this.isLittleEndian)
-				case 8:
-					return new DataView(this.readBytes(8).buffer).getFloat64(0, this.isLittleEndian)
-				default:
-					throw new LuaCFormatError(`unsupported lua number size: ${this.luaNumSize}`)
-			}
+			locals,
+
+			lineInfo,
+
+			lineDefined,
+			lastLineDefined,
+
+			upValueCount: upValues.length,
+			upValueNames,
+			upValues,
+
+			paramCount,
+
+			isVarArg,
+
+			maxStackSize,
+
+			insts
 		}
 	}
 
-	readLuaString() {
-		const len = this.readLuaSizeT()
-		if (len === 0) {
-			return null
-		}
+	readPrototype53(parentSource) {
+		// nested functions leave out their source when it's the same as their parent's
+		const source = this.readLuaString() ?? parentSource
+		const fileName = source?.slice(1) ?? null
 
-		const bytes = this.readBytes(len - 1)
-		this.readByte()
+		const lineDefined = this.readLuaInt()
+		const lastLineDefined = this.readLuaInt()
 
-		return String.fromCharCode(...bytes)
-	}
+		const paramCount = this.readByte()
 
-	readPrototype() {
-		let fileName = this.readLuaString()
-		if (fileName !== null) {
-			fileName = fileName.slice(1)
+		const isVarArg = this.readByte() > 0
+
+		const maxStackSize = this.readByte()
+
+		const insts = this.readInstructions()
+
+		const constants = this.readConstants()
+
+		const upValues = this.readUpValueDescs()
+
+		const nestedProtos = this.readNestedProtos(source)
+
+		const lineInfo = this.readLineInfo()
+
+		const locals = this.readLocals()
+
+		const upValueNames = this.readUpValueNames()
+
+		return {
+			version: this.version,
+
+			source,
+			fileName,
+
+			nestedProtos,
+
+			constants,
+
+			locals,
+
+			lineInfo,
+
+			lineDefined,
+			lastLineDefined,
+
+			upValueCount: upValues.length,
+			upValueNames,
+			upValues,
+
+			paramCount,
+
+			isVarArg,
+
+			maxStackSize,
+
+			insts
 		}
+	}
+
+	readPrototype54(parentSource) {
+		// nested functions leave out their source when it's the same as their parent's
+		const source = this.readLuaString() ?? parentSource
+		const fileName = source?.slice(1) ?? null
 
 		const lineDefined = this.readLuaInt()
 		const lastLineDefined = this.readLuaInt()
 
-		const upValueCount = this.readByte()
-
 		const paramCount = this.readByte()
 
 		const isVarArg = this.readByte() > 0
 
 		const maxStackSize = this.readByte()
 
-		const instCount = this.readLuaUInt()
+		const insts = this.readInstructions()
 
-		const insts = []
-		for (let i = 0; i < instCount; i ++) {
-			switch (this.instSize) {
-				case 1:
-					insts.push(this.readByte())
-					break
-				case 2:
-					insts.push(new DataView(this.readBytes(2).buffer).getUint16(0, this.isLittleEndian))
-					break
-				case 4:
-					insts.push(new DataView(this.readBytes(4).buffer).getUint32(0, this.isLittleEndian))
-					break
-				default:
-					throw new LuaCFormatError(`unsupported instruction size: ${this.instSize}`)
-			}
+		const constants = this.readConstants()
+
+		const upValues = this.readUpValueDescs()
+
+		const nestedProtos = this.readNestedProtos(source)
+
+		const lineInfo = this.readLineInfo54(lineDefined)
+
+		const locals = this.readLocals()
+
+		const upValueNames = this.readUpValueNames()
+
+		return {
+			version: this.version,
+
+			source,
+			fileName,
+
+			nestedProtos,
+
+			constants,
+
+			locals,
+
+			lineInfo,
+
+			lineDefined,
+			lastLineDefined,
+
+			upValueCount: upValues.length,
+			upValueNames,
+			upValues,
+
+			paramCount,
+
+			isVarArg,
+
+			maxStackSize,
+
+			insts
 		}
+	}
+}
 
-		const constCount = this.readLuaUInt()
+const LUAJIT_SIGNATURE = [
+	0x1B,
+	0x4C,
+	0x4A
+]
 
-		const constants = []
-		for (let i = 0; i < constCount; i ++) {
-			const constType = this.readByte()
+const LUAJIT_FLAGS = {
+	BIG_ENDIAN: 0x01,
+	STRIP: 0x02,
+	FFI: 0x04,
+	FR2: 0x08
+}
 
-			switch (constType) {
-				case 0:
-					constants.push(new LVNil())
-					break
-				case 1:
-					constants.push(new LVBoolean(this.readByte() > 0))
-					break
-				case 3:
-					constants.push(new LVNumber(this.readLuaNumber()))
-					break
-				case 4:
-					constants.push(new LVString(this.readLuaString()))
-					break
-				default:
-					throw new LuaCFormatError(`unsupported constant type: ${constType}`)
+const LUAJIT_PROTO_FLAGS = {
+	CHILD: 0x01,
+	VARARG: 0x02
+}
+
+const LUAJIT_KGC = {
+	CHILD: 0,
+	TAB: 1,
+	I64: 2,
+	U64: 3,
+	COMPLEX: 4,
+	STR: 5
+}
+
+const LUAJIT_KTAB = {
+	NIL: 0,
+	FALSE: 1,
+	TRUE: 2,
+	INT: 3,
+	NUM: 4,
+	STR: 5
+}
+
+const LUAJIT_VARNAMES = [
+	null,
+	"(for index)",
+	"(for limit)",
+	"(for step)",
+	"(for generator)",
+	"(for state)",
+	"(for control)"
+]
+
+class LuaJITChunkReader extends ChunkReader {
+	readHeader() {
+		const sig = this.readBytes(LUAJIT_SIGNATURE.length)
+
+		for (let i = 0; i < sig.length; i ++) {
+			if (sig[i] !== LUAJIT_SIGNATURE[i]) {
+				throw new LuaCFormatError("invalid luajit file, incorrect signature")
 			}
 		}
 
-		const nestedProtoCount = this.readLuaUInt()
+		this.version = this.readByte()
 
-		const nestedProtos = []
-		for (let i = 0; i < nestedProtoCount; i ++) {
-			nestedProtos.push(this.readPrototype())
+		if (!(this.version in LUAJIT_OPCODES)) {
+			throw new LuaCFormatError(`unsupported luajit bytecode version: ${this.version}`)
 		}
 
-		const lineInfoCount = this.readLuaUInt()
+		this.flags = this.readULEB128()
 
-		const lineInfo = []
-		for (let i = 0; i < lineInfoCount; i ++) {
-			lineInfo.push(this.readLuaUInt())
+		this.isLittleEndian = (this.flags & LUAJIT_FLAGS.BIG_ENDIAN) === 0
+		this.isStripped = (this.flags & LUAJIT_FLAGS.STRIP) !== 0
+		this.usesFFI = (this.flags & LUAJIT_FLAGS.FFI) !== 0
+		this.fr2 = (this.flags & LUAJIT_FLAGS.FR2) !== 0
+
+		this.chunkName = null
+		if (!this.isStripped) {
+			this.chunkName = String.fromCharCode(...this.readBytes(this.readULEB128()))
 		}
 
-		const localCount = this.readLuaUInt()
+		return {
+			format: "luajit",
+			version: this.version,
 
-		const locals = []
-		for (let i = 0; i < localCount; i ++) {
-			locals.push({
-				name: this.readLuaString(),
-				startPc: this.readLuaUInt(),
-				endPc: this.readLuaUInt()
-			})
+			isLittleEndian: this.isLittleEndian,
+			isStripped: this.isStripped,
+			usesFFI: this.usesFFI,
+			fr2: this.fr2,
+
+			chunkName: this.chunkName
 		}
+	}
 
-		const upValueNameCount = this.readLuaUInt()
+	readULEB128() {
+		let value = 0
+		let shift = 0
+		let byte
 
-		const upValueNames = []
-		for (let i = 0; i < upValueNameCount; i ++) {
-			upValueNames.push(this.readLuaString())
+		do {
+			byte = this.readByte()
+			value += (byte & 0x7F) * (2 ** shift)
+			shift += 7
+		} while (byte & 0x80)
+
+		return value
+	}
+
+	// the lowest bit of the first byte is a flag, the value is made from the rest
+	readULEB128_33() {
+		let byte = this.readByte()
+		let value = byte >>> 1
+
+		if (value >= 0x40) {
+			value &= 0x3F
+
+			let shift = 6
+			do {
+				byte = this.readByte()
+				value += (byte & 0x7F) * (2 ** shift)
+				shift += 7
+			} while (byte & 0x80)
 		}
 
-		return {
-			fileName,
+		return value >>> 0
+	}
+
+	readUInt(size) {
+		switch (size) {
+			case 1:
+				return this.readByte()
+			case 2:
+				return new DataView(this.readBytes(2).buffer).getUint16(0, this.isLittleEndian)
+			case 4:
+				return new DataView(this.readBytes(4).buffer).getUint32(0, this.isLittleEndian)
+		}
+	}
+
+	readZeroTerminatedString() {
+		const start = this.pos
+
+		while (this.data[this.pos] !== 0) {
+			if (this.pos >= this.data.length) {
+				throw new LuaCFormatError("invalid luajit file, truncated chunk")
+			}
+
+			this.pos ++
+		}
+
+		const bytes = this.sliceBytes(start, this.pos)
+		this.pos ++
+
+		return String.fromCharCode(...bytes)
+	}
+
+	readDouble() {
+		const lo = this.readULEB128()
+		const hi = this.readULEB128()
+
+		const view = new DataView(new ArrayBuffer(8))
+		view.setUint32(0, lo, true)
+		view.setUint32(4, hi, true)
+
+		return view.getFloat64(0, true)
+	}
+
+	readTableConstantValue() {
+		const type = this.readULEB128()
+
+		if (type >= LUAJIT_KTAB.STR) {
+			return new LVString(this.readBytes(type - LUAJIT_KTAB.STR))
+		}
+
+		switch (type) {
+			case LUAJIT_KTAB.NIL:
+				return new LVNil()
+			case LUAJIT_KTAB.FALSE:
+				return new LVBoolean(false)
+			case LUAJIT_KTAB.TRUE:
+				return new LVBoolean(true)
+			case LUAJIT_KTAB.INT:
+				return new LVNumber(this.readULEB128() | 0)
+			case LUAJIT_KTAB.NUM:
+				return new LVNumber(this.readDouble())
+		}
+	}
+
+	readTableTemplate() {
+		const arrayCount = this.readULEB128()
+		const hashCount = this.readULEB128()
+
+		// the array part starts at index 0
+		const array = []
+		for (let i = 0; i < arrayCount; i ++) {
+			array.push(this.readTableConstantValue())
+		}
+
+		const hash = []
+		for (let i = 0; i < hashCount; i ++) {
+			const key = this.readTableConstantValue()
+			const value = this.readTableConstantValue()
+
+			hash.push(Object.freeze([key, value]))
+		}
+
+		return Object.freeze({
+			array: Object.freeze(array),
+			hash: Object.freeze(hash)
+		})
+	}
+
+	readPrototype(protoStack) {
+		const flags = this.readByte()
+
+		const paramCount = this.readByte()
+
+		const maxStackSize = this.readByte()
+
+		const upValueCount = this.readByte()
+
+		const gcConstantCount = this.readULEB128()
+		const numConstantCount = this.readULEB128()
+
+		const instCount = this.readULEB128() + 1
+
+		let debugSize = 0
+		let firstLine = 0
+		let lineCount = 0
+		if (!this.isStripped) {
+			debugSize = this.readULEB128()
+
+			if (debugSize > 0) {
+				firstLine = this.readULEB128()
+				lineCount = this.readULEB128()
+			}
+		}
+
+		const isVarArg = (flags & LUAJIT_PROTO_FLAGS.VARARG) !== 0
+
+		// the function header instruction isn't dumped, so it's rebuilt from the prototype
+		const header = LUAJIT_OPCODES[this.version].indexOf(isVarArg ? "FUNCV" : "FUNCF")
+		const insts = [header | (maxStackSize << 8)]
+		for (let i = 1; i < instCount; i ++) {
+			insts.push(this.readUInt(4))
+		}
+
+		const upValues = []
+		for (let i = 0; i < upValueCount; i ++) {
+			const upValue = this.readUInt(2)
+
+			upValues.push({
+				inStack: (upValue & 0x8000) !== 0,
+				immutable: (upValue & 0x4000) !== 0,
+				index: upValue & 0x3FFF
+			})
+		}
+
+		// gc constants are dumped from the highest index to the lowest
+		const gcConstants = new Array(gcConstantCount)
+		const nestedProtos = []
+		for (let i = gcConstantCount - 1; i >= 0; i --) {
+			const type = this.readULEB128()
+
+			if (type >= LUAJIT_KGC.STR) {
+				gcConstants[i] = new LVString(this.readBytes(type - LUAJIT_KGC.STR))
+				continue
+			}
+
+			switch (type) {
+				case LUAJIT_KGC.CHILD: {
+					if (protoStack.length === 0) {
+						throw new LuaCFormatError("invalid luajit file, missing child prototype")
+					}
+
+					gcConstants[i] = protoStack.pop()
+					nestedProtos.unshift(gcConstants[i])
+					break
+				}
+				case LUAJIT_KGC.TAB: {
+					gcConstants[i] = this.readTableTemplate()
+					break
+				}
+				case LUAJIT_KGC.I64:
+				case LUAJIT_KGC.U64: {
+					this.readULEB128()
+					this.readULEB128()
+
+					// ffi cdata isn't supported, KCDATA refuses to load these
+					gcConstants[i] = null
+					break
+				}
+				case LUAJIT_KGC.COMPLEX: {
+					for (let j = 0; j < 4; j ++) {
+						this.readULEB128()
+					}
+
+					gcConstants[i] = null
+					break
+				}
+			}
+		}
+
+		const constants = []
+		for (let i = 0; i < numConstantCount; i ++) {
+			const isNum = (this.data[this.pos] & 1) !== 0
+			const lo = this.readULEB128_33()
+
+			if (isNum) {
+				const hi = this.readULEB128()
+
+				const view = new DataView(new ArrayBuffer(8))
+				view.setUint32(0, lo, true)
+				view.setUint32(4, hi, true)
+
+				constants.push(new LVNumber(view.getFloat64(0, true)))
+			}
+			else {
+				constants.push(new LVNumber(lo | 0))
+			}
+		}
+
+		const lineInfo = []
+		const upValueNames = []
+		const locals = []
+
+		if (debugSize > 0) {
+			const debugEnd = this.pos + debugSize
+
+			let lineSize = 4
+			if (lineCount < 256) {
+				lineSize = 1
+			}
+			else if (lineCount < 65536) {
+				lineSize = 2
+			}
+
+			lineInfo.push(firstLine)
+			for (let i = 1; i < instCount; i ++) {
+				lineInfo.push(firstLine + this.readUInt(lineSize))
+			}
+
+			for (let i = 0; i < upValueCount; i ++) {
+				upValueNames.push(this.readZeroTerminatedString())
+			}
+
+			let lastPc = 0
+			while (this.pos < debugEnd) {
+				const varType = this.data[this.pos]
+
+				let name
+				if (varType < LUAJIT_VARNAMES.length) {
+					this.pos ++
+
+					if (varType === 0) {
+						break
+					}
+
+					name = LUAJIT_VARNAMES[varType]
+				}
+				else {
+					name = this.readZeroTerminatedString()
+				}
+
+				const startPc = lastPc + this.readULEB128()
+				const endPc = startPc + this.readULEB128()
+
+				lastPc = startPc
+
+				locals.push({
+					name,
+					startPc,
+					endPc
+				})
+			}
+
+			this.pos = debugEnd
+		}
+
+		return {
+			version: this.version,
+
+			isLuaJIT: true,
+			fr2: this.fr2,
+
+			source: this.chunkName,
+			fileName: this.fileName,
+
+			nestedProtos,
+
+			constants,
+			gcConstants,
+
+			locals,
+
+			lineInfo,
+
+			lineDefined: firstLine,
+			lastLineDefined: firstLine + lineCount,
+
+			upValueCount,
+			upValueNames,
+			upValues,
+
+			paramCount,
+
+			isVarArg,
+
+			maxStackSize,
+
+			insts
+		}
+	}
+
+	readPrototypes() {
+		let fileName = this.chunkName
+		if (fileName !== null && (fileName.startsWith("@") || fileName.startsWith("="))) {
+			fileName = fileName.slice(1)
+		}
+
+		this.fileName = fileName
+
+		// children are dumped before their parents, the last prototype is the main function
+		const protoStack = []
+
+		while (true) {
+			const protoSize = this.readULEB128()
+			if (protoSize === 0) {
+				break
+			}
+
+			const protoEnd = this.pos + protoSize
+
+			protoStack.push(this.readPrototype(protoStack))
+
+			if (this.pos !== protoEnd) {
+				throw new LuaCFormatError("invalid luajit file, prototype size mismatch")
+			}
+		}
+
+		if (protoStack.length !== 1) {
+			throw new LuaCFormatError("invalid luajit file, expected a single main prototype")
+		}
+
+		return protoStack[0]
+	}
+}
+
+class ChunkWriter {
+	constructor(header, strip) {
+		this.version = header.version
+
+		this.isLittleEndian = header.isLittleEndian
+
+		this.intSize = header.intSize
+		this.sizeTSize = header.sizeTSize
+		this.instSize = header.instSize
+		this.luaIntSize = header.luaIntSize
+		this.luaNumSize = header.luaNumSize
+		this.luaNumIsInt = header.luaNumIsInt
+
+		this.strip = strip
+
+		this.parts = []
+		this.length = 0
+	}
+
+	toBytes() {
+		const out = new Uint8Array(this.length)
+
+		let offset = 0
+		for (const part of this.parts) {
+			out.set(part, offset)
+			offset += part.length
+		}
+
+		return out
+	}
+
+	writeBytes(bytes) {
+		this.parts.push(Uint8Array.from(bytes))
+		this.length += bytes.length
+	}
+
+	writeByte(byte) {
+		this.writeBytes([byte])
+	}
+
+	writeFixedInt(size, value, signed) {
+		const big = BigInt(value)
+
+		const limit = 1n << BigInt(size * 8)
+		const fits = signed ? big >= -(limit >> 1n) && big < (limit >> 1n) : big >= 0n && big < limit
+
+		if (!fits) {
+			throw new LuaCFormatError(`${value} doesn't fit in ${size} bytes`)
+		}
+
+		const view = new DataView(new ArrayBuffer(8))
+		view.setBigUint64(0, BigInt.asUintN(64, big), this.isLittleEndian)
+
+		// the value sits in the low bytes, which are the first or the last ones depending on endianness
+		const bytes = new Uint8Array(view.buffer)
+		this.writeBytes(this.isLittleEndian ? bytes.subarray(0, size) : bytes.subarray(8 - size))
+	}
+
+	writeHeader() {
+		this.writeBytes(LUA_SIGNATURE)
+
+		this.writeByte(this.version)
+
+		// format
+		this.writeByte(0)
+
+		if (this.version >= 0x53) {
+			this.writeBytes(LUAC_TAIL)
+
+			if (this.version < 0x54) {
+				this.writeByte(this.intSize)
+
+				this.writeByte(this.sizeTSize)
+			}
+
+			this.writeByte(this.instSize)
+
+			this.writeByte(this.luaIntSize)
+
+			this.writeByte(this.luaNumSize)
+
+			this.writeLuaInteger(0x5678n)
+
+			this.writeLuaNumber(370.5)
+		}
+		else {
+			this.writeByte(this.isLittleEndian ? 1 : 0)
+
+			this.writeByte(this.intSize)
+
+			this.writeByte(this.sizeTSize)
+
+			this.writeByte(this.instSize)
+
+			this.writeByte(this.luaNumSize)
+
+			this.writeByte(this.luaNumIsInt ? 1 : 0)
+
+			if (this.version >= 0x52) {
+				this.writeBytes(LUAC_TAIL)
+			}
+		}
+	}
+
+	writeVarUInt(value) {
+		// most significant group first, the last byte is marked with the high bit
+		const groups = [value % 128]
+		value = Math.floor(value / 128)
+
+		while (value > 0) {
+			groups.unshift(value % 128)
+			value = Math.floor(value / 128)
+		}
+
+		groups[groups.length - 1] |= 0x80
+
+		this.writeBytes(groups)
+	}
+
+	writeLuaInt(value) {
+		if (this.version >= 0x54) {
+			return this.writeVarUInt(value)
+		}
+
+		this.writeFixedInt(this.intSize, value, true)
+	}
+	writeLuaUInt(value) {
+		if (this.version >= 0x54) {
+			return this.writeVarUInt(value)
+		}
+
+		this.writeFixedInt(this.intSize, value, false)
+	}
+
+	writeLuaSizeT(value) {
+		if (this.version >= 0x54) {
+			return this.writeVarUInt(value)
+		}
+
+		this.writeFixedInt(this.sizeTSize, value, false)
+	}
+
+	writeLuaNumber(value) {
+		if (this.luaNumIsInt) {
+			if (!Number.isInteger(value)) {
+				throw new LuaCFormatError(`${value} can't be stored in an integral lua number`)
+			}
+
+			return this.writeFixedInt(this.luaNumSize, value, true)
+		}
+
+		const view = new DataView(new ArrayBuffer(this.luaNumSize))
+		switch (this.luaNumSize) {
+			case 4:
+				if (Math.fround(value) !== value && !Number.isNaN(value)) {
+					throw new LuaCFormatError(`${value} can't be stored in a 4 byte lua number`)
+				}
+
+				view.setFloat32(0, value, this.isLittleEndian)
+				break
+			case 8:
+				view.setFloat64(0, value, this.isLittleEndian)
+				break
+			default:
+				throw new LuaCFormatError(`unsupported lua number size: ${this.luaNumSize}`)
+		}
+
+		this.writeBytes(new Uint8Array(view.buffer))
+	}
+
+	writeLuaInteger(value) {
+		this.writeFixedInt(this.luaIntSize, value, true)
+	}
+
+	writeLuaString(bytes) {
+		if (typeof bytes === "string") {
+			bytes = Uint8Array.from(bytes, (char) => char.charCodeAt(0))
+		}
+
+		if (bytes === null) {
+			if (this.version === 0x53) {
+				return this.writeByte(0)
+			}
+
+			return this.writeLuaSizeT(0)
+		}
+
+		const size = bytes.length + 1
+
+		if (this.version === 0x53) {
+			if (size < 0xFF) {
+				this.writeByte(size)
+			}
+			else {
+				this.writeByte(0xFF)
+				this.writeLuaSizeT(size)
+			}
+		}
+		else {
+			this.writeLuaSizeT(size)
+		}
+
+		this.writeBytes(bytes)
+
+		// strings are zero terminated before lua 5.3
+		if (this.version < 0x53) {
+			this.writeByte(0)
+		}
+	}
+
+	writeInstructions(insts) {
+		if (this.instSize !== 4) {
+			throw new LuaCFormatError(`unsupported instruction size: ${this.instSize}`)
+		}
+
+		this.writeLuaUInt(insts.length)
+
+		for (const inst of insts) {
+			this.writeFixedInt(4, inst, false)
+		}
+	}
+
+	writeConstants(constants) {
+		this.writeLuaUInt(constants.length)
+
+		for (const constant of constants) {
+			if (this.version >= 0x54) {
+				this.writeConstant54(constant)
+				continue
+			}
+
+			switch (constant.type) {
+				case "nil":
+					this.writeByte(0)
+					break
+				case "boolean":
+					this.writeByte(1)
+					this.writeByte(constant.value ? 1 : 0)
+					break
+				case "number":
+					if (this.version >= 0x53 && constant.subtype === "integer") {
+						this.writeByte(19)
+						this.writeLuaInteger(constant.integer)
+					}
+					else {
+						this.writeByte(3)
+						this.writeLuaNumber(constant.value)
+					}
+					break
+				case "string":
+					// lua 5.3 tags strings longer than LUAI_MAXSHORTLEN as long strings
+					this.writeByte(this.version >= 0x53 && constant.value.length > 40 ? 20 : 4)
+					this.writeLuaString(constant.value)
+					break
+				default:
+					throw new LuaCFormatError(`unsupported constant type: ${constant.type}`)
+			}
+		}
+	}
+
+	writeConstant54(constant) {
+		switch (constant.type) {
+			case "nil":
+				this.writeByte(0)
+				break
+			case "boolean":
+				this.writeByte(constant.value ? 17 : 1)
+				break
+			case "number":
+				if (constant.subtype === "integer") {
+					this.writeByte(3)
+					this.writeLuaInteger(constant.integer)
+				}
+				else {
+					this.writeByte(19)
+					this.writeLuaNumber(constant.value)
+				}
+				break
+			case "string":
+				this.writeByte(constant.value.length > 40 ? 20 : 4)
+				this.writeLuaString(constant.value)
+				break
+			default:
+				throw new LuaCFormatError(`unsupported constant type: ${constant.type}`)
+		}
+	}
+
+	writeNestedProtos(nestedProtos, source) {
+		this.writeLuaUInt(nestedProtos.length)
+
+		for (const nestedProto of nestedProtos) {
+			this.writePrototype(nestedProto, source)
+		}
+	}
+
+	writeUpValueDescs(upValues) {
+		this.writeLuaUInt(upValues.length)
+
+		for (const upValue of upValues) {
+			this.writeByte(upValue.inStack ? 1 : 0)
+			this.writeByte(upValue.index)
+
+			if (this.version >= 0x54) {
+				this.writeByte(upValue.kind ?? 0)
+			}
+		}
+	}
+
+	writeLineInfo(lineInfo) {
+		if (this.strip) {
+			return this.writeLuaUInt(0)
+		}
+
+		this.writeLuaUInt(lineInfo.length)
+
+		for (const line of lineInfo) {
+			this.writeLuaUInt(line)
+		}
+	}
+
+	writeLineInfo54(lineInfo, lineDefined) {
+		if (this.strip) {
+			this.writeLuaUInt(0)
+			this.writeLuaUInt(0)
+			return
+		}
+
+		// same encoding as luaK_savelineinfo, absolute lines are forced at least every MAXIWTHABS instructions
+		const ABSLINEINFO = -0x80
+		const LIMLINEDIFF = 0x80
+		const MAXIWTHABS = 128
+
+		const deltas = new Int8Array(lineInfo.length)
+		const absLineInfo = []
+
+		let previousLine = lineDefined
+		let instsWithoutAbs = 0
+		for (let pc = 0; pc < lineInfo.length; pc ++) {
+			const line = lineInfo[pc]
+			const delta = line - previousLine
+
+			if (Math.abs(delta) >= LIMLINEDIFF || instsWithoutAbs ++ >= MAXIWTHABS) {
+				absLineInfo.push([pc, line])
+
+				deltas[pc] = ABSLINEINFO
+				instsWithoutAbs = 1
+			}
+			else {
+				deltas[pc] = delta
+			}
+
+			previousLine = line
+		}
+
+		this.writeLuaUInt(deltas.length)
+		this.writeBytes(new Uint8Array(deltas.buffer))
+
+		this.writeLuaUInt(absLineInfo.length)
+		for (const [pc, line] of absLineInfo) {
+			this.writeLuaUInt(pc)
+			this.writeLuaUInt(line)
+		}
+	}
+
+	writeLocals(locals) {
+		if (this.strip) {
+			return this.writeLuaUInt(0)
+		}
+
+		this.writeLuaUInt(locals.length)
+
+		for (const local of locals) {
+			this.writeLuaString(local.name)
+			this.writeLuaUInt(local.startPc)
+			this.writeLuaUInt(local.endPc)
+		}
+	}
+
+	writeUpValueNames(upValueNames) {
+		if (this.strip) {
+			return this.writeLuaUInt(0)
+		}
+
+		this.writeLuaUInt(upValueNames.length)
+
+		for (const name of upValueNames) {
+			this.writeLuaString(name)
+		}
+	}
+
+	writePrototype(proto, parentSource) {
+		if (proto.version !== this.version) {
+			throw new LuaCFormatError("can't mix lua versions in one chunk")
+		}
+
+		switch (this.version) {
+			case 0x51: return this.writePrototype51(proto, parentSource)
+			case 0x52: return this.writePrototype52(proto)
+			case 0x53: return this.writePrototype53(proto, parentSource)
+			case 0x54: return this.writePrototype54(proto, parentSource)
+		}
+	}
+
+	writeSource(proto, parentSource) {
+		if (this.strip || proto.source === parentSource) {
+			return this.writeLuaString(null)
+		}
+
+		this.writeLuaString(proto.source)
+	}
+
+	writePrototype51(proto, parentSource) {
+		this.writeSource(proto, parentSource)
+
+		this.writeLuaInt(proto.lineDefined)
+		this.writeLuaInt(proto.lastLineDefined)
+
+		this.writeByte(proto.upValueCount)
+
+		this.writeByte(proto.paramCount)
+
+		this.writeByte(proto.varArgFlags ?? (proto.isVarArg ? 2 : 0))
+
+		this.writeByte(proto.maxStackSize)
+
+		this.writeInstructions(proto.insts)
+
+		this.writeConstants(proto.constants)
+
+		this.writeNestedProtos(proto.nestedProtos, proto.source)
+
+		this.writeLineInfo(proto.lineInfo)
+
+		this.writeLocals(proto.locals)
+
+		this.writeUpValueNames(proto.upValueNames)
+	}
+
+	writePrototype52(proto) {
+		this.writeLuaInt(proto.lineDefined)
+		this.writeLuaInt(proto.lastLineDefined)
+
+		this.writeByte(proto.paramCount)
+
+		this.writeByte(proto.isVarArg ? 1 : 0)
+
+		this.writeByte(proto.maxStackSize)
+
+		this.writeInstructions(proto.insts)
+
+		this.writeConstants(proto.constants)
+
+		this.writeNestedProtos(proto.nestedProtos, null)
+
+		this.writeUpValueDescs(proto.upValues)
+
+		// lua 5.2 dumps the source of every function
+		this.writeLuaString(this.strip ? null : proto.source)
+
+		this.writeLineInfo(proto.lineInfo)
+
+		this.writeLocals(proto.locals)
+
+		this.writeUpValueNames(proto.upValueNames)
+	}
+
+	writePrototype53(proto, parentSource) {
+		this.writeSource(proto, parentSource)
+
+		this.writeLuaInt(proto.lineDefined)
+		this.writeLuaInt(proto.lastLineDefined)
+
+		this.writeByte(proto.paramCount)
+
+		this.writeByte(proto.isVarArg ? 1 : 0)
+
+		this.writeByte(proto.maxStackSize)
+
+		this.writeInstructions(proto.insts)
+
+		this.writeConstants(proto.constants)
+
+		this.writeUpValueDescs(proto.upValues)
+
+		this.writeNestedProtos(proto.nestedProtos, proto.source)
+
+		this.writeLineInfo(proto.lineInfo)
+
+		this.writeLocals(proto.locals)
+
+		this.writeUpValueNames(proto.upValueNames)
+	}
+
+	writePrototype54(proto, parentSource) {
+		this.writeSource(proto, parentSource)
+
+		this.writeLuaInt(proto.lineDefined)
+		this.writeLuaInt(proto.lastLineDefined)
+
+		this.writeByte(proto.paramCount)
+
+		this.writeByte(proto.isVarArg ? 1 : 0)
+
+		this.writeByte(proto.maxStackSize)
+
+		this.writeInstructions(proto.insts)
+
+		this.writeConstants(proto.constants)
+
+		this.writeUpValueDescs(proto.upValues)
+
+		this.writeNestedProtos(proto.nestedProtos, proto.source)
+
+		this.writeLineInfo54(proto.lineInfo, proto.lineDefined)
+
+		this.writeLocals(proto.locals)
+
+		this.writeUpValueNames(proto.upValueNames)
+	}
+}
+
+function freezePrototype(proto) {
+	for (const nestedProto of proto.nestedProtos) {
+		freezePrototype(nestedProto)
+	}
+
+	Object.freeze(proto.nestedProtos)
+	Object.freeze(proto.constants)
+	if (proto.gcConstants) {
+		Object.freeze(proto.gcConstants)
+	}
+	proto.locals.forEach((local) => Object.freeze(local))
+	Object.freeze(proto.locals)
+	Object.freeze(proto.lineInfo)
+	Object.freeze(proto.upValueNames)
+
+	if (proto.upValues) {
+		proto.upValues.forEach((upValue) => Object.freeze(upValue))
+		Object.freeze(proto.upValues)
+	}
+	Object.freeze(proto.insts)
+
+	return Object.freeze(proto)
+}
+
+function loadChunk(data) {
+	if (data instanceof ArrayBuffer) {
+		data = new Uint8Array(data)
+	}
+
+	if (!(data instanceof Uint8Array)) {
+		throw new LuaCFormatError("invalid luac file, expected a byte array")
+	}
+
+	// luajit dumps share the escape byte but continue with "LJ" instead of "Lua"
+	const isLuaJIT = LUAJIT_SIGNATURE.every((byte, i) => data[i] === byte)
+
+	const reader = isLuaJIT ? new LuaJITChunkReader(data) : new ChunkReader(data)
+
+	const header = Object.freeze(reader.readHeader())
+
+	let mainProto
+	if (isLuaJIT) {
+		mainProto = freezePrototype(reader.readPrototypes())
+	}
+	else {
+		if (header.version >= 0x53) {
+			// the main function's upvalue count, dumped ahead of the function itself
+			reader.readByte()
+		}
+		mainProto = freezePrototype(reader.readPrototype(null))
+	}
+
+	return Object.freeze({
+		header,
+		mainProto
+	})
+}
+
+function dumpChunk(chunk, options = {}) {
+	if (chunk instanceof Uint8Array || chunk instanceof ArrayBuffer) {
+		chunk = loadChunk(chunk)
+	}
+
+	if (chunk.header.format === "luajit") {
+		throw new LuaCFormatError("can't dump luajit chunks")
+	}
+
+	// the chunk's own layout is kept for anything that isn't overridden
+	const { strip = false, ...layout } = options
+	const header = { ...chunk.header, ...layout }
+
+	if (header.version >= 0x53 && header.luaNumIsInt) {
+		throw new LuaCFormatError("integral lua numbers are only supported before lua 5.3")
+	}
+
+	const writer = new ChunkWriter(header, strip)
+
+	writer.writeHeader()
+
+	if (header.version >= 0x53) {
+		writer.writeByte(chunk.mainProto.upValues.length)
+	}
+
+	writer.writePrototype(chunk.mainProto, null)
+
+	return writer.toBytes()
+}
+
+function decodeInst(version, inst) {
+	if (version >= 0x54) {
+		return decodeInst54(version, inst)
+	}
+
+	const opcode = inst & 0x3F
+
+	const A = (inst >>> 6) & 0xFF
+	const C = (inst >>> 14) & 0x1FF
+	const B = (inst >>> 23) & 0x1FF
+
+	const Bx = inst >>> 14
+	const sBx = Bx - 131071
+
+	const Ax = inst >>> 6
+
+	return {
+		opcode,
+		name: LUA_OPCODES[version][opcode],
+
+		A,
+		B,
+		C,
+
+		Bx,
+		sBx,
+
+		Ax
+	}
+}
+
+function decodeInst54(version, inst) {
+	const opcode = inst & 0x7F
+
+	const A = (inst >>> 7) & 0xFF
+	const k = (inst >>> 15) & 0x1
+	const B = (inst >>> 16) & 0xFF
+	const C = (inst >>> 24) & 0xFF
+
+	const Bx = inst >>> 15
+	const sBx = Bx - 65535
+
+	const Ax = inst >>> 7
+	const sJ = Ax - 16777215
+
+	return {
+		opcode,
+		name: LUA_OPCODES[version][opcode],
+
+		A,
+		B,
+		C,
+		k,
+
+		sB: B - 127,
+		sC: C - 127,
+
+		Bx,
+		sBx,
+
+		Ax,
+		sJ
+	}
+}
+
+function decodeLuaJITInst(version, inst) {
+	const opcode = inst & 0xFF
+
+	const A = (inst >>> 8) & 0xFF
+	const C = (inst >>> 16) & 0xFF
+	const B = inst >>> 24
+
+	const D = inst >>> 16
+
+	return {
+		opcode,
+		name: LUAJIT_OPCODES[version][opcode],
+
+		A,
+		B,
+		C,
+		D
+	}
+}
+
+// operand modes from each version's lopcodes.c, they decide which operands luac prints
+const LUA_OPMODES = {
+	[0x51]: {
+		MOVE: ["iABC", "R", "N"],
+		LOADK: ["iABx", "K", "N"],
+		LOADBOOL: ["iABC", "U", "U"],
+		LOADNIL: ["iABC", "R", "N"],
+		GETUPVAL: ["iABC", "U", "N"],
+		GETGLOBAL: ["iABx", "K", "N"],
+		GETTABLE: ["iABC", "R", "K"],
+		SETGLOBAL: ["iABx", "K", "N"],
+		SETUPVAL: ["iABC", "U", "N"],
+		SETTABLE: ["iABC", "K", "K"],
+		NEWTABLE: ["iABC", "U", "U"],
+		SELF: ["iABC", "R", "K"],
+		ADD: ["iABC", "K", "K"],
+		SUB: ["iABC", "K", "K"],
+		MUL: ["iABC", "K", "K"],
+		DIV: ["iABC", "K", "K"],
+		MOD: ["iABC", "K", "K"],
+		POW: ["iABC", "K", "K"],
+		UNM: ["iABC", "R", "N"],
+		NOT: ["iABC", "R", "N"],
+		LEN: ["iABC", "R", "N"],
+		CONCAT: ["iABC", "R", "R"],
+		JMP: ["iAsBx", "R", "N"],
+		EQ: ["iABC", "K", "K"],
+		LT: ["iABC", "K", "K"],
+		LE: ["iABC", "K", "K"],
+		TEST: ["iABC", "R", "U"],
+		TESTSET: ["iABC", "R", "U"],
+		CALL: ["iABC", "U", "U"],
+		TAILCALL: ["iABC", "U", "U"],
+		RETURN: ["iABC", "U", "N"],
+		FORLOOP: ["iAsBx", "R", "N"],
+		FORPREP: ["iAsBx", "R", "N"],
+		TFORLOOP: ["iABC", "N", "U"],
+		SETLIST: ["iABC", "U", "U"],
+		CLOSE: ["iABC", "N", "N"],
+		CLOSURE: ["iABx", "U", "N"],
+		VARARG: ["iABC", "U", "N"]
+	},
+	[0x52]: {
+		MOVE: ["iABC", "R", "N"],
+		LOADK: ["iABx", "K", "N"],
+		LOADKX: ["iABx", "N", "N"],
+		LOADBOOL: ["iABC", "U", "U"],
+		LOADNIL: ["iABC", "U", "N"],
+		GETUPVAL: ["iABC", "U", "N"],
+		GETTABUP: ["iABC", "U", "K"],
+		GETTABLE: ["iABC", "R", "K"],
+		SETTABUP: ["iABC", "K", "K"],
+		SETUPVAL: ["iABC", "U", "N"],
+		SETTABLE: ["iABC", "K", "K"],
+		NEWTABLE: ["iABC", "U", "U"],
+		SELF: ["iABC", "R", "K"],
+		ADD: ["iABC", "K", "K"],
+		SUB: ["iABC", "K", "K"],
+		MUL: ["iABC", "K", "K"],
+		DIV: ["iABC", "K", "K"],
+		MOD: ["iABC", "K", "K"],
+		POW: ["iABC", "K", "K"],
+		UNM: ["iABC", "R", "N"],
+		NOT: ["iABC", "R", "N"],
+		LEN: ["iABC", "R", "N"],
+		CONCAT: ["iABC", "R", "R"],
+		JMP: ["iAsBx", "R", "N"],
+		EQ: ["iABC", "K", "K"],
+		LT: ["iABC", "K", "K"],
+		LE: ["iABC", "K", "K"],
+		TEST: ["iABC", "N", "U"],
+		TESTSET: ["iABC", "R", "U"],
+		CALL: ["iABC", "U", "U"],
+		TAILCALL: ["iABC", "U", "U"],
+		RETURN: ["iABC", "U", "N"],
+		FORLOOP: ["iAsBx", "R", "N"],
+		FORPREP: ["iAsBx", "R", "N"],
+		TFORCALL: ["iABC", "N", "U"],
+		TFORLOOP: ["iAsBx", "R", "N"],
+		SETLIST: ["iABC", "U", "U"],
+		CLOSURE: ["iABx", "U", "N"],
+		VARARG: ["iABC", "U", "N"],
+		EXTRAARG: ["iAx", "U", "U"]
+	},
+	[0x53]: {
+		MOVE: ["iABC", "R", "N"],
+		LOADK: ["iABx", "K", "N"],
+		LOADKX: ["iABx", "N", "N"],
+		LOADBOOL: ["iABC", "U", "U"],
+		LOADNIL: ["iABC", "U", "N"],
+		GETUPVAL: ["iABC", "U", "N"],
+		GETTABUP: ["iABC", "U", "K"],
+		GETTABLE: ["iABC", "R", "K"],
+		SETTABUP: ["iABC", "K", "K"],
+		SETUPVAL: ["iABC", "U", "N"],
+		SETTABLE: ["iABC", "K", "K"],
+		NEWTABLE: ["iABC", "U", "U"],
+		SELF: ["iABC", "R", "K"],
+		ADD: ["iABC", "K", "K"],
+		SUB: ["iABC", "K", "K"],
+		MUL: ["iABC", "K", "K"],
+		MOD: ["iABC", "K", "K"],
+		POW: ["iABC", "K", "K"],
+		DIV: ["iABC", "K", "K"],
+		IDIV: ["iABC", "K", "K"],
+		BAND: ["iABC", "K", "K"],
+		BOR: ["iABC", "K", "K"],
+		BXOR: ["iABC", "K", "K"],
+		SHL: ["iABC", "K", "K"],
+		SHR: ["iABC", "K", "K"],
+		UNM: ["iABC", "R", "N"],
+		BNOT: ["iABC", "R", "N"],
+		NOT: ["iABC", "R", "N"],
+		LEN: ["iABC", "R", "N"],
+		CONCAT: ["iABC", "R", "R"],
+		JMP: ["iAsBx", "R", "N"],
+		EQ: ["iABC", "K", "K"],
+		LT: ["iABC", "K", "K"],
+		LE: ["iABC", "K", "K"],
+		TEST: ["iABC", "N", "U"],
+		TESTSET: ["iABC", "R", "U"],
+		CALL: ["iABC", "U", "U"],
+		TAILCALL: ["iABC", "U", "U"],
+		RETURN: ["iABC", "U", "N"],
+		FORLOOP: ["iAsBx", "R", "N"],
+		FORPREP: ["iAsBx", "R", "N"],
+		TFORCALL: ["iABC", "N", "U"],
+		TFORLOOP: ["iAsBx", "R", "N"],
+		SETLIST: ["iABC", "U", "U"],
+		CLOSURE: ["iABx", "U", "N"],
+		VARARG: ["iABC", "U", "N"],
+		EXTRAARG: ["iAx", "U", "U"]
+	}
+}
+
+// metamethod names indexed by the C operand of lua 5.4's MMBIN instructions
+const LUA_TM_NAMES = [
+	"__index", "__newindex", "__gc", "__mode", "__len", "__eq",
+	"__add", "__sub", "__mul", "__mod", "__pow", "__div", "__idiv",
+	"__band", "__bor", "__bxor", "__shl", "__shr",
+	"__unm", "__bnot", "__lt", "__le", "__concat", "__call", "__close"
+]
+
+function quoteString(bytes) {
+	let out = "\""
+
+	for (const byte of bytes) {
+		switch (byte) {
+			case 0x22: out += "\\\""; break
+			case 0x5C: out += "\\\\"; break
+			case 0x07: out += "\\a"; break
+			case 0x08: out += "\\b"; break
+			case 0x0C: out += "\\f"; break
+			case 0x0A: out += "\\n"; break
+			case 0x0D: out += "\\r"; break
+			case 0x09: out += "\\t"; break
+			case 0x0B: out += "\\v"; break
+			default:
+				if (byte >= 0x20 && byte < 0x7F) {
+					out += String.fromCharCode(byte)
+				}
+				else {
+					out += `\\${String(byte).padStart(3, "0")}`
+				}
+		}
+	}
+
+	return out + "\""
+}
+
+function formatConstant(constant) {
+	switch (constant.type) {
+		case "nil": return "nil"
+		case "boolean": return constant.value ? "true" : "false"
+		case "number": return constant.print(null)
+		case "string": return quoteString(constant.value)
+	}
+}
+
+function constantTypeTag(constant) {
+	switch (constant.type) {
+		case "nil": return "N"
+		case "boolean": return "B"
+		case "number": return constant.subtype === "integer" ? "I" : "F"
+		case "string": return "S"
+	}
+}
+
+class Disassembler {
+	constructor(mainProto) {
+		this.mainProto = mainProto
+
+		// luac prints real pointers, these stay stable so listings can be diffed
+		this.addresses = new Map()
+		this.assignAddresses(mainProto)
+
+		this.out = ""
+	}
+
+	assignAddresses(proto) {
+		this.addresses.set(proto, `0x${(this.addresses.size + 1).toString(16).padStart(7, "0")}`)
+
+		for (const nestedProto of proto.nestedProtos) {
+			this.assignAddresses(nestedProto)
+		}
+	}
+
+	write(text) {
+		this.out += text
+	}
+
+	upValueName(proto, index) {
+		return proto.upValueNames[index] ?? "-"
+	}
+
+	lineOf(proto, pc) {
+		const line = proto.lineInfo[pc]
+
+		return line > 0 ? `[${line}]` : "[-]"
+	}
+
+	printFunction(proto) {
+		this.printHeader(proto)
+
+		if (proto.version >= 0x54) {
+			this.printCode54(proto)
+		}
+		else {
+			this.printCode(proto)
+		}
+
+		this.printDebug(proto)
+
+		for (const nestedProto of proto.nestedProtos) {
+			this.printFunction(nestedProto)
+		}
+	}
+
+	printHeader(proto) {
+		const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`
+
+		const address = this.addresses.get(proto)
+		const kind = proto.lineDefined === 0 ? "main" : "function"
+		const source = `${proto.fileName ?? "?"}:${proto.lineDefined},${proto.lastLineDefined}`
+
+		// lua 5.1 also prints the size of the code in bytes
+		let size = `${plural(proto.insts.length, "instruction")} at ${address}`
+		if (proto.version === 0x51) {
+			size = `${plural(proto.insts.length, "instruction")}, ${proto.insts.length * 4} bytes at ${address}`
+		}
+
+		this.write(`\n${kind} <${source}> (${size})\n`)
+
+		this.write(`${proto.paramCount}${proto.isVarArg ? "+" : ""} param${proto.paramCount === 1 ? "" : "s"}, `)
+		this.write(`${plural(proto.maxStackSize, "slot")}, ${plural(proto.upValueCount, "upvalue")}, `)
+		this.write(`${plural(proto.locals.length, "local")}, ${plural(proto.constants.length, "constant")}, ${plural(proto.nestedProtos.length, "function")}\n`)
+	}
+
+	printCode(proto) {
+		const BITRK = 1 << 8
+
+		const isK = (x) => (x & BITRK) !== 0
+		const indexK = (x) => x & ~BITRK
+		const RK = (x) => isK(x) ? -1 - indexK(x) : x
+		const K = (x) => formatConstant(proto.constants[x])
+
+		const opModes = LUA_OPMODES[proto.version]
+
+		for (let pc = 0; pc < proto.insts.length; pc ++) {
+			const inst = decodeInst(proto.version, proto.insts[pc])
+
+			const { name, A, B, C, Bx, sBx, Ax } = inst
+			const [mode, bMode, cMode] = opModes[name]
+
+			let operands
+			switch (mode) {
+				case "iABC": {
+					operands = `${A}`
+					if (bMode !== "N") {
+						operands += ` ${RK(B)}`
+					}
+					if (cMode !== "N") {
+						operands += ` ${RK(C)}`
+					}
+					break
+				}
+				case "iABx": {
+					if (proto.version === 0x51) {
+						operands = `${A} ${bMode === "K" ? -1 - Bx : Bx}`
+						break
+					}
+
+					operands = `${A}`
+					if (bMode === "K") {
+						operands += ` ${-1 - Bx}`
+					}
+					else if (bMode === "U") {
+						operands += ` ${Bx}`
+					}
+					break
+				}
+				case "iAsBx": {
+					// lua 5.1 jumps have no A operand
+					if (proto.version === 0x51 && name === "JMP") {
+						operands = `${sBx}`
+					}
+					else {
+						operands = `${A} ${sBx}`
+					}
+					break
+				}
+				case "iAx": {
+					operands = `${-1 - Ax}`
+					break
+				}
+			}
+
+			let comment = null
+			switch (name) {
+				case "LOADK": {
+					comment = K(Bx)
+					break
+				}
+				case "GETUPVAL":
+				case "SETUPVAL": {
+					comment = this.upValueName(proto, B)
+					break
+				}
+				case "GETGLOBAL":
+				case "SETGLOBAL": {
+					comment = unwrap(proto.constants[Bx])
+					break
+				}
+				case "GETTABUP": {
+					comment = this.upValueName(proto, B)
+					if (isK(C)) {
+						comment += ` ${K(indexK(C))}`
+					}
+					break
+				}
+				case "SETTABUP": {
+					comment = this.upValueName(proto, A)
+					if (isK(B)) {
+						comment += ` ${K(indexK(B))}`
+					}
+					if (isK(C)) {
+						comment += ` ${K(indexK(C))}`
+					}
+					break
+				}
+				case "GETTABLE":
+				case "SELF": {
+					if (isK(C)) {
+						comment = K(indexK(C))
+					}
+					break
+				}
+				case "MOD":
+				case "IDIV":
+				case "BAND":
+				case "BOR":
+				case "BXOR":
+				case "SHL":
+				case "SHR":
+				case "SETTABLE":
+				case "ADD":
+				case "SUB":
+				case "MUL":
+				case "DIV":
+				case "POW":
+				case "EQ":
+				case "LT":
+				case "LE": {
+					// luac only learned to annotate MOD in lua 5.3
+					if (name === "MOD" && proto.version < 0x53) {
+						break
+					}
+
+					if (isK(B) || isK(C)) {
+						comment = `${isK(B) ? K(indexK(B)) : "-"} ${isK(C) ? K(indexK(C)) : "-"}`
+					}
+					break
+				}
+				case "JMP":
+				case "FORLOOP":
+				case "FORPREP":
+				case "TFORLOOP": {
+					if (name === "TFORLOOP" && proto.version === 0x51) {
+						break
+					}
+
+					comment = `to ${sBx + pc + 2}`
+					break
+				}
+				case "CLOSURE": {
+					comment = this.addresses.get(proto.nestedProtos[Bx])
+					break
+				}
+				case "SETLIST": {
+					// a zero C keeps the real value in the next instruction
+					if (C === 0) {
+						comment = `${proto.insts[++ pc] | 0}`
+					}
+					else {
+						comment = `${C}`
+					}
+					break
+				}
+				case "EXTRAARG": {
+					comment = K(Ax)
+					break
+				}
+			}
+
+			this.printInstruction(proto, pc, name, operands, comment)
+		}
+	}
+
+	printCode54(proto) {
+		const extraArg = (pc) => decodeInst(proto.version, proto.insts[pc + 1]).Ax
+		const K = (x) => formatConstant(proto.constants[x])
+
+		for (let pc = 0; pc < proto.insts.length; pc ++) {
+			const inst = decodeInst(proto.version, proto.insts[pc])
+
+			const { name, A, B, C, k, sB, sC, Bx, sBx, Ax, sJ } = inst
+			const isK = k ? "k" : ""
+
+			let operands
+			let comment = null
+
+			switch (name) {
+				case "MOVE":
+				case "UNM":
+				case "BNOT":
+				case "NOT":
+				case "LEN":
+				case "CONCAT": {
+					operands = `${A} ${B}`
+					break
+				}
+				case "LOADI":
+				case "LOADF": {
+					operands = `${A} ${sBx}`
+					break
+				}
+				case "LOADK": {
+					operands = `${A} ${Bx}`
+					comment = K(Bx)
+					break
+				}
+				case "LOADKX": {
+					operands = `${A}`
+					comment = K(extraArg(pc))
+					break
+				}
+				case "LOADFALSE":
+				case "LFALSESKIP":
+				case "LOADTRUE":
+				case "CLOSE":
+				case "TBC":
+				case "RETURN1":
+				case "VARARGPREP": {
+					operands = `${A}`
+					break
+				}
+				case "LOADNIL": {
+					operands = `${A} ${B}`
+					comment = `${B + 1} out`
+					break
+				}
+				case "GETUPVAL":
+				case "SETUPVAL": {
+					operands = `${A} ${B}`
+					comment = this.upValueName(proto, B)
+					break
+				}
+				case "GETTABUP": {
+					operands = `${A} ${B} ${C}`
+					comment = `${this.upValueName(proto, B)} ${K(C)}`
+					break
+				}
+				case "GETTABLE":
+				case "GETI":
+				case "ADD":
+				case "SUB":
+				case "MUL":
+				case "MOD":
+				case "POW":
+				case "DIV":
+				case "IDIV":
+				case "BAND":
+				case "BOR":
+				case "BXOR":
+				case "SHL":
+				case "SHR": {
+					operands = `${A} ${B} ${C}`
+					break
+				}
+				case "GETFIELD":
+				case "ADDK":
+				case "SUBK":
+				case "MULK":
+				case "MODK":
+				case "POWK":
+				case "DIVK":
+				case "IDIVK":
+				case "BANDK":
+				case "BORK":
+				case "BXORK": {
+					operands = `${A} ${B} ${C}`
+					comment = K(C)
+					break
+				}
+				case "SETTABUP": {
+					operands = `${A} ${B} ${C}${isK}`
+					comment = `${this.upValueName(proto, A)} ${K(B)}`
+					if (k) {
+						comment += ` ${K(C)}`
+					}
+					break
+				}
+				case "SETTABLE":
+				case "SETI":
+				case "SELF": {
+					operands = `${A} ${B} ${C}${isK}`
+					if (k) {
+						comment = K(C)
+					}
+					break
+				}
+				case "SETFIELD": {
+					operands = `${A} ${B} ${C}${isK}`
+					comment = K(B)
+					if (k) {
+						comment += ` ${K(C)}`
+					}
+					break
+				}
+				case "NEWTABLE": {
+					operands = `${A} ${B} ${C}`
+					comment = `${C + extraArg(pc) * (0xFF + 1)}`
+					break
+				}
+				case "ADDI":
+				case "SHRI":
+				case "SHLI": {
+					operands = `${A} ${B} ${sC}`
+					break
+				}
+				case "MMBIN": {
+					operands = `${A} ${B} ${C}`
+					comment = LUA_TM_NAMES[C]
+					break
+				}
+				case "MMBINI": {
+					operands = `${A} ${sB} ${C} ${k}`
+					comment = LUA_TM_NAMES[C] + (k ? " flip" : "")
+					break
+				}
+				case "MMBINK": {
+					operands = `${A} ${B} ${C} ${k}`
+					comment = `${LUA_TM_NAMES[C]} ${K(B)}` + (k ? " flip" : "")
+					break
+				}
+				case "JMP": {
+					operands = `${sJ}`
+					comment = `to ${sJ + pc + 2}`
+					break
+				}
+				case "EQ":
+				case "LT":
+				case "LE":
+				case "TESTSET": {
+					operands = `${A} ${B} ${k}`
+					break
+				}
+				case "EQK": {
+					operands = `${A} ${B} ${k}`
+					comment = K(B)
+					break
+				}
+				case "EQI":
+				case "LTI":
+				case "LEI":
+				case "GTI":
+				case "GEI": {
+					operands = `${A} ${sB} ${k}`
+					break
+				}
+				case "TEST": {
+					operands = `${A} ${k}`
+					break
+				}
+				case "CALL": {
+					operands = `${A} ${B} ${C}`
+					comment = `${B === 0 ? "all" : B - 1} in ${C === 0 ? "all" : C - 1} out`
+					break
+				}
+				case "TAILCALL": {
+					operands = `${A} ${B} ${C}${isK}`
+					comment = `${B - 1} in`
+					break
+				}
+				case "RETURN": {
+					operands = `${A} ${B} ${C}${isK}`
+					comment = `${B === 0 ? "all" : B - 1} out`
+					break
+				}
+				case "RETURN0": {
+					operands = ""
+					break
+				}
+				case "FORLOOP":
+				case "TFORLOOP": {
+					operands = `${A} ${Bx}`
+					comment = `to ${pc - Bx + 2}`
+					break
+				}
+				case "FORPREP": {
+					operands = `${A} ${Bx}`
+					comment = `exit to ${pc + Bx + 3}`
+					break
+				}
+				case "TFORPREP": {
+					operands = `${A} ${Bx}`
+					comment = `to ${pc + Bx + 2}`
+					break
+				}
+				case "TFORCALL": {
+					operands = `${A} ${C}`
+					break
+				}
+				case "SETLIST": {
+					operands = `${A} ${B} ${C}`
+					if (k) {
+						comment = `${C + extraArg(pc) * (0xFF + 1)}`
+					}
+					break
+				}
+				case "CLOSURE": {
+					operands = `${A} ${Bx}`
+					comment = this.addresses.get(proto.nestedProtos[Bx])
+					break
+				}
+				case "VARARG": {
+					operands = `${A} ${C}`
+					comment = `${C === 0 ? "all" : C - 1} out`
+					break
+				}
+				case "EXTRAARG": {
+					operands = `${Ax}`
+					break
+				}
+			}
+
+			this.printInstruction(proto, pc, name, operands, comment)
+		}
+	}
+
+	printInstruction(proto, pc, name, operands, comment) {
+		this.write(`\t${pc + 1}\t${this.lineOf(proto, pc)}\t${name.padEnd(9)}\t${operands}`)
+
+		if (comment !== null) {
+			this.write(`\t; ${comment}`)
+		}
+
+		this.write("\n")
+	}
+
+	printDebug(proto) {
+		const address = this.addresses.get(proto)
+
+		this.write(`constants (${proto.constants.length}) for ${address}:\n`)
+		proto.constants.forEach((constant, i) => {
+			// lua 5.4 numbers constants from 0 and tags their types
+			if (proto.version >= 0x54) {
+				this.write(`\t${i}\t${constantTypeTag(constant)}\t${formatConstant(constant)}\n`)
+			}
+			else {
+				this.write(`\t${i + 1}\t${formatConstant(constant)}\n`)
+			}
+		})
+
+		this.write(`locals (${proto.locals.length}) for ${address}:\n`)
+		proto.locals.forEach((local, i) => {
+			this.write(`\t${i}\t${local.name}\t${local.startPc + 1}\t${local.endPc + 1}\n`)
+		})
+
+		// lua 5.1 only knows upvalues by name, so stripped chunks list none
+		if (proto.upValues === null) {
+			this.write(`upvalues (${proto.upValueNames.length}) for ${address}:\n`)
+			proto.upValueNames.forEach((name, i) => {
+				this.write(`\t${i}\t${name}\n`)
+			})
+			return
+		}
+
+		this.write(`upvalues (${proto.upValues.length}) for ${address}:\n`)
+		proto.upValues.forEach((upValue, i) => {
+			this.write(`\t${i}\t${this.upValueName(proto, i)}\t${upValue.inStack ? 1 : 0}\t${upValue.index}\n`)
+		})
+	}
+}
+
+function disassemble(chunk) {
+	if (!chunk.mainProto) {
+		chunk = loadChunk(chunk)
+	}
+
+	if (chunk.mainProto.isLuaJIT) {
+		throw new LuaCFormatError("luajit bytecode can't be listed in luac's format")
+	}
+
+	const disassembler = new Disassembler(chunk.mainProto)
+	disassembler.printFunction(chunk.mainProto)
+
+	return disassembler.out
+}
+
+// instructions that never write to their A register
+const LUA_OPS_KEEPING_A = new Set([
+	"SETGLOBAL", "SETUPVAL", "SETTABUP", "SETTABLE", "SETI", "SETFIELD", "SETLIST",
+	"EQ", "LT", "LE", "EQK", "EQI", "LTI", "LEI", "GTI", "GEI", "TEST",
+	"JMP", "RETURN", "RETURN0", "RETURN1", "CLOSE", "TBC",
+	"MMBIN", "MMBINI", "MMBINK", "TFORPREP", "EXTRAARG", "VARARGPREP"
+])
+
+// the metamethod an instruction can end up calling, used to name functions called from anything but a call
+const LUA_OP_EVENTS = {
+	SELF: "index", GETTABUP: "index", GETTABLE: "index", GETI: "index", GETFIELD: "index",
+	SETTABUP: "newindex", SETTABLE: "newindex", SETI: "newindex", SETFIELD: "newindex",
+	ADD: "add", ADDK: "add", ADDI: "add", SUB: "sub", SUBK: "sub", MUL: "mul", MULK: "mul",
+	MOD: "mod", MODK: "mod", POW: "pow", POWK: "pow", DIV: "div", DIVK: "div", IDIV: "idiv", IDIVK: "idiv",
+	BAND: "band", BANDK: "band", BOR: "bor", BORK: "bor", BXOR: "bxor", BXORK: "bxor",
+	SHL: "shl", SHLI: "shl", SHR: "shr", SHRI: "shr",
+	UNM: "unm", BNOT: "bnot", LEN: "len", CONCAT: "concat",
+	EQ: "eq", EQK: "eq", EQI: "eq", LT: "lt", LTI: "lt", GTI: "lt", LE: "le", LEI: "le", GEI: "le",
+	CLOSE: "close", RETURN: "close"
+}
+
+function constantName(proto, index) {
+	const constant = proto.constants[index]
+	if (constant?.type !== "string") {
+		return "?"
+	}
+
+	return String.fromCharCode(...constant.value)
+}
+
+function findSetReg(proto, lastPc, reg) {
+	let setPc = -1
+	let jumpTarget = 0
+
+	for (let pc = 0; pc < lastPc; pc ++) {
+		const inst = decodeInst(proto.version, proto.insts[pc])
+		const { A, B } = inst
+
+		// code skipped by a forward jump might not have run
+		const candidate = pc < jumpTarget ? -1 : pc
+
+		switch (inst.name) {
+			case "LOADNIL": {
+				const last = proto.version >= 0x52 ? A + B : B
+				if (A <= reg && reg <= last) {
+					setPc = candidate
+				}
+				break
+			}
+			case "TFORCALL": {
+				if (reg >= A + 2) {
+					setPc = candidate
+				}
+				break
+			}
+			case "CALL":
+			case "TAILCALL": {
+				if (reg >= A) {
+					setPc = candidate
+				}
+				break
+			}
+			case "JMP": {
+				const dest = pc + 1 + (proto.version >= 0x54 ? inst.sJ : inst.sBx)
+				if (pc < dest && dest <= lastPc && dest > jumpTarget) {
+					jumpTarget = dest
+				}
+				break
+			}
+			default: {
+				// lua 5.1's TFORLOOP calls the iterator itself
+				if (inst.name === "TFORLOOP" && proto.version === 0x51) {
+					if (reg >= A + 3) {
+						setPc = candidate
+					}
+				}
+				else if (!LUA_OPS_KEEPING_A.has(inst.name) && reg === A) {
+					setPc = candidate
+				}
+				break
+			}
+		}
+	}
+
+	return setPc
+}
+
+function getObjName(proto, lastPc, reg) {
+	const localName = getLocalName(proto, reg, lastPc)
+	if (localName) {
+		return { name: localName, nameWhat: "local" }
+	}
+
+	const pc = findSetReg(proto, lastPc, reg)
+	if (pc === -1) {
+		return null
+	}
+
+	const inst = decodeInst(proto.version, proto.insts[pc])
+	const { A, B, C } = inst
+
+	const registerName = (register) => {
+		const obj = getObjName(proto, pc, register)
+
+		return obj?.nameWhat === "constant" ? obj.name : "?"
+	}
+	const rkName = (x) => x & 0x100 ? constantName(proto, x & 0xFF) : registerName(x)
+
+	switch (inst.name) {
+		case "MOVE": {
+			if (B < A) {
+				return getObjName(proto, pc, B)
+			}
+			break
+		}
+		case "GETGLOBAL": {
+			return { name: constantName(proto, inst.Bx), nameWhat: "global" }
+		}
+		case "GETTABUP": {
+			const name = proto.version >= 0x54 ? constantName(proto, C) : rkName(C)
+
+			return { name, nameWhat: proto.upValueNames[B] === "_ENV" ? "global" : "field" }
+		}
+		case "GETTABLE":
+		case "GETFIELD": {
+			let name
+			if (inst.name === "GETFIELD") {
+				name = constantName(proto, C)
+			}
+			else {
+				name = proto.version >= 0x54 ? registerName(C) : rkName(C)
+			}
+
+			return { name, nameWhat: getLocalName(proto, B, pc) === "_ENV" ? "global" : "field" }
+		}
+		case "GETI": {
+			return { name: "integer index", nameWhat: "field" }
+		}
+		case "GETUPVAL": {
+			return { name: proto.upValueNames[B] ?? "?", nameWhat: "upvalue" }
+		}
+		case "LOADK":
+		case "LOADKX": {
+			const index = inst.name === "LOADK" ? inst.Bx : decodeInst(proto.version, proto.insts[pc + 1]).Ax
+
+			if (proto.constants[index]?.type === "string") {
+				return { name: constantName(proto, index), nameWhat: "constant" }
+			}
+			break
+		}
+		case "SELF": {
+			let name
+			if (proto.version >= 0x54) {
+				name = inst.k ? constantName(proto, C) : registerName(C)
+			}
+			else {
+				name = rkName(C)
+			}
+
+			return { name, nameWhat: "method" }
+		}
+	}
+
+	return null
+}
+
+function getFuncName(proto, pc) {
+	const inst = decodeInst(proto.version, proto.insts[pc])
+
+	switch (inst.name) {
+		case "CALL":
+		case "TAILCALL":
+			return getObjName(proto, pc, inst.A)
+		case "TFORCALL":
+			return { name: "for iterator", nameWhat: "for iterator" }
+		case "TFORLOOP":
+			if (proto.version === 0x51) {
+				return { name: "for iterator", nameWhat: "for iterator" }
+			}
+	}
+
+	// lua 5.1 doesn't name functions called as metamethods
+	const event = LUA_OP_EVENTS[inst.name]
+	if (proto.version < 0x52 || !event) {
+		return null
+	}
+
+	return { name: proto.version >= 0x54 ? event : `__${event}`, nameWhat: "metamethod" }
+}
+
+function describeFrame(frame, version) {
+	if (version >= 0x53 && frame.globalName) {
+		return `function '${frame.globalName}'`
+	}
+	if (frame.nameWhat) {
+		return version >= 0x53 ? `${frame.nameWhat} '${frame.name}'` : `function '${frame.name}'`
+	}
+	if (frame.what === "main") {
+		return "main chunk"
+	}
+	if (frame.what === "C") {
+		return version === 0x52 && frame.globalName ? `function '${frame.globalName}'` : "?"
+	}
+
+	return `function <${frame.shortSource}:${frame.lineDefined}>`
+}
+
+function formatTraceback(frames, version = 0x54) {
+	// lua 5.1 (and luajit) and lua 5.2 show more frames before and fewer after the skipped ones than 5.3 and up
+	const [levels1, levels2] = version >= 0x53 ? [10, 11] : [12, 10]
+
+	// null marks where frames were left out
+	let shown = frames
+	if (version === 0x51 && frames.length > 22) {
+		shown = [...frames.slice(0, 11), null, ...frames.slice(frames.length - 10)]
+	}
+	else if (version !== 0x51 && frames.length - 1 > levels1 + levels2) {
+		shown = [...frames.slice(0, levels1), null, ...frames.slice(frames.length - levels2)]
+	}
+
+	let out = "stack traceback:"
+
+	for (const frame of shown) {
+		if (!frame) {
+			out += version >= 0x54 ? `\n\t...\t(skipping ${frames.length - levels1 - levels2 - 1} levels)` : "\n\t..."
+			continue
+		}
+
+		out += `\n\t${frame.shortSource}:`
+		if (frame.currentLine > 0) {
+			out += `${frame.currentLine}:`
+		}
+
+		if (version === 0x51) {
+			if (frame.nameWhat) {
+				out += ` in function '${frame.name}'`
+			}
+			else if (frame.what === "main") {
+				out += " in main chunk"
+			}
+			else if (frame.what === "C") {
+				out += " ?"
+			}
+			else {
+				out += ` in function <${frame.shortSource}:${frame.lineDefined}>`
+			}
+
+			if (frame.isTailCall) {
+				out += "\n\t(tail call): ?"
+			}
+		}
+		else {
+			out += ` in ${describeFrame(frame, version)}`
+
+			if (frame.isTailCall) {
+				out += "\n\t(...tail calls...)"
+			}
+		}
+	}
+
+	return out
+}
+
+const CAP_UNFINISHED = -1
+const CAP_POSITION = -2
+
+// character classes use the C locale, so only ascii letters count as letters
+function matchCharClass(char, classChar, version) {
+	const isAlpha = (char >= 0x41 && char <= 0x5A) || (char >= 0x61 && char <= 0x7A)
+	const isDigit = char >= 0x30 && char <= 0x39
+	const isGraph = char >= 0x21 && char <= 0x7E
+
+	let result
+	switch (classChar | 0x20) {
+		case 0x61: result = isAlpha; break // a
+		case 0x63: result = char < 0x20 || char === 0x7F; break // c
+		case 0x64: result = isDigit; break // d
+		case 0x6C: result = char >= 0x61 && char <= 0x7A; break // l
+		case 0x70: result = isGraph && !isAlpha && !isDigit; break // p
+		case 0x73: result = char === 0x20 || (char >= 0x09 && char <= 0x0D); break // s
+		case 0x75: result = char >= 0x41 && char <= 0x5A; break // u
+		case 0x77: result = isAlpha || isDigit; break // w
+		case 0x78: result = isDigit || ((char | 0x20) >= 0x61 && (char | 0x20) <= 0x66); break // x
+		case 0x7A: result = char === 0; break // z
+		case 0x67: // g, added in lua 5.2
+			if (version >= 0x52) {
+				result = isGraph
+				break
+			}
+			return classChar === char
+		default:
+			return classChar === char
+	}
+
+	// upper case classes are the complement
+	return (classChar >= 0x61 && classChar <= 0x7A) ? result : !result
+}
+
+class PatternMatcher {
+	constructor(context, source, pattern, version) {
+		this.context = context
+		this.version = version
+
+		this.source = source
+		this.pattern = pattern
+
+		this.matchDepth = 200
+		this.level = 0
+		this.captures = []
+	}
+
+	reset() {
+		this.level = 0
+		this.matchDepth = 200
+	}
+
+	error(message) {
+		throw new LuaError(this.context.position, message)
+	}
+
+	// reading past the end gives 0 like the terminator of a C string would
+	patternAt(p) {
+		return this.pattern[p] ?? 0
+	}
+	sourceAt(s) {
+		return this.source[s] ?? 0
+	}
+
+	invalidCapture(index) {
+		// lua 5.3 started saying which one
+		this.error(this.version >= 0x53 ? `invalid capture index %${index + 1}` : "invalid capture index")
+	}
+
+	checkCapture(char) {
+		const l = char - 0x31
+		if (l < 0 || l >= this.level || this.captures[l].len === CAP_UNFINISHED) {
+			this.invalidCapture(l)
+		}
+
+		return l
+	}
+
+	captureToClose() {
+		for (let level = this.level - 1; level >= 0; level --) {
+			if (this.captures[level].len === CAP_UNFINISHED) {
+				return level
+			}
+		}
+
+		this.error("invalid pattern capture")
+	}
+
+	classEnd(p) {
+		const char = this.pattern[p ++]
+
+		if (char === 0x25) {
+			if (p >= this.pattern.length) {
+				this.error("malformed pattern (ends with '%')")
+			}
+
+			return p + 1
+		}
+
+		if (char === 0x5B) {
+			if (this.patternAt(p) === 0x5E) {
+				p ++
+			}
+
+			// the first character is part of the set even if it's a ']'
+			do {
+				if (p >= this.pattern.length) {
+					this.error("malformed pattern (missing ']')")
+				}
+
+				if (this.pattern[p ++] === 0x25 && p < this.pattern.length) {
+					p ++
+				}
+			} while (this.patternAt(p) !== 0x5D)
+
+			return p + 1
+		}
+
+		return p
+	}
+
+	matchBracketClass(char, p, ec) {
+		let sig = true
+		if (this.patternAt(p + 1) === 0x5E) {
+			sig = false
+			p ++
+		}
+
+		while (++ p < ec) {
+			if (this.pattern[p] === 0x25) {
+				p ++
+
+				if (matchCharClass(char, this.pattern[p], this.version)) {
+					return sig
+				}
+			}
+			else if (this.patternAt(p + 1) === 0x2D && p + 2 < ec) {
+				p += 2
+
+				if (this.pattern[p - 2] <= char && char <= this.pattern[p]) {
+					return sig
+				}
+			}
+			else if (this.pattern[p] === char) {
+				return sig
+			}
+		}
+
+		return !sig
+	}
+
+	singleMatch(s, p, ep) {
+		if (s >= this.source.length) {
+			return false
+		}
+
+		const char = this.source[s]
+		switch (this.pattern[p]) {
+			case 0x2E: return true
+			case 0x25: return matchCharClass(char, this.pattern[p + 1], this.version)
+			case 0x5B: return this.matchBracketClass(char, p, ep - 1)
+			default: return this.pattern[p] === char
+		}
+	}
+
+	matchBalance(s, p) {
+		if (p >= this.pattern.length - 1) {
+			this.error("malformed pattern (missing arguments to '%b')")
+		}
+
+		if (this.sourceAt(s) !== this.pattern[p]) {
+			return null
+		}
+
+		const open = this.pattern[p]
+		const close = this.pattern[p + 1]
+
+		let depth = 1
+		while (++ s < this.source.length) {
+			if (this.source[s] === close) {
+				if (-- depth === 0) {
+					return s + 1
+				}
+			}
+			else if (this.source[s] === open) {
+				depth ++
+			}
+		}
+
+		return null
+	}
+
+	maxExpand(s, p, ep) {
+		let i = 0
+		while (this.singleMatch(s + i, p, ep)) {
+			i ++
+		}
+
+		// try the longest run first and give back one repetition at a time
+		while (i >= 0) {
+			const result = this.match(s + i, ep + 1)
+			if (result !== null) {
+				return result
+			}
+
+			i --
+		}
+
+		return null
+	}
+
+	minExpand(s, p, ep) {
+		while (true) {
+			const result = this.match(s, ep + 1)
+			if (result !== null) {
+				return result
+			}
+
+			if (!this.singleMatch(s, p, ep)) {
+				return null
+			}
+
+			s ++
+		}
+	}
+
+	startCapture(s, p, what) {
+		if (this.level >= 32) {
+			this.error("too many captures")
+		}
+
+		this.captures[this.level] = { init: s, len: what }
+		this.level ++
+
+		const result = this.match(s, p)
+		if (result === null) {
+			this.level --
+		}
+
+		return result
+	}
+
+	endCapture(s, p) {
+		const l = this.captureToClose()
+
+		this.captures[l].len = s - this.captures[l].init
+
+		const result = this.match(s, p)
+		if (result === null) {
+			this.captures[l].len = CAP_UNFINISHED
+		}
+
+		return result
+	}
+
+	matchCapture(s, char) {
+		const { init, len } = this.captures[this.checkCapture(char)]
+
+		if (this.source.length - s < len) {
+			return null
+		}
+
+		for (let i = 0; i < len; i ++) {
+			if (this.source[init + i] !== this.source[s + i]) {
+				return null
+			}
+		}
+
+		return s + len
+	}
+
+	// returns where the match ends, or null
+	match(s, p) {
+		if (this.matchDepth -- === 0) {
+			this.error("pattern too complex")
+		}
+
+		countSteps(1)
+
+		// tail calls of match continue the loop instead
+		matching: while (p !== this.pattern.length) {
+			switch (this.pattern[p]) {
+				case 0x28: { // (
+					if (this.patternAt(p + 1) === 0x29) {
+						s = this.startCapture(s, p + 2, CAP_POSITION)
+					}
+					else {
+						s = this.startCapture(s, p + 1, CAP_UNFINISHED)
+					}
+					break matching
+				}
+				case 0x29: { // )
+					s = this.endCapture(s, p + 1)
+					break matching
+				}
+				case 0x24: { // $
+					if (p + 1 !== this.pattern.length) {
+						break
+					}
+
+					s = s === this.source.length ? s : null
+					break matching
+				}
+				case 0x25: { // %
+					const next = this.patternAt(p + 1)
+
+					if (next === 0x62) { // b
+						s = this.matchBalance(s, p + 2)
+						if (s !== null) {
+							p += 4
+							continue matching
+						}
+						break matching
+					}
+
+					if (next === 0x66) { // f
+						p += 2
+						if (this.patternAt(p) !== 0x5B) {
+							this.error("missing '[' after '%f' in pattern")
+						}
+
+						const ep = this.classEnd(p)
+						const previous = s === 0 ? 0 : this.source[s - 1]
+
+						if (!this.matchBracketClass(previous, p, ep - 1) && this.matchBracketClass(this.sourceAt(s), p, ep - 1)) {
+							p = ep
+							continue matching
+						}
+
+						s = null
+						break matching
+					}
+
+					if (next >= 0x30 && next <= 0x39) {
+						s = this.matchCapture(s, next)
+						if (s !== null) {
+							p += 2
+							continue matching
+						}
+						break matching
+					}
+					break
+				}
+			}
+
+			// a single character class, with an optional repetition suffix
+			const ep = this.classEnd(p)
+			const suffix = this.patternAt(ep)
+
+			if (!this.singleMatch(s, p, ep)) {
+				// suffixes that accept an empty match
+				if (suffix === 0x2A || suffix === 0x3F || suffix === 0x2D) {
+					p = ep + 1
+					continue matching
+				}
+
+				s = null
+				break matching
+			}
+
+			switch (suffix) {
+				case 0x3F: { // ?
+					const result = this.match(s + 1, ep + 1)
+					if (result !== null) {
+						s = result
+						break matching
+					}
+
+					p = ep + 1
+					continue matching
+				}
+				case 0x2B: // +
+					s = this.maxExpand(s + 1, p, ep)
+					break matching
+				case 0x2A: // *
+					s = this.maxExpand(s, p, ep)
+					break matching
+				case 0x2D: // -
+					s = this.minExpand(s, p, ep)
+					break matching
+				default:
+					s ++
+					p = ep
+					continue matching
+			}
+		}
+
+		this.matchDepth ++
+		return s
+	}
+
+	getCapture(i, s, e) {
+		if (i >= this.level) {
+			if (i !== 0) {
+				this.invalidCapture(i)
+			}
+
+			// patterns without captures capture the whole match
+			return new LVString(this.source.slice(s, e))
+		}
+
+		const { init, len } = this.captures[i]
+		if (len === CAP_UNFINISHED) {
+			this.error("unfinished capture")
+		}
+		if (len === CAP_POSITION) {
+			return wrap(this.context, init + 1)
+		}
+
+		return new LVString(this.source.slice(init, init + len))
+	}
+
+	getCaptures(s, e, wholeIfNone) {
+		const count = this.level === 0 && wholeIfNone ? 1 : this.level
+
+		const captures = []
+		for (let i = 0; i < count; i ++) {
+			captures.push(this.getCapture(i, s, e))
+		}
+
+		return captures
+	}
+}
+
+// errno values and strerror messages for the error codes filesystems throw, as C's io library reports them
+const FS_ERRORS = {
+	ENOENT: [2, "No such file or directory"],
+	EIO: [5, "Input/output error"],
+	EBADF: [9, "Bad file descriptor"],
+	EACCES: [13, "Permission denied"],
+	EEXIST: [17, "File exists"],
+	ENOTDIR: [20, "Not a directory"],
+	EISDIR: [21, "Is a directory"],
+	EINVAL: [22, "Invalid argument"],
+	EMFILE: [24, "Too many open files"],
+	ENOSPC: [28, "No space left on device"],
+	ESPIPE: [29, "Illegal seek"],
+	EROFS: [30, "Read-only file system"],
+	ENOTEMPTY: [39, "Directory not empty"]
+}
+
+function fsError(code) {
+	const error = new Error(FS_ERRORS[code][1])
+	error.code = code
+
+	return error
+}
+
+function describeFsError(error) {
+	const [errno, message] = FS_ERRORS[error.code] ?? [Math.abs(error.errno ?? 0), error.message]
+
+	return { errno, message }
+}
+
+// filesystems give the io library its files, the interface is:
+//   open(path, mode) -> handle, mode is one of "r", "w", "a", "r+", "w+", "a+"
+//   read(handle, length, position) -> Uint8Array, shorter at the end of the file
+//   write(handle, bytes, position)
+//   size(handle) -> number
+//   close(handle)
+//   remove(path)
+//   rename(from, to)
+// failures are thrown as errors with a node style `code` like "ENOENT"
+
+// sandboxed filesystem that only exists in memory, files are keyed by their exact path
+class MemoryFileSystem {
+	constructor(files = {}) {
+		this.files = new Map()
+
+		for (const [path, content] of Object.entries(files)) {
+			this.writeFile(path, content)
+		}
+	}
+
+	readFile(path) {
+		const file = this.files.get(path)
+		if (!file) {
+			throw fsError("ENOENT")
+		}
+
+		return file.data.slice(0, file.length)
+	}
+	writeFile(path, content) {
+		const data = typeof content === "string" ? new TextEncoder().encode(content) : Uint8Array.from(content)
+
+		this.files.set(path, { data, length: data.length })
+	}
+
+	open(path, mode) {
+		if (!this.files.has(path)) {
+			if (mode.startsWith("r")) {
+				throw fsError("ENOENT")
+			}
+
+			this.writeFile(path, new Uint8Array())
+		}
+		else if (mode.startsWith("w")) {
+			this.writeFile(path, new Uint8Array())
+		}
+
+		return { file: this.files.get(path) }
+	}
+
+	read(handle, length, position) {
+		const { data, length: size } = handle.file
+
+		return data.slice(Math.min(position, size), Math.min(position + length, size))
+	}
+
+	write(handle, bytes, position) {
+		const file = handle.file
+		const end = position + bytes.length
+
+		// grows by doubling so many small writes stay cheap
+		if (end > file.data.length) {
+			const data = new Uint8Array(Math.max(end, file.data.length * 2))
+			data.set(file.data.subarray(0, file.length))
+
+			file.data = data
+		}
+		if (position > file.length) {
+			file.data.fill(0, file.length, position)
+		}
+
+		file.data.set(bytes, position)
+		file.length = Math.max(file.length, end)
+	}
+
+	size(handle) {
+		return handle.file.length
+	}
+
+	close(handle) {}
+
+	remove(path) {
+		if (!this.files.delete(path)) {
+			throw fsError("ENOENT")
+		}
+	}
+
+	rename(from, to) {
+		const file = this.files.get(from)
+		if (!file) {
+			throw fsError("ENOENT")
+		}
+
+		this.files.delete(from)
+		this.files.set(to, file)
+	}
+}
+
+// real file access through node's fs module
+class NodeFileSystem {
+	constructor() {
+		this.fs = require("fs")
+	}
+
+	open(path, mode) {
+		return this.fs.openSync(path, mode)
+	}
+
+	read(fd, length, position) {
+		const buffer = new Uint8Array(length)
+		const bytesRead = this.fs.readSync(fd, buffer, 0, length, position)
+
+		return buffer.subarray(0, bytesRead)
+	}
+
+	write(fd, bytes, position) {
+		this.fs.writeSync(fd, bytes, 0, bytes.length, position)
+	}
+
+	size(fd) {
+		return this.fs.fstatSync(fd).size
+	}
+
+	close(fd) {
+		this.fs.closeSync(fd)
+	}
+
+	// like C's remove, empty directories can be removed as well
+	remove(path) {
+		try {
+			this.fs.unlinkSync(path)
+		}
+		catch (error) {
+			if (error.code !== "EISDIR" && error.code !== "EPERM") {
+				throw error
+			}
+
+			this.fs.rmdirSync(path)
+		}
+	}
+
+	rename(from, to) {
+		this.fs.renameSync(from, to)
+	}
+}
+
+// standard stream of the host process, loaded lazily so nothing is required outside of node until it's used
+function processStream(fd) {
+	return {
+		read(length) {
+			const buffer = new Uint8Array(length)
+
+			try {
+				return buffer.subarray(0, require("fs").readSync(fd, buffer, 0, length, null))
+			}
+			catch (error) {
+				if (error.code === "EOF" || error.code === "EAGAIN") {
+					return new Uint8Array()
+				}
+
+				throw error
+			}
+		},
+		write(bytes) {
+			require("fs").writeSync(fd, bytes)
+		}
+	}
+}
+
+// output the host collects, either a callback that gets each chunk as a Uint8Array or a writable stream
+function outputStream(sink) {
+	if (typeof sink === "function") {
+		return { write: (bytes) => sink(bytes) }
+	}
+
+	return { write: (bytes) => sink.write(bytes) }
+}
+
+// input the host provides, a callback that gets the most bytes wanted and returns a Uint8Array, empty once there's no more
+function inputStream(source) {
+	return { read: (length) => source(length) }
+}
+
+// time source of the os library, hosts can replace any of these to freeze the clock
+//   now() -> milliseconds since the epoch
+//   cpu() -> seconds of processor time used
+//   timezoneOffset(time) -> minutes local time is behind utc at that time, like Date#getTimezoneOffset
+//   timezoneName(time) -> abbreviation of the local time zone for os.date's "%Z"
+const systemClock = {
+	now: () => Date.now(),
+	cpu: () => {
+		if (typeof process !== "undefined" && process.cpuUsage) {
+			const { user, system } = process.cpuUsage()
+
+			return (user + system) / 1e6
+		}
+
+		return performance.now() / 1000
+	},
+	timezoneOffset: (time) => new Date(time).getTimezoneOffset(),
+	timezoneName: (time) => {
+		const part = new Intl.DateTimeFormat("en-US", { timeZoneName: "short" }).formatToParts(new Date(time)).find((part) => part.type === "timeZoneName")
+		if (part && !/^GMT[+-]/.test(part.value)) {
+			return part.value
+		}
+
+		// zones without an english abbreviation are named by their offset, like tzdata does
+		const east = -new Date(time).getTimezoneOffset()
+		const hours = String(Math.floor(Math.abs(east) / 60)).padStart(2, "0")
+		const minutes = Math.abs(east) % 60
+
+		return `${east < 0 ? "-" : "+"}${hours}${minutes ? String(minutes).padStart(2, "0") : ""}`
+	}
+}
+
+// instructions between looking at the clock and the abort signal
+const LIMIT_CHECK_INTERVAL = 1024
+
+// registers the frames of a coroutine can take up in all, like lua's LUAI_MAXSTACK
+const MAX_STACK_SIZE = 1000000
+
+// stops scripts at breakpoints and between steps, all while the vm keeps running synchronously:
+// onPause(event) is called with the script stopped and it continues once that returns, stepping
+// however the host asked for with stepInto(), stepOver(), stepOut() or continue() in the meantime
+class LuaDebugger {
+	constructor(vm) {
+		this.vm = vm
+
+		this.onPause = null
+
+		// called every few thousand instructions while a script runs, set before running it
+		this.onPoll = null
+
+		// fileName -> breakpoints
+		this.breakpoints = new Map()
+		this.nextBreakpointId = 1
+
+		// fileName -> the prototypes of the chunk last loaded from it, to find the lines that have code
+		this.protos = new Map()
+
+		// "into", "over", "out" or "pause", and the call depth the step started at
+		this.stepMode = null
+		this.stepDepth = 0
+
+		this.paused = false
+		this.pauseDepth = 0
+
+		// checked before every instruction, so kept up to date instead of worked out each time
+		this.active = false
+	}
+
+	update() {
+		this.active = this.stepMode !== null || this.breakpoints.size > 0
+	}
+
+	// a file loaded again, as every run of it from bytes does, takes the place of what was loaded from it before
+	addChunk(mainProto) {
+		if (mainProto.fileName === null || this.protos.get(mainProto.fileName)?.mainProto === mainProto) {
+			return
+		}
+
+		const protos = []
+		const pending = [mainProto]
+
+		while (pending.length > 0) {
+			const proto = pending.pop()
+			pending.push(...proto.nestedProtos)
+
+			protos.push(proto)
+		}
+
+		this.protos.set(mainProto.fileName, { mainProto, protos })
+
+		for (const breakpoint of this.breakpoints.get(mainProto.fileName) ?? []) {
+			this.resolveBreakpoint(breakpoint)
+		}
+	}
+
+	// lines without code move to the next line that has some, in the innermost function around them
+	resolveBreakpoint(breakpoint) {
+		const line = breakpoint.requestedLine
+
+		let resolved = null
+		for (const proto of this.protos.get(breakpoint.fileName)?.protos ?? []) {
+			if (proto.lineDefined !== 0 && (line < proto.lineDefined || line > proto.lastLineDefined)) {
+				continue
+			}
+
+			for (const codeLine of proto.lineInfo) {
+				if (codeLine >= line && (resolved === null || codeLine < resolved)) {
+					resolved = codeLine
+				}
+			}
+		}
+
+		breakpoint.line = resolved ?? line
+		breakpoint.verified = resolved !== null
+	}
+
+	// either setBreakpoint("script.lua", 10) or setBreakpoint("script.lua:10")
+	setBreakpoint(fileName, line) {
+		if (line === undefined) {
+			const separator = fileName.lastIndexOf(":")
+
+			line = Number(fileName.slice(separator + 1))
+			fileName = fileName.slice(0, separator)
+		}
+
+		if (!Number.isInteger(line) || line < 1) {
+			throw new RangeError(`invalid breakpoint line ${line}`)
+		}
+
+		const breakpoint = { id: this.nextBreakpointId ++, fileName, requestedLine: line, line, verified: false }
+		this.resolveBreakpoint(breakpoint)
+
+		if (!this.breakpoints.has(fileName)) {
+			this.breakpoints.set(fileName, [])
+		}
+
+		this.breakpoints.get(fileName).push(breakpoint)
+		this.update()
+
+		return breakpoint
+	}
+
+	removeBreakpoint(breakpoint) {
+		const breakpoints = this.breakpoints.get(breakpoint.fileName)?.filter((other) => other.id !== breakpoint.id) ?? []
+
+		if (breakpoints.length > 0) {
+			this.breakpoints.set(breakpoint.fileName, breakpoints)
+		}
+		else {
+			this.breakpoints.delete(breakpoint.fileName)
+		}
+
+		this.update()
+	}
+
+	clearBreakpoints(fileName) {
+		if (fileName === undefined) {
+			this.breakpoints.clear()
+		}
+		else {
+			this.breakpoints.delete(fileName)
+		}
+
+		this.update()
+	}
+
+	// steps are counted from where the script is paused, or from wherever the host is called from while it runs
+	step(mode) {
+		this.stepMode = mode
+		this.stepDepth = this.paused ? this.pauseDepth : this.depth()
+		this.update()
+	}
+
+	pause() {
+		this.step("pause")
+	}
+
+	continue() {
+		this.stepMode = null
+		this.update()
+	}
+
+	stepInto() {
+		this.step("into")
+	}
+
+	stepOver() {
+		this.step("over")
+	}
+
+	stepOut() {
+		this.step("out")
+	}
+
+	frames() {
+		const callStack = this.vm.callStack
+
+		const frames = []
+		for (let i = callStack.length - 1; i >= 0; i --) {
+			frames.push({ frame: callStack[i], caller: callStack[i - 1] })
+		}
+
+		return frames
+	}
+
+	depth() {
+		return this.vm.callStack.length
+	}
+
+	// innermost frame first, with the same fields as error tracebacks
+	stackFrames() {
+		const globalNames = this.vm.globalFuncNames()
+
+		return this.frames().map(({ frame, caller }) => Object.freeze({
+			fileName: frame instanceof LVCoroutine ? frame.closure.proto.fileName : null,
+			...this.vm.frameInfo(frame, caller, globalNames)
+		}))
+	}
+
+	// locals in scope in the frame, in the order they were declared
+	locals(frameIndex = 0) {
+		const frame = this.frames()[frameIndex]?.frame
+		if (!(frame instanceof LVCoroutine)) {
+			return []
+		}
+
+		const proto = frame.closure.proto
+		const pc = frame.pc - 1
+
+		const locals = []
+		for (const local of proto.locals) {
+			if (local.startPc > pc) {
+				break
+			}
+
+			if (pc < local.endPc) {
+				locals.push({ name: local.name, value: frame.stack[frame.base + locals.length] ?? new LVNil() })
+			}
+		}
+
+		return locals
+	}
+
+	upvalues(frameIndex = 0) {
+		const frame = this.frames()[frameIndex]?.frame
+		if (!(frame instanceof LVCoroutine)) {
+			return []
+		}
+
+		const { proto, upvalues } = frame.closure
+
+		return upvalues.map((upValue, i) => ({ name: proto.upValueNames[i] ?? null, value: upValue?.get() ?? new LVNil() }))
+	}
+
+	lineReached(context, line) {
+		if (this.paused) {
+			return
+		}
+
+		const fileName = context.coroutine.closure.proto.fileName
+		const breakpoint = this.breakpoints.get(fileName)?.find((breakpoint) => breakpoint.line === line) ?? null
+
+		let reason = breakpoint ? "breakpoint" : null
+		if (reason === null && this.stepMode !== null) {
+			switch (this.stepMode) {
+				case "into":
+				case "pause": {
+					reason = this.stepMode === "pause" ? "pause" : "step"
+					break
+				}
+				case "over": {
+					reason = this.depth() <= this.stepDepth ? "step" : null
+					break
+				}
+				case "out": {
+					reason = this.depth() < this.stepDepth ? "step" : null
+					break
+				}
+			}
+		}
+
+		if (reason === null) {
+			return
+		}
+
+		// without anything to pause into, the script carries on
+		this.stepMode = null
+		this.update()
+
+		if (!this.onPause) {
+			return
+		}
+
+		this.paused = true
+		this.pauseDepth = this.depth()
+
+		try {
+			this.onPause({ reason, breakpoint, fileName, line })
+		}
+		finally {
+			this.paused = false
+		}
+	}
+}
+
+class LuaVM {
+	constructor(options = {}) {
+		if (ArrayBuffer.isView(options) || options instanceof ArrayBuffer) {
+			options = { chunk: options }
+		}
+
+		this.globals = new LVTable()
+
+		// message handlers of the active protected calls, pcall pushes null since it has none
+		this.errorHandlers = []
+
+		// running lua functions (their coroutines) and host functions, outermost first
+		this.callStack = []
+
+		// the coroutine whose code is running, and how deep the call stack was when something that can't
+		// be yielded across, like a hook or a message handler, was called
+		this.currentThread = null
+		this.yieldBarrier = 0
+
+		// the main coroutine of the runAsync that's running, which async host functions can suspend
+		this.asyncThread = null
+
+		// library fields only some lua versions have, put in and taken out by useVersion as chunks run
+		this.versionedFields = []
+
+		// files of the io library, sandboxed in memory unless the host passes a filesystem like NodeFileSystem
+		this.fs = options.fs ?? new MemoryFileSystem()
+
+		// where print, io.stdout, io.stderr and warnings write to, the process's own streams by default
+		this.stdin = options.stdin ? inputStream(options.stdin) : processStream(0)
+		this.stdout = options.stdout ? outputStream(options.stdout) : processStream(1)
+		this.stderr = options.stderr ? outputStream(options.stderr) : processStream(2)
+
+		// host providers of the os library, the environment is empty and os.exit only stops the script unless given
+		this.clock = { ...systemClock, ...options.clock }
+		this.env = options.env ?? {}
+		this.exit = options.exit ?? null
+
+		// limits of every run, the signal can abort a script from outside and pcall can be kept from catching the errors
+		this.maxInstructions = options.maxInstructions ?? null
+		this.timeout = options.timeout ?? null
+		this.signal = options.signal ?? null
+		this.catchLimits = options.catchLimits ?? true
+
+		this.instructionCount = 0
+		this.deadline = null
+		this.limitCheckAt = Infinity
+
+		// cap in bytes on what lua values hold, allocations are counted until they'd go over it and only then
+		// is the memory that's still reachable measured, like an emergency garbage collection
+		this.memoryLimit = options.memoryLimit ?? null
+		this.memoryLive = 0
+		this.memoryAllocated = 0
+		this.memoryMeasured = false
+
+		// made up front since there may be no room left for it when it's needed
+		this.memoryErrorMessage = new LVString("not enough memory")
+
+		// debug.sethook's hook, which doesn't fire for anything the hook does itself
+		this.hook = null
+		this.hookCountdown = 0
+		this.inHook = false
+
+		this.debugger = new LuaDebugger(this)
+
+		const mathLib = new LVTable()
+
+		mathLib.rawSet(null, "abs", new LVFunction((context, value) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "abs", value.type, "number")
+			}
+
+			return wrap(context, Math.abs(value.value))
+		}))
+
+		mathLib.rawSet(null, "asin", new LVFunction((context, value) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "asin", value.type, "number")
+			}
+
+			return wrap(context, Math.asin(value.value))
+		}))
+		mathLib.rawSet(null, "acos", new LVFunction((context, value) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "acos", value.type, "number")
+			}
+
+			return wrap(context, Math.acos(value.value))
+		}))
+		mathLib.rawSet(null, "atan", new LVFunction((context, y, x) => {
+			if (y.type !== "number") {
+				errors.badArgType(context.position, 1, "atan", y.type, "number")
+			}
+
+			if (x === undefined) {
+				return wrap(context, Math.atan(y.value))
+			}
+
+			if (x.type !== "number") {
+				errors.badArgType(context.position, 2, "atan", x.type, "number")
+			}
+
+			return wrap(context, Math.atan2(y.value, x.value))
+		}))
+
+		mathLib.rawSet(null, "floor", new LVFunction((context, value) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "floor", value.type, "number")
+			}
+
+			return wrap(context, Math.floor(value.value))
+		}))
+		mathLib.rawSet(null, "ceil", new LVFunction((context, value) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "ceil", value.type, "number")
+			}
+
+			return wrap(context, Math.ceil(value.value))
+		}))
+
+		mathLib.rawSet(null, "sin", new LVFunction((context, value) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "sin", value.type, "number")
+			}
+
+			return wrap(context, Math.sin(value.value))
+		}))
+		mathLib.rawSet(null, "cos", new LVFunction((context, value) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "cos", value.type, "number")
+			}
+
+			return wrap(context, Math.cos(value.value))
+		}))
+		mathLib.rawSet(null, "tan", new LVFunction((context, value) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "tan", value.type, "number")
+			}
+
+			return wrap(context, Math.tan(value.value))
+		}))
+
+		mathLib.rawSet(null, "min", new LVFunction((context, first, ...rest) => {
+			if (first === undefined) {
+				throw new LuaError(context.position, "bad argument #1 to 'min' (number expected, got no value)")
+			}
+
+			let best = first
+
+			for (const val of rest) {
+				if (val.lt(context, best).truthy(context)) {
+					best = val
+				}
+			}
+
+			return best
+		}))
+		mathLib.rawSet(null, "max", new LVFunction((context, first, ...rest) => {
+			if (first === undefined) {
+				throw new LuaError(context.position, "bad argument #1 to 'max' (number expected, got no value)")
+			}
+
+			let best = first
+
+			for (const val of rest) {
+				if (best.lt(context, val).truthy(context)) {
+					best = val
+				}
+			}
+
+			return best
+		}))
+
+		mathLib.rawSet(null, "deg", new LVFunction((context, value) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "deg", value.type, "number")
+			}
+
+			return wrap(context, value.value * (180 / Math.PI))
+		}))
+		mathLib.rawSet(null, "rad", new LVFunction((context, value) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "rad", value.type, "number")
+			}
+
+			return wrap(context, value.value / (180 / Math.PI))
+		}))
+
+		mathLib.rawSet(null, "exp", new LVFunction((context, value) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "exp", value.type, "number")
+			}
+
+			return wrap(context, Math.exp(value.value))
+		}))
+
+		mathLib.rawSet(null, "fmod", new LVFunction((context, left, right) => {
+			if (left.type !== "number") {
+				errors.badArgType(context.position, 1, "fmod", left.type, "number")
+			}
+			if (right.type !== "number") {
+				errors.badArgType(context.position, 2, "fmod", right.type, "number")
+			}
+
+			return wrap(context, left.value - Math.floor(left.value / right.value) * right.value)
+		}))
+		mathLib.rawSet(null, "modf", new LVFunction((context, value) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "modf", value.type, "number")
+			}
+
+			const int = value.value < 0 ? Math.ceil(value.value) : Math.floor(value.value)
+			const frac = value.value - int
+
+			return new LVTuple([wrap(context, int), wrap(context, frac)])
+		}))
+
+		mathLib.rawSet(null, "huge", wrap(null, Infinity))
+
+		mathLib.rawSet(null, "log", new LVFunction((context, value, base) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "log", value.type, "number")
+			}
+
+			if (base === undefined) {
+				return wrap(context, Math.log(value.value))
+			}
+
+			if (base.type !== "number") {
+				errors.badArgType(context.position, 2, "log", base.type, "number")
+			}
+
+			return wrap(context, Math.log(value.value) / Math.log(base.value))
+		}))
+
+		mathLib.rawSet(null, "pi", wrap(null, Math.PI))
+
+		mathLib.rawSet(null, "random", new LVFunction((context, min, max) => {
+			if (min === undefined && max === undefined) {
+				return wrap(context, Math.random())
+			}
+			else if (max === undefined) {
+				if (min.type !== "number") {
+					errors.badArgType(context.position, 1, "random", min.type, "number")
+				}
+
+				if (!Number.isInteger(min.value)) {
+					throw new LuaError(context.position, "bad argument #1 to 'random' (number has no integer representation)")
+				}
+
+				return wrap(context, Math.floor(Math.random() * min.value) + 1)
+			}
+
+			if (min.type !== "number") {
+				errors.badArgType(context.position, 1, "random", min.type, "number")
+			}
+			if (max.type !== "number") {
+				errors.badArgType(context.position, 2, "random", max.type, "number")
+			}
+
+			if (!Number.isInteger(min.value)) {
+				throw new LuaError(context.position, "bad argument #1 to 'random' (number has no integer representation)")
+			}
+			if (!Number.isInteger(max.value)) {
+				throw new LuaError(context.position, "bad argument #2 to 'random' (number has no integer representation)")
+			}
+
+			if (min.value > max.value) {
+				throw new LuaError(context.position, "bad argument #2 to 'random' (interval is empty)")
+			}
+
+			return wrap(context, Math.floor(Math.random() * (max.value - min.value + 1)) + min.value)
+		}))
+
+		mathLib.rawSet(null, "sqrt", new LVFunction((context, value) => {
+			if (value.type !== "number") {
+				errors.badArgType(context.position, 1, "sqrt", value.type, "number")
+			}
+
+			return wrap(context, Math.sqrt(value.value))
+		}))
+
+		this.globals.rawSet(null, "math", mathLib)
+
+		const stringLib = new LVTable()
+
+		stringLib.rawSet(null, "len", new LVFunction((context, str) => {
+			let trueStr = str
+			if (str.type === "number") {
+				trueStr = str.asString(context)
+			}
+			if (trueStr.type !== "string") {
+				errors.badArgType(context.position, 1, "len", str.type, "string")
+			}
+
+			return wrap(context, trueStr.value.length)
+		}))
+
+		// lua version of the running function, for the few library details that changed between versions
+		const versionOf = (context) => context.coroutine?.closure.proto.version ?? 0x54
+
+		// how tostring and string.format's %s turn values into strings, like luaL_tolstring: __tostring first,
+		// then the metatable's __name in place of the type from lua 5.3 on
+		const toLuaString = (context, value) => {
+			const version = versionOf(context)
+
+			const metaMethod = getMeta(context, value, "__tostring")
+			if (metaMethod && metaMethod.truthy(context)) {
+				const result = call(context, metaMethod, value)
+				const string = (result instanceof LVTuple ? result.values[0] : wrap(context, result)) ?? new LVNil()
+
+				if (string.type === "string" || string.type === "number") {
+					return string.asString(context)
+				}
+				if (version >= 0x53) {
+					throw new LuaError(context.position, "'__tostring' must return a string")
+				}
+
+				// older versions hand back whatever it returned
+				return string
+			}
+
+			if (["string", "number", "nil", "boolean"].includes(value.type)) {
+				return new LVString(value.type === "string" ? value.value : value.print(context))
+			}
+
+			const name = version >= 0x53 ? getMeta(context, value, "__name") : undefined
+			if (name?.type === "string") {
+				return new LVString(concatBytes(name.value, new LVString(`: 0x${value.address.toString(16).padStart(7, "0")}`).value))
+			}
+
+			return new LVString(value.print(context))
+		}
+
+		const checkString = (context, value, index, funcName) => {
+			if (value?.type === "number") {
+				return value.asString(context).value
+			}
+			if (value?.type !== "string") {
+				errors.badArgType(context.position, index, funcName, value?.type ?? "no value", "string")
+			}
+
+			return value.value
+		}
+
+		const optInteger = (context, value, index, funcName, fallback) => {
+			if (value === undefined || value.type === "nil") {
+				return fallback
+			}
+
+			const number = value.type === "string" ? value.asNumber(context) : value
+			if (number.type !== "number") {
+				errors.badArgType(context.position, index, funcName, value.type, "number")
+			}
+
+			if (number.subtype === "integer") {
+				return Number(number.integer)
+			}
+			if (!Number.isInteger(number.value) && versionOf(context) >= 0x53) {
+				throw new LuaError(context.position, `bad argument #${index} to '${funcName}' (number has no integer representation)`)
+			}
+
+			return Math.trunc(number.value)
+		}
+
+		// negative string positions count from the end
+		const relativePosition = (position, length) => {
+			if (position >= 0) {
+				return position
+			}
+			if (-position > length) {
+				return 0
+			}
+
+			return length + position + 1
+		}
+
+		const checkInteger = (context, value, index, funcName) => {
+			if (value === undefined || value.type === "nil") {
+				errors.badArgType(context.position, index, funcName, value?.type ?? "no value", "number")
+			}
+
+			return optInteger(context, value, index, funcName, 0)
+		}
+
+		stringLib.rawSet(null, "byte", new LVFunction((context, str, start, end) => {
+			const source = checkString(context, str, 1, "byte")
+
+			const first = relativePosition(optInteger(context, start, 2, "byte", 1), source.length)
+			const last = relativePosition(optInteger(context, end, 3, "byte", first), source.length)
+
+			const bytes = source.subarray(Math.max(first, 1) - 1, Math.min(last, source.length))
+
+			return new LVTuple(Array.from(bytes, (byte) => wrap(context, byte)))
+		}))
+
+		stringLib.rawSet(null, "sub", new LVFunction((context, str, start, end) => {
+			const source = checkString(context, str, 1, "sub")
+
+			const first = Math.max(relativePosition(checkInteger(context, start, 2, "sub"), source.length), 1)
+			const last = Math.min(relativePosition(optInteger(context, end, 3, "sub", -1), source.length), source.length)
+
+			return new LVString(source.slice(first - 1, Math.max(last, first - 1)))
+		}))
+
+		stringLib.rawSet(null, "char", new LVFunction((context, ...codes) => {
+			const bytes = codes.map((code, i) => {
+				const byte = checkInteger(context, code, i + 1, "char")
+				if (byte < 0 || byte > 255) {
+					const reason = versionOf(context) >= 0x52 ? "value out of range" : "invalid value"
+					throw new LuaError(context.position, `bad argument #${i + 1} to 'char' (${reason})`)
+				}
+
+				return byte
+			})
+
+			return new LVString(Uint8Array.from(bytes))
+		}))
+
+		stringLib.rawSet(null, "rep", new LVFunction((context, str, count, separator) => {
+			const source = checkString(context, str, 1, "rep")
+			const times = checkInteger(context, count, 2, "rep")
+
+			// lua 5.1 has no separator argument
+			let sep = new Uint8Array()
+			if (versionOf(context) >= 0x52 && separator !== undefined && separator.type !== "nil") {
+				sep = checkString(context, separator, 3, "rep")
+			}
+
+			if (times <= 0) {
+				return new LVString(new Uint8Array())
+			}
+
+			const unit = concatBytes(source, sep)
+			const length = unit.length * times - sep.length
+			if (length >= 2 ** 31) {
+				throw new LuaError(context.position, "resulting string too large")
+			}
+
+			// the result is only charged once it's a string, but shouldn't be built if it can't fit
+			this.reserveMemory(MEMORY_SIZES.string + length)
+
+			// doubles the filled part on every copy instead of copying one unit at a time
+			const out = new Uint8Array(unit.length * times)
+			out.set(unit)
+			for (let filled = unit.length; filled < out.length; filled *= 2) {
+				countSteps(1)
+
+				out.copyWithin(filled, 0, Math.min(filled, out.length - filled))
+			}
+
+			return new LVString(out.subarray(0, length))
+		}))
+
+		stringLib.rawSet(null, "reverse", new LVFunction((context, str) => {
+			return new LVString(checkString(context, str, 1, "reverse").slice().reverse())
+		}))
+
+		stringLib.rawSet(null, "upper", new LVFunction((context, str) => {
+			const bytes = checkString(context, str, 1, "upper").map((byte) => byte >= 0x61 && byte <= 0x7A ? byte - 0x20 : byte)
+
+			return new LVString(bytes)
+		}))
+
+		stringLib.rawSet(null, "lower", new LVFunction((context, str) => {
+			const bytes = checkString(context, str, 1, "lower").map((byte) => byte >= 0x41 && byte <= 0x5A ? byte + 0x20 : byte)
+
+			return new LVString(bytes)
+		}))
+
+		const PATTERN_SPECIALS = new Set(Array.from("^$*+?.([%-", (char) => char.charCodeAt(0)))
+
+		const findPlain = (source, pattern, init) => {
+			outer: for (let i = init; i + pattern.length <= source.length; i ++) {
+				for (let j = 0; j < pattern.length; j ++) {
+					if (source[i + j] !== pattern[j]) {
+						continue outer
+					}
+				}
+
+				return i
+			}
+
+			return -1
+		}
+
+		const findAux = (context, str, pattern, init, plain, find) => {
+			const funcName = find ? "find" : "match"
+
+			const source = checkString(context, str, 1, funcName)
+			let patternBytes = checkString(context, pattern, 2, funcName)
+
+			let start = relativePosition(optInteger(context, init, 3, funcName, 1), source.length)
+			if (start < 1) {
+				start = 1
+			}
+			else if (start > source.length + 1) {
+				// lua 5.1 clamps the start instead of giving up
+				if (versionOf(context) >= 0x52) {
+					return new LVNil()
+				}
+
+				start = source.length + 1
+			}
+
+			if (find && (plain?.truthy(context) || !patternBytes.some((char) => PATTERN_SPECIALS.has(char)))) {
+				const index = findPlain(source, patternBytes, start - 1)
+				if (index === -1) {
+					return new LVNil()
+				}
+
+				return new LVTuple([wrap(context, index + 1), wrap(context, index + patternBytes.length)])
+			}
+
+			const anchor = patternBytes[0] === 0x5E
+			if (anchor) {
+				patternBytes = patternBytes.subarray(1)
+			}
+
+			const matcher = new PatternMatcher(context, source, patternBytes, versionOf(context))
+
+			let s = start - 1
+			do {
+				matcher.reset()
+
+				const end = matcher.match(s, 0)
+				if (end !== null) {
+					if (find) {
+						return new LVTuple([wrap(context, s + 1), wrap(context, end), ...matcher.getCaptures(s, end, false)])
+					}
+
+					return new LVTuple(matcher.getCaptures(s, end, true))
+				}
+			} while (s ++ < source.length && !anchor)
+
+			return new LVNil()
+		}
+
+		stringLib.rawSet(null, "find", new LVFunction((context, str, pattern, init, plain) => {
+			return findAux(context, str, pattern, init, plain, true)
+		}))
+
+		stringLib.rawSet(null, "match", new LVFunction((context, str, pattern, init) => {
+			return findAux(context, str, pattern, init, undefined, false)
+		}))
+
+		stringLib.rawSet(null, "gmatch", new LVFunction((context, str, pattern) => {
+			const source = checkString(context, str, 1, "gmatch")
+			const patternBytes = checkString(context, pattern, 2, "gmatch")
+
+			const version = versionOf(context)
+
+			let position = 0
+			let lastMatch = null
+
+			return new LVFunction((context) => {
+				const matcher = new PatternMatcher(context, source, patternBytes, version)
+
+				for (let s = position; s <= source.length; s ++) {
+					matcher.reset()
+
+					const end = matcher.match(s, 0)
+
+					// since lua 5.3 an empty match right after the previous match doesn't count
+					if (end === null || (version >= 0x53 && end === lastMatch)) {
+						continue
+					}
+
+					position = lastMatch = end
+					if (version < 0x53 && end === s) {
+						position ++
+					}
+
+					return new LVTuple(matcher.getCaptures(s, end, true))
+				}
+
+				position = source.length + 1
+				return new LVNil()
+			})
+		}))
+
+		stringLib.rawSet(null, "gsub", new LVFunction((context, str, pattern, repl, maxRepl) => {
+			const source = checkString(context, str, 1, "gsub")
+			let patternBytes = checkString(context, pattern, 2, "gsub")
+
+			const replType = repl?.type ?? "no value"
+			if (!["number", "string", "function", "table"].includes(replType)) {
+				errors.badArgType(context.position, 3, "gsub", replType, "string/function/table")
+			}
+
+			const maxCount = optInteger(context, maxRepl, 4, "gsub", source.length + 1)
+
+			const version = versionOf(context)
+
+			const anchor = patternBytes[0] === 0x5E
+			if (anchor) {
+				patternBytes = patternBytes.subarray(1)
+			}
+
+			const matcher = new PatternMatcher(context, source, patternBytes, version)
+
+			// pieces of the result, joined at the end
+			const out = []
+
+			const addReplacement = (s, e) => {
+				if (replType === "string" || replType === "number") {
+					const replBytes = repl.asString(context).value
+
+					for (let i = 0; i < replBytes.length; i ++) {
+						if (replBytes[i] !== 0x25) {
+							out.push(replBytes.subarray(i, i + 1))
+							continue
+						}
+
+						const next = replBytes[++ i]
+						if (next === 0x30) {
+							out.push(source.subarray(s, e))
+						}
+						else if (next >= 0x31 && next <= 0x39) {
+							out.push(matcher.getCapture(next - 0x31, s, e).asString(context).value)
+						}
+						else {
+							if (next !== 0x25 && version >= 0x52) {
+								throw new LuaError(context.position, "invalid use of '%' in replacement string")
+							}
+
+							out.push(replBytes.subarray(i, i + 1))
+						}
+					}
+					return
+				}
+
+				let value
+				if (replType === "function") {
+					const result = call(context, repl, ...matcher.getCaptures(s, e, true))
+
+					value = (result instanceof LVTuple ? result.values[0] : wrap(context, result)) ?? new LVNil()
+				}
+				else {
+					value = repl.index(context, matcher.getCapture(0, s, e))
+				}
+
+				// nil and false keep the original text
+				if (!value.truthy(context)) {
+					out.push(source.subarray(s, e))
+				}
+				else if (value.type === "string" || value.type === "number") {
+					out.push(value.asString(context).value)
+				}
+				else {
+					throw new LuaError(context.position, `invalid replacement value (a ${value.type})`)
+				}
+			}
+
+			let s = 0
+			let lastMatch = null
+			let count = 0
+
+			while (count < maxCount) {
+				matcher.reset()
+
+				const e = matcher.match(s, 0)
+
+				if (version >= 0x53) {
+					if (e !== null && e !== lastMatch) {
+						count ++
+						addReplacement(s, e)
+
+						s = lastMatch = e
+					}
+					else if (s < source.length) {
+						out.push(source.subarray(s, s + 1))
+						s ++
+					}
+					else {
+						break
+					}
+				}
+				else {
+					if (e !== null) {
+						count ++
+						addReplacement(s, e)
+					}
+
+					if (e !== null && e > s) {
+						s = e
+					}
+					else if (s < source.length) {
+						out.push(source.subarray(s, s + 1))
+						s ++
+					}
+					else {
+						break
+					}
+				}
+
+				if (anchor) {
+					break
+				}
+			}
+
+			out.push(source.subarray(s))
+
+			return new LVTuple([new LVString(joinBytes(out)), wrap(context, count)])
+		}))
+
+		const FORMAT_FLAGS = "-+ #0"
+
+		// lua 5.4 only accepts the flags that mean something for each conversion
+		const FORMAT_FLAGS_54 = {
+			c: "-", p: "-", s: "-",
+			d: "-+ 0", i: "-+ 0", u: "-0",
+			o: "-#0", x: "-#0", X: "-#0",
+			a: "-+ #0", A: "-+ #0", e: "-+ #0", E: "-+ #0", f: "-+ #0", g: "-+ #0", G: "-+ #0"
+		}
+
+		const isDigitChar = (char) => char !== undefined && char >= "0" && char <= "9"
+
+		// reads the flags, width and precision of a format item starting after its '%'
+		const scanFormat = (context, format, start, version) => {
+			const charAt = (i) => i < format.length ? String.fromCharCode(format[i]) : undefined
+
+			let end = start
+			if (version >= 0x54) {
+				while (charAt(end) !== undefined && `${FORMAT_FLAGS}123456789.`.includes(charAt(end))) {
+					end ++
+				}
+
+				if (end - start + 1 >= 22) {
+					throw new LuaError(context.position, "invalid format (too long)")
+				}
+			}
+			else {
+				while (charAt(end) !== undefined && FORMAT_FLAGS.includes(charAt(end))) {
+					end ++
+				}
+
+				if (end - start > FORMAT_FLAGS.length) {
+					throw new LuaError(context.position, "invalid format (repeated flags)")
+				}
+
+				for (let digits = 0; digits < 2 && isDigitChar(charAt(end)); digits ++) {
+					end ++
+				}
+				if (charAt(end) === ".") {
+					end ++
+					for (let digits = 0; digits < 2 && isDigitChar(charAt(end)); digits ++) {
+						end ++
+					}
+				}
+
+				if (isDigitChar(charAt(end))) {
+					throw new LuaError(context.position, "invalid format (width or precision too long)")
+				}
+			}
+
+			const spec = String.fromCharCode(...format.subarray(start, end))
+			const [, flags, width, precision] = spec.match(/^([-+ #0]*)(\d*)(?:\.(\d*))?/)
+
+			return {
+				spec,
+				conversion: charAt(end) ?? "",
+				end: end + 1,
+
+				flags,
+				width: Number(width),
+				precision: precision === undefined ? undefined : Number(precision)
+			}
+		}
+
+		// lua 5.4 rejects modifiers that C would silently ignore
+		const checkFormat54 = (context, item, allowPrecision) => {
+			const { spec } = item
+			const allowed = FORMAT_FLAGS_54[item.conversion]
+
+			let i = 0
+			while (i < spec.length && allowed.includes(spec[i])) {
+				i ++
+			}
+
+			if (spec[i] !== "0") {
+				for (let digits = 0; digits < 2 && isDigitChar(spec[i]); digits ++) {
+					i ++
+				}
+				if (spec[i] === "." && allowPrecision) {
+					i ++
+					for (let digits = 0; digits < 2 && isDigitChar(spec[i]); digits ++) {
+						i ++
+					}
+				}
+			}
+
+			if (i < spec.length) {
+				throw new LuaError(context.position, `invalid conversion specification: '%${spec}${item.conversion}'`)
+			}
+		}
+
+		const formatNumberArg = (context, value, index) => {
+			const number = value.type === "string" ? value.asNumber(context) : value
+			if (number.type !== "number") {
+				errors.badArgType(context.position, index, "format", value.type, "number")
+			}
+
+			return number
+		}
+
+		const formatIntegerArg = (context, value, index, version, unsigned) => {
+			const number = formatNumberArg(context, value, index)
+
+			if (version >= 0x53) {
+				const integer = number.toInteger()
+				if (integer === null) {
+					throw new LuaError(context.position, `bad argument #${index} to 'format' (number has no integer representation)`)
+				}
+
+				return integer
+			}
+
+			const num = number.value
+			const min = unsigned ? 0 : -(2 ** 63)
+			const max = unsigned ? 2 ** 64 : 2 ** 63
+
+			if (version === 0x52 && !(num >= min && num < max)) {
+				throw new LuaError(context.position, `bad argument #${index} to 'format' (not a ${unsigned ? "non-negative " : ""}number in proper range)`)
+			}
+
+			// lua 5.1 casts with C semantics, which gives the lowest integer for out of range values on x86
+			if (!(num > -(2 ** 63) - 1 && num < max)) {
+				return -(2n ** 63n)
+			}
+
+			return BigInt(Math.trunc(num))
+		}
+
+		const padFormatted = (item, prefix, body, zeroPad) => {
+			const fill = item.width - prefix.length - body.length
+			if (fill <= 0) {
+				return prefix + body
+			}
+
+			if (item.flags.includes("-")) {
+				return prefix + body + " ".repeat(fill)
+			}
+			if (zeroPad) {
+				return prefix + "0".repeat(fill) + body
+			}
+
+			return " ".repeat(fill) + prefix + body
+		}
+
+		const padBytes = (item, bytes) => {
+			const fill = new Uint8Array(Math.max(item.width - bytes.length, 0)).fill(0x20)
+
+			return item.flags.includes("-") ? concatBytes(bytes, fill) : concatBytes(fill, bytes)
+		}
+
+		const formatInteger = (item, integer) => {
+			const { conversion, flags, precision } = item
+
+			let prefix = ""
+			let digits
+			if (conversion === "d" || conversion === "i") {
+				if (integer < 0n) {
+					prefix = "-"
+					integer = -integer
+				}
+				else if (flags.includes("+")) {
+					prefix = "+"
+				}
+				else if (flags.includes(" ")) {
+					prefix = " "
+				}
+
+				digits = integer.toString()
+			}
+			else {
+				integer = BigInt.asUintN(64, integer)
+
+				const radix = { u: 10, o: 8, x: 16, X: 16 }[conversion]
+				digits = integer.toString(radix)
+
+				if (flags.includes("#") && conversion !== "u" && conversion !== "o" && integer !== 0n) {
+					prefix = `0${conversion}`
+				}
+			}
+
+			if (precision !== undefined) {
+				digits = precision === 0 && integer === 0n ? "" : digits.padStart(precision, "0")
+			}
+			if (conversion === "o" && flags.includes("#") && !digits.startsWith("0")) {
+				digits = `0${digits}`
+			}
+			if (conversion === "X") {
+				digits = digits.toUpperCase()
+			}
+
+			return padFormatted(item, prefix, digits, flags.includes("0") && precision === undefined)
+		}
+
+		const formatFloat = (item, num) => {
+			const { conversion, flags, precision } = item
+			const alternate = flags.includes("#")
+
+			let prefix = ""
+			if (num < 0 || Object.is(num, -0)) {
+				prefix = "-"
+			}
+			else if (flags.includes("+")) {
+				prefix = "+"
+			}
+			else if (flags.includes(" ")) {
+				prefix = " "
+			}
+
+			let body
+			if (!Number.isFinite(num)) {
+				body = Number.isNaN(num) ? "nan" : "inf"
+			}
+			else {
+				switch (conversion.toLowerCase()) {
+					case "f": body = formatFixed(num, precision ?? 6, alternate); break
+					case "e": body = formatExponent(num, precision ?? 6, alternate); break
+					case "g": body = formatGeneral(num, precision ?? 6, alternate); break
+					case "a":
+						prefix += "0x"
+						body = formatHexFloat(num, precision, alternate)
+						break
+				}
+			}
+
+			const str = padFormatted(item, prefix, body, flags.includes("0") && Number.isFinite(num))
+
+			return conversion === conversion.toUpperCase() ? str.toUpperCase() : str
+		}
+
+		const quoteString = (bytes, version) => {
+			const out = [0x22]
+
+			for (let i = 0; i < bytes.length; i ++) {
+				const byte = bytes[i]
+
+				if (byte === 0x22 || byte === 0x5C || byte === 0x0A) {
+					out.push(0x5C, byte)
+				}
+				else if (version < 0x52) {
+					if (byte === 0x0D) {
+						out.push(0x5C, 0x72)
+					}
+					else if (byte === 0) {
+						out.push(0x5C, 0x30, 0x30, 0x30)
+					}
+					else {
+						out.push(byte)
+					}
+				}
+				else if (byte < 0x20 || byte === 0x7F) {
+					// a following digit would be read as part of the escape
+					const nextIsDigit = bytes[i + 1] >= 0x30 && bytes[i + 1] <= 0x39
+					const escape = nextIsDigit ? String(byte).padStart(3, "0") : String(byte)
+
+					out.push(0x5C, ...Array.from(escape, (char) => char.charCodeAt(0)))
+				}
+				else {
+					out.push(byte)
+				}
+			}
+
+			out.push(0x22)
+
+			return Uint8Array.from(out)
+		}
+
+		// "%q" writes values back in a form the lua parser reads as the same value
+		const formatLiteral = (context, value, index, version) => {
+			if (version < 0x53 || value.type === "string") {
+				return quoteString(checkString(context, value, index, "format"), version)
+			}
+
+			switch (value.type) {
+				case "number": {
+					const integer = value.subtype === "float" ? null : value.toInteger()
+					if (integer !== null) {
+						return new LVString(integer === -(2n ** 63n) ? "0x8000000000000000" : integer.toString()).value
+					}
+
+					const num = value.value
+					if (version >= 0x54 && !Number.isFinite(num)) {
+						return new LVString(Number.isNaN(num) ? "(0/0)" : num > 0 ? "1e9999" : "-1e9999").value
+					}
+
+					return new LVString(formatFloat({ conversion: "a", flags: "", width: 0, precision: undefined }, num)).value
+				}
+				case "nil":
+				case "boolean":
+					return new LVString(value.print(context)).value
+				default:
+					throw new LuaError(context.position, `bad argument #${index} to 'format' (value has no literal form)`)
+			}
+		}
+
+		stringLib.rawSet(null, "format", new LVFunction((context, format, ...args) => {
+			const formatBytes = checkString(context, format, 1, "format")
+			const version = versionOf(context)
+
+			// pieces of the result, joined at the end
+			const out = []
+
+			let argIndex = 0
+			let i = 0
+			while (i < formatBytes.length) {
+				if (formatBytes[i] !== 0x25) {
+					const next = formatBytes.indexOf(0x25, i)
+					const end = next === -1 ? formatBytes.length : next
+
+					out.push(formatBytes.subarray(i, end))
+					i = end
+					continue
+				}
+				if (formatBytes[i + 1] === 0x25) {
+					out.push(formatBytes.subarray(i, i + 1))
+					i += 2
+					continue
+				}
+
+				const value = args[argIndex ++]
+				const index = argIndex + 1
+				if (value === undefined) {
+					throw new LuaError(context.position, `bad argument #${index} to 'format' (no value)`)
+				}
+
+				const item = scanFormat(context, formatBytes, i + 1, version)
+				i = item.end
+
+				switch (item.conversion) {
+					case "c": {
+						if (version >= 0x54) {
+							checkFormat54(context, item, false)
+						}
+
+						const code = formatIntegerArg(context, value, index, version >= 0x53 ? version : 0x51, false)
+
+						out.push(padBytes(item, Uint8Array.of(Number(BigInt.asUintN(8, code)))))
+						break
+					}
+					case "d":
+					case "i":
+					case "u":
+					case "o":
+					case "x":
+					case "X": {
+						const integer = formatIntegerArg(context, value, index, version, item.conversion !== "d" && item.conversion !== "i")
+						if (version >= 0x54) {
+							checkFormat54(context, item, true)
+						}
+
+						out.push(new LVString(formatInteger(item, integer)).value)
+						break
+					}
+					case "a":
+					case "A":
+					case "e":
+					case "E":
+					case "f":
+					case "g":
+					case "G": {
+						const isHex = item.conversion === "a" || item.conversion === "A"
+						if (isHex && version < 0x53) {
+							throw new LuaError(context.position, `invalid option '%${item.conversion}' to 'format'`)
+						}
+
+						if (isHex && version >= 0x54) {
+							checkFormat54(context, item, true)
+						}
+
+						const number = formatNumberArg(context, value, index)
+						if (!isHex && version >= 0x54) {
+							checkFormat54(context, item, true)
+						}
+
+						out.push(new LVString(formatFloat(item, number.value)).value)
+						break
+					}
+					case "p": {
+						if (version < 0x54) {
+							throw new LuaError(context.position, `invalid option '%p' to 'format'`)
+						}
+
+						checkFormat54(context, item, false)
+
+						const hasAddress = !["nil", "boolean", "number"].includes(value.type)
+						const pointer = hasAddress ? `0x${value.address.toString(16).padStart(7, "0")}` : "(null)"
+
+						out.push(new LVString(padFormatted(item, "", pointer, false)).value)
+						break
+					}
+					case "q": {
+						if (version >= 0x54 && item.spec !== "") {
+							throw new LuaError(context.position, "specifier '%q' cannot have modifiers")
+						}
+
+						out.push(formatLiteral(context, value, index, version))
+						break
+					}
+					case "s": {
+						let bytes
+						if (version < 0x52) {
+							bytes = checkString(context, value, index, "format")
+						}
+						else {
+							const string = toLuaString(context, value)
+							bytes = string.type === "string" ? string.value : new LVString(string.print(context)).value
+						}
+
+						if (version >= 0x53) {
+							if (item.spec === "") {
+								out.push(bytes)
+								break
+							}
+
+							if (bytes.includes(0)) {
+								throw new LuaError(context.position, `bad argument #${index} to 'format' (string contains zeros)`)
+							}
+							if (version >= 0x54) {
+								checkFormat54(context, item, true)
+							}
+						}
+
+						// long strings without a precision are kept whole
+						if (item.precision === undefined && bytes.length >= 100) {
+							out.push(bytes)
+							break
+						}
+
+						// older versions go through sprintf, which stops at the first zero
+						const zero = bytes.indexOf(0)
+						if (zero !== -1) {
+							bytes = bytes.subarray(0, zero)
+						}
+
+						out.push(padBytes(item, bytes.subarray(0, item.precision ?? bytes.length)))
+						break
+					}
+					default: {
+						if (version >= 0x54) {
+							throw new LuaError(context.position, `invalid conversion '%${item.spec}${item.conversion}' to 'format'`)
+						}
+
+						const code = item.conversion.charCodeAt(0)
+						if (version >= 0x53 && !(code >= 0x20 && code < 0x7F)) {
+							throw new LuaError(context.position, `invalid option '%<\\${code || 0}>' to 'format'`)
+						}
+
+						throw new LuaError(context.position, `invalid option '%${item.conversion}' to 'format'`)
+					}
+				}
+			}
+
+			return new LVString(joinBytes(out))
+		}))
+
+		stringLib.rawSet(null, "dump", new LVFunction((context, func, strip) => {
+			if (func === undefined || func.type !== "function") {
+				errors.badArgType(context.position, 1, "dump", func?.type ?? "no value", "function")
+			}
+
+			if (!(func instanceof LVClosure) || func.proto.isLuaJIT) {
+				throw new LuaError(context.position, "unable to dump given function")
+			}
+
+			// dumped in the layout of a common 64-bit little endian build
+			const header = {
+				version: func.proto.version,
+				format: 0,
+
+				isLittleEndian: true,
+
+				intSize: 4,
+				sizeTSize: 8,
+				instSize: 4,
+				luaIntSize: 8,
+				luaNumSize: 8,
+				luaNumIsInt: 0
+			}
+
+			return new LVString(dumpChunk({ header, mainProto: func.proto }, { strip: strip?.truthy(context) ?? false }))
+		}))
+
+		this.globals.rawSet(null, "string", stringLib)
+
+		this.stringMetatable = new LVTable()
+		this.stringMetatable.rawSet(null, "__index", stringLib)
+
+		this.typeMetatables = {}
+
+		const tableLib = new LVTable()
+
+		const checkTable = (context, value, index, funcName) => {
+			if (value?.type !== "table") {
+				errors.badArgType(context.position, index, funcName, value?.type ?? "no value", "table")
+			}
+
+			return value
+		}
+
+		const rawGetIndex = (context, table, i) => table.rawGet(context, new LVNumber(i))
+		const rawSetIndex = (context, table, i, value) => table.rawSet(context, new LVNumber(i), value)
+
+		tableLib.rawSet(null, "insert", new LVFunction((context, table, ...args) => {
+			checkTable(context, table, 1, "insert")
+
+			const version = versionOf(context)
+
+			let end = table.len(context).value + 1
+			let pos
+			switch (args.length) {
+				case 1:
+					pos = end
+					break
+				case 2:
+					pos = checkInteger(context, args[0], 2, "insert")
+
+					if (version < 0x52) {
+						// lua 5.1 grows the table up to the position instead of complaining
+						end = Math.max(end, pos)
+					}
+					else if (pos < 1 || pos > end) {
+						throw new LuaError(context.position, "bad argument #2 to 'insert' (position out of bounds)")
+					}
+
+					for (let i = end; i > pos; i --) {
+						rawSetIndex(context, table, i, rawGetIndex(context, table, i - 1))
+					}
+					break
+				default:
+					throw new LuaError(context.position, "wrong number of arguments to 'insert'")
+			}
+
+			rawSetIndex(context, table, pos, args[args.length - 1])
+
+			return new LVTuple([])
+		}))
+
+		tableLib.rawSet(null, "remove", new LVFunction((context, table, position) => {
+			checkTable(context, table, 1, "remove")
+
+			const version = versionOf(context)
+
+			const size = table.len(context).value
+			let pos = optInteger(context, position, 2, "remove", size)
+
+			if (version < 0x52) {
+				if (pos < 1 || pos > size) {
+					return new LVTuple([])
+				}
+			}
+			else if (pos !== size && (pos < 1 || pos > size + 1)) {
+				// lua 5.4 is the first to blame the right argument
+				throw new LuaError(context.position, `bad argument #${version >= 0x54 ? 2 : 1} to 'remove' (position out of bounds)`)
+			}
+
+			const removed = rawGetIndex(context, table, pos)
+			for (; pos < size; pos ++) {
+				rawSetIndex(context, table, pos, rawGetIndex(context, table, pos + 1))
+			}
+			rawSetIndex(context, table, pos, new LVNil())
+
+			return removed
+		}))
+
+		tableLib.rawSet(null, "concat", new LVFunction((context, table, separator, start, end) => {
+			checkTable(context, table, 1, "concat")
+
+			let sep = new Uint8Array()
+			if (separator !== undefined && separator.type !== "nil") {
+				sep = checkString(context, separator, 2, "concat")
+			}
+
+			const first = optInteger(context, start, 3, "concat", 1)
+			const last = optInteger(context, end, 4, "concat", table.len(context).value)
+
+			const out = []
+			for (let i = first; i <= last; i ++) {
+				countSteps(1)
+
+				const value = rawGetIndex(context, table, i)
+				if (value.type !== "string" && value.type !== "number") {
+					throw new LuaError(context.position, `invalid value (${value.type}) at index ${i} in table for 'concat'`)
+				}
+
+				out.push(value.asString(context).value)
+				if (i !== last) {
+					out.push(sep)
+				}
+			}
+
+			return new LVString(joinBytes(out))
+		}))
+
+		tableLib.rawSet(null, "sort", new LVFunction((context, table, comparator) => {
+			checkTable(context, table, 1, "sort")
+
+			const hasComparator = comparator !== undefined && comparator.type !== "nil"
+			if (hasComparator && comparator.type !== "function") {
+				errors.badArgType(context.position, 2, "sort", comparator.type, "function")
+			}
+
+			const lessThan = (a, b) => {
+				countSteps(1)
+
+				const result = hasComparator ? call(context, comparator, a, b) : a.lt(context, b)
+				const value = result instanceof LVTuple ? result.values[0] : wrap(context, result)
+
+				return value?.truthy(context) ?? false
+			}
+
+			const version = versionOf(context)
+
+			const get = (i) => rawGetIndex(context, table, i)
+			const set = (i, value) => rawSetIndex(context, table, i, value)
+
+			const orderError = () => {
+				throw new LuaError(context.position, "invalid order function for sorting")
+			}
+
+			// port of ltablib's auxsort, so comparators see the same calls and bad ones fail the same way
+			const sort = (lo, up) => {
+				while (lo < up) {
+					// sort the elements lo, middle and up
+					if (lessThan(get(up), get(lo))) {
+						const temp = get(lo)
+						set(lo, get(up))
+						set(up, temp)
+					}
+					if (up - lo === 1) {
+						break
+					}
+
+					const p = Math.floor((lo + up) / 2)
+					if (lessThan(get(p), get(lo))) {
+						const temp = get(p)
+						set(p, get(lo))
+						set(lo, temp)
+					}
+					else if (lessThan(get(up), get(p))) {
+						const temp = get(p)
+						set(p, get(up))
+						set(up, temp)
+					}
+					if (up - lo === 2) {
+						break
+					}
+
+					// the pivot goes next to the end while partitioning
+					const pivot = get(p)
+					set(p, get(up - 1))
+					set(up - 1, pivot)
+
+					// older versions only notice once they run off the interval
+					const iOutOfBounds = (i) => version < 0x52 ? i > up : version < 0x53 ? i >= up : i === up - 1
+					const jOutOfBounds = (j, i) => version < 0x52 ? j < lo : version < 0x53 ? j <= lo : j < i
+
+					let i = lo
+					let j = up - 1
+					while (true) {
+						while (lessThan(get(++ i), pivot)) {
+							if (iOutOfBounds(i)) {
+								orderError()
+							}
+						}
+						while (lessThan(pivot, get(-- j))) {
+							if (jOutOfBounds(j, i)) {
+								orderError()
+							}
+						}
+						if (j < i) {
+							break
+						}
+
+						const temp = get(i)
+						set(i, get(j))
+						set(j, temp)
+					}
+
+					set(up - 1, get(i))
+					set(i, pivot)
+
+					// recurse into the smaller half and loop over the bigger one
+					if (i - lo < up - i) {
+						sort(lo, i - 1)
+						lo = i + 1
+					}
+					else {
+						sort(i + 1, up)
+						up = i - 1
+					}
+				}
+			}
+
+			sort(1, table.len(context).value)
+
+			return new LVTuple([])
+		}))
+
+		// removed in lua 5.3
+		const maxn = new LVFunction((context, table) => {
+			checkTable(context, table, 1, "maxn")
+
+			let max = 0
+			for (const key of table.keys()) {
+				countSteps(1)
+
+				if (typeof key === "number" && key > max && table.rawGet(context, key).type !== "nil") {
+					max = key
+				}
+			}
+
+			return wrap(context, max)
+		})
+
+		this.versionedFields.push({ table: tableLib, key: "maxn", value: maxn, hasIt: (version) => version < 0x53 })
+
+		const unpack = new LVFunction((context, table, start, end) => {
+			checkTable(context, table, 1, "unpack")
+
+			const first = optInteger(context, start, 2, "unpack", 1)
+			const last = optInteger(context, end, 3, "unpack", table.len(context).value)
+
+			if (first > last) {
+				return new LVTuple([])
+			}
+			// same limit as lua's stack size
+			if (last - first >= 1000000) {
+				throw new LuaError(context.position, "too many results to unpack")
+			}
+
+			const values = []
+			for (let i = first; i <= last; i ++) {
+				countSteps(1)
+
+				values.push(rawGetIndex(context, table, i))
+			}
+
+			return new LVTuple(values)
+		})
+
+		// moved into the table library in lua 5.2, which still keeps the global for compatibility
+		this.versionedFields.push({ table: tableLib, key: "unpack", value: unpack, hasIt: (version) => version >= 0x52 })
+		this.versionedFields.push({ table: this.globals, key: "unpack", value: unpack, hasIt: (version) => version < 0x53 })
+
+		this.globals.rawSet(null, "table", tableLib)
+
+		const ioLib = new LVTable()
+		const fileMethods = new LVTable()
+
+		this.fileMetatable = new LVTable()
+		this.fileMetatable.rawSet(null, "__index", fileMethods)
+		this.fileMetatable.rawSet(null, "__name", new LVString("FILE*"))
+
+		const newFile = (fs, handle, mode) => {
+			const file = new LVFile(fs, handle, mode)
+			file.metatable = this.fileMetatable
+
+			return file
+		}
+
+		const standardFile = (stream, mode) => {
+			const file = newFile(null, stream, mode)
+			file.isStandard = true
+
+			return file
+		}
+
+		const stdin = standardFile(this.stdin, "r")
+		const stdout = standardFile(this.stdout, "w")
+		const stderr = standardFile(this.stderr, "w")
+
+		this.defaultInput = stdin
+		this.defaultOutput = stdout
+
+		const decodePath = (bytes) => new TextDecoder("utf-8").decode(bytes)
+
+		// failing io functions return nil, a message and the errno instead of raising errors
+		const fileResult = (context, error, fileName) => {
+			const { errno, message } = describeFsError(error)
+			const text = fileName === undefined ? message : `${fileName}: ${message}`
+
+			return new LVTuple([new LVNil(), new LVString(text), wrap(context, errno)])
+		}
+
+		const checkFile = (context, value, funcName) => {
+			if (!(value instanceof LVFile)) {
+				errors.badArgType(context.position, 1, funcName, value?.type ?? "no value", "FILE*")
+			}
+			if (value.closed) {
+				throw new LuaError(context.position, "attempt to use a closed file")
+			}
+
+			return value
+		}
+
+		const defaultFile = (context, file, kind) => {
+			if (file.closed && versionOf(context) >= 0x52) {
+				const prefix = versionOf(context) >= 0x54 ? "default" : "standard"
+				throw new LuaError(context.position, `${prefix} ${kind} file is closed`)
+			}
+
+			return checkFile(context, file, kind === "input" ? "read" : "write")
+		}
+
+		// lua 5.1 leaves the mode to fopen, which only looks at the first character and a '+'
+		const fopenMode = (mode) => {
+			if (!/^[rwa]/.test(mode)) {
+				return null
+			}
+
+			return mode.includes("+") ? `${mode[0]}+` : mode[0]
+		}
+
+		const openFile = (fileName, mode) => newFile(this.fs, this.fs.open(fileName, mode), mode)
+
+		// opens a file for io.lines, io.input and io.output, failing with an error instead of nil
+		const openCheckedFile = (context, name, mode, funcName) => {
+			const fileName = decodePath(checkString(context, name, 1, funcName))
+
+			try {
+				return openFile(fileName, mode)
+			}
+			catch (error) {
+				const { message } = describeFsError(error)
+
+				if (versionOf(context) < 0x52) {
+					throw new LuaError(context.position, `bad argument #1 to '${funcName}' (${fileName}: ${message})`)
+				}
+
+				throw new LuaError(context.position, `cannot open file '${fileName}' (${message})`)
+			}
+		}
+
+		const readNumber = (context, text) => {
+			const negative = text.startsWith("-")
+			const unsigned = text.replace(/^[-+]/, "")
+
+			const isHex = /^0x/i.test(unsigned)
+			const isFloat = isHex ? /[.p]/i.test(unsigned) : /[.e]/i.test(unsigned)
+
+			if (versionOf(context) >= 0x53 && !isFloat) {
+				const integer = BigInt(unsigned)
+				return LVNumber.fromInteger(negative ? -integer : integer)
+			}
+
+			const num = Number(unsigned)
+			if (Number.isNaN(num)) {
+				return null
+			}
+
+			return versionOf(context) >= 0x53 ? LVNumber.fromFloat(negative ? -num : num) : new LVNumber(negative ? -num : num)
+		}
+
+		const readFile = (context, file, formats) => {
+			if (!file.readable) {
+				return fileResult(context, fsError("EBADF"))
+			}
+
+			const version = versionOf(context)
+
+			const results = []
+			try {
+				if (formats.length === 0) {
+					const line = file.readLine(false)
+					return new LVTuple([line === null ? new LVNil() : new LVString(line)])
+				}
+
+				for (let i = 0; i < formats.length; i ++) {
+					const format = formats[i]
+
+					let value
+					if (format.type === "number") {
+						value = file.readCount(checkInteger(context, format, i + 1, "read"))
+					}
+					else {
+						let option = decodePath(checkString(context, format, i + 1, "read"))
+
+						// the '*' became optional in lua 5.3
+						if (option.startsWith("*")) {
+							option = option.slice(1)
+						}
+						else if (version < 0x53) {
+							throw new LuaError(context.position, `bad argument #${i + 1} to 'read' (invalid option)`)
+						}
+
+						switch (option[0]) {
+							case "n": {
+								const text = file.readNumeral()
+								value = text === null ? null : readNumber(context, text)
+								break
+							}
+							case "l":
+								value = file.readLine(false)
+								break
+							case "L":
+								if (version < 0x52) {
+									throw new LuaError(context.position, `bad argument #${i + 1} to 'read' (invalid format)`)
+								}
+
+								value = file.readLine(true)
+								break
+							case "a":
+								value = file.readAll()
+								break
+							default:
+								throw new LuaError(context.position, `bad argument #${i + 1} to 'read' (invalid format)`)
+						}
+					}
+
+					// reading stops at the first format that fails
+					if (value === null) {
+						results.push(new LVNil())
+						break
+					}
+
+					results.push(value instanceof Uint8Array ? new LVString(value) : value)
+				}
+			}
+			catch (error) {
+				if (error instanceof LuaError) {
+					throw error
+				}
+
+				return fileResult(context, error)
+			}
+
+			return new LVTuple(results)
+		}
+
+		const writeFile = (context, file, values) => {
+			if (!file.writable) {
+				return fileResult(context, fsError("EBADF"))
+			}
+
+			try {
+				for (let i = 0; i < values.length; i ++) {
+					const value = values[i]
+
+					// numbers are written with "%.14g" even when they're floats with an integral value
+					if (value?.type === "number") {
+						file.write(new LVString(value.integer !== null ? value.integer.toString() : formatNumber(value.value)).value)
+					}
+					else {
+						file.write(checkString(context, value, i + 1, "write"))
+					}
+				}
+			}
+			catch (error) {
+				if (error instanceof LuaError) {
+					throw error
+				}
+
+				return fileResult(context, error)
+			}
+
+			return versionOf(context) >= 0x52 ? file : new LVBoolean(true)
+		}
+
+		const closeFile = (context, file) => {
+			if (file.isStandard) {
+				return new LVTuple([new LVNil(), new LVString("cannot close standard file")])
+			}
+
+			try {
+				file.close()
+			}
+			catch (error) {
+				return fileResult(context, error)
+			}
+
+			return new LVBoolean(true)
+		}
+
+		const linesIterator = (context, file, formats, closeAtEnd) => {
+			// lua 5.1 only reads lines
+			if (versionOf(context) < 0x52) {
+				formats = []
+			}
+
+			return new LVFunction((context) => {
+				if (file.closed) {
+					throw new LuaError(context.position, "file is already closed")
+				}
+
+				const result = readFile(context, file, formats)
+				if (result.values[0].type !== "nil") {
+					return result
+				}
+
+				// a message after the nil means reading failed rather than reaching the end
+				if (result.values.length > 1) {
+					throw new LuaError(context.position, result.values[1].print(context))
+				}
+
+				if (closeAtEnd) {
+					closeFile(context, file)
+				}
+
+				return new LVTuple([])
+			})
+		}
+
+		ioLib.rawSet(null, "open", new LVFunction((context, name, modeValue) => {
+			const fileName = decodePath(checkString(context, name, 1, "open"))
+
+			let mode = "r"
+			if (modeValue !== undefined && modeValue.type !== "nil") {
+				mode = decodePath(checkString(context, modeValue, 2, "open"))
+			}
+
+			if (versionOf(context) >= 0x52) {
+				if (!/^[rwa]\+?b*$/.test(mode)) {
+					throw new LuaError(context.position, "bad argument #2 to 'open' (invalid mode)")
+				}
+
+				mode = mode.replace(/b/g, "")
+			}
+			else {
+				mode = fopenMode(mode)
+				if (mode === null) {
+					return fileResult(context, fsError("EINVAL"), fileName)
+				}
+			}
+
+			try {
+				return openFile(fileName, mode)
+			}
+			catch (error) {
+				return fileResult(context, error, fileName)
+			}
+		}))
+
+		ioLib.rawSet(null, "close", new LVFunction((context, file) => {
+			if (file === undefined || file.type === "nil") {
+				return closeFile(context, defaultFile(context, this.defaultOutput, "output"))
+			}
+
+			return closeFile(context, checkFile(context, file, "close"))
+		}))
+
+		ioLib.rawSet(null, "read", new LVFunction((context, ...formats) => {
+			return readFile(context, defaultFile(context, this.defaultInput, "input"), formats)
+		}))
+
+		ioLib.rawSet(null, "write", new LVFunction((context, ...values) => {
+			return writeFile(context, defaultFile(context, this.defaultOutput, "output"), values)
+		}))
+
+		ioLib.rawSet(null, "lines", new LVFunction((context, name, ...formats) => {
+			if (name === undefined || name.type === "nil") {
+				return linesIterator(context, defaultFile(context, this.defaultInput, "input"), formats, false)
+			}
+
+			return linesIterator(context, openCheckedFile(context, name, "r", "lines"), formats, true)
+		}))
+
+		const defaultFileAccessor = (kind, mode) => new LVFunction((context, file) => {
+			const key = kind === "input" ? "defaultInput" : "defaultOutput"
+
+			if (file !== undefined && file.type !== "nil") {
+				this[key] = file.type === "string" || file.type === "number"
+					? openCheckedFile(context, file, mode, kind)
+					: checkFile(context, file, kind)
+			}
+
+			return this[key]
+		})
+
+		ioLib.rawSet(null, "input", defaultFileAccessor("input", "r"))
+		ioLib.rawSet(null, "output", defaultFileAccessor("output", "w"))
+
+		ioLib.rawSet(null, "flush", new LVFunction((context) => {
+			defaultFile(context, this.defaultOutput, "output")
+
+			return new LVBoolean(true)
+		}))
+
+		ioLib.rawSet(null, "type", new LVFunction((context, value) => {
+			if (value === undefined) {
+				throw new LuaError(context.position, "bad argument #1 to 'type' (value expected)")
+			}
+
+			if (!(value instanceof LVFile)) {
+				return new LVNil()
+			}
+
+			return new LVString(value.closed ? "closed file" : "file")
+		}))
+
+		ioLib.rawSet(null, "stdin", stdin)
+		ioLib.rawSet(null, "stdout", stdout)
+		ioLib.rawSet(null, "stderr", stderr)
+
+		fileMethods.rawSet(null, "read", new LVFunction((context, file, ...formats) => {
+			return readFile(context, checkFile(context, file, "read"), formats)
+		}))
+
+		fileMethods.rawSet(null, "write", new LVFunction((context, file, ...values) => {
+			return writeFile(context, checkFile(context, file, "write"), values)
+		}))
+
+		fileMethods.rawSet(null, "lines", new LVFunction((context, file, ...formats) => {
+			return linesIterator(context, checkFile(context, file, "lines"), formats, false)
+		}))
+
+		fileMethods.rawSet(null, "close", new LVFunction((context, file) => {
+			return closeFile(context, checkFile(context, file, "close"))
+		}))
+
+		fileMethods.rawSet(null, "flush", new LVFunction((context, file) => {
+			checkFile(context, file, "flush")
+
+			return new LVBoolean(true)
+		}))
+
+		fileMethods.rawSet(null, "seek", new LVFunction((context, file, whence, offset) => {
+			checkFile(context, file, "seek")
+
+			let option = "cur"
+			if (whence !== undefined && whence.type !== "nil") {
+				option = decodePath(checkString(context, whence, 1, "seek"))
+			}
+			if (!["set", "cur", "end"].includes(option)) {
+				throw new LuaError(context.position, `bad argument #1 to 'seek' (invalid option '${option}')`)
+			}
+
+			const distance = optInteger(context, offset, 2, "seek", 0)
+
+			if (!file.seekable) {
+				return fileResult(context, fsError("ESPIPE"))
+			}
+
+			try {
+				const position = file.seek(option, distance)
+				if (position === null) {
+					return fileResult(context, fsError("EINVAL"))
+				}
+
+				return wrap(context, position)
+			}
+			catch (error) {
+				return fileResult(context, error)
+			}
+		}))
+
+		fileMethods.rawSet(null, "setvbuf", new LVFunction((context, file, mode) => {
+			checkFile(context, file, "setvbuf")
+
+			const option = decodePath(checkString(context, mode, 1, "setvbuf"))
+			if (!["no", "full", "line"].includes(option)) {
+				throw new LuaError(context.position, `bad argument #1 to 'setvbuf' (invalid option '${option}')`)
+			}
+
+			return new LVBoolean(true)
+		}))
+
+		this.fileMetatable.rawSet(null, "__tostring", new LVFunction((context, file) => {
+			return new LVString(file.print(context))
+		}))
+
+		// closes files going out of scope as to-be-closed variables in lua 5.4
+		this.fileMetatable.rawSet(null, "__close", new LVFunction((context, file) => {
+			if (!file.closed && !file.isStandard) {
+				closeFile(context, file)
+			}
+		}))
+
+		this.globals.rawSet(null, "io", ioLib)
+
+		const osLib = new LVTable()
+
+		const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"]
+		const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"]
+
+		// strftime conversions os.date accepts since lua 5.2, C99's plus their E and O modified forms
+		const DATE_CONVERSIONS = "aAbBcCdDeFgGhHIjmMnprRStTuUVwWxXyYzZ%"
+		const MODIFIED_DATE_CONVERSIONS = ["Ec", "EC", "Ex", "EX", "Ey", "EY", "Od", "Oe", "OH", "OI", "Om", "OM", "OS", "Ou", "OU", "OV", "Ow", "OW", "Oy"]
+
+		const TMPNAME_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789"
+
+		// lua 5.3+ keeps time results as integers and durations as floats
+		const integerResult = (context, num) => versionOf(context) >= 0x53 ? LVNumber.fromInteger(BigInt(num)) : wrap(context, num)
+		const floatResult = (context, num) => versionOf(context) >= 0x53 ? LVNumber.fromFloat(num) : wrap(context, num)
+
+		// Date.UTC maps years 0 to 99 to the 1900s, this doesn't
+		const utcDate = (year, month, day, hour = 0, min = 0, sec = 0) => {
+			const date = new Date(0)
+			date.setUTCFullYear(year, month, day)
+			date.setUTCHours(hour, min, sec)
+
+			return date.getTime()
+		}
+
+		// daylight saving time is whatever is ahead of the year's standard offset
+		const isDaylightTime = (time, offset) => {
+			const year = new Date(time - offset * 60000).getUTCFullYear()
+			const standardOffset = Math.max(this.clock.timezoneOffset(utcDate(year, 0, 1)), this.clock.timezoneOffset(utcDate(year, 6, 1)))
+
+			return offset < standardOffset
+		}
+
+		// broken down time like C's struct tm, months and week days count from 0
+		const dateFields = (time, utc) => {
+			const offset = utc ? 0 : this.clock.timezoneOffset(time * 1000)
+			const date = new Date((time - offset * 60) * 1000)
+			if (Number.isNaN(date.getTime())) {
+				return null
+			}
+
+			const year = date.getUTCFullYear()
+
+			return {
+				time,
+				offset,
+				year,
+				month: date.getUTCMonth(),
+				day: date.getUTCDate(),
+				hour: date.getUTCHours(),
+				min: date.getUTCMinutes(),
+				sec: date.getUTCSeconds(),
+				wday: date.getUTCDay(),
+				yday: Math.floor((date.getTime() - utcDate(year, 0, 1)) / 86400000),
+				isdst: !utc && isDaylightTime(time * 1000, offset)
+			}
+		}
+
+		// C's mktime, out of range fields carry over and isdst says which offset the local time is in
+		const makeTime = (year, month, day, hour, min, sec, isdst) => {
+			const local = utcDate(year, month, day, hour, min, sec)
+			if (Number.isNaN(local)) {
+				return null
+			}
+
+			// around a transition, repeated local times get the later offset and skipped ones the earlier one
+			const offsetBefore = this.clock.timezoneOffset(local - 86400000)
+			const offsetAfter = this.clock.timezoneOffset(local + 86400000)
+
+			let time = local + offsetAfter * 60000
+			if (this.clock.timezoneOffset(time) !== offsetAfter) {
+				time = local + offsetBefore * 60000
+			}
+
+			const offset = this.clock.timezoneOffset(time)
+			if (isdst !== null && isdst !== isDaylightTime(time, offset)) {
+				const localYear = new Date(local).getUTCFullYear()
+				const shift = Math.abs(this.clock.timezoneOffset(utcDate(localYear, 0, 1)) - this.clock.timezoneOffset(utcDate(localYear, 6, 1)))
+
+				time += (isdst ? -shift : shift) * 60000
+			}
+
+			return Math.floor(time / 1000)
+		}
+
+		const weeksInYear = (year) => {
+			// week day of the year's last day
+			const weekday = (y) => ((y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400)) % 7 + 7) % 7
+
+			return weekday(year) === 4 || weekday(year - 1) === 3 ? 53 : 52
+		}
+
+		// ISO 8601 weeks start on monday, the first one holds the year's first thursday
+		const isoWeek = (fields) => {
+			let year = fields.year
+			let week = Math.floor((fields.yday - (fields.wday + 6) % 7 + 10) / 7)
+
+			if (week < 1) {
+				year --
+				week = weeksInYear(year)
+			}
+			else if (week > weeksInYear(year)) {
+				year ++
+				week = 1
+			}
+
+			return { year, week }
+		}
+
+		// strftime in the C locale
+		const formatDate = (conversion, fields, utc) => {
+			const pad = (value, width, fill = "0") => String(value).padStart(width, fill)
+
+			switch (conversion) {
+				case "a": return DAY_NAMES[fields.wday].slice(0, 3)
+				case "A": return DAY_NAMES[fields.wday]
+				case "b":
+				case "h": return MONTH_NAMES[fields.month].slice(0, 3)
+				case "B": return MONTH_NAMES[fields.month]
+				case "c": return `${formatDate("a", fields, utc)} ${formatDate("b", fields, utc)} ${formatDate("e", fields, utc)} ${formatDate("T", fields, utc)} ${fields.year}`
+				case "C": return pad(Math.floor(fields.year / 100), 2)
+				case "d": return pad(fields.day, 2)
+				case "x":
+				case "D": return `${pad(fields.month + 1, 2)}/${pad(fields.day, 2)}/${formatDate("y", fields, utc)}`
+				case "e": return pad(fields.day, 2, " ")
+				case "F": return `${pad(fields.year, 4)}-${pad(fields.month + 1, 2)}-${pad(fields.day, 2)}`
+				case "g": return pad((isoWeek(fields).year % 100 + 100) % 100, 2)
+				case "G": return String(isoWeek(fields).year)
+				case "H": return pad(fields.hour, 2)
+				case "I": return pad(fields.hour % 12 || 12, 2)
+				case "j": return pad(fields.yday + 1, 3)
+				case "m": return pad(fields.month + 1, 2)
+				case "M": return pad(fields.min, 2)
+				case "n": return "\n"
+				case "p": return fields.hour < 12 ? "AM" : "PM"
+				case "r": return `${formatDate("I", fields, utc)}:${pad(fields.min, 2)}:${pad(fields.sec, 2)} ${formatDate("p", fields, utc)}`
+				case "R": return `${pad(fields.hour, 2)}:${pad(fields.min, 2)}`
+				case "S": return pad(fields.sec, 2)
+				case "t": return "\t"
+				case "X":
+				case "T": return `${pad(fields.hour, 2)}:${pad(fields.min, 2)}:${pad(fields.sec, 2)}`
+				case "u": return String(fields.wday || 7)
+				case "U": return pad(Math.floor((fields.yday + 7 - fields.wday) / 7), 2)
+				case "V": return pad(isoWeek(fields).week, 2)
+				case "w": return String(fields.wday)
+				case "W": return pad(Math.floor((fields.yday + 7 - (fields.wday + 6) % 7) / 7), 2)
+				case "y": return pad((fields.year % 100 + 100) % 100, 2)
+				case "Y": return String(fields.year)
+				case "z": {
+					const east = -fields.offset
+
+					return `${east < 0 ? "-" : "+"}${pad(Math.floor(Math.abs(east) / 60), 2)}${pad(Math.abs(east) % 60, 2)}`
+				}
+				case "Z": return utc ? "GMT" : this.clock.timezoneName(fields.time * 1000)
+				case "%": return "%"
+			}
+		}
+
+		osLib.rawSet(null, "date", new LVFunction((context, formatValue, timeValue) => {
+			let format = new LVString("%c").value
+			if (formatValue !== undefined && formatValue.type !== "nil") {
+				format = checkString(context, formatValue, 1, "date")
+			}
+
+			let time = Math.floor(this.clock.now() / 1000)
+			if (timeValue !== undefined && timeValue.type !== "nil") {
+				time = checkInteger(context, timeValue, 2, "date")
+			}
+
+			const utc = format[0] === 0x21
+			if (utc) {
+				format = format.subarray(1)
+			}
+
+			const fields = dateFields(time, utc)
+			if (!fields) {
+				if (versionOf(context) < 0x53) {
+					return new LVNil()
+				}
+
+				const subject = versionOf(context) >= 0x54 ? "date" : "time"
+				throw new LuaError(context.position, `${subject} result cannot be represented in this installation`)
+			}
+
+			if (format.length === 2 && format[0] === 0x2A && format[1] === 0x74) {
+				const table = new LVTable()
+
+				table.rawSet(context, "sec", integerResult(context, fields.sec))
+				table.rawSet(context, "min", integerResult(context, fields.min))
+				table.rawSet(context, "hour", integerResult(context, fields.hour))
+				table.rawSet(context, "day", integerResult(context, fields.day))
+				table.rawSet(context, "month", integerResult(context, fields.month + 1))
+				table.rawSet(context, "year", integerResult(context, fields.year))
+				table.rawSet(context, "wday", integerResult(context, fields.wday + 1))
+				table.rawSet(context, "yday", integerResult(context, fields.yday + 1))
+				table.rawSet(context, "isdst", new LVBoolean(fields.isdst))
+
+				return table
+			}
+
+			const out = []
+
+			for (let i = 0; i < format.length; i ++) {
+				if (format[i] !== 0x25) {
+					out.push(format[i])
+					continue
+				}
+
+				// lua 5.1 hands anything after "%" to strftime, which leaves unknown conversions as they are
+				if (versionOf(context) < 0x52) {
+					const conversion = String.fromCharCode(format[i + 1] ?? 0)
+					if (i + 1 < format.length && DATE_CONVERSIONS.includes(conversion)) {
+						out.push(...new LVString(formatDate(conversion, fields, utc)).value)
+						i ++
+					}
+					else {
+						out.push(0x25)
+					}
+
+					continue
+				}
+
+				const rest = String.fromCharCode(...format.subarray(i + 1, i + 3))
+				const conversion = MODIFIED_DATE_CONVERSIONS.find((modified) => rest.startsWith(modified)) ?? (rest.length > 0 && DATE_CONVERSIONS.includes(rest[0]) ? rest[0] : null)
+				if (!conversion) {
+					const specifier = new TextDecoder("utf-8").decode(format.subarray(i + 1))
+					throw new LuaError(context.position, `bad argument #1 to 'date' (invalid conversion specifier '%${specifier}')`)
+				}
+
+				out.push(...new LVString(formatDate(conversion[conversion.length - 1], fields, utc)).value)
+				i += conversion.length
+			}
+
+			return new LVString(Uint8Array.from(out))
+		}))
+
+		osLib.rawSet(null, "time", new LVFunction((context, table) => {
+			if (table === undefined || table.type === "nil") {
+				return integerResult(context, Math.floor(this.clock.now() / 1000))
+			}
+			if (table.type !== "table") {
+				errors.badArgType(context.position, 1, "time", table.type, "table")
+			}
+
+			const version = versionOf(context)
+
+			const field = (key, fallback, delta) => {
+				const value = table.index(context, new LVString(key))
+				const number = value.type === "string" ? value.asNumber(context) : value
+
+				if (number.type !== "number") {
+					if (value.type !== "nil" && version >= 0x53) {
+						throw new LuaError(context.position, `field '${key}' is not an integer`)
+					}
+					if (fallback === null) {
+						throw new LuaError(context.position, `field '${key}' missing in date table`)
+					}
+
+					return fallback
+				}
+
+				if (version < 0x53) {
+					return Math.trunc(number.value) - delta
+				}
+
+				const integer = number.toInteger()
+				if (integer === null) {
+					throw new LuaError(context.position, `field '${key}' is not an integer`)
+				}
+				// C keeps the fields in ints
+				if (integer < -0x3FFFFFFFn || integer > 0x3FFFFFFFn) {
+					throw new LuaError(context.position, `field '${key}' is out-of-bound`)
+				}
+
+				return Number(integer) - delta
+			}
+
+			// lua 5.4 reads the fields from the year down, which changes the one that's reported missing
+			const names = ["sec", "min", "hour", "day", "month", "year"]
+			if (version >= 0x54) {
+				names.reverse()
+			}
+
+			const fields = {}
+			for (const name of names) {
+				fields[name] = field(name, { sec: 0, min: 0, hour: 12 }[name] ?? null, name === "month" ? 1 : 0)
+			}
+
+			const { sec, min, hour, day, month, year } = fields
+
+			const isdstValue = table.index(context, new LVString("isdst"))
+			const isdst = isdstValue.type === "nil" ? null : isdstValue.truthy(context)
+
+			const time = makeTime(year, month, day, hour, min, sec, isdst)
+			if (time === null) {
+				if (version < 0x53) {
+					return new LVNil()
+				}
+
+				throw new LuaError(context.position, "time result cannot be represented in this installation")
+			}
+
+			// lua 5.3+ normalizes the table's fields like mktime does
+			if (version >= 0x53) {
+				const fields = dateFields(time, false)
+
+				table.setIndex(context, new LVString("sec"), integerResult(context, fields.sec))
+				table.setIndex(context, new LVString("min"), integerResult(context, fields.min))
+				table.setIndex(context, new LVString("hour"), integerResult(context, fields.hour))
+				table.setIndex(context, new LVString("day"), integerResult(context, fields.day))
+				table.setIndex(context, new LVString("month"), integerResult(context, fields.month + 1))
+				table.setIndex(context, new LVString("year"), integerResult(context, fields.year))
+				table.setIndex(context, new LVString("wday"), integerResult(context, fields.wday + 1))
+				table.setIndex(context, new LVString("yday"), integerResult(context, fields.yday + 1))
+				table.setIndex(context, new LVString("isdst"), new LVBoolean(fields.isdst))
+			}
+
+			return integerResult(context, time)
+		}))
+
+		osLib.rawSet(null, "clock", new LVFunction((context) => {
+			return floatResult(context, this.clock.cpu())
+		}))
+
+		osLib.rawSet(null, "difftime", new LVFunction((context, end, start) => {
+			const endTime = checkInteger(context, end, 1, "difftime")
+			const startTime = versionOf(context) >= 0x53 ? checkInteger(context, start, 2, "difftime") : optInteger(context, start, 2, "difftime", 0)
+
+			return floatResult(context, endTime - startTime)
+		}))
+
+		osLib.rawSet(null, "getenv", new LVFunction((context, name) => {
+			const value = this.env[decodePath(checkString(context, name, 1, "getenv"))]
+
+			return typeof value === "string" ? new LVString(value) : new LVNil()
+		}))
+
+		osLib.rawSet(null, "remove", new LVFunction((context, name) => {
+			const fileName = decodePath(checkString(context, name, 1, "remove"))
+
+			try {
+				this.fs.remove(fileName)
+			}
+			catch (error) {
+				return fileResult(context, error, fileName)
+			}
+
+			return new LVBoolean(true)
+		}))
+
+		osLib.rawSet(null, "rename", new LVFunction((context, from, to) => {
+			const fromName = decodePath(checkString(context, from, 1, "rename"))
+			const toName = decodePath(checkString(context, to, 2, "rename"))
+
+			try {
+				this.fs.rename(fromName, toName)
+			}
+			catch (error) {
+				return fileResult(context, error, versionOf(context) >= 0x52 ? undefined : fromName)
+			}
+
+			return new LVBoolean(true)
+		}))
+
+		osLib.rawSet(null, "tmpname", new LVFunction((context) => {
+			const exists = (name) => {
+				try {
+					this.fs.close(this.fs.open(name, "r"))
+
+					return true
+				}
+				catch (error) {
+					return false
+				}
+			}
+
+			for (let attempt = 0; attempt < 100; attempt ++) {
+				let name = "/tmp/lua_"
+				for (let i = 0; i < 6; i ++) {
+					name += TMPNAME_CHARS[Math.floor(Math.random() * TMPNAME_CHARS.length)]
+				}
+
+				if (exists(name)) {
+					continue
+				}
+
+				// created right away like mkstemp does, so the name stays taken
+				try {
+					this.fs.close(this.fs.open(name, "w"))
+				}
+				catch (error) {
+					break
+				}
+
+				return new LVString(name)
+			}
+
+			throw new LuaError(context.position, "unable to generate a unique filename")
+		}))
+
+		osLib.rawSet(null, "exit", new LVFunction((context, status) => {
+			let code = 0
+			if (status?.type === "boolean" && versionOf(context) >= 0x52) {
+				code = status.truthy(context) ? 0 : 1
+			}
+			else {
+				code = optInteger(context, status, 1, "exit", 0)
+			}
+
+			// the host decides what exiting means, the script stops either way
+			this.exit?.(code)
+
+			throw new LuaExit(code)
+		}))
+
+		this.globals.rawSet(null, "os", osLib)
+
+		const coroutineLib = new LVTable()
+
+		const checkThread = (context, value, funcName) => {
+			if (!(value instanceof LVCoroutine)) {
+				const version = versionOf(context)
+
+				if (version >= 0x54) {
+					errors.badArgType(context.position, 1, funcName, value?.type ?? "no value", "thread")
+				}
+
+				throw new LuaError(context.position, `bad argument #1 to '${funcName}' (${version >= 0x53 ? "thread" : "coroutine"} expected)`)
+			}
+
+			return value
+		}
+
+		// why a coroutine can't be resumed, if it can't
+		const resumeProblem = (context, thread) => {
+			if (thread.status === "suspended") {
+				return null
+			}
+
+			if (thread.status === "dead" || versionOf(context) < 0x52) {
+				return `cannot resume ${thread.status} coroutine`
+			}
+
+			return "cannot resume non-suspended coroutine"
+		}
+
+		// errors resume can't catch either, and awaits, which suspend the coroutine calling resume as well
+		const isUncatchable = (error) => error instanceof LuaYield || error instanceof LuaExit || (error instanceof LuaLimitError && !this.catchLimits)
+
+		// what resume gives back for running the coroutine until it yields, returns or fails
+		const resumeValues = (context, thread, args) => {
+			try {
+				return [new LVBoolean(true), ...this.resumeThread(context, thread, args)]
+			}
+			catch (error) {
+				if (isUncatchable(error)) {
+					throw error
+				}
+
+				return [new LVBoolean(false), this.handleError(context, error)]
+			}
+		}
+
+		coroutineLib.rawSet(null, "yield", new LVFunction((context, ...values) => {
+			if (!this.canYield()) {
+				const version = versionOf(context)
+
+				if (version === 0x51) {
+					throw new LuaError(null, "attempt to yield across metamethod/C-call boundary")
+				}
+				if (this.currentThread?.isMain !== false) {
+					throw new LuaError(null, version > 0x51 ? "attempt to yield from outside a coroutine" : "attempt to yield across C-call boundary")
+				}
+
+				throw new LuaError(null, version > 0x51 ? "attempt to yield across a C-call boundary" : "attempt to yield across C-call boundary")
+			}
+
+			// resuming the coroutine makes the yield return what resume was given
+			this.callStack[this.callStack.length - 1].resume = (values) => values
+
+			throw new LuaYield(values)
+		}))
+
+		coroutineLib.rawSet(null, "resume", new LVFunction((context, coroutine, ...args) => {
+			const thread = checkThread(context, coroutine, "resume")
+
+			const problem = resumeProblem(context, thread)
+			if (problem !== null) {
+				return new LVTuple([new LVBoolean(false), new LVString(problem)])
+			}
+
+			// an await in the coroutine suspends this call as well, which goes on with the coroutine when it's over
+			this.callStack[this.callStack.length - 1].resume = () => resumeValues(context, thread, [])
+
+			return new LVTuple(resumeValues(context, thread, args))
+		}))
+
+		coroutineLib.rawSet(null, "create", new LVFunction((context, func) => {
+			if (func?.type !== "function") {
+				errors.badArgType(context.position, 1, "create", func?.type ?? "no value", "function")
+			}
+			if (versionOf(context) === 0x51 && !(func instanceof LVClosure)) {
+				throw new LuaError(context.position, "bad argument #1 to 'create' (Lua function expected)")
+			}
+
+			return new LVCoroutine(func, [])
+		}))
+
+		coroutineLib.rawSet(null, "status", new LVFunction((context, coroutine) => {
+			return new LVString(checkThread(context, coroutine, "status").status)
+		}))
+
+		coroutineLib.rawSet(null, "running", new LVFunction((context) => {
+			const thread = this.currentThread
+
+			// lua 5.1 only has the coroutine to return, and nothing for the main one
+			if (versionOf(context) === 0x51) {
+				return thread.isMain ? new LVNil() : thread
+			}
+
+			return new LVTuple([thread, new LVBoolean(thread.isMain)])
+		}))
+
+		coroutineLib.rawSet(null, "close", new LVFunction((context, coroutine) => {
+			const thread = checkThread(context, coroutine, "close")
+
+			if (thread.status === "running" || thread.status === "normal") {
+				throw new LuaError(context.position, `cannot close a ${thread.status} coroutine`)
+			}
+
+			let error = thread.deathError === null ? null : this.handleError(context, thread.deathError)
+
+			const frames = thread.suspendedFrames
+
+			thread.status = "dead"
+			thread.suspendedFrames = []
+			thread.deathError = null
+
+			// variables a suspended coroutine still has to close are closed innermost first, an error closing one is
+			// what the ones after it get and what close returns
+			for (const frame of frames) {
+				if (!(frame instanceof LVCoroutine)) {
+					continue
+				}
+
+				while (frame.toBeClosed.length > 0) {
+					const value = frame.stack[frame.base + frame.toBeClosed.pop()]
+
+					try {
+						call(context, getMeta(context, value, "__close"), value, error ?? new LVNil())
+					}
+					catch (caught) {
+						if (isUncatchable(caught)) {
+							throw caught
+						}
+
+						error = this.handleError(context, caught)
+					}
+				}
+
+				for (const upValue of frame.openUpValues) {
+					upValue.close()
+				}
+			}
+
+			if (error !== null) {
+				return new LVTuple([new LVBoolean(false), error])
+			}
+
+			return new LVBoolean(true)
+		}))
+
+		coroutineLib.rawSet(null, "isyieldable", new LVFunction((context, coroutine) => {
+			if (coroutine !== undefined && coroutine !== this.currentThread) {
+				return new LVBoolean(!checkThread(context, coroutine, "isyieldable").isMain)
+			}
+
+			return new LVBoolean(this.canYield())
+		}))
+
+		coroutineLib.rawSet(null, "wrap", new LVFunction((context, func) => {
+			if (func?.type !== "function") {
+				errors.badArgType(context.position, 1, "wrap", func?.type ?? "no value", "function")
+			}
+			if (versionOf(context) === 0x51 && !(func instanceof LVClosure)) {
+				throw new LuaError(context.position, "bad argument #1 to 'wrap' (Lua function expected)")
+			}
+
+			const thread = new LVCoroutine(func, [])
+
+			// the error carries on in the caller, messages get its position like error() would add
+			const fail = (context, value) => {
+				const version = versionOf(context)
+				const caller = this.callStack[this.callStack.length - 2]
+				const position = caller instanceof LVCoroutine ? this.framePosition(caller) : null
+
+				if (value.type === "string" || (value.type === "number" && version < 0x53)) {
+					const message = value.asString(context)
+
+					if (position) {
+						const prefix = new LVString(`${formatPos(position)} `)
+						throw new LuaError(position, unwrap(message), new LVString(concatBytes(prefix.value, message.value)))
+					}
+
+					throw new LuaError(null, unwrap(message), message)
+				}
+
+				throw new LuaError(null, `(error object is a ${value.type} value)`, value)
+			}
+
+			const resume = (context, args) => {
+				try {
+					return this.resumeThread(context, thread, args)
+				}
+				catch (error) {
+					if (isUncatchable(error)) {
+						throw error
+					}
+
+					fail(context, this.handleError(context, error))
+				}
+			}
+
+			return new LVFunction((context, ...args) => {
+				const problem = resumeProblem(context, thread)
+				if (problem !== null) {
+					fail(context, new LVString(problem))
+				}
+
+				// like resume, an await in the coroutine suspends this call until it's over
+				this.callStack[this.callStack.length - 1].resume = () => resume(context, [])
+
+				return new LVTuple(resume(context, args))
+			})
+		}))
+
+		this.globals.rawSet(null, "coroutine", coroutineLib)
+
+		this.globals.rawSet(null, "print", new LVFunction((context, ...msgs) => {
+			const parts = []
+
+			for (let i = 0; i < msgs.length; i ++) {
+				if (i > 0) {
+					parts.push(new Uint8Array([0x09]))
+				}
+
+				// strings are written as they are, they don't have to be valid utf-8
+				const string = toLuaString(context, msgs[i])
+				if (string.type !== "string") {
+					throw new LuaError(context.position, "'tostring' must return a string to 'print'")
+				}
+
+				parts.push(string.value)
+			}
+			parts.push(new Uint8Array([0x0A]))
+
+			this.stdout.write(joinBytes(parts))
+		}))
+
+		// warnings of lua 5.4, off until a script turns them on with "@on" like the standalone interpreter
+		let warningsOn = false
+
+		const warn = new LVFunction((context, ...msgs) => {
+			const parts = [checkString(context, msgs[0], 1, "warn")]
+			for (let i = 1; i < msgs.length; i ++) {
+				parts.push(checkString(context, msgs[i], i + 1, "warn"))
+			}
+
+			if (msgs.length === 1 && parts[0][0] === 0x40) {
+				const control = new TextDecoder("utf-8").decode(parts[0])
+				if (control === "@on") {
+					warningsOn = true
+				}
+				else if (control === "@off") {
+					warningsOn = false
+				}
+
+				return new LVTuple([])
+			}
+
+			if (warningsOn) {
+				this.stderr.write(joinBytes([new LVString("Lua warning: ").value, ...parts, new Uint8Array([0x0A])]))
+			}
+
+			return new LVTuple([])
+		})
+
+		this.versionedFields.push({ table: this.globals, key: "warn", value: warn, hasIt: (version) => version >= 0x54 })
+
+		this.globals.rawSet(null, "next", new LVFunction((context, table, lastKey) => {
+			if (table.type !== "table") {
+				errors.badArgType(context.position, 1, "next", table.type, "table")
+			}
+
+			const keys = table.keys()
+			let start = 0
+
+			if (!lastKey || lastKey.type !== "nil") {
+				start = keys.indexOf(tableKey(lastKey))
+				if (start === -1) {
+					throw new LuaError(context.position, `invalid key to 'next'`)
+				}
+
+				start ++
+			}
+
+			if (start >= keys.length) {
+				return wrap(context)
+			}
+
+			const key = keys[start]
+			const val = table.rawGet(context, key)
+
+			return new LVTuple([wrap(context, key), val])
+		}))
+
+		this.globals.rawSet(null, "select", new LVFunction((context, index, ...args) => {
+			if (unwrap(index) === "#") {
+				return wrap(context, args.length)
+			}
+
+			if (index.type !== "number") {
+				errors.badArgType(context.position, 1, "select", index.type, "number")
+			}
+			const value = unwrap(index)
+			if (!Number.isInteger(value)) {
+				throw new LuaError(context.position, `bad argument #1 to 'select' (number has no integer representation)`)
+			}
+
+			if (value > args.length) {
+				return new LVTuple([])
+			}
+
+			let i = value
+			if (i < 0) {
+				i = args.length + i + 1
+			}
+
+			if (i <= 0 || i > args.length) {
+				throw new LuaError(context.position, `bad argument #1 to 'select' (index out of range)`)
+			}
+
+			return new LVTuple(args.slice(value - 1))
+		}))
+
+		this.globals.rawSet(null, "pairs", new LVFunction((context, table) => {
+			const nextFn = this.globals.rawGet(context, "next")
+
+			return new LVTuple([nextFn, table, new LVNil()])
+		}))
+
+		this.globals.rawSet(null, "setmetatable", new LVFunction((context, table, metatable) => {
+			if (table.type !== "table") {
+				errors.badArgType(context.position, 1, "setmetatable", table.type, "table")
+			}
+			
+			const protection = getMeta(context, table, "__metatable")
+			if (protection && protection.type !== "nil") {
+				throw new LuaError(context.position, "cannot change a protected metatable")
+			}
+
+			table.metatable = metatable
+
+			return table
+		}))
+		this.globals.rawSet(null, "getmetatable", new LVFunction((context, value) => {
+			if (value === undefined) {
+				throw new LuaError(context.position, "bad argument #1 to 'getmetatable' (value expected)")
+			}
+
+			const protection = getMeta(context, value, "__metatable")
+			if (protection && protection.type !== "nil") {
+				return protection
+			}
+
+			return wrap(context, getMetatable(context, value))
+		}))
+
+		this.globals.rawSet(null, "tonumber", new LVFunction((context, value) => {
+			return value.asNumber(context)
+		}))
+		this.globals.rawSet(null, "tostring", new LVFunction((context, value) => {
+			if (value === undefined) {
+				throw new LuaError(context.position, "bad argument #1 to 'tostring' (value expected)")
+			}
+
+			return toLuaString(context, value)
+		}))
+
+		this.globals.rawSet(null, "error", new LVFunction((context, value, level) => {
+			value = value ?? new LVNil()
+
+			let levelNum = 1
+			if (level !== undefined && level.type !== "nil") {
+				const trueLevel = level.type === "string" ? level.asNumber(context) : level
+				if (trueLevel.type !== "number") {
+					errors.badArgType(context.position, 2, "error", level.type, "number")
+				}
+
+				levelNum = Math.trunc(trueLevel.value)
+			}
+
+			if (value.type !== "string") {
+				const message = value.type === "number" ? unwrap(value.asString(context)) : `(error object is a ${value.type} value)`
+
+				throw new LuaError(null, message, value)
+			}
+
+			if (levelNum <= 0) {
+				throw new LuaError(null, unwrap(value), value)
+			}
+
+			// level 1 is the function that called error, which is on top of the stack itself
+			const frame = this.callStack[this.callStack.length - 1 - levelNum]
+
+			const position = frame instanceof LVCoroutine ? this.framePosition(frame) : null
+			if (!position) {
+				throw new LuaError(null, unwrap(value), value)
+			}
+
+			const prefix = new LVString(`${formatPos(position)} `)
+			throw new LuaError(position, unwrap(value), new LVString(concatBytes(prefix.value, value.value)))
+		}))
+
+		this.globals.rawSet(null, "pcall", new LVFunction((context, func, ...args) => {
+			if (func === undefined) {
+				throw new LuaError(context.position, "bad argument #1 to 'pcall' (value expected)")
+			}
+
+			return this.protectedCall(context, null, func, args)
+		}))
+
+		this.globals.rawSet(null, "xpcall", new LVFunction((context, func, handler, ...args) => {
+			if (handler === undefined) {
+				throw new LuaError(context.position, "bad argument #2 to 'xpcall' (value expected)")
+			}
+
+			// lua 5.1 doesn't pass the function any arguments
+			return this.protectedCall(context, handler, func, versionOf(context) === 0x51 ? [] : args)
+		}))
+
+		const debugLib = new LVTable()
+
+		debugLib.rawSet(null, "traceback", new LVFunction((context, ...args) => {
+			let thread = null
+			if (args[0] instanceof LVCoroutine) {
+				thread = args.shift()
+			}
+
+			const [message, level] = args
+
+			// anything but a message is returned untouched
+			if (message !== undefined && message.type !== "nil" && message.type !== "string" && message.type !== "number") {
+				return message
+			}
+
+			// a coroutine that isn't running is looked at from the outside, from its innermost frame
+			const isOtherThread = thread !== null && !this.callStack.includes(thread)
+
+			let levelNum = isOtherThread ? 0 : 1
+			if (level !== undefined && level.type !== "nil") {
+				const trueLevel = level.type === "string" ? level.asNumber(context) : level
+				if (trueLevel.type !== "number") {
+					errors.badArgType(context.position, thread ? 3 : 2, "traceback", level.type, "number")
+				}
+
+				levelNum = Math.trunc(trueLevel.value)
+			}
+
+			let frames
+			if (isOtherThread) {
+				// a suspended coroutine's frames are the ones its yield left waiting
+				frames = this.captureTraceback(Math.max(levelNum, 0), thread.suspendedFrames.slice().reverse())
+			}
+			else {
+				frames = this.captureTraceback(Math.max(levelNum, 0))
+			}
+
+			const proto = context.coroutine?.closure.proto
+			const traceback = formatTraceback(frames, !proto || proto.isLuaJIT ? 0x51 : proto.version)
+
+			if (message === undefined || message.type === "nil") {
+				return new LVString(traceback)
+			}
+
+			return new LVString(concatBytes(message.asString(context).value, new LVString(`\n${traceback}`).value))
+		}))
+
+		// a leading coroutine argument picks whose frames to look at, the running one is the same as none
+		const threadArg = (args) => {
+			if (!(args[0] instanceof LVCoroutine)) {
+				return null
+			}
+
+			const thread = args.shift()
+
+			return this.callStack.includes(thread) ? null : thread
+		}
+
+		// level 0 is the function asking
+		const stackFrame = (thread, level) => {
+			if (thread) {
+				// a suspended coroutine is still inside coroutine.yield, with the frames that led there
+				const frames = thread.suspendedFrames
+
+				return level < frames.length ? { frame: frames[level], caller: frames[level + 1] } : null
+			}
+
+			const index = this.callStack.length - 1 - level
+
+			return index >= 0 ? { frame: this.callStack[index], caller: this.callStack[index - 1] } : null
+		}
+
+		const checkLevel = (context, value, index, funcName) => {
+			if (value?.type !== "number" && value?.type !== "string") {
+				errors.badArgType(context.position, index, funcName, value?.type ?? "no value", "number")
+			}
+
+			return checkInteger(context, value, index, funcName)
+		}
+
+		// registers from a call in progress up belong to the function being called
+		const registerLimit = (frame) => {
+			const proto = frame.closure.proto
+			if (!proto.isLuaJIT && frame.pc > 0) {
+				const inst = decodeInst(proto.version, proto.insts[frame.pc - 1])
+				if (inst.name === "CALL" || inst.name === "TAILCALL") {
+					return inst.A
+				}
+			}
+
+			return frame.top
+		}
+
+		// the n-th local of a frame, negative ones are varargs
+		const frameLocal = (context, frame, n) => {
+			// host functions don't keep their arguments around
+			if (!(frame instanceof LVCoroutine)) {
+				return null
+			}
+
+			const version = versionOf(context)
+			const proto = frame.closure.proto
+
+			if (n < 0) {
+				const index = proto.paramCount - n - 1
+				if (version < 0x52 || !proto.isVarArg || index >= frame.args.length) {
+					return null
+				}
+
+				return {
+					name: version >= 0x54 ? "(vararg)" : "(*vararg)",
+					get: () => frame.args[index],
+					set: (value) => {
+						frame.args[index] = value
+					}
+				}
+			}
+
+			const register = n - 1
+
+			let name = getLocalName(proto, register, frame.pc - 1)
+			if (name === null) {
+				if (n === 0 || register >= registerLimit(frame)) {
+					return null
+				}
+
+				name = version >= 0x54 ? "(temporary)" : "(*temporary)"
+			}
+
+			return {
+				name,
+				get: () => frame.stack[frame.base + register] ?? new LVNil(),
+				set: (value) => {
+					frame.stack[frame.base + register] = value
+				}
+			}
+		}
+
+		debugLib.rawSet(null, "getinfo", new LVFunction((context, ...args) => {
+			const thread = threadArg(args)
+			const argBase = thread ? 1 : 0
+			const [target, what] = args
+			const version = versionOf(context)
+
+			let options = version >= 0x54 ? "flnSrtu" : version >= 0x52 ? "flnStu" : "flnSu"
+			if (what !== undefined && what.type !== "nil") {
+				options = new TextDecoder("utf-8").decode(checkString(context, what, argBase + 2, "getinfo"))
+			}
+
+			const validOptions = version >= 0x54 ? "SlnrutfL" : version >= 0x52 ? "SlnutfL" : "SlnufL"
+			if ([...options].some((option) => !validOptions.includes(option))) {
+				throw new LuaError(context.position, `bad argument #${argBase + 2} to 'getinfo' (invalid option)`)
+			}
+
+			let func
+			let info = null
+			if (target?.type === "function") {
+				func = target
+			}
+			else {
+				// lua 5.3+ checks levels like any other integer argument
+				if (version < 0x53 && target?.asNumber(context).type !== "number") {
+					throw new LuaError(context.position, `bad argument #${argBase + 1} to 'getinfo' (function or level expected)`)
+				}
+
+				const found = stackFrame(thread, checkLevel(context, target, argBase + 1, "getinfo"))
+				if (!found) {
+					return new LVNil()
+				}
+
+				info = this.frameInfo(found.frame, found.caller, new Map())
+				func = found.frame instanceof LVCoroutine ? found.frame.closure : found.frame.func
+			}
+
+			const proto = func instanceof LVClosure ? func.proto : null
+
+			const table = new LVTable()
+			const set = (key, value) => table.rawSet(null, key, value)
+
+			if (options.includes("S")) {
+				set("source", new LVString(proto ? proto.source ?? "=?" : "=[C]"))
+				set("short_src", new LVString(proto ? proto.fileName ?? "?" : "[C]"))
+				set("linedefined", wrap(context, proto ? proto.lineDefined : -1))
+				set("lastlinedefined", wrap(context, proto ? proto.lastLineDefined : -1))
+				set("what", new LVString(!proto ? "C" : proto.lineDefined === 0 ? "main" : "Lua"))
+			}
+			if (options.includes("l")) {
+				set("currentline", wrap(context, info ? info.currentLine : -1))
+			}
+			if (options.includes("u")) {
+				set("nups", wrap(context, proto ? func.upvalues.length : 0))
+
+				if (version >= 0x52) {
+					set("nparams", wrap(context, proto ? proto.paramCount : 0))
+					set("isvararg", new LVBoolean(proto ? proto.isVarArg : true))
+				}
+			}
+			if (options.includes("n")) {
+				if (info?.name) {
+					set("name", new LVString(info.name))
+				}
+				set("namewhat", new LVString(info?.nameWhat ?? ""))
+			}
+			if (options.includes("t")) {
+				set("istailcall", new LVBoolean(info?.isTailCall ?? false))
+			}
+			if (options.includes("r")) {
+				set("ftransfer", wrap(context, 0))
+				set("ntransfer", wrap(context, 0))
+			}
+			if (options.includes("L") && proto) {
+				const lines = new LVTable()
+				for (const line of proto.lineInfo) {
+					lines.rawSet(null, line, new LVBoolean(true))
+				}
+
+				set("activelines", lines)
+			}
+			if (options.includes("f") && func) {
+				set("func", func)
+			}
+
+			return table
+		}))
+
+		debugLib.rawSet(null, "getlocal", new LVFunction((context, ...args) => {
+			const thread = threadArg(args)
+			const argBase = thread ? 1 : 0
+			const [target, index] = args
+
+			// lua 5.2+ gives the parameter names of functions that aren't running
+			if (target?.type === "function" && versionOf(context) >= 0x52) {
+				const n = checkInteger(context, index, argBase + 2, "getlocal")
+				const name = target instanceof LVClosure && n > 0 ? getLocalName(target.proto, n - 1, 0) : null
+
+				return name === null ? new LVNil() : new LVString(name)
+			}
+
+			const found = stackFrame(thread, checkLevel(context, target, argBase + 1, "getlocal"))
+			if (!found) {
+				throw new LuaError(context.position, `bad argument #${argBase + 1} to 'getlocal' (level out of range)`)
+			}
+
+			const local = frameLocal(context, found.frame, checkInteger(context, index, argBase + 2, "getlocal"))
+			if (!local) {
+				return new LVNil()
+			}
+
+			return new LVTuple([new LVString(local.name), local.get()])
+		}))
+
+		debugLib.rawSet(null, "setlocal", new LVFunction((context, ...args) => {
+			const thread = threadArg(args)
+			const argBase = thread ? 1 : 0
+			const [level, index, value] = args
+
+			const found = stackFrame(thread, checkLevel(context, level, argBase + 1, "setlocal"))
+			if (!found) {
+				throw new LuaError(context.position, `bad argument #${argBase + 1} to 'setlocal' (level out of range)`)
+			}
+
+			const n = checkInteger(context, index, argBase + 2, "setlocal")
+			if (value === undefined) {
+				throw new LuaError(context.position, `bad argument #${argBase + 3} to 'setlocal' (value expected)`)
+			}
+
+			const local = frameLocal(context, found.frame, n)
+			if (!local) {
+				return new LVNil()
+			}
+
+			local.set(value)
+
+			return new LVString(local.name)
+		}))
+
+		const upValueAt = (context, func, index, funcName) => {
+			if (func?.type !== "function") {
+				errors.badArgType(context.position, 1, funcName, func?.type ?? "no value", "function")
+			}
+
+			const n = checkInteger(context, index, 2, funcName)
+			if (!(func instanceof LVClosure) || n < 1 || n > func.upvalues.length) {
+				return null
+			}
+
+			// stripped chunks have no upvalue names
+			const version = versionOf(context)
+			const name = func.proto.upValueNames[n - 1] || (version >= 0x54 ? "(no name)" : version === 0x53 ? "(*no name)" : "")
+
+			return { name, upValue: func.upvalues[n - 1] }
+		}
+
+		debugLib.rawSet(null, "getupvalue", new LVFunction((context, func, index) => {
+			const found = upValueAt(context, func, index, "getupvalue")
+			if (!found) {
+				return new LVTuple([])
+			}
+
+			return new LVTuple([new LVString(found.name), found.upValue?.get() ?? new LVNil()])
+		}))
+
+		debugLib.rawSet(null, "setupvalue", new LVFunction((context, func, index, value) => {
+			if (value === undefined) {
+				throw new LuaError(context.position, "bad argument #3 to 'setupvalue' (value expected)")
+			}
+
+			const found = upValueAt(context, func, index, "setupvalue")
+			if (!found?.upValue) {
+				return new LVTuple([])
+			}
+
+			found.upValue.set(value)
+
+			return new LVString(found.name)
+		}))
+
+		// unlike the base functions these ignore __metatable and work on values of any type
+		debugLib.rawSet(null, "getmetatable", new LVFunction((context, value) => {
+			if (value === undefined) {
+				throw new LuaError(context.position, "bad argument #1 to 'getmetatable' (value expected)")
+			}
+
+			return getMetatable(context, value) ?? new LVNil()
+		}))
+
+		debugLib.rawSet(null, "setmetatable", new LVFunction((context, value, metatable) => {
+			if (metatable?.type !== "nil" && metatable?.type !== "table") {
+				const got = versionOf(context) >= 0x54 ? `, got ${metatable?.type ?? "no value"}` : ""
+				throw new LuaError(context.position, `bad argument #2 to 'setmetatable' (nil or table expected${got})`)
+			}
+
+			const table = metatable.type === "table" ? metatable : null
+			if (value.type === "string") {
+				this.stringMetatable = table
+			}
+			else if (value.type === "table" || value.type === "userdata") {
+				value.metatable = table
+			}
+			else {
+				this.typeMetatables[value.type] = table
+			}
+
+			return versionOf(context) >= 0x52 ? value : new LVBoolean(true)
+		}))
+
+		// hooks apply to the whole vm, a coroutine argument is accepted but doesn't narrow them down
+		debugLib.rawSet(null, "sethook", new LVFunction((context, ...args) => {
+			if (args[0] instanceof LVCoroutine) {
+				args.shift()
+			}
+
+			const [func, mask, count] = args
+			if (func === undefined || func.type === "nil") {
+				this.setHook(null)
+
+				return new LVTuple([])
+			}
+
+			const maskString = new TextDecoder("utf-8").decode(checkString(context, mask, 2, "sethook"))
+			if (func.type !== "function") {
+				errors.badArgType(context.position, 1, "sethook", func.type, "function")
+			}
+
+			const hookCount = optInteger(context, count, 3, "sethook", 0)
+
+			this.setHook({
+				func,
+				mask: maskString,
+				call: maskString.includes("c"),
+				return: maskString.includes("r"),
+				line: maskString.includes("l"),
+				count: Math.max(hookCount, 0)
+			})
+
+			return new LVTuple([])
+		}))
+
+		debugLib.rawSet(null, "gethook", new LVFunction((context) => {
+			if (this.hook === null) {
+				return versionOf(context) >= 0x54 ? new LVNil() : new LVTuple([new LVNil(), new LVString(""), wrap(context, 0)])
+			}
+
+			const mask = ["c", "r", "l"].filter((event) => this.hook.mask.includes(event)).join("")
+
+			return new LVTuple([this.hook.func, new LVString(mask), wrap(context, this.hook.count)])
+		}))
+
+		this.globals.rawSet(null, "debug", debugLib)
+
+		if (options.chunk !== undefined) {
+			this.mainChunk = this.load(options.chunk)
+		}
+	}
+
+	load(chunk) {
+		if (chunk instanceof LVClosure) {
+			return chunk
+		}
+
+		if (!chunk.mainProto) {
+			chunk = loadChunk(chunk)
+		}
+
+		const closure = new LVClosure(chunk.mainProto)
+
+		this.debugger.addChunk(chunk.mainProto)
+
+		if (closure.proto.version >= 0x52 && closure.proto.upValueCount > 0) {
+			// the main chunk's first upvalue is always _ENV
+			const env = new LVUpValue([this.globals], 0)
+			env.close()
+
+			closure.upvalues[0] = env
+		}
+
+		return closure
+	}
+
+	callHostFunction(context, func, args) {
+		const frame = { func }
+		this.callStack.push(frame)
+
+		try {
+			if (this.hook?.call && !this.inHook) {
+				this.callHook(context, "call")
+			}
+
+			const result = func.value(context, ...args)
+
+			// an async host function suspends every frame down to runAsync until its promise settles
+			if (result instanceof Promise) {
+				if (!this.canAwait()) {
+					// nobody waits for it anymore, so its rejection mustn't go unhandled and take the process down
+					result.catch(() => {})
+
+					throw new LuaError(context.position, this.asyncThread === null ? "attempt to await outside of runAsync" : "attempt to await across a C-call boundary")
+				}
+
+				throw new LuaYield(null, this.awaitResult(context, frame, result))
+			}
+
+			if (this.hook?.return && !this.inHook) {
+				this.callHook(context, "return")
+			}
+
+			return result
+		}
+		catch (error) {
+			if (error instanceof LuaYield) {
+				error.frames.push(frame)
+			}
+
+			// handled here so the host function still shows up in the traceback
+			this.handleError(context, error)
+
+			throw error
+		}
+		finally {
+			this.callStack.pop()
+		}
+	}
+
+	// once the promise settles, resuming the frame gives back what it resolved to or raises what it rejected with
+	awaitResult(context, frame, promise) {
+		// whatever comes first, the promise settling or the run going over its timeout or signal, decides how the host
+		// function returns
+		let isDecided = false
+		const decide = (resume) => {
+			if (!isDecided) {
+				isDecided = true
+				frame.resume = resume
+			}
+		}
+
+		const settled = promise.then((result) => {
+			decide(() => {
+				if (this.hook?.return && !this.inHook) {
+					this.callHook(context, "return")
+				}
+
+				return result instanceof LVTuple ? result.values : result === undefined ? [] : [wrap(context, result)]
+			})
+		}, (reason) => {
+			decide(() => {
+				let error = reason
+				if (!(reason instanceof Error)) {
+					const value = wrap(context, reason)
+
+					// messages are the host function's own and get the caller's position, other values are raised as they are
+					if (value.type === "string") {
+						error = new LuaError(context.position, unwrap(value))
+					}
+					else {
+						error = new LuaError(null, `(error object is a ${value.type} value)`, value)
+					}
+				}
+
+				this.handleError(context, error)
+
+				throw error
+			})
+		})
+
+		const deadline = this.deadline
+		const signal = this.signal
+		let timer = null
+		let onAbort = null
+
+		const limitHit = new Promise((resolve) => {
+			if (deadline !== null) {
+				// timers can fire a bit early, the wait only ends once checkLimits sees the deadline as passed
+				const wait = () => {
+					if (Date.now() >= deadline) {
+						resolve()
+					}
+					else {
+						timer = setTimeout(wait, deadline - Date.now())
+					}
+				}
+
+				wait()
+			}
+
+			if (signal?.aborted) {
+				resolve()
+			}
+			else if (signal) {
+				onAbort = resolve
+				signal.addEventListener("abort", onAbort)
+			}
+		}).then(() => {
+			decide(() => {
+				try {
+					this.checkLimits(context.position)
+				}
+				catch (error) {
+					this.handleError(context, error)
+
+					throw error
+				}
+
+				return []
+			})
+		})
+
+		return Promise.race([settled, limitHit]).finally(() => {
+			clearTimeout(timer)
+			signal?.removeEventListener("abort", onAbort)
+		})
+	}
+
+	globalFuncNames() {
+		const LIBRARY_NAMES = ["string", "table", "math", "coroutine", "io", "os", "debug", "utf8", "bit32"]
+
+		const names = new Map()
+
+		for (const libraryName of LIBRARY_NAMES) {
+			const library = this.globals.rawGet(null, libraryName)
+			if (library.type !== "table") {
+				continue
+			}
+
+			for (const key of library.keys()) {
+				names.set(library.rawGet(null, key), `${libraryName}.${key}`)
+			}
+		}
+
+		// plain globals win over library fields
+		for (const key of this.globals.keys()) {
+			names.set(this.globals.rawGet(null, key), String(key))
+		}
+
+		return names
+	}
+
+	frameInfo(frame, caller, globalNames) {
+		// functions that were tail called replaced their caller, so there's nothing to name them after
+		const isTailCall = frame.tailCalls > 0
+
+		let nameInfo = null
+		if (caller instanceof LVCoroutine && !isTailCall && !caller.closure.proto.isLuaJIT) {
+			nameInfo = getFuncName(caller.closure.proto, caller.pc - 1)
+		}
+
+		const info = {
+			name: nameInfo?.name ?? null,
+			nameWhat: nameInfo?.nameWhat ?? null,
+			globalName: globalNames.get(frame instanceof LVCoroutine ? frame.closure : frame.func) ?? null,
+			isTailCall
+		}
+
+		if (frame instanceof LVCoroutine) {
+			const proto = frame.closure.proto
+
+			return {
+				what: proto.lineDefined === 0 ? "main" : "Lua",
+				source: proto.source,
+				shortSource: proto.fileName ?? "?",
+				currentLine: proto.lineInfo[frame.pc - 1] ?? -1,
+				lineDefined: proto.lineDefined,
+				...info
+			}
+		}
+
+		return {
+			what: "C",
+			source: "=[C]",
+			shortSource: "[C]",
+			currentLine: -1,
+			lineDefined: -1,
+			...info
+		}
+	}
+
+	captureTraceback(level = 0, stack = this.callStack) {
+		const globalNames = this.globalFuncNames()
+
+		const frames = []
+		for (let i = stack.length - 1 - level; i >= 0; i --) {
+			const frame = stack[i]
+
+			frames.push(Object.freeze(this.frameInfo(frame, stack[i - 1], globalNames)))
+		}
+
+		return frames
+	}
+
+	framePosition(coroutine) {
+		const proto = coroutine.closure.proto
+
+		// pc already points past the instruction that's running
+		return {
+			fileName: proto.fileName,
+			line: proto.lineInfo[coroutine.pc - 1]
+		}
+	}
+
+	setHook(hook) {
+		this.hook = hook && (hook.call || hook.return || hook.line || hook.count > 0) ? hook : null
+		this.hookCountdown = hook?.count ?? 0
+	}
+
+	callHook(context, event, line) {
+		const previousBarrier = this.yieldBarrier
+
+		this.inHook = true
+		this.yieldBarrier = this.callStack.length
+
+		try {
+			call(context, this.hook.func, new LVString(event), line === undefined ? new LVNil() : wrap(context, line))
+		}
+		finally {
+			this.inHook = false
+			this.yieldBarrier = previousBarrier
+		}
+	}
+
+	traceInstruction(context, pc) {
+		const coroutine = context.coroutine
+		const lineInfo = coroutine.closure.proto.lineInfo
+
+		const lastPc = coroutine.lastTracedPc
+		coroutine.lastTracedPc = pc
+
+		// a new line, or a jump back to where the loop starts
+		const line = lineInfo[pc] !== undefined && (lastPc < 0 || pc <= lastPc || lineInfo[lastPc] !== lineInfo[pc]) ? lineInfo[pc] : null
+
+		if (this.hook !== null) {
+			const hook = this.hook
+
+			if (hook.count > 0 && -- this.hookCountdown === 0) {
+				this.hookCountdown = hook.count
+				this.callHook(context, "count")
+			}
+
+			if (hook.line && line !== null) {
+				this.callHook(context, "line", line)
+			}
+		}
+
+		if (this.debugger.active && line !== null) {
+			this.debugger.lineReached(context, line)
+		}
+	}
+
+	resetLimits() {
+		this.instructionCount = 0
+		this.deadline = this.timeout !== null ? Date.now() + this.timeout : null
+		this.limitCheckAt = 0
+	}
+
+	checkLimits(position) {
+		// hosts that can't step in any other way, like a debugger on another thread, get their turn here
+		this.debugger.onPoll?.()
+
+		if (this.maxInstructions !== null && this.instructionCount > this.maxInstructions) {
+			throw new LuaLimitError(position, "instruction limit exceeded", "instructions")
+		}
+		if (this.deadline !== null && Date.now() >= this.deadline) {
+			throw new LuaLimitError(position, "timeout exceeded", "timeout")
+		}
+		if (this.signal?.aborted) {
+			throw new LuaLimitError(position, "script aborted", "aborted")
+		}
+
+		// without any limits the dispatch loop never has to come back here
+		if (this.maxInstructions === null && this.deadline === null && this.signal === null && !this.debugger.onPoll) {
+			this.limitCheckAt = Infinity
+		}
+		else {
+			this.limitCheckAt = Math.min(this.instructionCount + LIMIT_CHECK_INTERVAL, (this.maxInstructions ?? Infinity) + 1)
+		}
+	}
+
+	// where the innermost lua function on the stack that started running is, for errors raised by the host functions
+	// it called
+	luaPosition() {
+		for (let i = this.callStack.length - 1; i >= 0; i --) {
+			if (this.callStack[i] instanceof LVCoroutine && this.callStack[i].pc > 0) {
+				return this.framePosition(this.callStack[i])
+			}
+		}
+
+		return null
+	}
+
+	// makes sure `bytes` more fit under the memory limit without counting them yet
+	reserveMemory(bytes) {
+		if (this.memoryLimit === null || this.memoryLive + this.memoryAllocated + bytes <= this.memoryLimit) {
+			return
+		}
+
+		// measuring walks everything reachable, so it's only done again once a good part of that was allocated anew,
+		// or after a memory error since unwinding from one usually leaves plenty unreachable
+		if (!this.memoryMeasured || this.memoryAllocated + bytes >= this.memoryLive / 8) {
+			this.memoryLive = this.measureMemory()
+			this.memoryAllocated = 0
+			this.memoryMeasured = true
+
+			if (this.memoryLive + bytes <= this.memoryLimit) {
+				return
+			}
+		}
+
+		this.memoryMeasured = false
+
+		throw new LuaError(null, "not enough memory", this.memoryErrorMessage)
+	}
+
+	allocate(bytes) {
+		this.reserveMemory(bytes)
+		this.memoryAllocated += bytes
+	}
+
+	// approximate bytes held by everything lua can still reach
+	measureMemory() {
+		const seen = new Set()
+		const pending = [this.globals, this.stringMetatable, ...Object.values(this.typeMetatables), this.fileMetatable, this.defaultInput, this.defaultOutput, this.mainChunk, ...this.errorHandlers, this.hook?.func]
+
+		for (const entry of this.callStack) {
+			pending.push(entry instanceof LVCoroutine ? entry : entry.func)
+		}
+
+		let total = 0
+
+		while (pending.length > 0) {
+			const value = pending.pop()
+			if (!(value instanceof Object) || seen.has(value)) {
+				continue
+			}
+			seen.add(value)
+
+			if (value instanceof LVString) {
+				total += MEMORY_SIZES.string + value.value.length
+			}
+			else if (value instanceof LVTable) {
+				total += MEMORY_SIZES.table
+
+				for (const key of value.keyOrder) {
+					if (typeof key === "number" && key >= 1 && Number.isInteger(key)) {
+						total += MEMORY_SIZES.arraySlot
+						pending.push(value.array[key])
+					}
+					else {
+						total += MEMORY_SIZES.hashSlot + (typeof key === "string" ? MEMORY_SIZES.string + key.length : 0)
+						pending.push(value.hash.get(key))
+					}
+				}
+
+				pending.push(value.metatable)
+			}
+			else if (value instanceof LVClosure) {
+				total += MEMORY_SIZES.closure + 8 * value.upvalues.length
+				pending.push(...value.upvalues)
+			}
+			else if (value instanceof LVUpValue) {
+				total += MEMORY_SIZES.upValue
+				pending.push(value.get())
+			}
+			else if (value instanceof LVCoroutine) {
+				// frames that were entered have registers on their coroutine's stack
+				const registers = value.stack?.slice(value.base, value.base + value.closure.proto.maxStackSize) ?? []
+
+				total += MEMORY_SIZES.coroutine + MEMORY_SIZES.register * registers.length
+				pending.push(value.closure, ...registers, ...value.args)
+
+				for (const frame of value.suspendedFrames) {
+					pending.push(frame instanceof LVCoroutine ? frame : frame.func)
+				}
+			}
+			else if (value instanceof LVFunction) {
+				total += MEMORY_SIZES.function
+			}
+			else if (value instanceof LVFile) {
+				total += MEMORY_SIZES.userdata
+				pending.push(value.metatable)
+			}
+		}
+
+		return total
+	}
+
+	protectedCall(context, handler, func, args) {
+		const failed = (error) => {
+			if (error instanceof LuaYield || error instanceof LuaExit) {
+				throw error
+			}
+			if (error instanceof LuaLimitError && !this.catchLimits) {
+				throw error
+			}
+
+			// errors that didn't pass through a lua function still need to go through the handler
+			return [new LVBoolean(false), this.handleError(context, error)]
+		}
+
+		// coroutines can yield across pcall except in lua 5.1, it picks up where it left off once they're resumed.
+		// awaiting host functions can suspend it in any version
+		const frame = this.callStack[this.callStack.length - 1]
+
+		frame.handler = handler
+		frame.resume = (values) => [new LVBoolean(true), ...values]
+		frame.recover = failed
+		frame.awaitOnly = context.coroutine?.closure.proto.version === 0x51
+
+		this.errorHandlers.push(handler)
+
+		try {
+			// host functions called from here don't have a lua position of their own to report
+			const result = call({ ...context, position: null }, func, ...args)
+
+			return new LVTuple([new LVBoolean(true), ...(result instanceof LVTuple ? result.values : [wrap(context, result)])])
+		}
+		catch (error) {
+			return new LVTuple(failed(error))
+		}
+		finally {
+			this.errorHandlers.pop()
+		}
+	}
+
+	handleError(context, error) {
+		if (error instanceof LuaYield || error instanceof LuaExit) {
+			return
+		}
+
+		if (error instanceof LuaError && !error.traceback) {
+			error.traceback = this.captureTraceback()
+		}
+
+		// message handlers don't get to see errors pcall can't catch
+		if (error instanceof LuaLimitError && !this.catchLimits) {
+			return
+		}
+
+		if (error?.luaValue !== undefined) {
+			return error.luaValue
+		}
+
+		// that's lua's C stack overflowing, at the position where it's first caught
+		if (isStackOverflow(error) && error.value === undefined) {
+			const position = this.luaPosition()
+			error.value = new LVString(position ? `${formatPos(position)} C stack overflow` : "C stack overflow")
+		}
+
+		// anything else the vm itself throws is caught as well, as a message
+		let value = error instanceof LuaError || isStackOverflow(error) ? error.value : new LVString(String(error?.message ?? error))
+
+		// the handler runs where the error happened, before the stack unwinds. with the stack overflowing it would
+		// overflow as well, so it waits until the error is back at the xpcall
+		const handler = this.errorHandlers[this.errorHandlers.length - 1]
+		if (handler && isStackOverflow(error) && this.callStack[this.callStack.length - 1]?.handler !== handler) {
+			return value
+		}
+
+		if (handler) {
+			const previousBarrier = this.yieldBarrier
+
+			this.errorHandlers.push(null)
+			this.yieldBarrier = this.callStack.length
+
+			try {
+				const result = call(context, handler, value)
+
+				value = (result instanceof LVTuple ? result.values[0] : wrap(context, result)) ?? new LVNil()
+			}
+			catch (handlerError) {
+				if (handlerError instanceof LuaYield) {
+					throw handlerError
+				}
+
+				value = new LVString("error in error handling")
+			}
+			finally {
+				this.errorHandlers.pop()
+				this.yieldBarrier = previousBarrier
+			}
+		}
+
+		if (error instanceof Object) {
+			error.luaValue = value
+		}
+
+		return value
+	}
+
+	// runs a lua function's frame until it returns, frames the loop calls into and returns from don't recurse.
+	// frames continued after a yield pick up where they left off
+	runCoroutine(coroutine) {
+		const previousVM = activeVM
+		activeVM = this
+
+		try {
+			if (coroutine.pc === 0) {
+				this.enterFrame(coroutine, 0)
+			}
+			else {
+				this.callStack.push(coroutine)
+			}
+
+			return coroutine.closure.proto.isLuaJIT ? this.runLuaJITCoroutine(coroutine) : this.runLuaCoroutine(coroutine)
+		}
+		finally {
+			activeVM = previousVM
+		}
+	}
+
+	// gives a frame its registers on top of the running coroutine's stack and puts it on the call stack
+	enterFrame(frame, tailCalls) {
+		const proto = frame.closure.proto
+		const thread = this.currentThread ?? frame
+
+		thread.stack = thread.stack ?? []
+
+		// values a call or vararg left past the caller's registers are still to be used
+		let base = thread.stackTop
+		const caller = this.callStack[this.callStack.length - 1]
+		if (caller instanceof LVCoroutine && caller.thread === thread) {
+			base = Math.max(base, caller.base + caller.top)
+		}
+
+		if (base + proto.maxStackSize > MAX_STACK_SIZE) {
+			throw new LuaError(caller instanceof LVCoroutine ? this.framePosition(caller) : null, "stack overflow")
+		}
+
+		frame.thread = thread
+		frame.stack = thread.stack
+		frame.base = base
+		frame.tailCalls = tailCalls
+
+		const stack = thread.stack
+		for (let i = 0; i < proto.maxStackSize; i ++) {
+			stack[base + i] = i < proto.paramCount ? frame.args[i] ?? new LVNil() : new LVNil()
+		}
+
+		thread.stackTop = base + proto.maxStackSize
+
+		this.callStack.push(frame)
+
+		if (this.hook?.call && !this.inHook) {
+			const event = tailCalls > 0 && proto.version >= 0x52 ? "tail call" : "call"
+
+			this.callHook({ position: this.framePosition(frame), coroutine: frame, vm: this }, event)
+		}
+
+		return frame
+	}
+
+	// takes a frame off the call stack and frees its registers, after the return hook if it returned
+	leaveFrame(frame) {
+		if (this.hook?.return && !this.inHook && frame.status === "dead") {
+			const hookContext = { position: this.framePosition(frame), coroutine: frame, vm: this }
+			this.callHook(hookContext, "return")
+
+			// lua 5.1 still reports the functions the tail calls replaced
+			if (frame.closure.proto.version < 0x52) {
+				for (let i = 0; i < frame.tailCalls; i ++) {
+					this.callHook(hookContext, "tail return")
+				}
+			}
+		}
+
+		for (const upValue of frame.openUpValues) {
+			upValue.close()
+		}
+
+		this.callStack.pop()
+		frame.thread.stackTop = frame.base
+	}
+
+	// resumes a coroutine until it yields or returns, giving back what it yielded or returned
+	resumeThread(context, thread, args) {
+		const previousThread = this.currentThread
+		const depth = this.callStack.length
+		const handlerDepth = this.errorHandlers.length
+
+		if (previousThread !== null) {
+			previousThread.status = "normal"
+		}
+
+		thread.status = "running"
+		thread.baseDepth = depth
+
+		this.currentThread = thread
+
+		// errors in the coroutine are resume's to catch, message handlers outside of it don't see them
+		this.errorHandlers.push(null)
+
+		// frames waiting on the one after them to return, innermost first
+		const frames = thread.suspendedFrames
+		thread.suspendedFrames = []
+
+		let values = null
+		let error = null
+
+		try {
+			if (thread.isStarted) {
+				// the waiting frames go back on the stack, the innermost one is the yield or await itself and returns
+				// what the coroutine is resumed with
+				for (let i = frames.length - 1; i >= 0; i --) {
+					this.callStack.push(frames[i])
+
+					if (frames[i].handler !== undefined) {
+						this.errorHandlers.push(frames[i].handler)
+					}
+				}
+
+				values = args
+			}
+			else {
+				thread.isStarted = true
+
+				try {
+					let result
+					if (thread.closure instanceof LVClosure) {
+						thread.args = args
+
+						result = this.runCoroutine(thread)
+					}
+					else {
+						result = call(context, thread.closure, ...args)
+					}
+
+					values = result instanceof LVTuple ? result.values : result === undefined ? [] : [wrap(context, result)]
+				}
+				catch (caught) {
+					if (caught instanceof LuaYield) {
+						throw caught
+					}
+
+					error = caught
+				}
+			}
+
+			while (frames.length > 0) {
+				const frame = frames.shift()
+
+				if (frame.handler !== undefined) {
+					this.errorHandlers.pop()
+				}
+
+				try {
+					if (frame instanceof LVCoroutine) {
+						this.callStack.pop()
+
+						let result = error === null ? this.finishCall(frame, values) : null
+
+						if (result === null) {
+							frame.resumeError = error
+							result = this.runCoroutine(frame)
+						}
+
+						values = result instanceof LVTuple ? result.values : result === undefined ? [] : [wrap(context, result)]
+					}
+					else {
+						// host functions carry on with their frame still on the stack, like when they were called
+						try {
+							if (error === null) {
+								values = frame.resume(values)
+							}
+							else if (frame.recover !== undefined) {
+								values = frame.recover(error)
+							}
+							else {
+								continue
+							}
+						}
+						catch (caught) {
+							if (caught instanceof LuaYield) {
+								caught.frames.push(frame)
+							}
+
+							throw caught
+						}
+						finally {
+							this.callStack.pop()
+						}
+					}
+
+					error = null
+				}
+				catch (caught) {
+					if (caught instanceof LuaYield) {
+						caught.frames.push(...frames)
+						throw caught
+					}
+
+					error = caught
+				}
+			}
+
+			if (error !== null) {
+				throw error
+			}
+
+			thread.status = "dead"
+			return values
+		}
+		catch (error) {
+			if (!(error instanceof LuaYield)) {
+				thread.status = "dead"
+				thread.deathError = error
+				throw error
+			}
+
+			thread.suspendedFrames = error.frames
+
+			// an await suspends every coroutine down to runAsync, this one only waits like one that resumed another
+			if (error.promise !== null) {
+				thread.status = "normal"
+				throw new LuaYield(null, error.promise)
+			}
+
+			thread.status = "suspended"
+
+			return error.values
+		}
+		finally {
+			this.callStack.length = depth
+			this.errorHandlers.length = handlerDepth
+
+			this.currentThread = previousThread
+
+			if (previousThread !== null) {
+				previousThread.status = "running"
+			}
+		}
+	}
+
+	// the call a lua frame is waiting on to return, if the instruction it stopped at is one
+	pendingCall(frame) {
+		const proto = frame.closure.proto
+
+		if (proto.isLuaJIT) {
+			const inst = decodeLuaJITInst(proto.version, proto.insts[frame.pc - 1])
+
+			return ["CALL", "CALLM", "CALLT", "CALLMT", "ITERC", "ITERN"].includes(inst.name) ? inst : null
+		}
+
+		const inst = decodeInst(proto.version, proto.insts[frame.pc - 1])
+
+		switch (inst.name) {
+			case "CALL":
+			case "TAILCALL":
+			case "TFORCALL":
+				return inst
+			case "TFORLOOP":
+				return proto.version < 0x52 ? inst : null
+
+			// metamethods, which lua 5.4 calls for arithmetic with a constant operand after reading the MMBINI or MMBINK
+			case "GETGLOBAL":
+			case "SETGLOBAL":
+			case "MMBINI":
+			case "MMBINK":
+				return inst
+			case "CLOSE":
+			case "RETURN":
+				return null
+			default:
+				return LUA_OP_EVENTS[inst.name] !== undefined ? inst : null
+		}
+	}
+
+	// hands the values a call returned to the lua frame that made it, like the instruction would have once the call
+	// was over, gives back what the frame returns if the call was a tail call or null if the frame goes on running
+	finishCall(frame, values) {
+		const proto = frame.closure.proto
+		const inst = this.pendingCall(frame)
+		const { A, C } = inst
+
+		const setReg = (i, v) => {
+			frame.stack[frame.base + i] = v
+
+			if (i >= frame.top) {
+				frame.top = i + 1
+			}
+		}
+
+		// a negative count keeps every value and moves the top past them
+		const place = (base, count) => {
+			if (count < 0) {
+				for (let i = 0; i < values.length; i ++) {
+					setReg(base + i, values[i])
+				}
+				frame.top = base + values.length
+
+				return
+			}
+
+			for (let i = 0; i < count; i ++) {
+				setReg(base + i, values[i] ?? new LVNil())
+			}
+		}
+
+		switch (inst.name) {
+			case "CALL":
+				if (proto.isLuaJIT) {
+					place(A, inst.B - 1)
+				}
+				else if (C !== 1) {
+					place(A, C - 1)
+
+					if (C > 1) {
+						frame.top = A + C - 1
+					}
+				}
+				return null
+
+			case "CALLM":
+			case "ITERC":
+			case "ITERN":
+				place(A, inst.B - 1)
+				return null
+
+			case "TFORCALL":
+				// lua 5.4 keeps a to-be-closed value in R[A + 3]
+				place(proto.version >= 0x54 ? A + 4 : A + 3, C)
+				return null
+
+			case "TFORLOOP": {
+				place(A + 3, C)
+
+				const control = values[0] ?? new LVNil()
+				if (control.type === "nil") {
+					frame.pc ++
+				}
+				else {
+					setReg(A + 2, control)
+				}
+				return null
+			}
+
+			// a metamethod's first value stands in for the instruction's result, like in lua's luaV_finishOp
+			case "GETGLOBAL":
+			case "GETTABUP":
+			case "GETTABLE":
+			case "GETI":
+			case "GETFIELD":
+			case "SELF":
+			case "UNM":
+			case "BNOT":
+			case "LEN":
+				setReg(A, values[0] ?? new LVNil())
+				return null
+
+			case "ADD":
+			case "SUB":
+			case "MUL":
+			case "DIV":
+			case "MOD":
+			case "POW":
+			case "IDIV":
+			case "BAND":
+			case "BOR":
+			case "BXOR":
+			case "SHL":
+			case "SHR":
+				setReg(A, values[0] ?? new LVNil())
+
+				// skips the MMBIN that follows in lua 5.4
+				if (proto.version >= 0x54) {
+					frame.pc ++
+				}
+				return null
+
+			case "MMBINI":
+			case "MMBINK":
+				setReg(decodeInst(proto.version, proto.insts[frame.pc - 2]).A, values[0] ?? new LVNil())
+				return null
+
+			case "SETGLOBAL":
+			case "SETTABUP":
+			case "SETTABLE":
+			case "SETI":
+			case "SETFIELD":
+				return null
+
+			case "EQ":
+			case "LT":
+			case "LE":
+			case "EQK":
+			case "EQI":
+			case "LTI":
+			case "LEI":
+			case "GTI":
+			case "GEI": {
+				const result = (values[0] ?? new LVNil()).truthy(null) !== frame.negateResult
+				frame.negateResult = false
+
+				if (result !== (proto.version >= 0x54 ? inst.k !== 0 : A !== 0)) {
+					frame.pc ++
+				}
+				return null
+			}
+
+			// the frame joins the rest of the values once it runs again
+			case "CONCAT":
+				setReg(frame.concatFrom, values[0] ?? new LVNil())
+				return null
+
+			// a tail call's values are the frame's own, in lua 5.4 C only adjusts varargs
+			case "TAILCALL":
+				frame.status = "dead"
+
+				if (C === 0 || proto.version >= 0x54) {
+					return new LVTuple(values)
+				}
+
+				return new LVTuple(Array.from({ length: C - 1 }, (_, i) => values[i] ?? new LVNil()))
+
+			default:
+				frame.status = "dead"
+				return new LVTuple(values)
+		}
+	}
+
+	// whether the running coroutine can yield from the host function on top of the stack, which every frame between
+	// them needs to be able to carry on from
+	canYield() {
+		const thread = this.currentThread
+
+		if (thread === null || thread.isMain || this.yieldBarrier > thread.baseDepth) {
+			return false
+		}
+
+		for (let i = thread.baseDepth; i < this.callStack.length - 1; i ++) {
+			const frame = this.callStack[i]
+
+			if (!(frame instanceof LVCoroutine)) {
+				if (frame.resume === undefined || frame.awaitOnly) {
+					return false
+				}
+
+				continue
+			}
+
+			// lua 5.1 calls iterators and metamethods the way host functions call into lua
+			const inst = this.pendingCall(frame)
+			if (inst === null || (frame.closure.proto.version === 0x51 && inst.name !== "CALL" && inst.name !== "TAILCALL")) {
+				return false
+			}
+		}
+
+		return true
+	}
+
+	// whether an async host function on top of the stack can suspend every frame down to the runAsync running them,
+	// coroutines in between wait along with the resume that's running them
+	canAwait() {
+		const thread = this.asyncThread
+
+		if (thread === null || this.yieldBarrier > thread.baseDepth) {
+			return false
+		}
+
+		for (let i = thread.baseDepth; i < this.callStack.length - 1; i ++) {
+			const frame = this.callStack[i]
+
+			if (frame instanceof LVCoroutine ? this.pendingCall(frame) === null : frame.resume === undefined) {
+				return false
+			}
+		}
+
+		return true
+	}
+
+	runLuaCoroutine(entry) {
+		// the frame that's running, lua functions called from it run in its place until they return
+		let coroutine = entry
+		let proto = entry.closure.proto
+		let stack = entry.stack
+		let base = entry.base
+
+		const switchTo = (frame) => {
+			coroutine = frame
+			proto = frame.closure.proto
+			stack = frame.stack
+			base = frame.base
+		}
+
+		// the running frame returned, true if it's the one the loop started with and otherwise its caller gets the values
+		const returnFrom = (result) => {
+			const frame = coroutine
+			this.leaveFrame(frame)
+
+			if (frame === entry) {
+				return true
+			}
+
+			switchTo(this.callStack[this.callStack.length - 1])
+			this.finishCall(coroutine, result instanceof LVTuple ? result.values : [result])
+
+			return false
+		}
+
+		// the frame is left before it's dead, so the function a tail call replaced doesn't get a return hook
+		const tailCall = (frame) => {
+			const replaced = coroutine
+			this.leaveFrame(replaced)
+
+			if (replaced === entry) {
+				entry = frame
+			}
+
+			switchTo(this.enterFrame(frame, replaced.tailCalls + 1))
+		}
+
+		const setReg = (i, v) => {
+			stack[base + i] = v
+			
+			if (i >= coroutine.top) {
+				coroutine.top = i + 1
+			}
+		}
+
+		const BITRK = 1 << 8
+		const MAXINDEXRK = BITRK - 1
+
+		const RK = (x) => {
+			if (x & BITRK) {
+				const idx = x & MAXINDEXRK
+
+				return proto.constants[idx]
+			}
+
+			return stack[base + x]
+		}
+
+		const floatingByteToInt = (x) => {
+			if (x < 8) {
+				return x
+			}
+			
+			const e = (x >>> 3) - 1
+			const m = (x & 7) + 8
+		
+			return m << e
+		}
+
+		const RK54 = (k, x) => {
+			if (k) {
+				return proto.constants[x]
+			}
+
+			return stack[base + x]
+		}
+
+		const LFIELDS_PER_FLUSH = 50
+
+		const MAXARG_C54 = 0xFF
+
+		const CONSTANT_ARITH_METHODS = {
+			ADDI: "add",
+			ADDK: "add",
+			SUBK: "sub",
+			MULK: "mul",
+			MODK: "mod",
+			POWK: "pow",
+			DIVK: "div",
+			IDIVK: "idiv",
+			BANDK: "band",
+			BORK: "bor",
+			BXORK: "bxor",
+			SHRI: "shr",
+			SHLI: "shl"
+		}
+
+		const normalize = (context, result) => {
+			if (result instanceof LVTuple) {
+				return result.values
+			}
+
+			return [wrap(context, result)]
+		}
+
+		const findOrCreateUpValue = (regIndex) => {
+			for (const upValue of coroutine.openUpValues) {
+				if (upValue.isOpen && upValue.index === base + regIndex) {
+					return upValue
+				}
+			}
+			
+			const upValue = new LVUpValue(stack, base + regIndex)
+			coroutine.openUpValues.push(upValue)
+			
+			return upValue
+		}
+
+		const first = (value) => {
+			if (value instanceof LVTuple) {
+				return value.values[0]
+			}
+
+			return value
+		}
+
+		// joins the registers CONCAT concatenates from right to left like lua, starting at the given one. a yield
+		// from __concat keeps where it got to, the frame goes on from there once the metamethod's result is back
+		const concat = (context, inst, last) => {
+			const start = proto.version >= 0x54 ? inst.A : inst.B
+
+			let result = first(RK(last))
+
+			for (let i = last - 1; i >= start; i --) {
+				const previous = first(RK(i))
+
+				try {
+					result = previous.concat(context, result)
+				}
+				catch (error) {
+					if (error instanceof LuaYield) {
+						coroutine.concatFrom = i
+					}
+
+					throw error
+				}
+			}
+
+			setReg(inst.A, result)
+		}
+
+		const markToBeClosed = (context, index) => {
+			const value = stack[base + index]
+
+			// nil and false don't need closing
+			if (!value.truthy(context)) {
+				return
+			}
+
+			const closeMethod = getMeta(context, value, "__close")
+			if (!closeMethod || closeMethod.type === "nil") {
+				const name = getLocalName(proto, index, coroutine.pc - 1) ?? "?"
+
+				throw new LuaError(context.position, `variable '${name}' got a non-closable value`)
+			}
+
+			coroutine.toBeClosed.push(index)
+		}
+
+		const MAXINTEGER = 2n ** 63n - 1n
+		const MININTEGER = -(2n ** 63n)
+
+		const forPrep54 = (context, A) => {
+			const init = stack[base + A]
+			const limit = stack[base + A + 1]
+			const step = stack[base + A + 2]
+
+			if (init.type !== "number") {
+				errors.forInit(context.position)
+			}
+			if (limit.type !== "number") {
+				errors.forLimit(context.position)
+			}
+			if (step.type !== "number") {
+				errors.forStep(context.position)
+			}
+			if (step.value === 0) {
+				errors.forZeroStep(context.position)
+			}
+
+			const initInt = init.subtype === "float" ? null : init.toInteger()
+			const stepInt = step.subtype === "float" ? null : step.toInteger()
+
+			if (initInt !== null && stepInt !== null) {
+				let limitInt = limit.subtype === "float" ? null : limit.toInteger()
+
+				if (limitInt === null) {
+					// float limits are rounded towards the loop's direction and clipped to the integer range
+					const rounded = stepInt > 0n ? Math.floor(limit.value) : Math.ceil(limit.value)
+
+					if (Number.isNaN(rounded)) {
+						return false
+					}
+
+					if (rounded >= 2 ** 63) {
+						limitInt = MAXINTEGER
+					}
+					else if (rounded < -(2 ** 63)) {
+						limitInt = MININTEGER
+					}
+					else {
+						limitInt = BigInt(rounded)
+					}
+				}
+
+				if (stepInt > 0n ? initInt > limitInt : initInt < limitInt) {
+					return false
+				}
+
+				setReg(A, LVNumber.fromInteger(initInt))
+				setReg(A + 1, LVNumber.fromInteger(limitInt))
+				setReg(A + 2, LVNumber.fromInteger(stepInt))
+			}
+			else {
+				if (!(step.value > 0 ? init.value <= limit.value : limit.value <= init.value)) {
+					return false
+				}
+
+				setReg(A, LVNumber.fromFloat(init.value))
+				setReg(A + 1, LVNumber.fromFloat(limit.value))
+				setReg(A + 2, LVNumber.fromFloat(step.value))
+			}
+
+			setReg(A + 3, stack[base + A])
+
+			return true
+		}
+
+		const forLoop54 = (A) => {
+			const counter = stack[base + A]
+			const limit = stack[base + A + 1]
+			const step = stack[base + A + 2]
+
+			let next
+			if (step.subtype === "integer") {
+				const index = counter.integer + step.integer
+
+				// the sum is exact here, so overflowing past the limit ends the loop instead of wrapping
+				if (step.integer > 0n ? index > limit.integer : index < limit.integer) {
+					return false
+				}
+
+				next = LVNumber.fromInteger(index)
+			}
+			else {
+				const index = counter.value + step.value
+
+				if (!(step.value > 0 ? index <= limit.value : limit.value <= index)) {
+					return false
+				}
+
+				next = LVNumber.fromFloat(index)
+			}
+
+			setReg(A, next)
+			setReg(A + 3, next)
+
+			return true
+		}
+
+		const closeToBeClosed = (context, level, error) => {
+			const pending = coroutine.toBeClosed
+
+			while (pending.length > 0 && pending[pending.length - 1] >= level) {
+				const value = stack[base + pending.pop()]
+
+				call(context, getMeta(context, value, "__close"), value, error ?? new LVNil())
+			}
+		}
+
+		try {
+			if (coroutine.resumeError !== null) {
+				const error = coroutine.resumeError
+				coroutine.resumeError = null
+
+				throw error
+			}
+
+			if (coroutine.concatFrom !== null) {
+				const last = coroutine.concatFrom
+				coroutine.concatFrom = null
+
+				const position = {
+					fileName: proto.fileName,
+					line: proto.lineInfo[coroutine.pc - 1]
+				}
+
+				concat({ position, coroutine, vm: this }, decodeInst(proto.version, proto.insts[coroutine.pc - 1]), last)
+			}
+
+			while (coroutine.pc >= 0 && coroutine.pc < proto.insts.length) {
+				const inst = decodeInst(proto.version, proto.insts[coroutine.pc ++])
+
+				const { A, B, C, Bx, sBx } = inst
+
+				const position = {
+					fileName: proto.fileName,
+					line: proto.lineInfo[coroutine.pc - 1]
+				}
+				const context = {
+					position,
+					coroutine,
+					vm: this
+				}
+
+				if (++ this.instructionCount >= this.limitCheckAt) {
+					this.checkLimits(position)
+				}
+				if ((this.hook !== null || this.debugger.active) && !this.inHook) {
+					this.traceInstruction(context, coroutine.pc - 1)
+				}
+
+				switch (inst.name) {
+					case "MOVE": {
+						setReg(A, stack[base + B])
+						break
+					}
+
+					case "LOADK": {
+						setReg(A, proto.constants[Bx])
+						break
+					}
+
+					case "LOADBOOL": {
+						setReg(A, new LVBoolean(B !== 0))
+
+						if (C !== 0) {
+							coroutine.pc ++
+						}
+						break
+					}
+
+					case "LOADI": {
+						setReg(A, LVNumber.fromInteger(BigInt(sBx)))
+						break
+					}
+
+					case "LOADF": {
+						setReg(A, LVNumber.fromFloat(sBx))
+						break
+					}
+
+					case "LOADFALSE":
+					case "LFALSESKIP": {
+						setReg(A, new LVBoolean(false))
+
+						if (inst.name === "LFALSESKIP") {
+							coroutine.pc ++
+						}
+						break
+					}
+
+					case "LOADTRUE": {
+						setReg(A, new LVBoolean(true))
+						break
+					}
+
+					case "LOADKX": {
+						const extraArg = decodeInst(proto.version, proto.insts[coroutine.pc ++])
+
+						setReg(A, proto.constants[extraArg.Ax])
+						break
+					}
+
+					case "LOADNIL": {
+						let last = B
+						if (proto.version >= 0x52) {
+							last = A + B
+						}
+
+						for (let i = A; i <= last; i ++) {
+							setReg(i, new LVNil())
+						}
+						break
+					}
+
+					case "GETGLOBAL": {
+						const key = proto.constants[Bx]
+						const val = this.globals.index(context, key)
+						
+						setReg(A, val)
+						break
+					}
+
+					case "SETGLOBAL": {
+						const key = proto.constants[Bx]
+
+						this.globals.setIndex(context, key, stack[base + A])
+						break
+					}
+
+					case "GETTABUP": {
+						const table = coroutine.closure.upvalues[B].get()
+
+						let key
+						if (proto.version >= 0x54) {
+							key = proto.constants[C]
+						}
+						else {
+							key = RK(C)
+						}
+
+						setReg(A, table.index(context, key))
+						break
+					}
+
+					case "SETTABUP": {
+						const table = coroutine.closure.upvalues[A].get()
+
+						let key
+						let val
+						if (proto.version >= 0x54) {
+							key = proto.constants[B]
+							val = RK54(inst.k, C)
+						}
+						else {
+							key = RK(B)
+							val = RK(C)
+						}
+
+						table.setIndex(context, key, val)
+						break
+					}
+
+					case "NEWTABLE": {
+						let arrSize
+						if (proto.version >= 0x54) {
+							arrSize = C
+
+							// lua 5.4 always follows NEWTABLE with an EXTRAARG
+							const extraArg = decodeInst(proto.version, proto.insts[coroutine.pc ++])
+
+							if (inst.k) {
+								arrSize += extraArg.Ax * (MAXARG_C54 + 1)
+							}
+						}
+						else {
+							arrSize = floatingByteToInt(B)
+							// const hashSize = floatingByteToInt(C)
+						}
+
+						const tbl = new LVTable()
+
+						tbl.array.length = arrSize
+
+						setReg(A, tbl)
+						break
+					}
+
+					case "GETTABLE": {
+						const table = stack[base + B]
+						const key = RK(C)
+
+						setReg(A, table.index(context, key))
+						break
+					}
+
+					case "SETTABLE": {
+						const table = stack[base + A]
+						
+						const key = RK(B)
+
+						let val
+						if (proto.version >= 0x54) {
+							val = RK54(inst.k, C)
+						}
+						else {
+							val = RK(C)
+						}
+						
+						table.setIndex(context, key, val)
+						break
+					}
+
+					case "GETI": {
+						const table = stack[base + B]
+
+						setReg(A, table.index(context, LVNumber.fromInteger(BigInt(C))))
+						break
+					}
+
+					case "GETFIELD": {
+						const table = stack[base + B]
+
+						setReg(A, table.index(context, proto.constants[C]))
+						break
+					}
+
+					case "SETI": {
+						const table = stack[base + A]
+
+						table.setIndex(context, LVNumber.fromInteger(BigInt(B)), RK54(inst.k, C))
+						break
+					}
+
+					case "SETFIELD": {
+						const table = stack[base + A]
+
+						table.setIndex(context, proto.constants[B], RK54(inst.k, C))
+						break
+					}
+
+					case "SELF": {
+						const table = stack[base + B]
+
+						let key
+						if (proto.version >= 0x54) {
+							key = RK54(inst.k, C)
+						}
+						else {
+							key = RK(C)
+						}
+
+						setReg(A + 1, table)
+
+						setReg(A, table.index(context, key))
+						break
+					}
+
+					case "SETLIST": {
+						if (proto.version >= 0x54) {
+							let count = B
+							let offset = C
+
+							if (inst.k) {
+								const extraArg = decodeInst(proto.version, proto.insts[coroutine.pc ++])
+
+								offset += extraArg.Ax * (MAXARG_C54 + 1)
+							}
+
+							if (count === 0) {
+								count = coroutine.top - (A + 1)
+							}
+
+							const table = stack[base + A]
+
+							for (let i = 1; i <= count; i ++) {
+								table.rawSet(context, offset + i, stack[base + A + i])
+							}
+
+							break
+						}
+
+						let count = B
+						let extra = C
+
+						if (extra === 0) {
+							extra = proto.insts[coroutine.pc ++]
+
+							if (proto.version >= 0x52) {
+								extra = decodeInst(proto.version, extra).Ax
+							}
+						}
+
+						if (count === 0) {
+							count = coroutine.top - (A + 1)
+						}
+
+						const table = stack[base + A]
+						const offset = (extra - 1) * LFIELDS_PER_FLUSH
+
+						for (let i = 1; i <= count; i ++) {
+							const val = stack[base + A + i]
+							table.rawSet(context, offset + i, val)
+						}
+
+						break
+					}
+
+					case "CLOSURE": {
+						const newProto = proto.nestedProtos[Bx]
+						const newClosure = new LVClosure(newProto)
+
+						for (let i = 0; i < newProto.upValueCount; i ++) {
+							if (newProto.upValues) {
+								const { inStack, index } = newProto.upValues[i]
+
+								if (inStack) {
+									newClosure.upvalues[i] = findOrCreateUpValue(index)
+								}
+								else {
+									newClosure.upvalues[i] = coroutine.closure.upvalues[index]
+								}
+								continue
+							}
+
+							const upValueInst = decodeInst(proto.version, proto.insts[coroutine.pc ++])
+
+							switch (upValueInst.name) {
+								case "MOVE":
+									newClosure.upvalues[i] = findOrCreateUpValue(upValueInst.B)
+									break
+								case "GETUPVAL":
+									newClosure.upvalues[i] = coroutine.closure.upvalues[upValueInst.B]
+									break
+								default:
+									throw new LuaError(position, `invalid upvalue binding instruction: ${upValueInst.name}`)
+							}
+						}
+
+						setReg(A, newClosure)
+						break
+					}
+
+					case "GETUPVAL": {
+						const upValue = coroutine.closure.upvalues[B]
+
+						setReg(A, upValue.get())
+						break
+					}
+					
+					case "SETUPVAL": {
+						const upValue = coroutine.closure.upvalues[B]
+						
+						upValue.set(stack[base + A])
+						break
+					}
+
+					case "CLOSE": {
+						for (const upValue of coroutine.openUpValues) {
+							if (upValue.isOpen && upValue.index >= base + A) {
+								upValue.close()
+							}
+						}
+
+						closeToBeClosed(context, A)
+						break
+					}
+
+					case "TBC": {
+						markToBeClosed(context, A)
+						break
+					}
+
+					case "CALL": {
+						const callee = stack[base + A]
+
+						let argCount
+						if (B === 0) {
+							argCount = coroutine.top - (A + 1)
+						}
+						else {
+							argCount = B - 1
+						}
+
+						const args = stack.slice(base + A + 1, base + A + 1 + argCount)
+
+						// lua functions run in this loop, their frame takes over until it returns
+						if (callee instanceof LVClosure && !callee.proto.isLuaJIT) {
+							switchTo(this.enterFrame(new LVCoroutine(callee, args), 0))
+							break
+						}
+
+						let result = call(context, callee, ...args)
+
+						const values = normalize(context, result)
+
+						if (C === 0) {
+							for (let i = 0; i < values.length; i ++) {
+								setReg(A + i, values[i])
+							}
+							coroutine.top = A + values.length
+
+							break
+						}
+						else if (C === 1) {
+							break
+						}
+
+						const returnCount = C - 1
+
+						for (let i = 0; i < returnCount; i ++) {
+							setReg(A + i, values[i] ?? new LVNil())
+						}
+
+						coroutine.top = A + returnCount
+						break
+					}
+
+					case "RETURN": {
+						let result
+						if (B === 0) {
+							result = new LVTuple(stack.slice(base + A, base + coroutine.top))
+						}
+						else if (B === 1) {
+							result = new LVTuple([])
+						}
+						else if (B === 2) {
+							result = stack[base + A]
+						}
+						else {
+							result = new LVTuple(stack.slice(base + A, base + A + B - 1))
+						}
+
+						for (const upValue of coroutine.openUpValues) {
+							upValue.close()
+						}
+
+						closeToBeClosed(context, 0)
+
+						coroutine.status = "dead"
+
+						if (returnFrom(result)) {
+							return result
+						}
+						break
+					}
+
+					case "RETURN0": {
+						const result = new LVTuple([])
+
+						coroutine.status = "dead"
+
+						if (returnFrom(result)) {
+							return result
+						}
+						break
+					}
+
+					case "RETURN1": {
+						const result = stack[base + A]
+
+						coroutine.status = "dead"
+
+						if (returnFrom(result)) {
+							return result
+						}
+						break
+					}
+
+					case "TAILCALL": {
+						const callee = stack[base + A]
+
+						let argCount
+						if (B === 0) {
+							argCount = coroutine.top - (A + 1)
+						} else {
+							argCount = B - 1
+						}
+
+						const args = stack.slice(base + A + 1, base + A + 1 + argCount)
+
+						for (const upValue of coroutine.openUpValues) {
+							upValue.close()
+						}
+
+						// lua functions take the frame's place, host functions are called like any other
+						if (callee instanceof LVClosure && !callee.proto.isLuaJIT) {
+							tailCall(new LVCoroutine(callee, args))
+							break
+						}
+
+						const values = normalize(context, call(context, callee, ...args))
+
+						// lua 5.4 uses C to adjust varargs, tail calls always return every value
+						let result
+						if (C === 0 || proto.version >= 0x54) {
+							result = new LVTuple(values)
+						}
+						else {
+							result = new LVTuple(Array.from({ length: C - 1 }, (_, i) => values[i] ?? new LVNil()))
+						}
+
+						coroutine.status = "dead"
+
+						if (returnFrom(result)) {
+							return result
+						}
+						break
+					}
+
+					case "ADD":
+					case "SUB":
+					case "MUL":
+					case "DIV":
+					case "MOD":
+					case "POW":
+					case "IDIV":
+					case "BAND":
+					case "BOR":
+					case "BXOR":
+					case "SHL":
+					case "SHR": {
+						const left = first(RK(B))
+						const right = first(RK(C))
+
+						let result
+
+						switch (inst.name) {
+							case "ADD": result = left.add(context, right); break
+							case "SUB": result = left.sub(context, right); break
+							case "MUL": result = left.mul(context, right); break
+							case "DIV": result = left.div(context, right); break
+							case "MOD": result = left.mod(context, right); break
+							case "POW": result = left.pow(context, right); break
+							case "IDIV": result = left.idiv(context, right); break
+							case "BAND": result = left.band(context, right); break
+							case "BOR": result = left.bor(context, right); break
+							case "BXOR": result = left.bxor(context, right); break
+							case "SHL": result = left.shl(context, right); break
+							case "SHR": result = left.shr(context, right); break
+						}
+
+						setReg(A, result)
+
+						if (proto.version >= 0x54) {
+							// metamethods were already handled, skip the MMBIN that follows
+							coroutine.pc ++
+						}
+						break
+					}
+
+					case "ADDI":
+					case "ADDK":
+					case "SUBK":
+					case "MULK":
+					case "MODK":
+					case "POWK":
+					case "DIVK":
+					case "IDIVK":
+					case "BANDK":
+					case "BORK":
+					case "BXORK":
+					case "SHRI":
+					case "SHLI": {
+						let left = stack[base + B]
+
+						let right
+						if (inst.name === "ADDI" || inst.name === "SHRI" || inst.name === "SHLI") {
+							right = LVNumber.fromInteger(BigInt(inst.sC))
+						}
+						else {
+							right = proto.constants[C]
+						}
+
+						// the MMBINI/MMBINK that follows knows whether the operands were swapped
+						const mmInst = decodeInst(proto.version, proto.insts[coroutine.pc ++])
+
+						if (inst.name === "SHLI" || mmInst.k) {
+							[left, right] = [right, left]
+						}
+
+						setReg(A, left[CONSTANT_ARITH_METHODS[inst.name]](context, right))
+						break
+					}
+
+					case "MMBIN":
+					case "MMBINI":
+					case "MMBINK":
+					case "VARARGPREP": {
+						break
+					}
+
+					case "CONCAT": {
+						concat(context, inst, proto.version >= 0x54 ? A + B - 1 : C)
+						break
+					}
+
+					case "EQ":
+					case "LT":
+					case "LE": {
+						let left
+						let right
+						let expected
+						if (proto.version >= 0x54) {
+							left = stack[base + A]
+							right = stack[base + B]
+							expected = inst.k !== 0
+						}
+						else {
+							left = first(RK(B))
+							right = first(RK(C))
+							expected = A !== 0
+						}
+
+						let result
+
+						switch (inst.name) {
+							case "EQ": result = left.eq(context, right); break
+							case "LT": result = left.lt(context, right); break
+							case "LE": result = left.le(context, right); break
+						}
+
+						if (result.truthy(context) !== expected) {
+							coroutine.pc ++
+						}
+						break
+					}
+
+					case "EQK":
+					case "EQI":
+					case "LTI":
+					case "LEI":
+					case "GTI":
+					case "GEI": {
+						const value = stack[base + A]
+
+						let imm
+						if (inst.name === "EQK") {
+							imm = proto.constants[B]
+						}
+						else if (C !== 0) {
+							imm = LVNumber.fromFloat(inst.sB)
+						}
+						else {
+							imm = LVNumber.fromInteger(BigInt(inst.sB))
+						}
+
+						let result
+
+						switch (inst.name) {
+							case "EQK":
+							case "EQI": result = value.eq(context, imm); break
+							case "LTI": result = value.lt(context, imm); break
+							case "LEI": result = value.le(context, imm); break
+							case "GTI": result = imm.lt(context, value); break
+							case "GEI": result = imm.le(context, value); break
+						}
+
+						if (result.truthy(context) !== (inst.k !== 0)) {
+							coroutine.pc ++
+						}
+						break
+					}
+
+					case "JMP": {
+						if (proto.version >= 0x54) {
+							coroutine.pc += inst.sJ
+							break
+						}
+
+						if (proto.version >= 0x52 && A !== 0) {
+							for (const upValue of coroutine.openUpValues) {
+								if (upValue.isOpen && upValue.index >= base + A - 1) {
+									upValue.close()
+								}
+							}
+						}
+
+						coroutine.pc += sBx
+						break
+					}
+
+					case "TEST":
+					case "TESTSET": {
+						const val = stack[base + (inst.name === "TEST" ? A : B)]
+						const cond = val.truthy(context)
+
+						let expected = C !== 0
+						if (proto.version >= 0x54) {
+							expected = inst.k !== 0
+						}
+
+						if (cond !== expected) {
+							coroutine.pc ++
+						} else {
+							if (inst.name === "TESTSET") {
+								setReg(A, val)
+							}
+						}
+						break
+					}
+
+					case "UNM":
+					case "BNOT":
+					case "NOT":
+					case "LEN": {
+						const value = RK(B)
+
+						let result
+
+						switch (inst.name) {
+							case "UNM": result = value.unm(context); break
+							case "BNOT": result = value.bnot(context); break
+							case "NOT": result = value.not(context); break
+							case "LEN": result = value.len(context); break
+						}
+
+						setReg(A, result)
+						break
+					}
+
+					case "FORPREP": {
+						if (proto.version >= 0x54) {
+							if (!forPrep54(context, A)) {
+								coroutine.pc += Bx + 1
+							}
+							break
+						}
+
+						const counter = stack[base + A]
+						const limit = stack[base + A + 1]
+						const step = stack[base + A + 2]
+
+						if (counter.type !== "number") {
+							errors.forInit(position)
+						}
+						if (limit.type !== "number") {
+							errors.forLimit(position)
+						}
+						if (step.type !== "number") {
+							errors.forStep(position)
+						}
+
+						setReg(A, stack[base + A].sub(context, stack[base + A + 2]))
+
+						coroutine.pc += sBx
+						break
+					}
+
+					case "FORLOOP": {
+						if (proto.version >= 0x54) {
+							if (forLoop54(A)) {
+								coroutine.pc -= Bx
+							}
+							break
+						}
+
+						const counter = stack[base + A]
+						const limit = stack[base + A + 1]
+						const step = stack[base + A + 2]
+
+						const newCounter = counter.add(context, step)
+						setReg(A, newCounter)
+
+						if (step.value > 0) {
+							if (newCounter.value <= limit.value) {
+								setReg(A + 3, stack[base + A])
+								coroutine.pc += sBx
+							}
+						}
+						else {
+							if (newCounter.value >= limit.value) {
+								setReg(A + 3, stack[base + A])
+								coroutine.pc += sBx
+							}
+						}
+						break
+					}
+
+					case "TFORPREP": {
+						markToBeClosed(context, A + 3)
+
+						coroutine.pc += Bx
+						break
+					}
+
+					case "TFORCALL": {
+						const iter = stack[base + A]
+						const state = stack[base + A + 1]
+						const ctrl = stack[base + A + 2]
+
+						if (iter instanceof LVClosure && !iter.proto.isLuaJIT) {
+							switchTo(this.enterFrame(new LVCoroutine(iter, [state, ctrl]), 0))
+							break
+						}
+
+						const values = normalize(context, call(context, iter, state, ctrl))
+
+						// lua 5.4 keeps a to-be-closed value in R[A + 3]
+						const resultBase = proto.version >= 0x54 ? A + 4 : A + 3
+
+						for (let i = 0; i < C; i ++) {
+							setReg(resultBase + i, values[i] ?? new LVNil())
+						}
+
+						break
+					}
+
+					case "TFORLOOP": {
+						if (proto.version >= 0x54) {
+							const ctrl = stack[base + A + 4]
+
+							if (ctrl.type !== "nil") {
+								setReg(A + 2, ctrl)
+								coroutine.pc -= Bx
+							}
+							break
+						}
+
+						if (proto.version >= 0x52) {
+							const ctrl = stack[base + A + 1]
+
+							if (ctrl.type !== "nil") {
+								setReg(A, ctrl)
+								coroutine.pc += sBx
+							}
+							break
+						}
+
+						const iter = stack[base + A]
+						const state = stack[base + A + 1]
+						const ctrl = stack[base + A + 2]
+
+						if (iter instanceof LVClosure && !iter.proto.isLuaJIT) {
+							switchTo(this.enterFrame(new LVCoroutine(iter, [state, ctrl]), 0))
+							break
+						}
+
+						let result = call(context, iter, state, ctrl)
+
+						const values = normalize(context, result)
+
+						const newCtrl = values[0] ?? new LVNil()
+
+						for (let i = 0; i < C; i ++) {
+							setReg(A + 3 + i, values[i] ?? new LVNil())
+						}
+
+						if (newCtrl.type === "nil") {
+							coroutine.pc ++
+							break
+						}
+
+						setReg(A + 2, newCtrl)
+						break
+					}
+
+					case "VARARG": {
+						const varArgCount = Math.max(coroutine.args.length - proto.paramCount, 0)
+
+						let wanted = B
+						if (proto.version >= 0x54) {
+							wanted = C
+						}
+
+						if (!proto.isVarArg) {
+							if (wanted === 0) { coroutine.top = A }
+							break
+						}
+
+						if (wanted === 0) {
+							for (let i = 0; i < varArgCount; i ++) {
+								setReg(A + i, coroutine.args[proto.paramCount + i])
+							}
+							coroutine.top = A + varArgCount
+						}
+						else {
+							const nToCopy = wanted - 1
 
-			nestedProtos,
+							const copyCount = Math.min(nToCopy, varArgCount)
+							for (let i = 0; i < copyCount; i ++) {
+								setReg(A + i, coroutine.args[proto.paramCount + i])
+							}
 
-			constants,
+							for (let i = copyCount; i < nToCopy; i ++) {
+								setReg(A + i, new LVNil())
+							}
+						}
 
-			locals,
+						break
+					}
 
-			lineInfo,
+					default: {
+						throw new LuaCFormatError(`invalid opcode ${inst.name}`)
+					}
+				}
+			}
+		}
+		catch (caught) {
+			let error = caught
 
-			lineDefined,
-			lastLineDefined,
+			// the error goes through every frame the loop is running, a yield suspends them instead
+			while (true) {
+				switchTo(this.callStack[this.callStack.length - 1])
 
-			upValueCount,
-			upValueNames,
+				if (error instanceof LuaYield) {
+					error.frames.push(coroutine)
+					this.callStack.pop()
+				}
+				else {
+					const context = {
+						position: {
+							fileName: proto.fileName,
+							line: proto.lineInfo[coroutine.pc - 1]
+						},
+						coroutine,
+						vm: this
+					}
 
-			paramCount,
+					const value = this.handleError(context, error)
 
-			isVarArg,
+					// an error closing a variable replaces the one being raised
+					if (coroutine.toBeClosed.length > 0) {
+						try {
+							closeToBeClosed(context, 0, value)
+						}
+						catch (closeError) {
+							error = closeError
+						}
+					}
 
-			maxStackSize,
+					this.leaveFrame(coroutine)
+				}
 
-			insts
+				if (coroutine === entry) {
+					throw error
+				}
+			}
 		}
 	}
 
-	decodeInst(inst) {
-		const opcode = inst & 0x3F
-
-		const A = (inst >>> 6) & 0xFF
-		const C = (inst >>> 14) & 0x1FF
-		const B = (inst >>> 23) & 0x1FF
+	runLuaJITCoroutine(entry) {
+		// the frame that's running, lua functions called from it run in its place until they return
+		let coroutine = entry
+		let proto = entry.closure.proto
+		let stack = entry.stack
+		let base = entry.base
+
+		// in LJ_FR2 mode the frame link takes an extra slot between a callee and its arguments
+		let argOffset = proto.fr2 ? 2 : 1
+
+		const switchTo = (frame) => {
+			coroutine = frame
+			proto = frame.closure.proto
+			stack = frame.stack
+			base = frame.base
+			argOffset = proto.fr2 ? 2 : 1
+		}
 
-		const Bx = inst >>> 14
-		const sBx = Bx - 131071
+		// the running frame returned, true if it's the one the loop started with and otherwise its caller gets the values
+		const returnFrom = (result) => {
+			const frame = coroutine
+			this.leaveFrame(frame)
 
-		return {
-			opcode,
-			name: LUA_OPCODES[this.version][opcode],
+			if (frame === entry) {
+				return true
+			}
 
-			A,
-			B,
-			C,
+			switchTo(this.callStack[this.callStack.length - 1])
+			this.finishCall(coroutine, result instanceof LVTuple ? result.values : [result])
 
-			Bx,
-			sBx
+			return false
 		}
-	}
 
-	runCoroutine(coroutine) {
-		const proto = coroutine.closure.proto
+		// the frame is left before it's dead, so the function a tail call replaced doesn't get a return hook
+		const tailCall = (frame) => {
+			const replaced = coroutine
+			this.leaveFrame(replaced)
 
-		const setReg = (i, v) => {
-			coroutine.regs[i] = v
-			
-			if (i >= coroutine.top) {
-				coroutine.top = i + 1
+			if (replaced === entry) {
+				entry = frame
 			}
-		}
 
-		const BITRK = 1 << 8
-		const MAXINDEXRK = BITRK - 1
+			switchTo(this.enterFrame(frame, replaced.tailCalls + 1))
+		}
 
-		const RK = (regs, proto, x) => {
-			if (x & BITRK) {
-				const idx = x & MAXINDEXRK
+		const BCBIAS_J = 0x8000
 
-				return proto.constants[idx]
-			}
+		// TSETM's start index is the low word of a number biased by 2^52
+		const TSETM_BIAS = 2 ** 52
 
-			return regs[x]
-		}
+		const setReg = (i, v) => {
+			stack[base + i] = v
 
-		const floatingByteToInt = (x) => {
-			if (x < 8) {
-				return x
+			if (i >= coroutine.top) {
+				coroutine.top = i + 1
 			}
-			
-			const e = (x >>> 3) - 1
-			const m = (x & 7) + 8
-		
-			return m << e
 		}
 
-		const LFIELDS_PER_FLUSH = 50
-
 		const normalize = (context, result) => {
 			if (result instanceof LVTuple) {
 				return result.values
@@ -1653,36 +10914,86 @@ class LuaVM {
 			return [wrap(context, result)]
 		}
 
+		const first = (value) => {
+			if (value instanceof LVTuple) {
+				return value.values[0]
+			}
+
+			return value
+		}
+
 		const findOrCreateUpValue = (regIndex) => {
 			for (const upValue of coroutine.openUpValues) {
-				if (upValue.isOpen && upValue.index === regIndex) {
+				if (upValue.isOpen && upValue.index === base + regIndex) {
 					return upValue
 				}
 			}
-			
-			const upValue = new LVUpValue(coroutine.regs, regIndex)
+
+			const upValue = new LVUpValue(stack, base + regIndex)
 			coroutine.openUpValues.push(upValue)
-			
+
 			return upValue
 		}
 
-		const first = (value) => {
-			if (value instanceof LVTuple) {
-				return value.values[0]
+		const closeUpValues = (level) => {
+			for (const upValue of coroutine.openUpValues) {
+				if (upValue.isOpen && upValue.index >= base + level) {
+					upValue.close()
+				}
 			}
+		}
 
-			return value
+		const primitive = (value) => {
+			switch (value) {
+				case 0: return new LVNil()
+				case 1: return new LVBoolean(false)
+				default: return new LVBoolean(true)
+			}
+		}
+
+		const callValues = (context, A, args, resultCount) => {
+			const callee = stack[base + A]
+
+			// lua functions run in this loop, their frame takes over until it returns
+			if (callee instanceof LVClosure && callee.proto.isLuaJIT) {
+				switchTo(this.enterFrame(new LVCoroutine(callee, args), 0))
+				return
+			}
+
+			const values = normalize(context, call(context, callee, ...args))
+
+			// a result count of -1 keeps every value and moves the top past them
+			if (resultCount < 0) {
+				for (let i = 0; i < values.length; i ++) {
+					setReg(A + i, values[i])
+				}
+				coroutine.top = A + values.length
+
+				return
+			}
+
+			for (let i = 0; i < resultCount; i ++) {
+				setReg(A + i, values[i] ?? new LVNil())
+			}
 		}
 
 		try {
+			if (coroutine.resumeError !== null) {
+				const error = coroutine.resumeError
+				coroutine.resumeError = null
+
+				throw error
+			}
+
 			while (coroutine.pc >= 0 && coroutine.pc < proto.insts.length) {
-				const inst = this.decodeInst(proto.insts[coroutine.pc ++])
+				const pc = coroutine.pc ++
+				const inst = decodeLuaJITInst(proto.version, proto.insts[pc])
 
-				const { A, B, C, Bx, sBx } = inst
+				const { A, B, C, D } = inst
 
 				const position = {
 					fileName: proto.fileName,
-					line: proto.lineInfo[coroutine.pc]
+					line: proto.lineInfo[pc]
 				}
 				const context = {
 					position,
@@ -1690,458 +11001,496 @@ class LuaVM {
 					vm: this
 				}
 
-				switch (inst.name) {
-					case "MOVE": {
-						setReg(A, coroutine.regs[B])
-						break
-					}
+				if (++ this.instructionCount >= this.limitCheckAt) {
+					this.checkLimits(position)
+				}
+				if ((this.hook !== null || this.debugger.active) && !this.inHook) {
+					this.traceInstruction(context, pc)
+				}
 
-					case "LOADK": {
-						setReg(A, proto.constants[Bx])
-						break
-					}
+				switch (inst.name) {
+					case "ISLT":
+					case "ISGE":
+					case "ISLE":
+					case "ISGT": {
+						const left = stack[base + A]
+						const right = stack[base + D]
 
-					case "LOADBOOL": {
-						setReg(A, new LVBoolean(B !== 0))
+						let result
+						switch (inst.name) {
+							case "ISLT": result = left.lt(context, right).truthy(context); break
+							case "ISGE": result = !left.lt(context, right).truthy(context); break
+							case "ISLE": result = left.le(context, right).truthy(context); break
+							case "ISGT": result = !left.le(context, right).truthy(context); break
+						}
 
-						if (C !== 0) {
+						// a true comparison falls through to the JMP that follows it
+						if (!result) {
 							coroutine.pc ++
 						}
 						break
 					}
 
-					case "LOADNIL": {
-						for (let i = A; i <= B; i ++) {
-							setReg(i, new LVNil())
+					case "ISEQV":
+					case "ISNEV":
+					case "ISEQS":
+					case "ISNES":
+					case "ISEQN":
+					case "ISNEN":
+					case "ISEQP":
+					case "ISNEP": {
+						let right
+						switch (inst.name) {
+							case "ISEQV":
+							case "ISNEV":
+								right = stack[base + D]
+								break
+							case "ISEQS":
+							case "ISNES":
+								right = proto.gcConstants[D]
+								break
+							case "ISEQN":
+							case "ISNEN":
+								right = proto.constants[D]
+								break
+							default:
+								right = primitive(D)
+								break
 						}
-						break
-					}
-
-					case "GETGLOBAL": {
-						const key = proto.constants[Bx]
-						const val = this.globals.rawGet(context, key)
-						
-						setReg(A, val)
-						break
-					}
 
-					case "SETGLOBAL": {
-						const key = proto.constants[Bx]
+						let result = stack[base + A].eq(context, right).truthy(context)
+						if (inst.name.startsWith("ISNE")) {
+							result = !result
+						}
 
-						this.globals.rawSet(context, key, coroutine.regs[A])
+						if (!result) {
+							coroutine.pc ++
+						}
 						break
 					}
 
-					case "NEWTABLE": {
-						const arrSize = floatingByteToInt(B)
-						// const hashSize = floatingByteToInt(C)
-
-						const tbl = new LVTable()
-
-						tbl.array.length = arrSize
-
-						setReg(A, tbl)
-						break
-					}
+					case "ISTC":
+					case "ISFC":
+					case "IST":
+					case "ISF": {
+						const value = stack[base + D]
 
-					case "GETTABLE": {
-						const table = coroutine.regs[B]
-						const key = RK(coroutine.regs, proto, C)
+						const expected = inst.name === "ISTC" || inst.name === "IST"
 
-						setReg(A, table.rawGet(context, key))
-						break
-					}
+						if (value.truthy(context) !== expected) {
+							coroutine.pc ++
+							break
+						}
 
-					case "SETTABLE": {
-						const table = coroutine.regs[A]
-						
-						const key = RK(coroutine.regs, proto, B)
-						const val = RK(coroutine.regs, proto, C)
-						
-						table.rawSet(context, key, val)
+						if (inst.name === "ISTC" || inst.name === "ISFC") {
+							setReg(A, value)
+						}
 						break
 					}
 
-					case "SELF": {
-						const table = coroutine.regs[B]
-						const key = RK(coroutine.regs, proto, C)
-
-						setReg(A + 1, table)
-
-						setReg(A, table.rawGet(context, key))
+					case "ISTYPE":
+					case "ISNUM": {
+						// only emitted for the jit compiler's type specialization
 						break
 					}
 
-					case "SETLIST": {
-						let count = B
-						let extra = C
-
-						if (extra === 0) {
-							extra = proto.insts[coroutine.pc ++]
-						}
-
-						if (count === 0) {
-							count = coroutine.top - (A + 1)
-						}
-
-						const table = coroutine.regs[A]
-						const offset = (extra - 1) * LFIELDS_PER_FLUSH
-
-						for (let i = 1; i <= count; i ++) {
-							const val = coroutine.regs[A + i]
-							table.rawSet(context, offset + i, val)
-						}
-
+					case "MOV": {
+						setReg(A, stack[base + D])
 						break
 					}
 
-					case "CLOSURE": {
-						const newProto = proto.nestedProtos[Bx]
-						const newClosure = new LVClosure(newProto)
-
-						for (let i = 0; i < newProto.upValueCount; i ++) {
-							const upValueInst = this.decodeInst(proto.insts[coroutine.pc ++])
-
-							switch (upValueInst.name) {
-								case "MOVE":
-									newClosure.upvalues[i] = findOrCreateUpValue(upValueInst.B)
-									break
-								case "GETUPVAL":
-									newClosure.upvalues[i] = coroutine.closure.upvalues[upValueInst.B]
-									break
-								default:
-									throw new LuaError(position, `invalid upvalue binding instruction: ${upValueInst.name}`)
-							}
-						}
-
-						setReg(A, newClosure)
+					case "NOT": {
+						setReg(A, stack[base + D].not(context))
 						break
 					}
 
-					case "GETUPVAL": {
-						const upValue = coroutine.closure.upvalues[B]
-
-						setReg(A, upValue.get())
-						break
-					}
-					
-					case "SETUPVAL": {
-						const upValue = coroutine.closure.upvalues[B]
-						
-						upValue.set(coroutine.regs[A])
+					case "UNM": {
+						setReg(A, stack[base + D].unm(context))
 						break
 					}
 
-					case "CLOSE": {
-						for (const upValue of coroutine.openUpValues) {
-							if (upValue.isOpen && upValue.index >= A) {
-								upValue.close()
-							}
-						}
+					case "LEN": {
+						setReg(A, stack[base + D].len(context))
 						break
 					}
 
-					case "CALL": {
-						const callee = coroutine.regs[A]
+					case "ADDVN":
+					case "SUBVN":
+					case "MULVN":
+					case "DIVVN":
+					case "MODVN":
+					case "ADDNV":
+					case "SUBNV":
+					case "MULNV":
+					case "DIVNV":
+					case "MODNV":
+					case "ADDVV":
+					case "SUBVV":
+					case "MULVV":
+					case "DIVVV":
+					case "MODVV":
+					case "POW": {
+						let left = stack[base + B]
+						let right = stack[base + C]
 
-						let argCount
-						if (B === 0) {
-							argCount = coroutine.top - (A + 1)
+						if (inst.name.endsWith("VN")) {
+							right = proto.constants[C]
 						}
-						else {
-							argCount = B - 1
+						else if (inst.name.endsWith("NV")) {
+							left = proto.constants[C]
+							right = stack[base + B]
 						}
 
-						const args = coroutine.regs.slice(A + 1, A + 1 + argCount)
-
-						let result = call(context, callee, ...args)
-
-						const values = normalize(context, result)
-
-						if (C === 0) {
-							for (let i = 0; i < values.length; i ++) {
-								setReg(A + i, values[i])
-							}
-							coroutine.top = A + values.length
-
-							break
-						}
-						else if (C === 1) {
-							break
+						let result
+						switch (inst.name.slice(0, 3)) {
+							case "ADD": result = left.add(context, right); break
+							case "SUB": result = left.sub(context, right); break
+							case "MUL": result = left.mul(context, right); break
+							case "DIV": result = left.div(context, right); break
+							case "MOD": result = left.mod(context, right); break
+							case "POW": result = left.pow(context, right); break
 						}
 
-						const returnCount = C - 1
+						setReg(A, first(result))
+						break
+					}
 
-						for (let i = 0; i < returnCount; i ++) {
-							setReg(A + i, values[i] ?? new LVNil())
+					case "CAT": {
+						let result = stack[base + B]
+
+						for (let i = B + 1; i <= C; i ++) {
+							result = first(result.concat(context, stack[base + i]))
 						}
 
-						coroutine.top = A + returnCount
+						setReg(A, result)
 						break
 					}
 
-					case "RETURN": {
-						for (const upValue of coroutine.openUpValues) {
-							upValue.close()
-						}
+					case "KSTR": {
+						setReg(A, proto.gcConstants[D])
+						break
+					}
 
-						coroutine.status = "dead"
+					case "KCDATA": {
+						throw new LuaError(position, "ffi cdata constants are not supported")
+					}
 
-						if (B === 0) {
-							const values = coroutine.regs.slice(A, coroutine.top)
+					case "KSHORT": {
+						setReg(A, new LVNumber((D << 16) >> 16))
+						break
+					}
 
-							return new LVTuple(values)
-						}
-						else if (B === 1) {
-							return new LVTuple([])
-						}
+					case "KNUM": {
+						setReg(A, proto.constants[D])
+						break
+					}
 
-						const returnCount = B - 1
+					case "KPRI": {
+						setReg(A, primitive(D))
+						break
+					}
 
-						if (returnCount === 1) {
-							return coroutine.regs[A]
+					case "KNIL": {
+						for (let i = A; i <= D; i ++) {
+							setReg(i, new LVNil())
 						}
-
-						const values = coroutine.regs.slice(A, A + returnCount)
-
-						return new LVTuple(values)
+						break
 					}
 
-					case "TAILCALL": {
-						const callee = coroutine.regs[A]
+					case "UGET": {
+						setReg(A, coroutine.closure.upvalues[D].get())
+						break
+					}
 
-						let argCount
-						if (B === 0) {
-							argCount = coroutine.top - (A + 1)
-						} else {
-							argCount = B - 1
+					case "USETV":
+					case "USETS":
+					case "USETN":
+					case "USETP": {
+						let value
+						switch (inst.name) {
+							case "USETV": value = stack[base + D]; break
+							case "USETS": value = proto.gcConstants[D]; break
+							case "USETN": value = proto.constants[D]; break
+							case "USETP": value = primitive(D); break
 						}
 
-						const args = coroutine.regs.slice(A + 1, A + 1 + argCount)
+						coroutine.closure.upvalues[A].set(value)
+						break
+					}
 
-						for (const upValue of coroutine.openUpValues) {
-							upValue.close()
-						}
+					case "UCLO": {
+						closeUpValues(A)
 
-						const result = call(context, callee, ...args)
-						const values = normalize(context, result)
+						coroutine.pc += D - BCBIAS_J
+						break
+					}
 
-						coroutine.status = "dead"
+					case "FNEW": {
+						const newProto = proto.gcConstants[D]
+						const newClosure = new LVClosure(newProto)
 
-						if (C === 0) {
-							return new LVTuple(values)
-						}
-						else if (C === 1) {
-							return new LVTuple([])
+						for (let i = 0; i < newProto.upValueCount; i ++) {
+							const { inStack, index } = newProto.upValues[i]
+
+							if (inStack) {
+								newClosure.upvalues[i] = findOrCreateUpValue(index)
+							}
+							else {
+								newClosure.upvalues[i] = coroutine.closure.upvalues[index]
+							}
 						}
 
-						const returnCount = C - 1
+						setReg(A, newClosure)
+						break
+					}
 
-						if (returnCount === 1) {
-							return values[0] ?? new LVNil()
-						}
+					case "TNEW": {
+						const tbl = new LVTable()
 
-						const sliced = values.slice(0, returnCount).map((returned) => returned ?? new LVNil())
+						// the low 11 bits are the array size, counting the unused 0 slot
+						tbl.array.length = D & 0x7FF
 
-						return new LVTuple(sliced)
+						setReg(A, tbl)
+						break
 					}
 
-					case "ADD":
-					case "SUB":
-					case "MUL":
-					case "DIV":
-					case "MOD":
-					case "POW": {
-						const left = first(RK(coroutine.regs, proto, B))
-						const right = first(RK(coroutine.regs, proto, C))
+					case "TDUP": {
+						const template = proto.gcConstants[D]
+						const tbl = new LVTable()
 
-						let result
+						for (let i = 0; i < template.array.length; i ++) {
+							if (template.array[i].type !== "nil") {
+								tbl.rawSet(context, new LVNumber(i), template.array[i])
+							}
+						}
 
-						switch (inst.name) {
-							case "ADD": result = left.add(context, right); break
-							case "SUB": result = left.sub(context, right); break
-							case "MUL": result = left.mul(context, right); break
-							case "DIV": result = left.div(context, right); break
-							case "MOD": result = left.mod(context, right); break
-							case "POW": result = left.pow(context, right); break
+						for (const [key, value] of template.hash) {
+							if (value.type !== "nil") {
+								tbl.rawSet(context, key, value)
+							}
 						}
 
-						setReg(A, result)
+						setReg(A, tbl)
 						break
 					}
 
-					case "CONCAT": {
-						let result = first(RK(coroutine.regs, proto, B))
-
-						for (let i = B + 1; i <= C; i ++) {
-							const next = first(RK(coroutine.regs, proto, i))
-							
-							result = result.concat(context, next)
-						}
-
-						setReg(A, result)
+					case "GGET": {
+						setReg(A, this.globals.index(context, proto.gcConstants[D]))
 						break
 					}
 
-					case "EQ":
-					case "LT":
-					case "LE": {
-						const left = first(RK(coroutine.regs, proto, B))
-						const right = first(RK(coroutine.regs, proto, C))
+					case "GSET": {
+						this.globals.setIndex(context, proto.gcConstants[D], stack[base + A])
+						break
+					}
 
-						let result
+					case "TGETV":
+					case "TGETS":
+					case "TGETB":
+					case "TGETR": {
+						const table = stack[base + B]
 
+						let key
 						switch (inst.name) {
-							case "EQ": result = left.eq(context, right); break
-							case "LT": result = left.lt(context, right); break
-							case "LE": result = left.le(context, right); break
+							case "TGETS": key = proto.gcConstants[C]; break
+							case "TGETB": key = new LVNumber(C); break
+							default: key = stack[base + C]; break
 						}
 
-						if (result.truthy(context) !== (A !== 0)) {
-							coroutine.pc ++
-						}
+						setReg(A, table.index(context, key))
 						break
 					}
 
-					case "JMP": {
-						for (const upValue of coroutine.openUpValues) {
-							if (upValue.isOpen && upValue.index >= A) {
-								upValue.close()
-							}
+					case "TSETV":
+					case "TSETS":
+					case "TSETB":
+					case "TSETR": {
+						const table = stack[base + B]
+
+						let key
+						switch (inst.name) {
+							case "TSETS": key = proto.gcConstants[C]; break
+							case "TSETB": key = new LVNumber(C); break
+							default: key = stack[base + C]; break
 						}
 
-						coroutine.pc += sBx
+						table.setIndex(context, key, stack[base + A])
 						break
 					}
 
-					case "TEST":
-					case "TESTSET": {
-						const val = coroutine.regs[B]
-						const cond = val.truthy(context)
+					case "TSETM": {
+						const table = stack[base + A - 1]
+						const start = proto.constants[D].value - TSETM_BIAS
 
-						if (cond !== (C !== 0)) {
-							coroutine.pc ++
-						} else {
-							if (inst.name === "TESTSET") {
-								setReg(A, val)
-							}
+						for (let i = A; i < coroutine.top; i ++) {
+							table.rawSet(context, new LVNumber(start + i - A), stack[base + i])
 						}
 						break
 					}
 
-					case "UNM":
-					case "NOT":
-					case "LEN": {
-						const value = RK(coroutine.regs, proto, B)
-
-						let result
+					case "CALL":
+					case "CALLM": {
+						const argBase = A + argOffset
 
-						switch (inst.name) {
-							case "UNM": result = value.unm(context); break
-							case "NOT": result = value.not(context); break
-							case "LEN": result = value.len(context); break
+						let argEnd = argBase + C - 1
+						if (inst.name === "CALLM") {
+							argEnd = coroutine.top
 						}
 
-						setReg(A, result)
+						callValues(context, A, stack.slice(base + argBase, base + argEnd), B - 1)
 						break
 					}
 
-					case "FORPREP": {
-						const counter = coroutine.regs[A]
-						const limit = coroutine.regs[A + 1]
-						const step = coroutine.regs[A + 2]
+					case "CALLT":
+					case "CALLMT": {
+						const argBase = A + argOffset
 
-						if (counter.type !== "number") {
-							errors.forInit(position)
+						let argEnd = argBase + D - 1
+						if (inst.name === "CALLMT") {
+							argEnd = coroutine.top
 						}
-						if (limit.type !== "number") {
-							errors.forLimit(position)
+
+						const args = stack.slice(base + argBase, base + argEnd)
+
+						closeUpValues(0)
+
+						// lua functions take the frame's place, host functions are called like any other
+						const callee = stack[base + A]
+						if (callee instanceof LVClosure && callee.proto.isLuaJIT) {
+							tailCall(new LVCoroutine(callee, args))
+							break
 						}
-						if (step.type !== "number") {
-							errors.forStep(position)
+
+						const result = new LVTuple(normalize(context, call(context, callee, ...args)))
+
+						coroutine.status = "dead"
+
+						if (returnFrom(result)) {
+							return result
 						}
+						break
+					}
 
-						setReg(A, coroutine.regs[A].sub(context, coroutine.regs[A + 2]))
+					case "ITERC":
+					case "ITERN": {
+						// the generator is copied into the result slot and called with the state and control
+						setReg(A, stack[base + A - 3])
 
-						coroutine.pc += sBx
+						callValues(context, A, [stack[base + A - 2], stack[base + A - 1]], B - 1)
 						break
 					}
 
-					case "FORLOOP": {
-						const counter = coroutine.regs[A]
-						const limit = coroutine.regs[A + 1]
-						const step = coroutine.regs[A + 2]
+					case "ITERL":
+					case "IITERL":
+					case "JITERL": {
+						const value = stack[base + A]
 
-						const newCounter = counter.add(context, step)
-						setReg(A, newCounter)
+						if (value.type !== "nil") {
+							setReg(A - 1, value)
 
-						if (step.value > 0) {
-							if (newCounter.value <= limit.value) {
-								setReg(A + 3, coroutine.regs[A])
-								coroutine.pc += sBx
-							}
-						}
-						else {
-							if (newCounter.value >= limit.value) {
-								setReg(A + 3, coroutine.regs[A])
-								coroutine.pc += sBx
-							}
+							coroutine.pc += D - BCBIAS_J
 						}
 						break
 					}
 
-					case "TFORLOOP": {
-						const iter = coroutine.regs[A]
-						const state = coroutine.regs[A + 1]
-						const ctrl = coroutine.regs[A + 2]
-
-						let result = call(context, iter, state, ctrl)
+					case "ISNEXT":
+					case "JMP": {
+						coroutine.pc += D - BCBIAS_J
+						break
+					}
 
-						const values = normalize(context, result)
+					case "VARG": {
+						const varArgs = coroutine.args.slice(proto.paramCount)
 
-						const newCtrl = values[0] ?? new LVNil()
+						if (B === 0) {
+							for (let i = 0; i < varArgs.length; i ++) {
+								setReg(A + i, varArgs[i])
+							}
+							coroutine.top = A + varArgs.length
 
-						if (newCtrl.type === "nil") {
-							coroutine.pc += Bx - 1
 							break
 						}
 
-						setReg(A + 2, newCtrl)
+						for (let i = 0; i < B - 1; i ++) {
+							setReg(A + i, varArgs[i] ?? new LVNil())
+						}
+						break
+					}
 
-						for (let i = 0; i < Bx; i ++) {
-							setReg(A + 3 + i, values[i] ?? new LVNil())
+					case "RETM":
+					case "RET":
+					case "RET0":
+					case "RET1": {
+						let result
+						switch (inst.name) {
+							case "RETM": result = new LVTuple(stack.slice(base + A, base + coroutine.top)); break
+							case "RET": result = new LVTuple(stack.slice(base + A, base + A + D - 1)); break
+							case "RET0": result = new LVTuple([]); break
+							case "RET1": result = stack[base + A]; break
 						}
 
+						closeUpValues(0)
+
+						coroutine.status = "dead"
+
+						if (returnFrom(result)) {
+							return result
+						}
 						break
 					}
 
-					case "VARARG": {
-						const varArgCount = coroutine.args.length - proto.paramCount
+					case "FORI":
+					case "JFORI": {
+						const index = stack[base + A]
+						const stop = stack[base + A + 1]
+						const step = stack[base + A + 2]
 
-						if (!proto.isVarArg) {
-							if (B === 0) { coroutine.top = A }
-							break
+						if (index.type !== "number") {
+							errors.forInit(position)
+						}
+						if (stop.type !== "number") {
+							errors.forLimit(position)
+						}
+						if (step.type !== "number") {
+							errors.forStep(position)
 						}
 
-						if (B === 0) {
-							for (let i = 0; i < varArgCount; i ++) {
-								setReg(A + i, coroutine.args[proto.paramCount + i])
-							}
-							coroutine.top = A + varArgCount
+						if (step.value >= 0 ? index.value <= stop.value : index.value >= stop.value) {
+							setReg(A + 3, index)
 						}
 						else {
-							const nToCopy = B - 1
+							coroutine.pc += D - BCBIAS_J
+						}
+						break
+					}
 
-							const copyCount = Math.min(nToCopy, varArgCount)
-							for (let i = 0; i < copyCount; i ++) {
-								setReg(A + i, coroutine.args[proto.paramCount + i])
-							}
+					case "FORL":
+					case "IFORL":
+					case "JFORL": {
+						const step = stack[base + A + 2]
+						const index = stack[base + A].add(context, step)
+						const stop = stack[base + A + 1]
 
-							for (let i = copyCount; i < nToCopy; i ++) {
-								setReg(A + i, new LVNil())
-							}
+						setReg(A, index)
+
+						if (step.value >= 0 ? index.value <= stop.value : index.value >= stop.value) {
+							setReg(A + 3, index)
+
+							coroutine.pc += D - BCBIAS_J
 						}
+						break
+					}
 
+					case "LOOP":
+					case "ILOOP":
+					case "JLOOP":
+					case "FUNCF":
+					case "IFUNCF":
+					case "JFUNCF":
+					case "FUNCV":
+					case "IFUNCV":
+					case "JFUNCV": {
+						// loop and function headers only matter to the jit compiler
 						break
 					}
 
@@ -2152,27 +11501,164 @@ class LuaVM {
 			}
 		}
 		catch (error) {
-			if (error instanceof LuaYield) {
-				coroutine.status = "suspended"
-				return new LVTuple(error.values)
+			// the error goes through every frame the loop is running, a yield suspends them instead
+			while (true) {
+				switchTo(this.callStack[this.callStack.length - 1])
+
+				if (error instanceof LuaYield) {
+					error.frames.push(coroutine)
+					this.callStack.pop()
+				}
+				else {
+					const context = {
+						position: {
+							fileName: proto.fileName,
+							line: proto.lineInfo[coroutine.pc - 1]
+						},
+						coroutine,
+						vm: this
+					}
+
+					this.handleError(context, error)
+					this.leaveFrame(coroutine)
+				}
+
+				if (coroutine === entry) {
+					throw error
+				}
 			}
-			throw error
 		}
 	}
 
-	run() {
-		const coroutine = new LVCoroutine(new LVClosure(this.mainProto))
+	// gives the libraries the fields of the lua version that's about to run, leaving the ones scripts replaced alone
+	useVersion(version) {
+		for (const { table, key, value, hasIt } of this.versionedFields) {
+			const current = table.rawGet(null, key)
+
+			if (hasIt(version) && current.type === "nil") {
+				table.rawSet(null, key, value)
+			}
+			else if (!hasIt(version) && current === value) {
+				table.rawSet(null, key, new LVNil())
+			}
+		}
+	}
+
+	mainClosure(chunk) {
+		let closure = this.mainChunk
+		if (chunk !== undefined) {
+			closure = this.load(chunk)
+		}
+
+		if (!closure) {
+			throw new Error("no chunk to run")
+		}
+
+		return closure
+	}
+
+	run(chunk, ...args) {
+		const coroutine = new LVCoroutine(this.mainClosure(chunk), args.map((arg) => wrap(null, arg)))
 
 		coroutine.isMain = true
+		coroutine.status = "running"
+
+		// nested runs from host functions share the budget and the running coroutine of the outermost one
+		const isOutermost = this.callStack.length === 0
+		if (isOutermost) {
+			this.resetLimits()
+			this.useVersion(coroutine.closure.proto.version)
 
-		return this.runCoroutine(coroutine)
+			this.currentThread = coroutine
+			this.yieldBarrier = 0
+		}
+
+		// the host calling into lua, shown like lua's own C host at the bottom of tracebacks
+		this.callStack.push({ func: null })
+
+		try {
+			return this.runCoroutine(coroutine)
+		}
+		finally {
+			this.callStack.pop()
+
+			if (isOutermost) {
+				this.currentThread = null
+			}
+		}
+	}
+
+	// runs a chunk whose host functions can return promises, the script waits for them to settle while the vm is free
+	// for other runs. resolves with what the chunk returns
+	async runAsync(chunk, ...args) {
+		const thread = new LVCoroutine(this.mainClosure(chunk), [])
+		thread.isMain = true
+
+		let values = args.map((arg) => wrap(null, arg))
+
+		// the limits cover the whole run, time spent waiting included, and are put back after other runs in between
+		let limits = null
+
+		while (true) {
+			if (this.callStack.length === 0) {
+				if (limits === null) {
+					this.resetLimits()
+				}
+				else {
+					this.instructionCount = limits.instructionCount
+					this.deadline = limits.deadline
+					this.limitCheckAt = 0
+				}
+
+				this.useVersion(thread.closure.proto.version)
+			}
+
+			const previousAsync = this.asyncThread
+			this.asyncThread = thread
+
+			this.callStack.push({ func: null })
+
+			let promise
+			try {
+				return new LVTuple(this.resumeThread(null, thread, values))
+			}
+			catch (error) {
+				if (!(error instanceof LuaYield)) {
+					throw error
+				}
+
+				promise = error.promise
+			}
+			finally {
+				this.callStack.pop()
+
+				this.asyncThread = previousAsync
+			}
+
+			limits = { instructionCount: this.instructionCount, deadline: this.deadline }
+
+			await promise
+
+			values = []
+		}
 	}
 }
 
 module.exports = {
 	wrap,
 	unwrap,
+	loadChunk,
+	dumpChunk,
+	decodeInst,
+	decodeLuaJITInst,
+	disassemble,
+	formatTraceback,
 	LuaError,
 	LuaCFormatError,
-	LuaVM
-}
\ No newline at end of file
+	LuaDebugger,
+	LuaExit,
+	LuaLimitError,
+	LuaVM,
+	MemoryFileSystem,
+	NodeFileSystem
+}
@@ -0,0 +1,87 @@
+const assert = require("assert")
+const { LuaVM, LuaLimitError, wrap, unwrap } = require("../index.js")
+const { test, chunk } = require("./harness.js")
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+test("promises that can't be awaited don't leave unhandled rejections", async () => {
+	const rejections = []
+	const onRejection = (reason) => rejections.push(reason)
+	process.on("unhandledRejection", onRejection)
+
+	try {
+		const written = []
+		const vm = new LuaVM({ stdout: (bytes) => written.push(bytes) })
+		vm.globals.rawSet(null, "fetch", wrap(null, () => delay(5).then(() => { throw new Error("db down") })))
+
+		vm.run(chunk("await-refused"))
+		await vm.runAsync(chunk("await-refused"))
+		await delay(20)
+
+		assert.deepStrictEqual(rejections, [])
+		assert.strictEqual(Buffer.concat(written).toString(), [
+			"false\tattempt to await outside of runAsync",
+			"false\tawait-refused.lua:2: attempt to await outside of runAsync",
+			"false\tdb down",
+			"false\tawait-refused.lua:2: attempt to await across a C-call boundary",
+			""
+		].join("\n"))
+	}
+	finally {
+		process.off("unhandledRejection", onRejection)
+	}
+})
+
+// a run whose only host function waits on the given promise
+async function runWaiting(options, promise) {
+	const vm = new LuaVM({ ...options, stdout: () => {} })
+	vm.globals.rawSet(null, "wait", wrap(null, () => promise))
+
+	const start = Date.now()
+	const error = await vm.runAsync(chunk("await-limits")).then(() => null, (error) => error)
+
+	return { error, time: Date.now() - start }
+}
+
+test("the timeout ends runAsync while it waits on a promise", async () => {
+	const { error, time } = await runWaiting({ timeout: 50 }, delay(500))
+
+	assert.strictEqual(error instanceof LuaLimitError && error.reason, "timeout")
+	assert.ok(time < 400, `took ${time}ms`)
+})
+
+test("aborting the signal ends runAsync waiting on a promise that never settles", async () => {
+	const controller = new AbortController()
+	setTimeout(() => controller.abort(), 50)
+
+	const { error, time } = await runWaiting({ signal: controller.signal, catchLimits: false }, new Promise(() => {}))
+
+	assert.strictEqual(error instanceof LuaLimitError && error.reason, "aborted")
+	assert.ok(time < 1000, `took ${time}ms`)
+})
+
+test("promises settling within the limits are awaited", async () => {
+	const { error } = await runWaiting({ timeout: 1000, signal: new AbortController().signal }, delay(5))
+
+	assert.strictEqual(error, null)
+})
+
+test("metamethods await host promises in every lua version", async () => {
+	for (const version of ["51", "54"]) {
+		const written = []
+		const vm = new LuaVM({ stdout: (bytes) => written.push(bytes) })
+		vm.globals.rawSet(null, "fetch", wrap(null, async (context, key) => {
+			await delay(5)
+
+			if (unwrap(key) === "missing") {
+				throw new Error("no such key")
+			}
+
+			return `got ${unwrap(key)}`
+		}))
+
+		await vm.runAsync(chunk("await-metamethod", version))
+
+		assert.strictEqual(Buffer.concat(written).toString(), "got name!\tfalse\tno such key\n", `lua ${version}`)
+	}
+})
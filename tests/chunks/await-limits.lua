@@ -0,0 +1,3 @@
+print(pcall(wait))
+print("after")
+wait()
@@ -0,0 +1,3 @@
+local config = setmetatable({}, { __index = function(t, key) return fetch(key) end })
+
+print(config.name .. "!", pcall(function() return config.missing end))
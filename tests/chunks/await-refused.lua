@@ -0,0 +1,2 @@
+print(pcall(fetch))
+print(pcall(table.sort, { 1, 2 }, function(a, b) fetch() return a < b end))
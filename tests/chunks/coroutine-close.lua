@@ -0,0 +1,35 @@
+local function closer(name)
+	return setmetatable({}, { __close = function(_, err) print("closed " .. name, err) end })
+end
+
+-- pending <close> variables of a suspended coroutine are closed, innermost first
+local suspended = coroutine.create(function()
+	local x <close> = closer("x")
+	local function inner()
+		local y <close> = closer("y")
+		coroutine.yield()
+	end
+	inner()
+end)
+coroutine.resume(suspended)
+print(coroutine.close(suspended))
+
+-- an error in a __close is passed to the ones after it and returned
+local failing = coroutine.create(function()
+	local a <close> = closer("a")
+	local b <close> = setmetatable({}, { __close = function() error("in close", 0) end })
+	coroutine.yield()
+end)
+coroutine.resume(failing)
+print(coroutine.close(failing))
+
+-- a coroutine that died from an error gives it back once
+local errored = coroutine.create(function() error("oops", 0) end)
+coroutine.resume(errored)
+print(coroutine.close(errored))
+print(coroutine.close(errored))
+
+local raised = coroutine.create(function() error({ code = 42 }) end)
+coroutine.resume(raised)
+local ok, err = coroutine.close(raised)
+print(ok, err.code)
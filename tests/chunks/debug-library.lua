@@ -0,0 +1,40 @@
+local function describe(level)
+	local info = debug.getinfo(level + 1, "nSl")
+	return info.short_src .. ":" .. info.currentline .. " " .. tostring(info.name) .. " " .. info.what .. " " .. info.linedefined
+end
+
+local function target(a, b)
+	local sum = a + b
+	print(describe(1))
+	print(debug.getlocal(1, 1), debug.getlocal(1, 2), debug.getlocal(1, 3), (debug.getlocal(1, 4)))
+	debug.setlocal(1, 3, 100)
+	return sum
+end
+print(target(1, 2))
+
+local counter = 0
+local function bump() counter = counter + 1 return counter end
+print(debug.getupvalue(bump, 1))
+debug.setupvalue(bump, 1, 41)
+print(bump(), counter)
+
+local info = debug.getinfo(print)
+print(info.what, info.short_src, info.currentline)
+
+local lines = {}
+debug.sethook(function(event, line) lines[#lines + 1] = line end, "l")
+local x = 1
+x = x + 1
+debug.sethook()
+print(table.concat(lines, " "), debug.gethook())
+
+local calls = 0
+debug.sethook(function() calls = calls + 1 end, "", 1)
+for i = 1, 10 do end
+debug.sethook()
+print(calls > 10)
+
+local mt = {}
+debug.setmetatable(10, mt)
+print(debug.getmetatable(1) == mt, getmetatable("").__index == string)
+debug.setmetatable(10, nil)
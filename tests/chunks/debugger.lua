@@ -0,0 +1,8 @@
+local function add(a, b)
+	local sum = a + b
+	return sum
+end
+
+local config = { name = "demo", sizes = { 1, 2, 3 } }
+local total = add(1, 2)
+print(total, config.name)
@@ -0,0 +1,11 @@
+local t = {1, 2, "a\n", x = true}
+local function f(a, b, ...)
+  local s = 0
+  for i = 1, 10, 2 do s = s + i * a % 3 end
+  for k, v in pairs(t) do s = s .. k end
+  if a == "str" then return nil elseif a < 3 then return b, ... end
+  return f(s, b, select("#", ...))
+end
+local u = 5
+g = function() u = u + 1; return u, t.x end
+print(f(1, 2), g(), -u, not u, #t, 3.0)
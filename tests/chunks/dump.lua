@@ -0,0 +1,9 @@
+local function add(a, b) return a + b end
+
+local function hex(bytes)
+	return (string.gsub(bytes, ".", function(c) return string.format("%02x", string.byte(c)) end))
+end
+
+print(hex(string.dump(add)))
+print(hex(string.dump(add, true)))
+print(pcall(string.dump, print))
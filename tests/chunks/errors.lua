@@ -0,0 +1,21 @@
+local raised = { code = 42 }
+local ok, err = pcall(error, raised)
+print(ok, err == raised, err.code)
+
+local function fail(level) error("failed", level) end
+print(pcall(fail))
+print(pcall(fail, 0))
+print(pcall(function() fail(2) end))
+print(pcall(error))
+print(pcall(error, nil))
+print(select("#", pcall(error)))
+
+print(pcall(function(...) return ... end, 1, nil, 3))
+print(pcall(pcall, error, "inner"))
+
+print(xpcall(function() error({ reason = "table" }) end, function(e) return "handled " .. e.reason end))
+print(xpcall(function(a, b) return (a or 0) + (b or 0) end, print, 1, 2))
+print(xpcall(function() error("first") end, function(e) error("again") end))
+print(xpcall(function() local x = nil + 1 end, function(e) return "caught: " .. e end))
+
+error(raised)
@@ -0,0 +1,19 @@
+print(string.format("%d|%5d|%-5d|%05d|%+d|% d", 42, 42, 42, 42, 42, 42))
+print(string.format("%x|%X|%#x|%o|%#o|%c%c", 255, 255, 255, 8, 8, 76, 117))
+print(string.format("%f|%.2f|%10.3f|%-10.1f|%e|%.3E", 3.14159, 3.14159, 3.14159, 3.14159, 12345.678, 0.000123))
+print(string.format("%g|%g|%g|%.3g|%G", 100000, 1000000, 0.0001, 2 / 3, 1e-10))
+print(string.format("%s|%10s|%-10s|%.2s|%5.1s|", "lua", "lua", "lua", "lua", "lua"))
+print(string.format("%q", "line\nbreak \"quoted\" \\ \0 tab\t\r"))
+print(string.format("%5.1f%%", 99.44), string.format("%s %s", 1, 2.5), string.format("%d", 3.0))
+
+local unpack = table.unpack or unpack
+local function try(...)
+	local args = { ... }
+	print(pcall(function() return string.format(unpack(args)) end))
+end
+
+try("%d", 3.5)
+try("%d", "x")
+try("%y", 1)
+try("%s")
+try("%s", setmetatable({}, { __tostring = function() return "custom" end }))
@@ -0,0 +1,29 @@
+local defaults = { color = "red", size = 1 }
+local base = setmetatable({ shape = "circle" }, { __index = defaults })
+local item = setmetatable({}, { __index = base })
+print(item.shape, item.color, item.missing)
+
+local computed = setmetatable({}, { __index = function(t, key) return key .. "!" end })
+print(computed.x, computed[1])
+
+local log = {}
+local proxy = setmetatable({ present = 1 }, { __newindex = function(t, key, value) log[#log + 1] = key .. "=" .. tostring(value) end })
+proxy.present = 2
+proxy.absent = 3
+print(proxy.present, proxy.absent, table.concat(log, " "))
+
+-- assigning through a table as __newindex stores in that table
+local store = {}
+local forward = setmetatable({}, { __newindex = store })
+forward.a = 10
+print(forward.a, store.a)
+
+local object = setmetatable({ name = "obj" }, { __index = { describe = function(self, suffix) return self.name .. suffix end } })
+print(object:describe("?"))
+
+local loop = {}
+setmetatable(loop, { __index = loop })
+print(pcall(function() return loop.x end))
+setmetatable(loop, { __index = loop, __newindex = loop })
+print(pcall(function() loop.x = 1 end))
+print(("abc"):upper(), #("abc"):rep(3))
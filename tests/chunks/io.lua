@@ -0,0 +1,28 @@
+local input = io.open("input.txt")
+print(input:read("*l"), input:read("*n"), input:read("*n"), input:read("*l"), input:read("*a"), input:read("*a"), input:read("*l"))
+input:close()
+print(pcall(input.read, input))
+
+local count = 0
+for line in io.lines("input.txt") do count = count + 1 end
+print(count)
+
+local output = io.open("output.txt", "w")
+print(output:write("first ", 1, "\n") == output)
+output:close()
+
+output = io.open("output.txt", "a")
+output:write("second\n")
+print(output:seek("cur"), output:seek("set", 2), output:seek("end"))
+output:close()
+
+print(io.open("missing.txt"))
+print(io.type(output), io.type(io.stdout), io.type(42))
+
+io.output("log.txt")
+io.write("via default output\n")
+io.close()
+io.output(io.stdout)
+
+io.input("output.txt")
+print(io.read("*a"))
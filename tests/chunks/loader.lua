@@ -0,0 +1,3 @@
+runs = (runs or 0) + 1
+
+print(runs, ...)
@@ -0,0 +1,37 @@
+-- each iteration gets its own upvalue, closed by the loop's jumps
+local fns = {}
+for i = 1, 3 do
+	local j = i * 10
+	fns[i] = function() j = j + 1 return i, j end
+end
+print(select(2, fns[1]()), select(2, fns[1]()), fns[3]())
+
+-- goto, also out of nested blocks
+local n = 0
+::again::
+n = n + 1
+if n < 3 then goto again end
+for x = 1, 5 do
+	for y = 1, 5 do
+		if x * y == 6 then print("found", x, y) goto done end
+	end
+end
+::done::
+
+-- _ENV decides where globals go
+local function sandboxed()
+	local _ENV = { print = print }
+	answer = 42
+	print(answer, tostring)
+	return _ENV
+end
+print(sandboxed().answer, answer)
+
+local function count(...)
+	return select("#", ...), ...
+end
+print(count(nil, 2, nil))
+
+local keys = {}
+for k, v in pairs({ a = 1 }) do keys[#keys + 1] = k .. "=" .. v end
+print(table.concat(keys), 7 % 3, 2 ^ 10, 7 / 2)
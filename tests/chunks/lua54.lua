@@ -0,0 +1,32 @@
+-- integers and floats stay apart, operators with constants take lua 5.4's K and I instructions
+local a, b = 7, 2
+print(a // b, a / b, a % -3, -a // b, 7.0 // 2, 2 ^ 2, a + 1, a - 1.5, 3 | 4, 6 & 3, 5 ~ 1, ~0, 1 << 62, 256 >> 4)
+print(1 == 1.0, 10 // 0.0, -(0.0), 0x7fffffffffffffff + 1 == -0x8000000000000000)
+
+-- integer loops don't overflow, float ones keep their type
+local steps = 0
+for i = 0x7ffffffffffffffe, 0x7fffffffffffffff do steps = steps + 1 end
+for x = 1, 2, 0.5 do io.write(x, " ") end
+print(steps)
+
+local limit <const> = 3
+local log = {}
+do
+	local first <close> = setmetatable({}, { __close = function(_, err) log[#log + 1] = "first " .. tostring(err) end })
+	local second <close> = setmetatable({}, { __close = function() log[#log + 1] = "second" end })
+	log[#log + 1] = "body " .. limit
+end
+print(table.concat(log, ", "))
+
+print(pcall(function()
+	local guard <close> = setmetatable({}, { __close = function(_, err) log[#log + 1] = "closed by " .. err end })
+	error("boom", 0)
+end))
+print(log[#log])
+
+local n = 0
+while true do
+	n = n + 1
+	if n >= 10 then break end
+end
+print(n > 5, n < 20, n >= 10, n <= 9)
@@ -0,0 +1,18 @@
+local function add(a, b) return a + b end
+print(add(2, 3))
+local sum = 0
+for i = 1, 10 do sum = sum + i end
+print(sum)
+local t = { 1, 2, x = "y" }
+print(t[2], t.x, #t)
+for k, v in pairs({ a = 1 }) do print(k, v) end
+local function counter() local c = 0 return function() c = c + 1 return c end end
+local inc = counter()
+inc()
+print(inc())
+print(select("#", ...))
+if count == 3 then print("a" .. "b") else print("b") end
+count = 3
+if count < count then a = true end
+local function thrower() nope() end
+return thrower()
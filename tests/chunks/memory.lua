@@ -0,0 +1,10 @@
+local ok, err = pcall(function()
+	local hoard = {}
+	for i = 1, 1e7 do hoard[i] = string.rep("x", 1000) .. i end
+end)
+print(ok, err)
+
+-- the hoard is unreachable once pcall returns, so there's room again
+local kept = {}
+for i = 1, 1000 do kept[i] = string.rep("y", 100) .. i end
+print(#kept)
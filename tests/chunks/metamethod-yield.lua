@@ -0,0 +1,43 @@
+-- every metamethod yields what it was called for and returns what the coroutine is resumed with
+local mt = {}
+local stored = {}
+mt.__index = function(t, k) return coroutine.yield("index " .. k) end
+mt.__newindex = function(t, k, v) coroutine.yield("newindex " .. k) stored[k] = v end
+mt.__add = function(a, b) return coroutine.yield("add") end
+mt.__unm = function(a) return coroutine.yield("unm") end
+mt.__concat = function(a, b) return coroutine.yield("concat") end
+mt.__eq = function(a, b) return coroutine.yield("eq") end
+mt.__lt = function(a, b) return coroutine.yield("lt") end
+
+local a = setmetatable({}, mt)
+local b = setmetatable({}, mt)
+
+local function drive(name, f, ...)
+	local answers = { ... }
+	local co = coroutine.create(f)
+	local ok, value = coroutine.resume(co)
+	local i = 1
+
+	while coroutine.status(co) == "suspended" do
+		print(name, "yielded", value)
+		ok, value = coroutine.resume(co, answers[i])
+		i = i + 1
+	end
+
+	print(name, ok, value)
+end
+
+drive("field", function() return a.x end, 10)
+drive("key", function() local k = "y" return a[k] end, 11)
+drive("global", function() local _ENV = a return missing end, 12)
+drive("method", function() return a:method(1) end, function(self, n) return self == a and n end)
+drive("newindex", function() a.z = 5 return stored.z end)
+drive("add", function() local n = 2 return a + n end, 3)
+drive("add constant", function() return a + 1.5 end, 4)
+drive("add integer", function() return 2 + a end, 5)
+drive("unm", function() return -a end, 6)
+drive("concat", function() return "x" .. a .. "y" .. "z" .. b end, "A", "B")
+drive("eq", function() return a == b, a ~= b end, false, true)
+drive("lt", function() if a < b then return "less" end return "not less" end, true)
+drive("le", function() return a <= b end, true)
+drive("ge", function() return b >= a, "after" end, false)
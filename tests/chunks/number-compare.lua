@@ -0,0 +1,7 @@
+local max, min = 9223372036854775807, -9223372036854775807 - 1
+print(max == 2^63, max < 2^63, max <= 2^63, 2^63 > max, max + 0.0 == 2^63)
+print(min == -2^63, min < -2^63, min <= -2^63)
+print(2^53 == 9007199254740993, 9007199254740993 > 2^53, 9007199254740993 < 2^53 + 2)
+print(1 == 1.0, 3 < 3.5, 3 > 2.5, 3 <= 3.0, 0/0 == 0/0, 1 < 0/0)
+print(max < math.huge, min > -math.huge, max == math.huge)
+print(math.max(2^53, 9007199254740993), math.min(max, 2^63))
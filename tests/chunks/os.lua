@@ -0,0 +1,10 @@
+print(os.time(), os.clock(), os.getenv("HOME"), os.getenv("MISSING"))
+print(os.date("%Y-%m-%d %H:%M:%S %Z"), os.date("!%Y-%m-%d %H:%M:%S %A %B %j"), os.date("!%c", 0))
+
+local now = os.date("*t")
+print(now.year, now.month, now.day, now.hour, now.min, now.sec, now.wday, now.yday, now.isdst)
+print(os.time({ year = 2024, month = 1, day = 15, hour = 14 }), os.time({ year = 2024, month = 13, day = 1, hour = 0 }))
+print(os.difftime(os.time(), 0))
+
+print(pcall(os.exit, 3))
+print("not reached")
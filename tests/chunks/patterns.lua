@@ -0,0 +1,31 @@
+print(string.find("hello world", "o w"))
+print(string.find("hello", "l+"))
+print(string.find("a.b", ".", 1, true))
+print(string.find("abc", "b", -1))
+print(string.find("abc", "(b)(c)"))
+print(string.find("", ""))
+print(string.find("abc", "", 10))
+print(string.match("key = value", "(%w+)%s*=%s*(%w+)"))
+print(string.match("  trim  ", "^%s*(.-)%s*$") .. "|")
+print(string.match("hello", "()ll()"))
+print(string.match("[[nested]]", "%b[]"))
+print(string.match("THE (quick) fox", "%f[%a]%a+", 5))
+print(string.match("2024-01-15", "(%d+)-(%d+)-(%d+)"))
+print(string.match("abc", "^b"), string.match("aaa", "a-b"), string.match("x=1, y=2", "y=(%d)"))
+
+local words = {}
+for word, n in string.gmatch("one=1 two=2 three=3", "(%a+)=(%d)") do words[#words + 1] = word .. n end
+print(table.concat(words, ","))
+
+print(string.gsub("hello world", "o", "0"))
+print(string.gsub("hello world", "(%w+)", "<%1>"))
+print(string.gsub("hello world", "%w+", "%0 %0", 1))
+print(string.gsub("$name is $age", "%$(%w+)", { name = "lua", age = 30 }))
+print(string.gsub("abc", "%w", function(c) if c ~= "b" then return c:upper() end end))
+print(string.gsub("abc", "", "-"))
+print(string.gsub("a,b,,c", ",", ";", 2))
+
+print(pcall(string.find, "a", "[a"))
+print(pcall(string.gsub, "a", "(", "x"))
+print(pcall(string.gsub, "abc", "%w", "%2"))
+print(pcall(string.match, "a", "%"))
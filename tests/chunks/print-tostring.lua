@@ -0,0 +1,5 @@
+local object = setmetatable({}, { __tostring = function() return "OBJ" end })
+print(object, tostring(object) == "OBJ", 1, nil, "s")
+print((tostring(setmetatable({}, { __name = "Point" })):gsub("0x%x+", "ADDRESS")))
+print(setmetatable({}, { __tostring = function() return 42 end }))
+print(pcall(print, setmetatable({}, { __tostring = function() return {} end })))
@@ -0,0 +1,17 @@
+local function depth(n) if n == 0 then return 0 end return 1 + depth(n - 1) end
+print(depth(100000))
+
+local function forever(n) return 1 + forever(n + 1) end
+local ok, err = pcall(forever, 1)
+print(ok, string.find(err, "stack overflow") ~= nil)
+
+local function loop(n) if n == 0 then return "done" end return loop(n - 1) end
+print(loop(1000000))
+
+local isEven, isOdd
+function isEven(n) if n == 0 then return true end return isOdd(n - 1) end
+function isOdd(n) if n == 0 then return false end return isEven(n - 1) end
+print(isEven(1000001))
+
+-- the stack is usable again after the overflow
+print(depth(1000))
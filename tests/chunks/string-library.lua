@@ -0,0 +1,10 @@
+local s = "Hello, Lua"
+print(s:len(), #s, s:upper(), s:lower(), s:reverse())
+print(s:sub(1, 5), s:sub(-3), s:sub(8), s:sub(0), s:sub(5, 2) == "", s:sub(-100, 2))
+print(s:byte(), s:byte(-1), s:byte(1, 3))
+print(string.char(72, 105), string.char())
+print(("ab"):rep(3), ("ab"):rep(0) == "", ("x"):rep(3, ", "))
+print(getmetatable("").__index == string, ("%d items"):format(3), ("a,b"):find(",", 1, true))
+print(pcall(function() return string.rep() end))
+print(pcall(function() return string.char(256) end))
+print(pcall(function() return string.sub("abc", {}) end))
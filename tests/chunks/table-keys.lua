@@ -0,0 +1,15 @@
+local t = {}
+t[9007199254740993] = "odd"
+t[9007199254740992] = "even"
+print(t[9007199254740993], t[9007199254740992], t[2^53], t["9007199254740993"])
+
+t[2^60] = "float"
+print(t[1152921504606846976], t[2.0], t[1.5])
+
+local a, b = {}, {}
+t[a], t[1.5], t[true] = "a", "f", "b"
+print(t[a], t[b], t["1.5"], t[1.5], t["true"], t[true])
+
+local count = 0
+for k, v in pairs(t) do count = count + 1 end
+print(count)
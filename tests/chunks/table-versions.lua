@@ -0,0 +1,2 @@
+print(unpack ~= nil, table.unpack ~= nil, table.maxn ~= nil)
+print((unpack or table.unpack)({ 1, 2, 3 }, 2))
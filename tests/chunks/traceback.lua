@@ -0,0 +1,17 @@
+local function inner()
+	print(debug.traceback("here", 1))
+	error("deep")
+end
+
+local function middle()
+	inner()
+end
+
+function outer()
+	middle()
+end
+
+print(xpcall(outer, debug.traceback))
+
+local t = setmetatable({}, { __index = function(t, key) return outer() end })
+return t.x
@@ -0,0 +1,5 @@
+print(warn ~= nil)
+if warn then
+	warn("@on")
+	warn("careful ", "now")
+end
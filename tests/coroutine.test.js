@@ -0,0 +1,56 @@
+const assert = require("assert")
+const { test, output } = require("./harness.js")
+
+test("coroutine.close runs pending __close handlers and reports errors", () => {
+	assert.strictEqual(output("coroutine-close"), [
+		"closed y\tnil",
+		"closed x\tnil",
+		"true",
+		"closed a\tin close",
+		"false\tin close",
+		"false\toops",
+		"true",
+		"false\t42",
+		""
+	].join("\n"))
+})
+
+test("coroutines yield from metamethods from lua 5.2 on", () => {
+	const expected = [
+		"field\tyielded\tindex x",
+		"field\ttrue\t10",
+		"key\tyielded\tindex y",
+		"key\ttrue\t11",
+		"global\tyielded\tindex missing",
+		"global\ttrue\t12",
+		"method\tyielded\tindex method",
+		"method\ttrue\t1",
+		"newindex\tyielded\tnewindex z",
+		"newindex\ttrue\t5",
+		"add\tyielded\tadd",
+		"add\ttrue\t3",
+		"add constant\tyielded\tadd",
+		"add constant\ttrue\t4",
+		"add integer\tyielded\tadd",
+		"add integer\ttrue\t5",
+		"unm\tyielded\tunm",
+		"unm\ttrue\t6",
+		"concat\tyielded\tconcat",
+		"concat\tyielded\tconcat",
+		"concat\ttrue\txB",
+		"eq\tyielded\teq",
+		"eq\tyielded\teq",
+		"eq\ttrue\tfalse",
+		"lt\tyielded\tlt",
+		"lt\ttrue\tless",
+		"le\tyielded\tlt",
+		"le\ttrue\tfalse",
+		"ge\tyielded\tlt",
+		"ge\ttrue\ttrue",
+		""
+	].join("\n")
+
+	for (const version of ["52", "53", "54"]) {
+		assert.strictEqual(output("metamethod-yield", version), expected, `lua ${version}`)
+	}
+})
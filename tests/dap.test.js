@@ -0,0 +1,163 @@
+const assert = require("assert")
+const path = require("path")
+const { PassThrough } = require("stream")
+const { DebugAdapter } = require("../dap.js")
+const { test } = require("./harness.js")
+
+const CHUNKS = path.join(__dirname, "chunks")
+
+// a scripted editor, talking to an adapter over a pair of streams
+class Client {
+	constructor() {
+		this.input = new PassThrough()
+		this.output = new PassThrough()
+		this.adapter = new DebugAdapter(this.input, this.output)
+
+		this.seq = 1
+		this.buffer = Buffer.alloc(0)
+		this.messages = []
+		this.waiters = []
+
+		this.output.on("data", (data) => this.receive(data))
+	}
+
+	receive(data) {
+		this.buffer = Buffer.concat([this.buffer, data])
+
+		while (true) {
+			const headerEnd = this.buffer.indexOf("\r\n\r\n")
+			if (headerEnd < 0) {
+				return
+			}
+
+			const length = Number(/Content-Length: (\d+)/.exec(this.buffer.subarray(0, headerEnd).toString())[1])
+			if (this.buffer.length < headerEnd + 4 + length) {
+				return
+			}
+
+			const message = JSON.parse(this.buffer.subarray(headerEnd + 4, headerEnd + 4 + length).toString())
+			this.buffer = this.buffer.subarray(headerEnd + 4 + length)
+
+			this.messages.push(message)
+			for (const waiter of this.waiters.filter((waiter) => waiter.matches(message))) {
+				this.waiters.splice(this.waiters.indexOf(waiter), 1)
+				waiter.resolve(message)
+			}
+		}
+	}
+
+	// the next message that matches, one that already arrived counts as well
+	wait(matches) {
+		const index = this.messages.findIndex(matches)
+		if (index >= 0) {
+			return Promise.resolve(this.messages.splice(index, 1)[0])
+		}
+
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => reject(new Error("no matching message in time")), 5000)
+			this.waiters.push({ matches, resolve: (message) => {
+				clearTimeout(timer)
+				this.messages.splice(this.messages.indexOf(message), 1)
+				resolve(message)
+			} })
+		})
+	}
+
+	event(name) {
+		return this.wait((message) => message.type === "event" && message.event === name)
+	}
+
+	request(command, args = {}) {
+		const seq = this.seq ++
+		const json = JSON.stringify({ seq, type: "request", command, arguments: args })
+		this.input.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`)
+
+		return this.wait((message) => message.type === "response" && message.request_seq === seq)
+	}
+
+	async variables(reference) {
+		const response = await this.request("variables", { variablesReference: reference })
+
+		return Object.fromEntries(response.body.variables.map(({ name, value }) => [name, value]))
+	}
+
+	close() {
+		this.input.end()
+	}
+}
+
+test("the debug adapter launches, stops at breakpoints, steps and inspects a script", async () => {
+	const client = new Client()
+
+	try {
+		assert.strictEqual((await client.request("initialize", { adapterID: "lua" })).success, true)
+
+		const missing = await client.request("launch", { program: path.join(CHUNKS, "missing.luac") })
+		assert.strictEqual(missing.success, false)
+
+		// lua source instead of bytecode
+		const notBytecode = await client.request("launch", { program: path.join(CHUNKS, "debugger.lua") })
+		assert.strictEqual(notBytecode.success, false)
+
+		assert.strictEqual((await client.request("launch", { program: path.join(CHUNKS, "debugger.54.luac") })).success, true)
+		await client.event("initialized")
+
+		const source = { path: path.join(CHUNKS, "debugger.lua") }
+		const { body: { breakpoints } } = await client.request("setBreakpoints", { source, breakpoints: [{ line: 2 }, { line: 5 }] })
+		assert.deepStrictEqual(breakpoints.map(({ line, verified }) => ({ line, verified })), [{ line: 2, verified: true }, { line: 6, verified: true }])
+
+		await client.request("configurationDone")
+		let stopped = await client.event("stopped")
+		assert.strictEqual(stopped.body.reason, "breakpoint")
+
+		let { body: { stackFrames } } = await client.request("stackTrace", { threadId: 1 })
+		assert.strictEqual(stackFrames[0].line, 6)
+		assert.strictEqual(stackFrames[0].source.path, source.path)
+
+		await client.request("continue", { threadId: 1 })
+		stopped = await client.event("stopped")
+		assert.strictEqual(stopped.body.reason, "breakpoint")
+
+		;({ body: { stackFrames } } = await client.request("stackTrace", { threadId: 1 }))
+		assert.deepStrictEqual(stackFrames.slice(0, 2).map(({ name, line }) => ({ name, line })), [{ name: "add", line: 2 }, { name: "main chunk", line: 7 }])
+
+		const { body: { scopes } } = await client.request("scopes", { frameId: 0 })
+		assert.deepStrictEqual(await client.variables(scopes[0].variablesReference), { a: "1", b: "2" })
+
+		const mainScopes = (await client.request("scopes", { frameId: 1 })).body.scopes
+		const mainLocals = (await client.request("variables", { variablesReference: mainScopes[0].variablesReference })).body.variables
+		const config = mainLocals.find(({ name }) => name === "config")
+		const configFields = (await client.request("variables", { variablesReference: config.variablesReference })).body.variables
+		assert.deepStrictEqual(configFields.map(({ name }) => name), ["name", "sizes"])
+		assert.deepStrictEqual(await client.variables(configFields[1].variablesReference), { "[1]": "1", "[2]": "2", "[3]": "3" })
+
+		assert.strictEqual((await client.request("evaluate", { expression: "config.sizes.2", frameId: 1 })).body.result, "2")
+		assert.strictEqual((await client.request("evaluate", { expression: "config.name", frameId: 1 })).body.result, "\"demo\"")
+		assert.strictEqual((await client.request("evaluate", { expression: "a + 1", frameId: 0 })).success, false)
+
+		await client.request("next", { threadId: 1 })
+		stopped = await client.event("stopped")
+		assert.strictEqual(stopped.body.reason, "step")
+		;({ body: { stackFrames } } = await client.request("stackTrace", { threadId: 1, levels: 1 }))
+		assert.strictEqual(stackFrames[0].line, 3)
+
+		await client.request("stepOut", { threadId: 1 })
+		stopped = await client.event("stopped")
+		;({ body: { stackFrames } } = await client.request("stackTrace", { threadId: 1, levels: 1 }))
+		assert.strictEqual(stackFrames[0].name, "main chunk")
+
+		await client.request("setBreakpoints", { source, breakpoints: [] })
+		await client.request("continue", { threadId: 1 })
+
+		assert.deepStrictEqual((await client.event("exited")).body, { exitCode: 0 })
+		await client.event("terminated")
+
+		const output = client.messages.filter((message) => message.event === "output").map((message) => message.body.output).join("")
+		assert.strictEqual(output, "3\tdemo\n")
+
+		assert.strictEqual((await client.request("disconnect")).success, true)
+	}
+	finally {
+		client.close()
+	}
+})
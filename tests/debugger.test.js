@@ -0,0 +1,19 @@
+const assert = require("assert")
+const { LuaVM } = require("../index.js")
+const { test, chunk } = require("./harness.js")
+
+test("running a chunk again replaces the prototypes the debugger keeps of it", () => {
+	const vm = new LuaVM({ stdout: () => {} })
+	const breakpoint = vm.debugger.setBreakpoint("debugger.lua:5")
+
+	for (let i = 0; i < 200; i ++) {
+		vm.run(chunk("debugger"))
+	}
+
+	assert.strictEqual(vm.debugger.protos.size, 1)
+	assert.strictEqual(vm.debugger.protos.get("debugger.lua").protos.length, 2)
+
+	// the blank line moves to the next one with code
+	assert.strictEqual(breakpoint.line, 6)
+	assert.strictEqual(breakpoint.verified, true)
+})
@@ -0,0 +1,19 @@
+const assert = require("assert")
+const { test, output } = require("./harness.js")
+
+for (const [version, temporary, hook] of [["51", "(*temporary)", "nil\t\t0"], ["54", "(temporary)", "nil"]]) {
+	test(`lua ${version[0]}.${version[1]} debug library inspects and changes running functions`, () => {
+		assert.strictEqual(output("debug-library", version), [
+			"debug-library.lua:8 target Lua 6",
+			`a\tb\tsum\t${temporary}`,
+			"100",
+			"counter\t0",
+			"42\t42",
+			"C\t[C]\t-1",
+			`26 27 28\t${hook}`,
+			"true",
+			"true\ttrue",
+			""
+		].join("\n"))
+	})
+}
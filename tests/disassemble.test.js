@@ -0,0 +1,12 @@
+const assert = require("assert")
+const fs = require("fs")
+const path = require("path")
+const { disassemble } = require("../index.js")
+const { test, chunk } = require("./harness.js")
+
+test("disassemble lists a chunk like luac -l -l", () => {
+	// luac 5.3's own listing of the chunk, with its function addresses numbered the way disassemble does
+	const expected = fs.readFileSync(path.join(__dirname, "chunks", "disassemble.53.txt"), "utf8")
+
+	assert.strictEqual(disassemble(chunk("disassemble", "53")), expected)
+})
@@ -0,0 +1,39 @@
+const assert = require("assert")
+const { LuaCFormatError, LuaVM, dumpChunk, loadChunk } = require("../index.js")
+const { test, chunk, output } = require("./harness.js")
+
+test("dumping a loaded chunk gives back the same bytes", () => {
+	for (const version of ["51", "52", "53", "54"]) {
+		const bytes = chunk("print-tostring", version)
+
+		assert.deepStrictEqual(Buffer.from(dumpChunk(loadChunk(bytes))), bytes, `lua ${version}`)
+	}
+})
+
+test("chunks re-targeted to another layout run the same and convert back", () => {
+	// compiled by a 64-bit luac 5.3
+	const bytes = chunk("dump", "53")
+	const retargeted = dumpChunk(bytes, { sizeTSize: 4, isLittleEndian: false })
+
+	assert.strictEqual(loadChunk(retargeted).header.sizeTSize, 4)
+	assert.strictEqual(loadChunk(retargeted).header.isLittleEndian, false)
+	assert.deepStrictEqual(Buffer.from(dumpChunk(retargeted, { sizeTSize: 8, isLittleEndian: true })), bytes)
+
+	const written = []
+	new LuaVM({ stdout: (bytes) => written.push(bytes) }).run(retargeted)
+	assert.strictEqual(Buffer.concat(written).toString(), output("dump", "53"))
+})
+
+test("values that don't fit the layout throw a LuaCFormatError", () => {
+	assert.throws(() => dumpChunk(chunk("lua54"), { luaIntSize: 4 }), LuaCFormatError)
+})
+
+test("string.dump writes functions like a 64-bit lua 5.3", () => {
+	// what lua 5.3 itself prints for the chunk
+	assert.strictEqual(output("dump", "53"), [
+		"1b4c7561530019930d0a1a0a040804080878560000000000000000000000287740000a4064756d702e6c75610100000001000000020003030000008d400000a6000001260080000000000000000000000000000300000001000000010000000100000002000000026100000000030000000262000000000300000000000000",
+		"1b4c7561530019930d0a1a0a04080408087856000000000000000000000028774000000100000001000000020003030000008d400000a600000126008000000000000000000000000000000000000000000000000000",
+		"false\tunable to dump given function",
+		""
+	].join("\n"))
+})
@@ -0,0 +1,33 @@
+const assert = require("assert")
+const { LuaError, LuaVM, unwrap, wrap } = require("../index.js")
+const { test, chunk } = require("./harness.js")
+
+for (const [version, xpcallArgs] of [["51", "0"], ["54", "3"]]) {
+	test(`lua ${version[0]}.${version[1]} pcall, xpcall and error pass any value along`, () => {
+		const written = []
+		const vm = new LuaVM({ stdout: (bytes) => written.push(bytes) })
+
+		// what the script raises in the end reaches the host untouched
+		assert.throws(() => vm.run(chunk("errors", version)), (error) => {
+			return error instanceof LuaError && error.message === "(error object is a table value)" &&
+				error.value.type === "table" && unwrap(error.value.rawGet(null, wrap(null, "code"))) === 42
+		})
+
+		assert.strictEqual(Buffer.concat(written).toString(), [
+			"false\ttrue\t42",
+			"false\terrors.lua:5: failed",
+			"false\tfailed",
+			"false\terrors.lua:8: failed",
+			"false\tnil",
+			"false\tnil",
+			"2",
+			"true\t1\tnil\t3",
+			"true\tfalse\tinner",
+			"false\thandled table",
+			`true\t${xpcallArgs}`,
+			"false\terror in error handling",
+			"false\tcaught: errors.lua:19: attempt to perform arithmetic on a nil value",
+			""
+		].join("\n"))
+	})
+}
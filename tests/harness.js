@@ -0,0 +1,25 @@
+const fs = require("fs")
+const path = require("path")
+const { LuaVM } = require("../index.js")
+
+// every test of every file, run in order by tests/run.js
+const tests = []
+
+function test(name, fn) {
+	tests.push({ name, fn })
+}
+
+// tests/chunks/<name>.lua compiled by the luac of lua <version>, as <name>.<version>.luac
+function chunk(name, version = "54") {
+	return fs.readFileSync(path.join(__dirname, "chunks", `${name}.${version}.luac`))
+}
+
+// what a chunk prints when run on a fresh vm
+function output(name, version = "54", options = {}) {
+	const written = []
+	new LuaVM({ ...options, stdout: (bytes) => written.push(bytes) }).run(chunk(name, version))
+
+	return Buffer.concat(written).toString()
+}
+
+module.exports = { tests, test, chunk, output }
@@ -0,0 +1,31 @@
+const assert = require("assert")
+const { LuaVM, MemoryFileSystem } = require("../index.js")
+const { test, chunk } = require("./harness.js")
+
+for (const [version, writeResult] of [["51", "false"], ["53", "true"]]) {
+	test(`lua ${version[0]}.${version[1]} io reads and writes the files of the vm's filesystem`, () => {
+		const fs = new MemoryFileSystem({ "input.txt": "hello\n42 3.5 rest\nlast line\n" })
+
+		const written = []
+		new LuaVM({ fs, stdout: (bytes) => written.push(bytes) }).run(chunk("io", version))
+
+		assert.strictEqual(Buffer.concat(written).toString(), [
+			"hello\t42\t3.5\t rest\tlast line",
+			"\t\tnil",
+			"false\tattempt to use a closed file",
+			"3",
+			// file:write only returns the file from lua 5.2 on
+			writeResult,
+			"15\t2\t15",
+			"nil\tmissing.txt: No such file or directory\t2",
+			"closed file\tfile\tnil",
+			"first 1",
+			"second",
+			"",
+			""
+		].join("\n"))
+
+		assert.strictEqual(Buffer.from(fs.readFile("output.txt")).toString(), "first 1\nsecond\n")
+		assert.strictEqual(Buffer.from(fs.readFile("log.txt")).toString(), "via default output\n")
+	})
+}
@@ -0,0 +1,30 @@
+const assert = require("assert")
+const { LuaVM, LuaCFormatError, loadChunk } = require("../index.js")
+const { test, chunk } = require("./harness.js")
+
+test("loaded chunks are frozen and run any number of times on any vm", () => {
+	const loaded = loadChunk(chunk("loader"))
+
+	assert.ok(Object.isFrozen(loaded) && Object.isFrozen(loaded.header))
+	assert.strictEqual(loaded.header.version, 0x54)
+
+	const written = []
+	const vm = new LuaVM({ stdout: (bytes) => written.push(bytes) })
+	vm.run(loaded, "a")
+	vm.run(loaded, "b", "c")
+	vm.run(chunk("loader"))
+
+	// globals are per vm
+	new LuaVM({ stdout: (bytes) => written.push(bytes) }).run(loaded)
+
+	assert.strictEqual(Buffer.concat(written).toString(), "1\ta\n2\tb\tc\n3\n1\n")
+})
+
+test("bytes that aren't a chunk throw a LuaCFormatError", () => {
+	const bytes = chunk("loader")
+
+	assert.throws(() => loadChunk("print(1)"), LuaCFormatError)
+	assert.throws(() => loadChunk(new TextEncoder().encode("print(1)")), /incorrect signature/)
+	assert.throws(() => loadChunk(bytes.subarray(0, bytes.length - 10)), /truncated chunk/)
+	assert.throws(() => new LuaVM().run(Uint8Array.of(0x1B, 0x4C, 0x75, 0x61, 0x60)), /unsupported lua version: 6.0/)
+})
@@ -0,0 +1,27 @@
+const assert = require("assert")
+const { LuaError, LuaVM, loadChunk, wrap } = require("../index.js")
+const { test, chunk } = require("./harness.js")
+
+// there's no luajit to compile luajit.lua here, so its chunks were assembled by hand, instruction by instruction and
+// with its line numbers, the way luajit -b compiles it
+for (const [version, name, fr2] of [[1, "lj20", false], [2, "lj21", true]]) {
+	test(`luajit ${version === 1 ? "2.0" : "2.1"} chunks load and run`, () => {
+		const loaded = loadChunk(chunk("luajit", name))
+		assert.deepStrictEqual({ ...loaded.header }, {
+			format: "luajit",
+			version,
+			isLittleEndian: true,
+			isStripped: false,
+			usesFFI: false,
+			fr2,
+			chunkName: "@luajit.lua"
+		})
+
+		const written = []
+		const vm = new LuaVM({ stdout: (bytes) => written.push(bytes) })
+		vm.globals.rawSet(null, "count", wrap(null, 3))
+
+		assert.throws(() => vm.run(loaded, 1, 2, 3), (error) => error instanceof LuaError && error.message === "luajit.lua:17: attempt to call a nil value")
+		assert.strictEqual(Buffer.concat(written).toString(), "5\n55\n2\ty\t2\na\t1\n2\n3\nab\n")
+	})
+}
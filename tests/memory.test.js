@@ -0,0 +1,21 @@
+const assert = require("assert")
+const { LuaError, LuaVM } = require("../index.js")
+const { test, chunk } = require("./harness.js")
+
+test("going over memoryLimit is a lua error that pcall catches", () => {
+	const limit = 4 * 1024 * 1024
+
+	const written = []
+	const vm = new LuaVM({ memoryLimit: limit, stdout: (bytes) => written.push(bytes) })
+	vm.run(chunk("memory"))
+
+	assert.strictEqual(Buffer.concat(written).toString(), "false\tnot enough memory\n1000\n")
+	assert.ok(vm.measureMemory() < limit)
+})
+
+test("going over memoryLimit outside of pcall fails the run", () => {
+	// too little for what the script keeps after its pcall
+	const vm = new LuaVM({ memoryLimit: 64 * 1024, stdout: () => {} })
+
+	assert.throws(() => vm.run(chunk("memory")), (error) => error instanceof LuaError && error.message === "not enough memory")
+})
@@ -0,0 +1,21 @@
+const assert = require("assert")
+const { test, output } = require("./harness.js")
+
+for (const [version, getLoop, setLoop] of [
+	["51", "loop in gettable", "loop in settable"],
+	["54", "'__index' chain too long; possible loop", "'__newindex' chain too long; possible loop"]
+]) {
+	test(`lua ${version[0]}.${version[1]} table access goes through __index and __newindex`, () => {
+		assert.strictEqual(output("index-dispatch", version), [
+			"circle\tred\tnil",
+			"x!\t1!",
+			"2\tnil\tabsent=3",
+			"nil\t10",
+			"obj?",
+			`false\tindex-dispatch.lua:26: ${getLoop}`,
+			`false\tindex-dispatch.lua:28: ${setLoop}`,
+			"ABC\t9",
+			""
+		].join("\n"))
+	})
+}
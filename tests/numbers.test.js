@@ -0,0 +1,16 @@
+const assert = require("assert")
+const { test, output } = require("./harness.js")
+
+for (const version of ["53", "54"]) {
+	test(`lua ${version[0]}.${version[1]} compares integers and floats exactly`, () => {
+		assert.strictEqual(output("number-compare", version), [
+			"false\ttrue\ttrue\ttrue\ttrue",
+			"true\tfalse\ttrue",
+			"false\ttrue\ttrue",
+			"true\ttrue\ttrue\ttrue\tfalse\tfalse",
+			"true\ttrue\tfalse",
+			"9007199254740993\t9223372036854775807",
+			""
+		].join("\n"))
+	})
+}
@@ -0,0 +1,28 @@
+const assert = require("assert")
+const { LuaExit, LuaVM } = require("../index.js")
+const { test, chunk } = require("./harness.js")
+
+test("os gets the time, the environment and exiting from the host", () => {
+	const written = []
+	const exits = []
+	const vm = new LuaVM({
+		stdout: (bytes) => written.push(bytes),
+		// 13:45:30 UTC, an hour later in the vm's timezone
+		clock: { now: () => Date.UTC(2024, 0, 15, 13, 45, 30, 250), cpu: () => 1.5, timezoneOffset: () => -60, timezoneName: () => "CET" },
+		env: { HOME: "/home/lua" },
+		exit: (code) => exits.push(code)
+	})
+
+	// pcall doesn't catch os.exit, which ends the run
+	assert.throws(() => vm.run(chunk("os", "53")), (error) => error instanceof LuaExit && error.code === 3)
+	assert.deepStrictEqual(exits, [3])
+
+	assert.strictEqual(Buffer.concat(written).toString(), [
+		"1705326330\t1.5\t/home/lua\tnil",
+		"2024-01-15 14:45:30 CET\t2024-01-15 13:45:30 Monday January 015\tThu Jan  1 00:00:00 1970",
+		"2024\t1\t15\t14\t45\t30\t2\t15\tfalse",
+		"1705323600\t1735686000",
+		"1705326330.0",
+		""
+	].join("\n"))
+})
@@ -0,0 +1,30 @@
+const assert = require("assert")
+const { LuaVM } = require("../index.js")
+const { test, chunk, output } = require("./harness.js")
+
+for (const version of ["51", "52", "53", "54"]) {
+	test(`lua ${version[0]}.${version[1]} print converts values like tostring`, () => {
+		const isNamed = version >= "53"
+
+		assert.strictEqual(output("print-tostring", version), [
+			"OBJ\ttrue\t1\tnil\ts",
+			isNamed ? "Point: ADDRESS" : "table: ADDRESS",
+			"42",
+			isNamed ? "false\t'__tostring' must return a string" : "false\t'tostring' must return a string to 'print'",
+			""
+		].join("\n"))
+	})
+}
+
+test("warn is only there for lua 5.4 and writes to stderr once turned on", () => {
+	const written = []
+	const errors = []
+	const vm = new LuaVM({ stdout: (bytes) => written.push(bytes), stderr: (bytes) => errors.push(bytes) })
+
+	vm.run(chunk("warn", "54"))
+	vm.run(chunk("warn", "53"))
+	vm.run(chunk("warn", "54"))
+
+	assert.strictEqual(Buffer.concat(written).toString(), "true\nfalse\ntrue\n")
+	assert.strictEqual(Buffer.concat(errors).toString(), "Lua warning: careful now\nLua warning: careful now\n")
+})
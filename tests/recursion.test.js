@@ -0,0 +1,6 @@
+const assert = require("assert")
+const { test, output } = require("./harness.js")
+
+test("deep recursion and tail calls don't use the JS stack, a stack overflow is caught by pcall", () => {
+	assert.strictEqual(output("recursion", "54"), "100000\nfalse\ttrue\ndone\nfalse\n1000\n")
+})
@@ -0,0 +1,32 @@
+const fs = require("fs")
+const path = require("path")
+const { tests } = require("./harness.js")
+
+// the test files whose names contain one of the arguments, all of them without any
+const filters = process.argv.slice(2)
+
+for (const file of fs.readdirSync(__dirname).sort()) {
+	if (file.endsWith(".test.js") && (filters.length === 0 || filters.some((filter) => file.includes(filter)))) {
+		require(path.join(__dirname, file))
+	}
+}
+
+async function main() {
+	let failed = 0
+
+	for (const { name, fn } of tests) {
+		try {
+			await fn()
+			console.log(`ok ${name}`)
+		}
+		catch (error) {
+			failed ++
+			console.log(`not ok ${name}\n${error.stack}`)
+		}
+	}
+
+	console.log(`${tests.length - failed} of ${tests.length} passed`)
+	process.exitCode = failed > 0 ? 1 : 0
+}
+
+main()
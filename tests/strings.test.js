@@ -0,0 +1,77 @@
+const assert = require("assert")
+const { test, output } = require("./harness.js")
+
+for (const [version, findPastEnd, badCapture] of [["51", "4\t3", "invalid capture index"], ["54", "nil", "invalid capture index %2"]]) {
+	test(`lua ${version[0]}.${version[1]} patterns find, match, gmatch and gsub like lua`, () => {
+		assert.strictEqual(output("patterns", version), [
+			"5\t7",
+			"3\t4",
+			"2\t2",
+			"nil",
+			"2\t3\tb\tc",
+			"1\t0",
+			findPastEnd,
+			"key\tvalue",
+			"trim|",
+			"3\t5",
+			"[[nested]]",
+			"quick",
+			"2024\t01\t15",
+			"nil\tnil\t2",
+			"one1,two2,three3",
+			"hell0 w0rld\t2",
+			"<hello> <world>\t2",
+			"hello hello world\t1",
+			"lua is 30\t2",
+			"AbC\t3",
+			"-a-b-c-\t4",
+			"a;b;,c\t2",
+			"false\tmalformed pattern (missing ']')",
+			"true\txax\t2",
+			`false\t${badCapture}`,
+			"false\tmalformed pattern (ends with '%')",
+			""
+		].join("\n"))
+	})
+}
+
+for (const [version, quoted, float, option, tostring] of [
+	["51", "break \\\"quoted\\\" \\\\ \\000 tab\t\\r\"", "true\t3", "invalid option '%y' to 'format'", "false\tformat.lua:12: bad argument #2 to 'format' (string expected, got table)"],
+	["54", "break \\\"quoted\\\" \\\\ \\0 tab\\9\\13\"", "false\tformat.lua:12: bad argument #2 to 'format' (number has no integer representation)", "invalid conversion '%y' to 'format'", "true\tcustom"]
+]) {
+	test(`lua ${version[0]}.${version[1]} string.format formats like C's printf`, () => {
+		assert.strictEqual(output("format", version), [
+			"42|   42|42   |00042|+42| 42",
+			"ff|FF|0xff|10|010|Lu",
+			"3.141590|3.14|     3.142|3.1       |1.234568e+04|1.230E-04",
+			"100000|1e+06|0.0001|0.667|1E-10",
+			"lua|       lua|lua       |lu|    l|",
+			"\"line\\",
+			quoted,
+			" 99.4%\t1 2.5\t3",
+			float,
+			"false\tformat.lua:12: bad argument #2 to 'format' (number expected, got string)",
+			`false\tformat.lua:12: ${option}`,
+			"false\tformat.lua:12: bad argument #2 to 'format' (no value)",
+			tostring,
+			""
+		].join("\n"))
+	})
+}
+
+for (const [version, separated, outOfRange] of [["51", "xxx", "invalid value"], ["54", "x, x, x", "value out of range"]]) {
+	test(`lua ${version[0]}.${version[1]} strings share a metatable with the string library`, () => {
+		assert.strictEqual(output("string-library", version), [
+			"10\t10\tHELLO, LUA\thello, lua\tauL ,olleH",
+			"Hello\tLua\tLua\tHello, Lua\ttrue\tHe",
+			"72\t97\t72\t101\t108",
+			"Hi\t",
+			`ababab\ttrue\t${separated}`,
+			"true\t3 items\t2\t2",
+			"false\tstring-library.lua:8: bad argument #1 to 'rep' (string expected, got no value)",
+			`false\tstring-library.lua:9: bad argument #1 to 'char' (${outOfRange})`,
+			"false\tstring-library.lua:10: bad argument #2 to 'sub' (number expected, got table)",
+			""
+		].join("\n"))
+	})
+}
@@ -0,0 +1,31 @@
+const assert = require("assert")
+const { LuaVM } = require("../index.js")
+const { test, chunk, output } = require("./harness.js")
+
+for (const version of ["53", "54"]) {
+	test(`lua ${version[0]}.${version[1]} tables keep keys of different values apart`, () => {
+		assert.strictEqual(output("table-keys", version), [
+			"odd\teven\teven\tnil",
+			"float\tnil\tnil",
+			"a\tnil\tnil\tf\tnil\tb",
+			"6",
+			""
+		].join("\n"))
+	})
+}
+
+test("unpack, table.unpack and table.maxn are there for the versions that have them", () => {
+	const written = []
+	const vm = new LuaVM({ stdout: (bytes) => written.push(bytes) })
+
+	for (const version of ["54", "51", "52", "53"]) {
+		vm.run(chunk("table-versions", version))
+	}
+
+	assert.strictEqual(Buffer.concat(written).toString(), [
+		"false\ttrue\tfalse",
+		"true\tfalse\ttrue",
+		"true\ttrue\ttrue",
+		"false\ttrue\tfalse"
+	].map((line) => `${line}\n2\t3\n`).join(""))
+})
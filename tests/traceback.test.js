@@ -0,0 +1,88 @@
+const assert = require("assert")
+const { LuaVM, formatTraceback } = require("../index.js")
+const { test, chunk } = require("./harness.js")
+
+// runs the chunk, giving what it printed and the error it ended with
+function run(version) {
+	const written = []
+	try {
+		new LuaVM({ stdout: (bytes) => written.push(bytes) }).run(chunk("traceback", version))
+	}
+	catch (error) {
+		return { printed: Buffer.concat(written).toString(), error }
+	}
+
+	assert.fail("the chunk didn't raise an error")
+}
+
+test("debug.traceback and xpcall list the lua call stack", () => {
+	const { printed } = run("54")
+
+	assert.strictEqual(printed, [
+		"here",
+		"stack traceback:",
+		"\ttraceback.lua:2: in upvalue 'inner'",
+		"\ttraceback.lua:7: in upvalue 'middle'",
+		"\ttraceback.lua:11: in function 'outer'",
+		"\t[C]: in function 'xpcall'",
+		"\ttraceback.lua:14: in main chunk",
+		"\t[C]: in ?",
+		"false\ttraceback.lua:3: deep",
+		"stack traceback:",
+		"\t[C]: in function 'error'",
+		"\ttraceback.lua:3: in upvalue 'inner'",
+		"\ttraceback.lua:7: in upvalue 'middle'",
+		"\ttraceback.lua:11: in function 'outer'",
+		"\t[C]: in function 'xpcall'",
+		"\ttraceback.lua:14: in main chunk",
+		"\t[C]: in ?",
+		"here",
+		"stack traceback:",
+		"\ttraceback.lua:2: in upvalue 'inner'",
+		"\ttraceback.lua:7: in upvalue 'middle'",
+		"\ttraceback.lua:11: in function 'outer'",
+		"\t(...tail calls...)",
+		"\ttraceback.lua:17: in main chunk",
+		"\t[C]: in ?",
+		""
+	].join("\n"))
+})
+
+test("errors carry the frames they were raised in, formatted like each lua version", () => {
+	const { error } = run("54")
+
+	assert.strictEqual(error.message, "traceback.lua:3: deep")
+	assert.deepStrictEqual({ ...error.traceback[1] }, {
+		what: "Lua",
+		source: "@traceback.lua",
+		shortSource: "traceback.lua",
+		currentLine: 3,
+		lineDefined: 1,
+		name: "inner",
+		nameWhat: "upvalue",
+		globalName: null,
+		isTailCall: false
+	})
+
+	assert.strictEqual(formatTraceback(error.traceback, 0x54), [
+		"stack traceback:",
+		"\t[C]: in function 'error'",
+		"\ttraceback.lua:3: in upvalue 'inner'",
+		"\ttraceback.lua:7: in upvalue 'middle'",
+		"\ttraceback.lua:11: in function 'outer'",
+		"\t(...tail calls...)",
+		"\ttraceback.lua:17: in main chunk",
+		"\t[C]: in ?"
+	].join("\n"))
+
+	assert.strictEqual(formatTraceback(run("51").error.traceback, 0x51), [
+		"stack traceback:",
+		"\t[C]: in function 'error'",
+		"\ttraceback.lua:3: in function 'inner'",
+		"\ttraceback.lua:7: in function 'middle'",
+		"\ttraceback.lua:11: in function <traceback.lua:10>",
+		"\t(tail call): ?",
+		"\ttraceback.lua:17: in main chunk",
+		"\t[C]: ?"
+	].join("\n"))
+})
@@ -0,0 +1,27 @@
+const assert = require("assert")
+const { test, output } = require("./harness.js")
+
+test("lua 5.2 chunks close upvalues per iteration, jump with goto and look globals up in _ENV", () => {
+	assert.strictEqual(output("lua52", "52"), [
+		"11\t12\t3\t31",
+		"found\t2\t3",
+		"42\tnil",
+		"42\tnil",
+		"3\tnil\t2\tnil",
+		"a=1\t1\t1024\t3.5",
+		""
+	].join("\n"))
+})
+
+test("lua 5.4 chunks keep integers and floats apart, close <close> variables and run integer loops to the limit", () => {
+	assert.strictEqual(output("lua54"), [
+		"3\t3.5\t-2\t-4\t3.0\t4.0\t8\t5.5\t7\t2\t4\t-1\t4611686018427387904\t16",
+		"true\tinf\t-0.0\ttrue",
+		"1 1.5 2 2",
+		"body 3, second, first nil",
+		"false\tboom",
+		"closed by boom",
+		"true\ttrue\ttrue\tfalse",
+		""
+	].join("\n"))
+})